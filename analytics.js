@@ -0,0 +1,445 @@
+// ============================================
+// ANALYTICS - TRENDS AND CHARTS
+// ============================================
+//
+// Aggregates message metadata (never message text) into weekly series and
+// renders them as inline SVG, so the charts work offline and without any
+// third-party library. Weeks start on Monday, in the viewer's time zone.
+
+const Analytics = {
+    MS_PER_DAY: 24 * 60 * 60 * 1000,
+    MS_PER_HOUR: 60 * 60 * 1000,
+
+    // Labels follow the interface language (see I18n.labels)
+    CATEGORY_LABELS: I18n.labels('category', [
+        'ansiedad', 'depresion', 'bullying', 'familiar', 'academico', 'autoestima', 'relaciones', 'otro'
+    ]),
+
+    MOOD_LABELS: I18n.labels('mood', ['muy-bien', 'bien', 'neutral', 'mal', 'muy-mal', 'ansioso']),
+
+    CRISIS_LEVEL_LABELS: I18n.labels('crisis.level', ['moderate', 'high', 'critical']),
+
+    RESPONSE_TIME_LABELS: I18n.labels('analytics.responseTime', ['firstResponse', 'resolution']),
+
+    PALETTE: ['#6366f1', '#0ea5e9', '#ef4444', '#f59e0b', '#10b981', '#ec4899', '#8b5cf6', '#64748b'],
+    MOOD_COLORS: {
+        'muy-bien': '#15803d',
+        bien: '#22c55e',
+        neutral: '#94a3b8',
+        mal: '#f59e0b',
+        'muy-mal': '#b91c1c',
+        ansioso: '#8b5cf6'
+    },
+    LEVEL_COLORS: {
+        moderate: '#f59e0b',
+        high: '#f97316',
+        critical: '#b91c1c'
+    },
+
+    // ===== DATE RANGES =====
+
+    /**
+     * Parse a date input value (YYYY-MM-DD) as local midnight
+     * @param {string} value - Date input value
+     * @returns {Date|null} Date, or null if empty or invalid
+     */
+    parseDay(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    },
+
+    /**
+     * Format a date as a date input value (YYYY-MM-DD, local)
+     * @param {Date} date - Date
+     * @returns {string} Date input value
+     */
+    toDayValue(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Build a range from two date input values; both days are included
+     * @param {string} fromValue - First day (YYYY-MM-DD)
+     * @param {string} toValue - Last day (YYYY-MM-DD)
+     * @returns {Object} { from, to } timestamps, `to` exclusive
+     */
+    createRange(fromValue, toValue) {
+        const from = this.parseDay(fromValue);
+        const to = this.parseDay(toValue);
+        if (!from || !to || from > to) {
+            throw new Error(I18n.t('analytics.invalidRange'));
+        }
+        const end = new Date(to);
+        end.setDate(end.getDate() + 1);
+        return { from: from.getTime(), to: end.getTime() };
+    },
+
+    /**
+     * Get the Monday that starts the week of a date
+     * @param {Date|number|string} date - Any date
+     * @returns {Date} Local midnight of that Monday
+     */
+    startOfWeek(date) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        return start;
+    },
+
+    /**
+     * Key of the week containing a date
+     * @param {Date|number|string} date - Any date
+     * @returns {string} Monday as YYYY-MM-DD
+     */
+    weekKey(date) {
+        return this.toDayValue(this.startOfWeek(date));
+    },
+
+    /**
+     * List the weeks a range touches, oldest first
+     * @param {Object} range - { from, to }
+     * @returns {Array<string>} Week keys
+     */
+    listWeeks(range) {
+        const weeks = [];
+        const cursor = this.startOfWeek(range.from);
+        while (cursor.getTime() < range.to) {
+            weeks.push(this.toDayValue(cursor));
+            cursor.setDate(cursor.getDate() + 7);
+        }
+        return weeks;
+    },
+
+    /**
+     * Short label for a week
+     * @param {string} week - Week key
+     * @returns {string} e.g. "6 oct"
+     */
+    formatWeek(week) {
+        return I18n.formatDate(this.parseDay(week), { day: 'numeric', month: 'short' });
+    },
+
+    // ===== AGGREGATION =====
+
+    /**
+     * Whether a timestamp falls inside a range
+     * @param {string} timestamp - ISO timestamp
+     * @param {Object} range - { from, to }
+     * @returns {boolean}
+     */
+    inRange(timestamp, range) {
+        const time = Date.parse(timestamp);
+        return time >= range.from && time < range.to;
+    },
+
+    /**
+     * Count items per week and key
+     * @param {Array} items - Items with a timestamp
+     * @param {Array<string>} weeks - Week keys
+     * @param {Function} getTimestamp - item => ISO timestamp
+     * @param {Function} getKey - item => series key
+     * @returns {Array} Rows { week, values: { key: count } }
+     */
+    countByWeek(items, weeks, getTimestamp, getKey) {
+        const rows = new Map(weeks.map(week => [week, {}]));
+        items.forEach(item => {
+            const row = rows.get(this.weekKey(getTimestamp(item)));
+            if (!row) return;
+            const key = getKey(item);
+            row[key] = (row[key] || 0) + 1;
+        });
+        return weeks.map(week => ({ week, values: rows.get(week) }));
+    },
+
+    /**
+     * Every crisis analysis of a message (first message and replies)
+     * @param {Object} message - Message
+     * @returns {Array} Entries { level, timestamp }
+     */
+    getCrisisDetections(message) {
+        const trajectory = message.riskTrajectory ||
+            [{ level: message.crisisLevel, timestamp: message.timestamp }];
+        return trajectory.filter(entry => entry.level && entry.level !== 'none');
+    },
+
+    /**
+     * Average of a list of durations in hours
+     * @param {Array<number>} durations - Milliseconds
+     * @returns {number|null} Hours, or null for an empty list
+     */
+    averageHours(durations) {
+        if (durations.length === 0) return null;
+        return durations.reduce((sum, d) => sum + d, 0) / durations.length / this.MS_PER_HOUR;
+    },
+
+    /**
+     * Time from arrival to first reply and to resolution
+     * @param {Object} message - Message
+     * @returns {Object} { firstResponse, resolution } in ms, null when not reached
+     */
+    getResponseTimes(message) {
+        const arrived = Date.parse(message.timestamp);
+        return {
+            firstResponse: message.firstResponseAt ? Date.parse(message.firstResponseAt) - arrived : null,
+            resolution: message.resolvedAt ? Date.parse(message.resolvedAt) - arrived : null
+        };
+    },
+
+    /**
+     * Aggregate messages into the weekly series shown in the analytics tab.
+     * Messages count in the week they arrived; crisis detections count in the
+     * week of the analyzed message or reply.
+     * @param {Array} messages - Messages (counselor view)
+     * @param {Object} range - { from, to }
+     * @returns {Object} { weeks, totals, categories, moods, crisis, responseTimes }
+     */
+    summarize(messages, range) {
+        const weeks = this.listWeeks(range);
+        const inRange = messages.filter(m => this.inRange(m.timestamp, range));
+        const detections = messages
+            .flatMap(m => this.getCrisisDetections(m))
+            .filter(d => this.inRange(d.timestamp, range));
+        const times = inRange.map(m => ({ timestamp: m.timestamp, ...this.getResponseTimes(m) }));
+
+        const responseTimes = weeks.map(week => {
+            const ofWeek = times.filter(t => this.weekKey(t.timestamp) === week);
+            return {
+                week,
+                values: {
+                    firstResponse: this.averageHours(ofWeek.map(t => t.firstResponse).filter(d => d !== null)),
+                    resolution: this.averageHours(ofWeek.map(t => t.resolution).filter(d => d !== null))
+                }
+            };
+        });
+
+        return {
+            weeks,
+            totals: {
+                messages: inRange.length,
+                crisisDetections: detections.length,
+                avgFirstResponseHours: this.averageHours(times.map(t => t.firstResponse).filter(d => d !== null)),
+                avgResolutionHours: this.averageHours(times.map(t => t.resolution).filter(d => d !== null))
+            },
+            categories: this.countByWeek(inRange, weeks, m => m.timestamp, m => m.category),
+            moods: this.countByWeek(inRange, weeks, m => m.timestamp, m => m.mood),
+            crisis: this.countByWeek(detections, weeks, d => d.timestamp, d => d.level),
+            responseTimes
+        };
+    },
+
+    /**
+     * Build chart series from a label map
+     * @param {Object} labels - { key: label }
+     * @param {Object|Array} colors - { key: color } or a palette
+     * @returns {Array} Series { key, label, color }
+     */
+    toSeries(labels, colors) {
+        return Object.keys(labels).map((key, i) => ({
+            key,
+            label: labels[key],
+            color: Array.isArray(colors) ? colors[i % colors.length] : colors[key]
+        }));
+    },
+
+    // ===== CHARTS =====
+
+    CHART: { width: 640, height: 240, left: 40, right: 12, top: 12, bottom: 28 },
+
+    /**
+     * Round an axis maximum up to 1, 2 or 5 times a power of ten
+     * @param {number} value - Largest value plotted
+     * @returns {number} Axis maximum
+     */
+    niceMax(value) {
+        if (value <= 0) return 1;
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(s => s * power >= value);
+        return step * power;
+    },
+
+    /**
+     * Grid lines, y labels and week labels shared by every chart
+     * @param {Array<string>} weeks - Week keys
+     * @param {number} max - Axis maximum
+     * @param {Function} formatValue - Label formatter for y values
+     * @returns {RenderedHtml} SVG markup
+     */
+    renderAxes(weeks, max, formatValue) {
+        const { width, height, left, right, top, bottom } = this.CHART;
+        const plotHeight = height - top - bottom;
+        const band = (width - left - right) / Math.max(weeks.length, 1);
+        const labelEvery = Math.ceil(weeks.length / 12);
+
+        return SafeRender.html`
+            ${[0, 0.25, 0.5, 0.75, 1].map(fraction => {
+                const y = top + plotHeight * (1 - fraction);
+                return SafeRender.html`
+                    <line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y}" y2="${y}"></line>
+                    <text class="chart-label" x="${left - 6}" y="${y + 4}" text-anchor="end">${formatValue(max * fraction)}</text>
+                `;
+            })}
+            ${weeks.map((week, i) => i % labelEvery === 0 ? SafeRender.html`
+                <text class="chart-label" x="${left + band * (i + 0.5)}" y="${height - 8}" text-anchor="middle">${this.formatWeek(week)}</text>
+            ` : '')}
+        `;
+    },
+
+    /**
+     * Render a stacked bar chart with one bar per week
+     * @param {Array} rows - Rows { week, values: { key: number } }
+     * @param {Array} series - Series { key, label, color }
+     * @param {Object} [options] - { percent: stack to 100% of each week }
+     * @returns {RenderedHtml} Markup
+     */
+    renderStackedBars(rows, series, options = {}) {
+        const { width, height, left, right, top, bottom } = this.CHART;
+        const plotHeight = height - top - bottom;
+        const band = (width - left - right) / Math.max(rows.length, 1);
+        const barWidth = Math.max(band * 0.7, 1);
+        const totals = rows.map(row => series.reduce((sum, s) => sum + (row.values[s.key] || 0), 0));
+        const max = options.percent ? 100 : this.niceMax(Math.max(0, ...totals));
+        const formatValue = options.percent ? v => `${Math.round(v)}%` : v => String(Math.round(v * 10) / 10);
+
+        const bars = rows.map((row, i) => {
+            let offset = 0;
+            return series.map(s => {
+                const count = row.values[s.key] || 0;
+                if (count === 0) return '';
+                const value = options.percent ? count / totals[i] * 100 : count;
+                const barHeight = value / max * plotHeight;
+                offset += barHeight;
+                const detail = options.percent ? `${count} (${Math.round(value)}%)` : count;
+                return SafeRender.html`
+                    <rect x="${left + band * i + (band - barWidth) / 2}" y="${top + plotHeight - offset}"
+                        width="${barWidth}" height="${barHeight}" fill="${s.color}">
+                        <title>${I18n.t('analytics.weekOf', { week: this.formatWeek(row.week) })} · ${s.label}: ${detail}</title>
+                    </rect>
+                `;
+            });
+        });
+
+        return SafeRender.html`
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" preserveAspectRatio="xMidYMid meet">
+                ${this.renderAxes(rows.map(r => r.week), max, formatValue)}
+                ${bars}
+            </svg>
+            ${this.renderLegend(series)}
+        `;
+    },
+
+    /**
+     * Render a line chart with one point per week; weeks without data leave gaps
+     * @param {Array} rows - Rows { week, values: { key: number|null } }
+     * @param {Array} series - Series { key, label, color }
+     * @param {string} unit - Unit appended to values (e.g. "h")
+     * @returns {RenderedHtml} Markup
+     */
+    renderLineChart(rows, series, unit) {
+        const { width, height, left, right, top, bottom } = this.CHART;
+        const plotHeight = height - top - bottom;
+        const band = (width - left - right) / Math.max(rows.length, 1);
+        const values = rows.flatMap(row => series.map(s => row.values[s.key])).filter(v => v !== null);
+        const max = this.niceMax(Math.max(0, ...values));
+        const point = (row, i, s) => ({
+            x: left + band * (i + 0.5),
+            y: top + plotHeight * (1 - row.values[s.key] / max)
+        });
+
+        const lines = series.map(s => {
+            // Split the line wherever a week has no value
+            const segments = [[]];
+            rows.forEach((row, i) => {
+                if (row.values[s.key] === null) segments.push([]);
+                else segments[segments.length - 1].push(point(row, i, s));
+            });
+
+            return SafeRender.html`
+                ${segments.filter(seg => seg.length > 1).map(seg => SafeRender.html`
+                    <polyline fill="none" stroke="${s.color}" stroke-width="2"
+                        points="${seg.map(p => `${p.x},${p.y}`).join(' ')}"></polyline>
+                `)}
+                ${rows.map((row, i) => {
+                    if (row.values[s.key] === null) return '';
+                    const p = point(row, i, s);
+                    return SafeRender.html`
+                        <circle cx="${p.x}" cy="${p.y}" r="3.5" fill="${s.color}">
+                            <title>${I18n.t('analytics.weekOf', { week: this.formatWeek(row.week) })} · ${s.label}: ${this.formatNumber(row.values[s.key])} ${unit}</title>
+                        </circle>
+                    `;
+                })}
+            `;
+        });
+
+        return SafeRender.html`
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" preserveAspectRatio="xMidYMid meet">
+                ${this.renderAxes(rows.map(r => r.week), max, v => `${this.formatNumber(v)} ${unit}`)}
+                ${lines}
+            </svg>
+            ${this.renderLegend(series)}
+        `;
+    },
+
+    /**
+     * Render a chart legend
+     * @param {Array} series - Series { label, color }
+     * @returns {RenderedHtml} Markup
+     */
+    renderLegend(series) {
+        return SafeRender.html`
+            <ul class="chart-legend">
+                ${series.map(s => SafeRender.html`
+                    <li><span class="chart-swatch" style="background: ${s.color}"></span>${s.label}</li>
+                `)}
+            </ul>
+        `;
+    },
+
+    /**
+     * Render the numbers behind a chart as a table
+     * @param {Array} rows - Rows { week, values }
+     * @param {Array} series - Series { key, label }
+     * @param {Function} [formatValue] - Cell formatter
+     * @returns {RenderedHtml} Markup
+     */
+    renderDataTable(rows, series, formatValue = v => v || 0) {
+        return SafeRender.html`
+            <details class="chart-data">
+                <summary>${I18n.t('analytics.showData')}</summary>
+                <div class="chart-table-wrapper">
+                    <table class="chart-table">
+                        <thead>
+                            <tr>
+                                <th>${I18n.t('analytics.week')}</th>
+                                ${series.map(s => SafeRender.html`<th>${s.label}</th>`)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => SafeRender.html`
+                                <tr>
+                                    <td>${this.formatWeek(row.week)}</td>
+                                    ${series.map(s => SafeRender.html`<td>${formatValue(row.values[s.key])}</td>`)}
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+        `;
+    },
+
+    /**
+     * Format a number with at most one decimal
+     * @param {number|null} value - Number
+     * @returns {string} Formatted number, or "—" when missing
+     */
+    formatNumber(value) {
+        if (value === null || value === undefined) return '—';
+        return I18n.formatNumber(Math.round(value * 10) / 10);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Analytics;
+}
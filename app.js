@@ -4,55 +4,48 @@
 
 // ===== STATE MANAGEMENT =====
 const AppState = {
-    messages: [],
     currentView: 'student',
     theme: 'light',
-    selectedMood: null
+    selectedMood: null,
+    lastSent: null,
+    checkingCodes: false,
+    tracked: null
 };
 
 // ===== UTILITY FUNCTIONS =====
 
 /**
- * Generate unique tracking code
- * @returns {string} 8-character alphanumeric code
+ * Generate tracking code from a cryptographically secure source. The
+ * alphabet has exactly 32 symbols, so masking each byte keeps it unbiased.
+ * @returns {string} 10-character alphanumeric code (50 bits)
  */
 function generateTrackingCode() {
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const bytes = crypto.getRandomValues(new Uint8Array(10));
     let code = '';
-    for (let i = 0; i < 8; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    // Ensure uniqueness
-    const messages = getMessages();
-    if (messages.some(m => m.trackingCode === code)) {
-        return generateTrackingCode(); // Recursive call if duplicate
+    for (const byte of bytes) {
+        code += chars.charAt(byte & 31);
     }
     return code;
 }
 
 /**
- * Format date to readable string
+ * Read an optional PIN field
+ * @param {string} inputId - Input element ID
+ * @returns {string} PIN, or empty string when not provided
+ */
+function readPin(inputId) {
+    const input = document.getElementById(inputId);
+    return input ? input.value.trim() : '';
+}
+
+/**
+ * Format date to readable string in the current language
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
 function formatDate(dateString) {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMs / 3600000);
-    const diffDays = Math.floor(diffMs / 86400000);
-
-    if (diffMins < 1) return 'Hace un momento';
-    if (diffMins < 60) return `Hace ${diffMins} minuto${diffMins > 1 ? 's' : ''}`;
-    if (diffHours < 24) return `Hace ${diffHours} hora${diffHours > 1 ? 's' : ''}`;
-    if (diffDays < 7) return `Hace ${diffDays} día${diffDays > 1 ? 's' : ''}`;
-
-    return date.toLocaleDateString('es-ES', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
+    return I18n.formatRelative(dateString);
 }
 
 /**
@@ -95,80 +88,118 @@ function getUrgencyColor(urgency) {
  * @returns {string} Status label
  */
 function getStatusLabel(status) {
-    const labels = {
-        new: 'Nuevo',
-        'in-review': 'En Revisión',
-        responded: 'Respondido',
-        resolved: 'Resuelto'
-    };
-    return labels[status] || status;
+    const key = `status.${status}`;
+    return I18n.has(key, I18n.DEFAULT_LOCALE) ? I18n.t(key) : status;
 }
 
-// ===== LOCAL STORAGE FUNCTIONS =====
+// ===== MESSAGE FUNCTIONS =====
 
 /**
- * Get all messages from localStorage
- * @returns {Array} Array of messages
+ * Analyze student text for crisis indicators with the lexicon the counselors
+ * have published. Runs before encryption, since the server never sees text.
+ * @param {string} text - Student text
+ * @returns {Promise<Object>} { level, keywords, lexiconVersion }
  */
-function getMessages() {
-    const data = localStorage.getItem('vocesAnonimas_messages');
-    return data ? JSON.parse(data) : [];
+async function analyzeForCrisis(text) {
+    CrisisDetection.setLexicon(await MessageStore.getActiveLexicon());
+    const analysis = CrisisDetection.analyze(text);
+    return {
+        level: analysis.crisisLevel,
+        keywords: analysis.detectedKeywords,
+        lexiconVersion: analysis.lexiconVersion
+    };
 }
 
 /**
- * Save messages to localStorage
- * @param {Array} messages - Messages array
+ * Add new message. The text is analyzed for crisis indicators here and then
+ * encrypted, so the server only receives ciphertext plus triage metadata.
+ * @param {Object} messageData - Message data
+ * @returns {Promise<Object>} Created message with its plain tracking code
  */
-function saveMessages(messages) {
-    localStorage.setItem('vocesAnonimas_messages', JSON.stringify(messages));
-    AppState.messages = messages;
+async function addMessage(messageData) {
+    const [counselorPublicKey, crisis] = await Promise.all([
+        MessageStore.getCounselorPublicKey(),
+        analyzeForCrisis(messageData.message)
+    ]);
+    const pin = messageData.pin || undefined;
+
+    // Retry in the unlikely event that the code is already taken
+    for (let attempt = 0; ; attempt++) {
+        const trackingCode = generateTrackingCode();
+        const sealed = await E2ECrypto.sealNewThread(trackingCode, messageData.message, counselorPublicKey, pin);
+
+        try {
+            const created = await MessageStore.createMessage({
+                ...sealed,
+                pin,
+                category: messageData.category,
+                urgency: messageData.urgency,
+                mood: messageData.mood,
+                crisis
+            });
+            return { ...created, trackingCode, message: messageData.message };
+        } catch (err) {
+            if (err.status !== 409 || attempt >= 2) throw err;
+        }
+    }
 }
 
 /**
- * Add new message
- * @param {Object} messageData - Message data
- * @returns {Object} Created message
- */
-function addMessage(messageData) {
-    const messages = getMessages();
-    const trackingCode = generateTrackingCode();
-
-    // Analyze for crisis
-    const crisisAnalysis = CrisisDetection.analyze(messageData.message);
-
-    // Adjust urgency if crisis detected
-    const adjustedUrgency = CrisisDetection.adjustUrgency(messageData.urgency, crisisAnalysis);
-
-    const newMessage = {
-        id: Date.now().toString(),
-        trackingCode,
-        category: messageData.category,
-        urgency: adjustedUrgency,
-        message: messageData.message,
-        mood: messageData.mood,
-        timestamp: new Date().toISOString(),
-        status: 'new',
-        crisisDetected: crisisAnalysis.isCrisis,
-        crisisLevel: crisisAnalysis.crisisLevel,
-        crisisKeywords: crisisAnalysis.detectedKeywords,
-        replies: [],
-        counselorNotes: ''
-    };
-
-    messages.unshift(newMessage); // Add to beginning
-    saveMessages(messages);
+ * Find a conversation by tracking code and unlock its thread key
+ * @param {string} code - Tracking code
+ * @param {string} [pin] - PIN, if the conversation has one
+ * @returns {Promise<Object|null>} { lookupId, threadKey, message } or null
+ */
+async function unlockThread(code, pin) {
+    const lookupId = await E2ECrypto.deriveLookupId(code);
+    const message = await MessageStore.getByLookupId(lookupId, pin);
+    if (!message) return null;
 
-    return newMessage;
+    const threadKey = await E2ECrypto.unwrapWithCode(code, message.encryption, message.pinProtected ? pin : undefined);
+    return { lookupId, threadKey, message };
 }
 
 /**
  * Get message by tracking code
  * @param {string} code - Tracking code
- * @returns {Object|null} Message or null
+ * @param {string} [pin] - PIN, if the conversation has one
+ * @returns {Promise<Object|null>} Decrypted message or null
  */
-function getMessageByCode(code) {
-    const messages = getMessages();
-    return messages.find(m => m.trackingCode.toUpperCase() === code.toUpperCase());
+async function getMessageByCode(code, pin) {
+    const thread = await unlockThread(code, pin);
+    if (!thread) return null;
+
+    const message = await E2ECrypto.decryptMessage(thread.message, thread.threadKey);
+    return { ...message, trackingCode: E2ECrypto.normalizeCode(code) };
+}
+
+/**
+ * Replace a conversation's tracking code with a fresh one. The thread key is
+ * re-wrapped for the new code in the browser, and a mood journal kept with
+ * the conversation is re-encrypted for it; the old code stops working.
+ * @param {string} code - Current tracking code
+ * @param {string} [pin] - PIN, if the conversation has one
+ * @returns {Promise<string>} New tracking code
+ */
+async function rotateTrackingCode(code, pin) {
+    const thread = await unlockThread(code, pin);
+    if (!thread) throw new Error(I18n.t('errors.messageNotFound'));
+    const threadPin = thread.message.pinProtected ? pin : undefined;
+
+    for (let attempt = 0; ; attempt++) {
+        const newCode = generateTrackingCode();
+        try {
+            await MessageStore.rotateTrackingCode(thread.lookupId, {
+                lookupId: await E2ECrypto.deriveLookupId(newCode),
+                encryption: await E2ECrypto.wrapForCode(thread.threadKey, newCode, threadPin),
+                trackingCode: await E2ECrypto.encryptText(thread.threadKey, newCode),
+                journal: await MoodJournal.rekey(thread.message.journal, code, newCode, threadPin)
+            }, threadPin);
+            return newCode;
+        } catch (err) {
+            if (err.status !== 409 || attempt >= 2) throw err;
+        }
+    }
 }
 
 // ===== THEME MANAGEMENT =====
@@ -203,6 +234,46 @@ function updateThemeIcon() {
     }
 }
 
+// ===== LANGUAGE =====
+
+/**
+ * Load the locale catalogs, pick the starting language and fill the
+ * language switcher
+ */
+function initLanguage() {
+    I18n.register('es', LOCALE_ES);
+    I18n.register('en', LOCALE_EN);
+    I18n.register('qu', LOCALE_QU);
+    I18n.setLocale(I18n.detectLocale(), { save: false });
+
+    const select = document.getElementById('languageSelect');
+    if (!select) return;
+    SafeRender.setHtml(select, SafeRender.html`
+        ${Object.entries(I18n.LOCALES).map(([code, locale]) => SafeRender.html`
+            <option value="${code}" lang="${code}">${locale.name}</option>
+        `)}
+    `);
+    select.value = I18n.locale;
+    select.addEventListener('change', () => I18n.setLocale(select.value));
+    I18n.onChange(refreshStudentLanguage);
+}
+
+/**
+ * Redraw the parts of the student view that scripts write
+ */
+function refreshStudentLanguage() {
+    renderSavedCodes();
+    GamificationSystem.renderPanel();
+    MoodJournal.renderPanel();
+    ResourceLibrary.renderPanel();
+    if (AppState.lastSent) updateSaveNewCodeButton();
+
+    const resultsDiv = document.getElementById('trackingResults');
+    if (AppState.tracked && !resultsDiv.classList.contains('hidden')) {
+        renderTrackedMessage(AppState.tracked.message, AppState.tracked.pin);
+    }
+}
+
 // ===== VIEW MANAGEMENT =====
 
 /**
@@ -229,35 +300,49 @@ function switchView(view) {
  * Handle message form submission
  * @param {Event} e - Form event
  */
-function handleMessageSubmit(e) {
+async function handleMessageSubmit(e) {
     e.preventDefault();
 
     const formData = {
         category: document.getElementById('category').value,
         urgency: document.getElementById('urgency').value,
         message: document.getElementById('message').value,
-        mood: AppState.selectedMood
+        mood: AppState.selectedMood,
+        pin: readPin('messagePin')
     };
 
     // Validate mood selection
     if (!formData.mood) {
-        alert('Por favor selecciona cómo te sientes');
+        alert(I18n.t('form.error.mood'));
+        return;
+    }
+
+    // Validate optional PIN
+    if (formData.pin && !/^\d{4,8}$/.test(formData.pin)) {
+        alert(I18n.t('form.error.pin'));
         return;
     }
 
     // Add message
-    const newMessage = addMessage(formData);
+    let newMessage;
+    try {
+        newMessage = await addMessage(formData);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
 
     // Track gamification
-    if (typeof GamificationSystem !== 'undefined') {
-        GamificationSystem.trackMessageSent();
-        GamificationSystem.trackMoodRegistered();
-    }
+    GamificationSystem.trackMessageSent();
+    GamificationSystem.trackMoodRegistered();
 
     // Show success message
     document.getElementById('messageForm').classList.add('hidden');
     document.getElementById('successMessage').classList.remove('hidden');
     document.getElementById('generatedCode').textContent = newMessage.trackingCode;
+    document.getElementById('pinReminder').classList.toggle('hidden', !formData.pin);
+    AppState.lastSent = { trackingCode: newMessage.trackingCode, pinProtected: Boolean(formData.pin) };
+    updateSaveNewCodeButton();
 
     // Scroll to success message
     document.getElementById('successMessage').scrollIntoView({ behavior: 'smooth' });
@@ -273,7 +358,7 @@ function resetMessageForm() {
     AppState.selectedMood = null;
 
     // Clear mood selection
-    document.querySelectorAll('.mood-btn').forEach(btn => {
+    document.querySelectorAll('#messageForm .mood-btn').forEach(btn => {
         btn.classList.remove('active');
     });
 
@@ -290,7 +375,7 @@ function handleMoodSelect(e) {
     const mood = btn.dataset.mood;
 
     // Remove active from all
-    document.querySelectorAll('.mood-btn').forEach(b => b.classList.remove('active'));
+    document.querySelectorAll('#messageForm .mood-btn').forEach(b => b.classList.remove('active'));
 
     // Add active to clicked
     btn.classList.add('active');
@@ -300,61 +385,127 @@ function handleMoodSelect(e) {
     document.getElementById('mood').value = mood;
 }
 
+/**
+ * Explain a failed tracking lookup (PIN required, wrong PIN, too many attempts)
+ * @param {Error} err - Error thrown by the API client
+ * @returns {boolean} Whether the error was shown in the results area
+ */
+function showTrackingError(err) {
+    const data = err.data || {};
+    let reason;
+
+    if (err.status === 401 && data.pinRequired) {
+        reason = 'pinRequired';
+        document.getElementById('trackingPinInput').focus();
+    } else if (err.status === 403) {
+        reason = 'wrongPin';
+    } else if (err.status === 429) {
+        reason = 'tooManyAttempts';
+    } else {
+        return false;
+    }
+    AppState.tracked = null;
+
+    const resultsDiv = document.getElementById('trackingResults');
+    SafeRender.setHtml(resultsDiv, SafeRender.html`
+      <div class="alert alert-warning">
+        <i class='bx bx-lock-alt' style="font-size: 1.5rem;"></i>
+        <div>
+          <strong>${I18n.t(`track.error.${reason}`)}</strong>
+          <p>${I18n.t(`track.error.${reason}Help`)}</p>
+        </div>
+      </div>
+    `);
+    resultsDiv.classList.remove('hidden');
+    return true;
+}
+
 /**
  * Handle tracking code search
  */
-function handleTrackMessage() {
+async function handleTrackMessage() {
     const code = document.getElementById('trackingCodeInput').value.trim();
+    const pin = readPin('trackingPinInput');
 
     if (!code) {
-        alert('Por favor ingresa un código de seguimiento');
+        alert(I18n.t('track.error.emptyCode'));
         return;
     }
 
-    const message = getMessageByCode(code);
+    let message;
+    try {
+        message = await getMessageByCode(code, pin);
+    } catch (err) {
+        if (!showTrackingError(err)) alert(err.message);
+        return;
+    }
     const resultsDiv = document.getElementById('trackingResults');
 
     if (!message) {
-        resultsDiv.innerHTML = `
+        AppState.tracked = null;
+        SafeRender.setHtml(resultsDiv, SafeRender.html`
       <div class="alert alert-warning">
         <i class='bx bx-error-circle' style="font-size: 1.5rem;"></i>
         <div>
-          <strong>Código no encontrado</strong>
-          <p>No se encontró ningún mensaje con el código <code>${code}</code>. Verifica que lo hayas ingresado correctamente.</p>
+          <strong>${I18n.t('track.notFound')}</strong>
+          <p>${I18n.t('track.notFoundHelp')} <code>${code}</code></p>
         </div>
       </div>
-    `;
+    `);
         resultsDiv.classList.remove('hidden');
         return;
     }
 
-    // Display message details
+    AppState.tracked = { message, pin };
+    renderTrackedMessage(message, pin);
+    resultsDiv.scrollIntoView({ behavior: 'smooth' });
+    markThreadRead(message, pin);
+}
+
+/**
+ * Show a conversation found by its tracking code
+ * @param {Object} message - Decrypted message
+ * @param {string} [pin] - PIN, if the conversation has one
+ */
+function renderTrackedMessage(message, pin) {
+    const resultsDiv = document.getElementById('trackingResults');
     const statusColor = getUrgencyColor(message.urgency);
     let repliesHtml = '';
 
     if (message.replies && message.replies.length > 0) {
-        repliesHtml = `
+        repliesHtml = SafeRender.html`
       <div class="conversation-thread mt-lg">
-        <h4>Conversación</h4>
-        ${message.replies.map(reply => `
+        <h4>${I18n.t('track.conversation')}</h4>
+        ${message.replies.map(reply => SafeRender.html`
           <div class="conversation-message ${reply.from}">
             <div class="message-sender">
-              ${reply.from === 'counselor' ? '👨‍⚕️ Consejero' : '👤 Tú'}
+              ${reply.from === 'counselor' ? `👨‍⚕️ ${I18n.t('track.fromCounselor')}` : `👤 ${I18n.t('track.fromYou')}`}
+              ${reply.from === 'counselor' && !reply.readAt ? SafeRender.html`<span class="badge badge-primary">${I18n.t('track.newReply')}</span>` : ''}
               <span class="message-time">${formatDate(reply.timestamp)}</span>
             </div>
-            <p>${reply.message}</p>
+            <p>${SafeRender.text(ExercisePlayer.stripLinks(reply.message))}</p>
+            ${reply.from === 'counselor' && ExercisePlayer.parseLinks(reply.message).length > 0 ? SafeRender.html`
+              <div class="reply-exercises">
+                ${ExercisePlayer.parseLinks(reply.message).map(link => SafeRender.html`
+                  <button type="button" class="btn btn-sm btn-secondary" data-exercise="${link.id}" data-minutes="${link.minutes || ''}">
+                    <i class='bx bx-play-circle'></i>
+                    ${I18n.t('exercise.openLinked', { name: I18n.t(`exercise.${link.id}.name`) })}
+                  </button>
+                `)}
+              </div>
+            ` : ''}
           </div>
-        `).join('')}
+        `)}
       </div>
     `;
     }
 
-    resultsDiv.innerHTML = `
+    SafeRender.setHtml(resultsDiv, SafeRender.html`
     <div class="alert alert-success">
       <i class='bx bx-check-circle' style="font-size: 1.5rem;"></i>
       <div>
-        <strong>Mensaje encontrado</strong>
-        <p>Aquí está el estado de tu mensaje:</p>
+        <strong>${I18n.t('track.found')}</strong>
+        <p>${I18n.t('track.foundHelp')}</p>
       </div>
     </div>
     
@@ -365,99 +516,182 @@ function handleTrackMessage() {
       </div>
       
       <div class="mb-md">
-        <strong>Categoría:</strong> ${getCategoryEmoji(message.category)} ${message.category.charAt(0).toUpperCase() + message.category.slice(1)}
+        <strong>${I18n.t('track.category')}</strong> ${getCategoryEmoji(message.category)} ${I18n.t(`category.${message.category}`)}
       </div>
       
       <div class="mb-md">
-        <strong>Tu mensaje:</strong>
-        <p class="mt-sm">${message.message}</p>
+        <strong>${I18n.t('track.yourMessage')}</strong>
+        <p class="mt-sm">${SafeRender.text(message.message)}</p>
       </div>
       
       ${repliesHtml}
       
-      ${message.status === 'new' || message.status === 'in-review' ? `
+      ${message.status === 'new' || message.status === 'in-review' ? SafeRender.html`
         <div class="alert alert-primary mt-lg">
           <i class='bx bx-info-circle'></i>
-          <p>Tu mensaje está siendo revisado. Recibirás una respuesta pronto. Vuelve a consultar usando tu código.</p>
+          <p>${I18n.t('track.pending')}</p>
         </div>
       ` : ''}
       
-      ${message.status === 'responded' || message.replies.length > 0 ? `
+      ${message.status === 'responded' || message.replies.length > 0 ? SafeRender.html`
         <div class="mt-lg">
-          <h4>Responder al Consejero</h4>
+          <h4>${I18n.t('track.replyTitle')}</h4>
           <form id="studentReplyForm" class="mt-md">
             <div class="form-group">
-              <label class="form-label">Tu respuesta</label>
-              <textarea id="studentReplyText" class="form-textarea" rows="4" placeholder="Escribe tu respuesta aquí..." required></textarea>
+              <label class="form-label">${I18n.t('track.replyLabel')}</label>
+              <textarea id="studentReplyText" class="form-textarea" rows="4" placeholder="${I18n.t('track.replyPlaceholder')}" required></textarea>
             </div>
             <button type="submit" class="btn btn-primary">
               <i class='bx bx-send'></i>
-              Enviar Respuesta
+              ${I18n.t('track.replySubmit')}
             </button>
+            ${MoodJournal.hasRecentEntries() ? SafeRender.html`
+              <button id="shareJournalBtn" type="button" class="btn btn-outline">
+                <i class='bx bx-calendar-heart'></i>
+                ${I18n.t('journal.share')}
+              </button>
+            ` : ''}
           </form>
         </div>
       ` : ''}
+
+      <div class="mt-lg">
+        <button id="saveCodeBtn" type="button" class="btn btn-sm btn-outline">
+          <i class='bx ${SavedCodes.find(message.trackingCode) ? 'bx-bookmark-minus' : 'bx-bookmark-plus'}'></i>
+          ${I18n.t(SavedCodes.find(message.trackingCode) ? 'savedCodes.forgetHere' : 'savedCodes.saveHere')}
+        </button>
+        <button id="rotateCodeBtn" type="button" class="btn btn-sm btn-outline">
+          <i class='bx bx-refresh'></i>
+          ${I18n.t('track.rotate')}
+        </button>
+        <p class="text-secondary mt-sm">${I18n.t('track.rotateHelp')}</p>
+      </div>
     </div>
-  `;
+  `);
 
     resultsDiv.classList.remove('hidden');
-    resultsDiv.scrollIntoView({ behavior: 'smooth' });
 
     // Add event listener for student reply form
     const replyForm = document.getElementById('studentReplyForm');
     if (replyForm) {
         replyForm.addEventListener('submit', (e) => {
             e.preventDefault();
-            handleStudentReply(message.trackingCode);
+            handleStudentReply(message.trackingCode, pin);
         });
     }
+
+    // Exercises linked by the counselor open with the suggested duration
+    resultsDiv.querySelectorAll('.reply-exercises [data-exercise]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            ExercisePlayer.open(btn.dataset.exercise, { minutes: btn.dataset.minutes || undefined });
+        });
+    });
+
+    // The summary goes into the reply box so the student can read and edit it first
+    document.getElementById('shareJournalBtn')?.addEventListener('click', () => {
+        const textarea = document.getElementById('studentReplyText');
+        const summary = MoodJournal.summaryText(MoodJournal.summarize(MoodJournal.entries));
+        textarea.value = textarea.value.trim() ? `${textarea.value.trim()}\n\n${summary}` : summary;
+        textarea.focus();
+        showToast(I18n.t('journal.shareReview'));
+    });
+
+    document.getElementById('rotateCodeBtn').addEventListener('click', () => {
+        handleRotateCode(message.trackingCode, pin);
+    });
+
+    document.getElementById('saveCodeBtn').addEventListener('click', () => {
+        if (SavedCodes.find(message.trackingCode)) {
+            forgetCode(message.trackingCode);
+        } else {
+            saveCode(message.trackingCode, message.pinProtected);
+        }
+        handleTrackMessage();
+    });
+}
+
+/**
+ * Handle tracking code rotation requested by the student
+ * @param {string} trackingCode - Current tracking code
+ * @param {string} pin - PIN, if the conversation has one
+ */
+async function handleRotateCode(trackingCode, pin) {
+    if (!confirm(I18n.t('track.rotateConfirm'))) {
+        return;
+    }
+
+    let newCode;
+    try {
+        newCode = await rotateTrackingCode(trackingCode, pin);
+    } catch (err) {
+        if (!showTrackingError(err)) alert(err.message);
+        return;
+    }
+
+    document.getElementById('trackingCodeInput').value = newCode;
+    SavedCodes.replace(trackingCode, newCode);
+    renderSavedCodes();
+    MoodJournal.followRotation(trackingCode, newCode);
+    AppState.tracked = null;
+    const resultsDiv = document.getElementById('trackingResults');
+    SafeRender.setHtml(resultsDiv, SafeRender.html`
+      <div class="alert alert-success">
+        <i class='bx bx-check-circle' style="font-size: 1.5rem;"></i>
+        <div>
+          <strong>${I18n.t('track.rotated')}</strong>
+          <p>${I18n.t('track.rotatedNewCode')}</p>
+          <div class="tracking-code-display">
+            <code>${newCode}</code>
+          </div>
+          <p class="mt-md">${I18n.t('track.rotatedKeep')} ${pin ? I18n.t('track.rotatedSamePin') : ''}</p>
+        </div>
+      </div>
+    `);
+    resultsDiv.classList.remove('hidden');
 }
 
 /**
  * Handle student reply to counselor
  * @param {string} trackingCode - Message tracking code
+ * @param {string} [pin] - PIN, if the conversation has one
  */
-function handleStudentReply(trackingCode) {
+async function handleStudentReply(trackingCode, pin) {
     const replyText = document.getElementById('studentReplyText').value.trim();
 
     if (!replyText) {
-        alert('Por favor escribe una respuesta');
+        alert(I18n.t('track.error.emptyReply'));
         return;
     }
 
-    const messages = getMessages();
-    const messageIndex = messages.findIndex(m => m.trackingCode === trackingCode);
-
-    if (messageIndex === -1) {
-        alert('Mensaje no encontrado');
+    // Add student reply to conversation
+    try {
+        const thread = await unlockThread(trackingCode, pin);
+        if (!thread) {
+            alert(I18n.t('errors.messageNotFound'));
+            return;
+        }
+        await MessageStore.addStudentReply(thread.lookupId, {
+            message: await E2ECrypto.encryptText(thread.threadKey, replyText),
+            crisis: await analyzeForCrisis(replyText)
+        }, pin);
+    } catch (err) {
+        if (!showTrackingError(err)) alert(err.message);
         return;
     }
 
-    // Add student reply to conversation
-    const reply = {
-        from: 'student',
-        message: replyText,
-        timestamp: new Date().toISOString()
-    };
-
-    messages[messageIndex].replies.push(reply);
-    messages[messageIndex].status = 'responded'; // Keep as responded to show conversation is active
-
-    saveMessages(messages);
-
     // Clear form and refresh view
     document.getElementById('studentReplyText').value = '';
 
     // Show success message
     const successMsg = document.createElement('div');
     successMsg.className = 'alert alert-success mt-md';
-    successMsg.innerHTML = `
+    SafeRender.setHtml(successMsg, SafeRender.html`
         <i class='bx bx-check-circle'></i>
         <div>
-            <strong>¡Respuesta enviada!</strong>
-            <p>El consejero recibirá tu mensaje.</p>
+            <strong>${I18n.t('track.replySent')}</strong>
+            <p>${I18n.t('track.replySentHelp')}</p>
         </div>
-    `;
+    `);
 
     const form = document.getElementById('studentReplyForm');
     form.parentNode.insertBefore(successMsg, form);
@@ -475,68 +709,213 @@ function copyTrackingCode() {
     const code = document.getElementById('generatedCode').textContent;
     navigator.clipboard.writeText(code).then(() => {
         const btn = document.getElementById('copyCodeBtn');
-        const originalHtml = btn.innerHTML;
-        btn.innerHTML = '<i class="bx bx-check"></i> Copiado';
+        const label = btn.querySelector('[data-i18n]');
+        label.textContent = I18n.t('success.copied');
         setTimeout(() => {
-            btn.innerHTML = originalHtml;
+            label.textContent = I18n.t(label.dataset.i18n);
         }, 2000);
     });
 }
 
-// ===== MODAL FUNCTIONS =====
+// ===== SAVED CODES AND NEW REPLIES =====
+
+const SAVED_CODE_CHECK_MS = 3 * 60 * 1000;
+const REPLY_NOTIFICATION_TAG = 'voces-anonimas-respuesta';
 
 /**
- * Show breathing exercise modal
- */
-function showBreathingExercise() {
-    const modal = document.getElementById('breathingModal');
-    modal.classList.remove('hidden');
-
-    const instruction = document.getElementById('breathingInstruction');
-    const circle = document.querySelector('.breathing-circle');
-
-    // Reset state
-    instruction.textContent = 'Prepárate...';
-    circle.className = 'breathing-circle'; // Remove grow/shrink classes
-
-    let phase = 0;
-
-    // Cycle function
-    const runCycle = () => {
-        // Remove all state classes first
-        circle.classList.remove('grow', 'shrink');
-
-        switch (phase) {
-            case 0: // Inhala
-                instruction.textContent = 'Inhala...';
-                circle.classList.add('grow');
-                break;
-            case 1: // Sostén
-                instruction.textContent = 'Sostén...';
-                // No class change, keeps size from previous state (grow) or just stays
-                break;
-            case 2: // Exhala
-                instruction.textContent = 'Exhala...';
-                circle.classList.remove('grow'); // Return to base size
-                circle.classList.add('shrink');  // Explicit shrink class if needed, or just let it transition back
-                break;
-            case 3: // Sostén (empty)
-                instruction.textContent = 'Sostén...';
-                circle.classList.remove('shrink');
-                break;
+ * Remember a tracking code on this device after a shared-device warning
+ * @param {string} code - Tracking code
+ * @param {boolean} pinProtected - Whether the conversation has a PIN
+ * @returns {boolean} Whether the code was saved
+ */
+function saveCode(code, pinProtected) {
+    if (!confirm(I18n.t(pinProtected ? 'savedCodes.confirmWithPin' : 'savedCodes.confirm'))) return false;
+
+    SavedCodes.save(code, { pinProtected });
+    renderSavedCodes();
+    checkSavedCodes();
+    return true;
+}
+
+/**
+ * Forget a saved tracking code
+ * @param {string} code - Tracking code
+ */
+function forgetCode(code) {
+    SavedCodes.forget(code);
+    renderSavedCodes();
+}
+
+/**
+ * Show the unread reply count on the bottom navigation
+ */
+function updateUnreadBadge() {
+    const badge = document.getElementById('trackUnreadBadge');
+    if (!badge) return;
+    const unread = SavedCodes.totalUnread();
+    badge.textContent = unread > 9 ? '9+' : String(unread);
+    badge.classList.toggle('hidden', unread === 0);
+    badge.parentElement.setAttribute('aria-label',
+        unread > 0 ? I18n.t('nav.trackUnread', { count: unread }) : I18n.t('nav.track'));
+}
+
+/**
+ * Describe a saved code's state
+ * @param {Object} entry - Saved code
+ * @returns {string} Status text
+ */
+function describeSavedCode(entry) {
+    if (entry.missing) return I18n.t('savedCodes.missing');
+    if (entry.unread > 0) return I18n.t('savedCodes.unread', { count: entry.unread });
+    if (entry.pinProtected) return I18n.t('savedCodes.pinProtected');
+    return I18n.t('savedCodes.upToDate');
+}
+
+/**
+ * List the codes saved on this device
+ */
+function renderSavedCodes() {
+    const container = document.getElementById('savedCodes');
+    if (!container) return;
+    const entries = SavedCodes.list();
+    const canNotify = typeof Notification !== 'undefined' && Notification.permission === 'default';
+
+    SafeRender.setHtml(container, SafeRender.html`
+        <h3>${I18n.t('savedCodes.title')}</h3>
+        <ul class="saved-code-list">
+            ${entries.map(entry => SafeRender.html`
+                <li class="saved-code-item ${entry.unread > 0 ? 'saved-code-unread' : ''}">
+                    <code>${SavedCodes.mask(entry.code)}</code>
+                    <span class="text-secondary">${describeSavedCode(entry)}</span>
+                    <button type="button" class="btn btn-sm btn-secondary" data-action="open" data-code="${entry.code}">${I18n.t('savedCodes.open')}</button>
+                    <button type="button" class="btn btn-sm btn-outline" data-action="forget" data-code="${entry.code}">${I18n.t('savedCodes.forget')}</button>
+                </li>
+            `)}
+        </ul>
+        ${canNotify ? SafeRender.html`
+            <button id="notifyRepliesBtn" type="button" class="btn btn-sm btn-outline">
+                <i class='bx bx-bell'></i>
+                ${I18n.t('savedCodes.notify')}
+            </button>
+        ` : ''}
+    `);
+    container.classList.toggle('hidden', entries.length === 0);
+
+    container.querySelectorAll('[data-action="open"]').forEach(btn => {
+        btn.addEventListener('click', () => openSavedCode(btn.dataset.code));
+    });
+    container.querySelectorAll('[data-action="forget"]').forEach(btn => {
+        btn.addEventListener('click', () => forgetCode(btn.dataset.code));
+    });
+    document.getElementById('notifyRepliesBtn')?.addEventListener('click', requestReplyNotifications);
+    updateUnreadBadge();
+}
+
+/**
+ * Track a saved code
+ * @param {string} code - Tracking code
+ */
+function openSavedCode(code) {
+    document.getElementById('trackingCodeInput').value = code;
+    document.getElementById('trackingPinInput').value = '';
+    if (SavedCodes.find(code)?.pinProtected) {
+        document.getElementById('trackingPinInput').focus();
+        return;
+    }
+    handleTrackMessage();
+}
+
+/**
+ * Ask for permission to show browser notifications
+ */
+async function requestReplyNotifications() {
+    await Notification.requestPermission();
+    renderSavedCodes();
+}
+
+/**
+ * Tell the student that counselors replied. The notification says nothing
+ * about the conversation, since others may see the screen.
+ * @param {number} count - New replies
+ */
+function notifyNewReplies(count) {
+    const text = I18n.t('savedCodes.newReplies', { count });
+
+    if (document.hidden && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        const notification = new Notification('Voces Anónimas', { body: text, tag: REPLY_NOTIFICATION_TAG });
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+        return;
+    }
+    showToast(text, {
+        actionLabel: I18n.t('common.view'),
+        onAction: () => document.getElementById('savedCodes').scrollIntoView({ behavior: 'smooth' })
+    });
+}
+
+/**
+ * Look for new counselor replies on the codes saved on this device.
+ * Conversations with a PIN are skipped because the PIN is never stored.
+ */
+async function checkSavedCodes() {
+    if (AppState.checkingCodes) return;
+    AppState.checkingCodes = true;
+
+    let fresh = 0;
+    try {
+        for (const entry of SavedCodes.list()) {
+            if (entry.pinProtected || entry.missing) continue;
+            try {
+                const lookupId = await E2ECrypto.deriveLookupId(entry.code);
+                fresh += SavedCodes.record(entry.code, await MessageStore.getByLookupId(lookupId));
+            } catch (err) {
+                if (err.status === 401) SavedCodes.update(entry.code, { pinProtected: true });
+                // Other failures are retried on the next check
+            }
         }
+    } finally {
+        AppState.checkingCodes = false;
+    }
 
-        phase = (phase + 1) % 4;
-    };
+    renderSavedCodes();
+    if (fresh > 0) notifyNewReplies(fresh);
+}
 
-    // Initial delay then start
-    setTimeout(() => {
-        runCycle();
-        const interval = setInterval(runCycle, 4000); // 4 seconds per phase
-        modal.dataset.intervalId = interval;
-    }, 1000);
+/**
+ * Tell the counselors which of their replies the student has now seen
+ * @param {Object} message - Decrypted message, as just shown
+ * @param {string} [pin] - PIN, if the conversation has one
+ */
+async function markThreadRead(message, pin) {
+    const unread = SavedCodes.unreadIndexes(message);
+    if (unread.length === 0) return;
+
+    try {
+        const lookupId = await E2ECrypto.deriveLookupId(message.trackingCode);
+        const updated = await MessageStore.markRepliesRead(lookupId, unread, message.pinProtected ? pin : undefined);
+        SavedCodes.record(message.trackingCode, updated);
+        renderSavedCodes();
+    } catch (err) {
+        // The replies stay unread and are marked the next time they are opened
+    }
 }
 
+/**
+ * Offer to remember the code that was just created
+ */
+function updateSaveNewCodeButton() {
+    const btn = document.getElementById('saveNewCodeBtn');
+    const saved = Boolean(AppState.lastSent && SavedCodes.find(AppState.lastSent.trackingCode));
+    btn.disabled = saved;
+    SafeRender.setHtml(btn, saved
+        ? SafeRender.html`<i class='bx bx-check'></i> ${I18n.t('savedCodes.savedHere')}`
+        : SafeRender.html`<i class='bx bx-bookmark-plus'></i> ${I18n.t('savedCodes.saveHere')}`);
+}
+
+// ===== MODAL FUNCTIONS =====
+
 /**
  * Close modal
  * @param {string} modalId - Modal ID
@@ -545,13 +924,45 @@ function closeModal(modalId) {
     const modal = document.getElementById(modalId);
     modal.classList.add('hidden');
 
-    // Clear breathing interval if exists
+    // Stop a running exercise
     if (modal.dataset.intervalId) {
         clearInterval(parseInt(modal.dataset.intervalId));
         delete modal.dataset.intervalId;
     }
 }
 
+// ===== TOAST NOTIFICATIONS =====
+
+const TOAST_DURATION_MS = 8000;
+
+/**
+ * Show a short notice in the corner of the screen
+ * @param {string} text - Notice text
+ * @param {Object} [options] - { type: 'info'|'danger', actionLabel, onAction }
+ */
+function showToast(text, options = {}) {
+    const container = document.getElementById('toastContainer');
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${options.type || 'info'}`;
+    toast.setAttribute('role', options.type === 'danger' ? 'alert' : 'status');
+    SafeRender.setHtml(toast, SafeRender.html`
+        <span>${text}</span>
+        ${options.actionLabel ? SafeRender.html`<button type="button" class="btn btn-sm btn-secondary" data-action="open">${options.actionLabel}</button>` : ''}
+        <button type="button" class="toast-close" data-action="close" aria-label="${I18n.t('toast.close')}">
+            <i class='bx bx-x'></i>
+        </button>
+    `);
+
+    const dismiss = () => toast.remove();
+    toast.querySelector('[data-action="open"]')?.addEventListener('click', () => {
+        dismiss();
+        options.onAction();
+    });
+    toast.querySelector('[data-action="close"]').addEventListener('click', dismiss);
+    setTimeout(dismiss, TOAST_DURATION_MS);
+    container.appendChild(toast);
+}
+
 // ===== CHARACTER COUNTER =====
 
 /**
@@ -569,11 +980,9 @@ function updateCharCounter() {
  * Initialize application
  */
 function initApp() {
-    // Initialize theme
+    // Initialize theme and language
     initTheme();
-
-    // Load messages into state
-    AppState.messages = getMessages();
+    initLanguage();
 
     // Event Listeners
 
@@ -594,10 +1003,16 @@ function initApp() {
     document.getElementById('sendAnotherBtn')?.addEventListener('click', resetMessageForm);
 
     // Mood selection
-    document.querySelectorAll('.mood-btn').forEach(btn => {
+    document.querySelectorAll('#messageForm .mood-btn').forEach(btn => {
         btn.addEventListener('click', handleMoodSelect);
     });
 
+    // Guided exercises and help articles in the resources section
+    document.querySelectorAll('#resources [data-exercise]').forEach(btn => {
+        btn.addEventListener('click', () => ExercisePlayer.open(btn.dataset.exercise));
+    });
+    ResourceLibrary.init();
+
     // Character counter
     document.getElementById('message')?.addEventListener('input', updateCharCounter);
 
@@ -606,10 +1021,24 @@ function initApp() {
     document.getElementById('trackingCodeInput')?.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') handleTrackMessage();
     });
+    document.getElementById('trackingPinInput')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') handleTrackMessage();
+    });
 
     // Copy code
     document.getElementById('copyCodeBtn')?.addEventListener('click', copyTrackingCode);
 
+    // Saved codes and new replies
+    document.getElementById('saveNewCodeBtn')?.addEventListener('click', () => {
+        if (saveCode(AppState.lastSent.trackingCode, AppState.lastSent.pinProtected)) updateSaveNewCodeButton();
+    });
+    renderSavedCodes();
+    checkSavedCodes();
+    setInterval(checkSavedCodes, SAVED_CODE_CHECK_MS);
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) checkSavedCodes();
+    });
+
     // Modal close buttons
     document.querySelectorAll('.modal-close').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -626,11 +1055,9 @@ function initApp() {
         });
     });
 
-    // Show gamification panel for students
-    const gamifPanel = document.getElementById('gamificationPanel');
-    if (gamifPanel && AppState.currentView === 'student') {
-        gamifPanel.style.display = 'block';
-    }
+    // Wellbeing badges and mood journal for students
+    GamificationSystem.renderPanel();
+    MoodJournal.init();
 
 
 
@@ -4,54 +4,236 @@
 
 // ===== AUTHENTICATION =====
 
-const COUNSELOR_PASSWORD = 'consejeria'; // In production, use proper authentication
+const CounselorSession = {
+  counselor: null,
+  counselors: [],
+  privateKey: null,
+  privateKeyBox: null,
+  threadKeys: new Map(),
+  alarmTimer: null,
+  alarmSeen: new Set(),
+  escalationCounselors: [],
+  slaTimer: null,
+  pendingBackup: null,
+  stopLiveUpdates: null,
+  liveRefreshTimer: null,
+  liveSeen: new Set(),
+  freshMessageIds: new Set()
+};
 
 /**
- * Check if counselor is logged in
- * @returns {boolean}
+ * Close a session left over from before a reload. The team private key only
+ * lives in the page's memory, so the counselor logs in again to reopen it;
+ * their username is filled in for them.
  */
-function isCounselorLoggedIn() {
-  return sessionStorage.getItem('counselorLoggedIn') === 'true';
+async function resumeCounselorSession() {
+  if (!MessageStore.getToken()) return;
+
+  try {
+    const counselor = await MessageStore.getCurrentCounselor();
+    document.getElementById('counselorUsername').value = counselor.username;
+    document.getElementById('reloadNotice').classList.remove('hidden');
+  } catch (err) {
+    // Expired session: nothing to fill in
+  }
+  try {
+    await MessageStore.logout();
+  } catch (err) {
+    // The token is discarded locally even if the server could not be reached
+  }
 }
 
 /**
  * Handle counselor login
  * @param {Event} e - Form event
  */
-function handleCounselorLogin(e) {
+async function handleCounselorLogin(e) {
   e.preventDefault();
 
+  const username = document.getElementById('counselorUsername').value.trim();
   const password = document.getElementById('counselorPassword').value;
 
-  if (password === COUNSELOR_PASSWORD) {
-    sessionStorage.setItem('counselorLoggedIn', 'true');
-    showCounselorDashboard();
-  } else {
-    alert('Contraseña incorrecta. Intenta nuevamente.');
+  let session;
+  try {
+    session = await MessageStore.login(username, password);
+  } catch (err) {
+    alert(err.message);
     document.getElementById('counselorPassword').value = '';
+    return;
+  }
+
+  CounselorSession.counselor = session.counselor;
+  document.getElementById('counselorPassword').value = '';
+  document.getElementById('reloadNotice').classList.add('hidden');
+
+  try {
+    await unlockCounselorKey(session, password);
+  } catch (err) {
+    alert(I18n.t('login.error.keyUnlock', { error: err.message }));
   }
+  if (!CounselorSession.privateKey) {
+    alert(I18n.t('login.error.noKey'));
+  }
+
+  showCounselorDashboard();
 }
 
 /**
  * Handle counselor logout
  */
-function handleCounselorLogout() {
-  sessionStorage.removeItem('counselorLoggedIn');
+async function handleCounselorLogout() {
+  try {
+    await MessageStore.logout();
+  } catch (err) {
+    // The token is discarded locally even if the server could not be reached
+  }
+  showCounselorLogin();
+}
+
+/**
+ * Show the login screen and forget the current counselor
+ */
+function showCounselorLogin() {
+  CounselorSession.counselor = null;
+  forgetCounselorKey();
+  stopCrisisAlarm();
+  stopLiveUpdates();
+  clearInterval(CounselorSession.slaTimer);
+  showDashboardTab('cases');
   document.getElementById('counselorLogin').classList.remove('hidden');
   document.getElementById('counselorDashboard').classList.add('hidden');
   document.getElementById('counselorPassword').value = '';
 }
 
+/**
+ * Report an API error, returning to the login screen if the session ended
+ * @param {Error} err - Error thrown by MessageStore
+ */
+function handleCounselorApiError(err) {
+  alert(err.message);
+  if (err.status === 401) {
+    closeModal('messageModal');
+    showCounselorLogin();
+  }
+}
+
 /**
  * Show counselor dashboard
  */
 function showCounselorDashboard() {
+  const counselor = CounselorSession.counselor;
+
   document.getElementById('counselorLogin').classList.add('hidden');
   document.getElementById('counselorDashboard').classList.remove('hidden');
+  document.getElementById('counselorName').textContent =
+    counselor.role === 'admin' ? I18n.t('dashboard.adminName', { name: counselor.name }) : counselor.name;
 
   // Load dashboard data
   updateDashboardStats();
   loadMessages();
+  startCrisisAlarm();
+  startLiveUpdates();
+  clearInterval(CounselorSession.slaTimer);
+  CounselorSession.slaTimer = setInterval(updateSlaCountdowns, SLA_REFRESH_MS);
+
+  const adminPanels = ['accountsPanel', 'lexiconPanel', 'escalationPanel', 'retentionPanel', 'backupPanel'];
+  adminPanels.forEach(id => {
+    document.getElementById(id).classList.toggle('hidden', counselor.role !== 'admin');
+  });
+  document.getElementById('auditTabBtn').classList.toggle('hidden', counselor.role !== 'admin');
+  if (counselor.role === 'admin') {
+    loadCounselorAccounts();
+    loadLexicons();
+    loadEscalationConfig();
+    loadRetention();
+  }
+}
+
+// ===== ENCRYPTION KEYS =====
+
+/**
+ * Open the team private key after login. The first administrator to log in
+ * creates the team key pair. The key is imported as a non-extractable
+ * CryptoKey and kept in memory only, so it is gone after logout or a reload;
+ * its password-locked box is kept too, for sharing the key with new accounts.
+ * @param {Object} session - Login response from MessageStore.login
+ * @param {string} password - Password just used to log in
+ */
+async function unlockCounselorKey(session, password) {
+  let privateKeyBox = session.privateKeyBox;
+  let privateKey = null;
+
+  if (privateKeyBox) {
+    privateKey = await E2ECrypto.unlockPrivateKey(privateKeyBox, password);
+  } else if (!session.teamKeyConfigured && session.counselor.role === 'admin') {
+    const pair = await E2ECrypto.generateCounselorKeyPair();
+    privateKeyBox = await E2ECrypto.lockPrivateKey(pair.privateKey, password);
+    await MessageStore.setupTeamKey(pair.publicKey, privateKeyBox);
+    privateKey = pair.privateKey;
+  }
+
+  if (privateKey) {
+    CounselorSession.privateKey = await E2ECrypto.importPrivateKey(privateKey);
+    CounselorSession.privateKeyBox = privateKeyBox;
+  }
+}
+
+/**
+ * Forget the team private key and every unlocked thread key
+ */
+function forgetCounselorKey() {
+  CounselorSession.privateKey = null;
+  CounselorSession.privateKeyBox = null;
+  CounselorSession.threadKeys.clear();
+}
+
+/**
+ * Get the thread key of a message with the team private key
+ * @param {Object} message - Encrypted message
+ * @returns {Promise<CryptoKey>} Thread key
+ */
+async function getThreadKey(message) {
+  if (!CounselorSession.threadKeys.has(message.id)) {
+    const key = await E2ECrypto.unwrapWithPrivateKey(message.encryption, CounselorSession.privateKey);
+    CounselorSession.threadKeys.set(message.id, key);
+  }
+  return CounselorSession.threadKeys.get(message.id);
+}
+
+/**
+ * Decrypt a message for display, or mark it as locked if that is not possible
+ * @param {Object} message - Encrypted message
+ * @returns {Promise<Object>} Message with plain text fields
+ */
+async function decryptForCounselor(message) {
+  if (message.anonymizedAt) {
+    const removed = `🗑️ ${I18n.t('case.anonymizedText')}`;
+    return {
+      ...message,
+      anonymized: true,
+      trackingCode: I18n.t('case.anonymizedCode'),
+      message: removed,
+      replies: message.replies.map(reply => ({ ...reply, message: removed }))
+    };
+  }
+
+  if (CounselorSession.privateKey) {
+    try {
+      return await E2ECrypto.decryptMessage(message, await getThreadKey(message));
+    } catch (err) {
+      // Falls through to the locked placeholder
+    }
+  }
+
+  const locked = `🔒 ${I18n.t('case.lockedText')}`;
+  return {
+    ...message,
+    locked: true,
+    trackingCode: '••••••••',
+    message: locked,
+    notes: message.notes.map(note => ({ ...note, note: locked })),
+    replies: message.replies.map(reply => ({ ...reply, message: locked }))
+  };
 }
 
 // ===== DASHBOARD STATISTICS =====
@@ -59,47 +241,174 @@ function showCounselorDashboard() {
 /**
  * Update dashboard statistics
  */
-function updateDashboardStats() {
-  const messages = getMessages();
+async function updateDashboardStats() {
+  let messages;
+  try {
+    [messages, CounselorSession.counselors] = await Promise.all([
+      MessageStore.listMessages(),
+      MessageStore.listCounselors()
+    ]);
+  } catch (err) {
+    return; // loadMessages reports the error
+  }
 
   const total = messages.length;
   const urgent = messages.filter(m => m.urgency === 'urgente' || m.crisisDetected).length;
   const pending = messages.filter(m => m.status === 'new' || m.status === 'in-review').length;
   const resolved = messages.filter(m => m.status === 'resolved').length;
+  const now = Date.now();
+  const overdue = messages.filter(m => m.dueAt && Date.parse(m.dueAt) < now).length;
+  const medianResponse = getMedianFirstResponse(messages);
 
   document.getElementById('totalMessages').textContent = total;
   document.getElementById('urgentMessages').textContent = urgent;
   document.getElementById('pendingMessages').textContent = pending;
   document.getElementById('resolvedMessages').textContent = resolved;
+  document.getElementById('overdueMessages').textContent = overdue;
+  document.getElementById('medianFirstResponse').textContent =
+    medianResponse === null ? '—' : formatDuration(medianResponse);
+
+  renderWorkload(messages, CounselorSession.counselors);
 }
 
-// ===== MESSAGE FILTERING =====
+/**
+ * Get the median time between a message arriving and its first counselor reply
+ * @param {Array} messages - All messages
+ * @returns {number|null} Milliseconds, or null if no message has been answered
+ */
+function getMedianFirstResponse(messages) {
+  const durations = messages
+    .filter(m => m.firstResponseAt)
+    .map(m => Date.parse(m.firstResponseAt) - Date.parse(m.timestamp))
+    .sort((a, b) => a - b);
+  if (durations.length === 0) return null;
+
+  const middle = Math.floor(durations.length / 2);
+  return durations.length % 2 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2;
+}
 
 /**
- * Get filtered messages based on current filters
- * @returns {Array} Filtered messages
+ * Render open cases per counselor
+ * @param {Array} messages - All messages
+ * @param {Array} counselors - Counselor accounts
  */
-function getFilteredMessages() {
-  let messages = getMessages();
+function renderWorkload(messages, counselors) {
+  const container = document.getElementById('workloadList');
+  if (!container) return;
 
-  const statusFilter = document.getElementById('filterStatus')?.value || 'all';
-  const urgencyFilter = document.getElementById('filterUrgency')?.value || 'all';
-  const categoryFilter = document.getElementById('filterCategory')?.value || 'all';
-  const searchQuery = document.getElementById('searchMessages')?.value.toLowerCase() || '';
+  const openCases = messages.filter(m => m.status !== 'resolved');
+  const rows = counselors
+    .filter(c => c.active)
+    .map(c => ({
+      name: c.name,
+      isMe: c.id === CounselorSession.counselor.id,
+      count: openCases.filter(m => m.assignedTo && m.assignedTo.counselorId === c.id).length
+    }))
+    .sort((a, b) => b.count - a.count);
+  rows.push({ name: I18n.t('assignment.unassigned'), isMe: false, count: openCases.filter(m => !m.assignedTo).length });
 
-  // Apply filters
-  if (statusFilter !== 'all') {
-    messages = messages.filter(m => m.status === statusFilter);
-  }
+  const max = Math.max(1, ...rows.map(r => r.count));
 
-  if (urgencyFilter !== 'all') {
-    messages = messages.filter(m => m.urgency === urgencyFilter);
-  }
+  SafeRender.setHtml(container, SafeRender.html`${rows.map(row => SafeRender.html`
+    <div class="workload-row">
+      <span class="workload-name">${row.isMe ? I18n.t('workload.me', { name: row.name }) : row.name}</span>
+      <div class="workload-bar">
+        <div class="workload-bar-fill" style="width: ${(row.count / max) * 100}%"></div>
+      </div>
+      <span class="workload-count">${row.count}</span>
+    </div>
+  `)}`);
+}
+
+// ===== RESPONSE TIMES =====
+
+const SLA_REFRESH_MS = 60 * 1000;
+const SLA_DUE_SOON_MS = 30 * 60 * 1000;
+
+/**
+ * Format a duration compactly
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "45 min", "2 h 05 min", "3 d 4 h"
+ */
+function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  if (minutes < 60) return I18n.t('duration.minutes', { minutes });
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return I18n.t('duration.hours', { hours, minutes: String(minutes % 60).padStart(2, '0') });
+  return I18n.t('duration.days', { days: Math.floor(hours / 24), hours: hours % 24 });
+}
+
+/**
+ * Describe how much time is left to answer a message
+ * @param {string} dueAt - ISO due time
+ * @param {number} now - Current time
+ * @returns {Object} { state: 'on-time'|'due-soon'|'overdue', label }
+ */
+function describeDueAt(dueAt, now) {
+  const remaining = Date.parse(dueAt) - now;
+  if (remaining < 0) return { state: 'overdue', label: I18n.t('sla.overdue', { duration: formatDuration(-remaining) }) };
+  return {
+    state: remaining < SLA_DUE_SOON_MS ? 'due-soon' : 'on-time',
+    label: I18n.t('sla.dueIn', { duration: formatDuration(remaining) })
+  };
+}
 
-  if (categoryFilter !== 'all') {
-    messages = messages.filter(m => m.category === categoryFilter);
+/**
+ * Create the response countdown of a message
+ * @param {Object} message - Message object
+ * @returns {RenderedHtml|string} Markup, or '' when nothing is pending or answered
+ */
+function createSlaCountdown(message) {
+  if (message.dueAt) {
+    const { state, label } = describeDueAt(message.dueAt, Date.now());
+    return SafeRender.html`
+      <span class="sla-countdown ${state}" data-due-at="${message.dueAt}" title="${I18n.t('sla.deadline', { date: I18n.formatDateTime(message.dueAt) })}">
+        <i class='bx bx-timer'></i> <span class="sla-label">${label}</span>
+      </span>
+    `;
+  }
+  if (message.firstResponseAt) {
+    return SafeRender.html`
+      <span class="sla-countdown answered">
+        <i class='bx bx-check'></i> ${I18n.t('sla.firstResponse', { duration: formatDuration(Date.parse(message.firstResponseAt) - Date.parse(message.timestamp)) })}
+      </span>
+    `;
   }
+  return '';
+}
+
+/**
+ * Refresh every visible countdown without reloading messages
+ */
+function updateSlaCountdowns() {
+  const now = Date.now();
+  document.querySelectorAll('.sla-countdown[data-due-at]').forEach(el => {
+    const { state, label } = describeDueAt(el.dataset.dueAt, now);
+    el.classList.remove('on-time', 'due-soon', 'overdue');
+    el.classList.add(state);
+    el.querySelector('.sla-label').textContent = label;
+  });
+}
+
+// ===== MESSAGE FILTERING =====
+
+/**
+ * Get filtered messages based on current filters
+ * @returns {Promise<Array>} Filtered messages
+ */
+async function getFilteredMessages() {
+  // Metadata filters are applied by the server
+  const encrypted = await MessageStore.listMessages({
+    status: document.getElementById('filterStatus')?.value || 'all',
+    urgency: document.getElementById('filterUrgency')?.value || 'all',
+    category: document.getElementById('filterCategory')?.value || 'all',
+    assignee: document.getElementById('filterAssignee')?.value || 'all'
+  });
+  let messages = await Promise.all(encrypted.map(decryptForCounselor));
 
+  // Text search only works on decrypted content
+  const searchQuery = document.getElementById('searchMessages')?.value.toLowerCase() || '';
   if (searchQuery) {
     messages = messages.filter(m =>
       m.message.toLowerCase().includes(searchQuery) ||
@@ -111,30 +420,148 @@ function getFilteredMessages() {
   return messages;
 }
 
+// ===== EXPORT =====
+
+/**
+ * Describe the active filters for export metadata
+ * @returns {string} e.g. "Estado: Nuevos · Urgencia: Todas"
+ */
+function describeActiveFilters() {
+  const selects = ['filterStatus', 'filterUrgency', 'filterAssignee', 'filterCategory'];
+  const parts = selects.map(id => {
+    const select = document.getElementById(id);
+    const label = document.querySelector(`label[for="${id}"]`).textContent.trim();
+    return `${label}: ${select.options[select.selectedIndex].textContent.trim()}`;
+  });
+  const search = document.getElementById('searchMessages').value.trim();
+  if (search) parts.push(I18n.t('export.searchFilter', { search }));
+  return parts.join(' · ');
+}
+
+/**
+ * Offer a generated file for download
+ * @param {string} filename - File name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export the currently filtered messages
+ * @param {Event} e - Form event
+ */
+async function handleExport(e) {
+  e.preventDefault();
+
+  const format = document.getElementById('exportFormat').value;
+  const options = {
+    text: document.getElementById('exportText').value,
+    notes: document.getElementById('exportNotes').value,
+    trackingCodes: document.getElementById('exportTrackingCodes').checked
+  };
+
+  if ((options.text === 'full' || options.notes === 'full' || options.trackingCodes) &&
+      !confirm(I18n.t('export.confirmIdentifying'))) {
+    return;
+  }
+
+  let messages;
+  try {
+    messages = await getFilteredMessages();
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+  if (messages.length === 0) {
+    alert(I18n.t('export.empty'));
+    return;
+  }
+
+  const records = CaseExport.toRecords(messages, options);
+  const meta = {
+    exportedAt: new Date().toISOString(),
+    exportedBy: CounselorSession.counselor.name,
+    filters: describeActiveFilters(),
+    options
+  };
+
+  try {
+    await MessageStore.recordExport({ format, count: records.length, ...options, filters: meta.filters });
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+  const basename = `voces-anonimas-casos-${new Date().toISOString().slice(0, 10)}`;
+
+  if (format === 'csv') {
+    downloadFile(`${basename}.csv`, CaseExport.toCsv(records), 'text/csv;charset=utf-8');
+  } else if (format === 'json') {
+    downloadFile(`${basename}.json`, CaseExport.toJson(records, meta), 'application/json');
+  } else {
+    const report = CaseExport.renderReport(records, meta).toString();
+    const url = URL.createObjectURL(new Blob([report], { type: 'text/html;charset=utf-8' }));
+    const reportWindow = window.open(url, '_blank');
+    if (!reportWindow) {
+      URL.revokeObjectURL(url);
+      alert(I18n.t('export.popupBlocked'));
+      return;
+    }
+    // Opens the print dialog, where the report can be saved as PDF
+    reportWindow.addEventListener('load', () => {
+      reportWindow.print();
+      URL.revokeObjectURL(url);
+    });
+  }
+}
+
 // ===== MESSAGE DISPLAY =====
 
 /**
  * Load and display messages
  */
-function loadMessages() {
-  const messages = getFilteredMessages();
+async function loadMessages() {
   const container = document.getElementById('messagesList');
 
+  let messages;
+  try {
+    messages = await getFilteredMessages();
+  } catch (err) {
+    if (err.status === 401) return handleCounselorApiError(err);
+    SafeRender.setHtml(container, SafeRender.html`
+      <div class="empty-state">
+        <i class='bx bx-error-circle'></i>
+        <p>${err.message}</p>
+      </div>
+    `);
+    return;
+  }
+
   if (messages.length === 0) {
-    container.innerHTML = `
+    SafeRender.setHtml(container, SafeRender.html`
       <div class="empty-state">
         <i class='bx bx-inbox'></i>
-        <p>No hay mensajes que coincidan con los filtros seleccionados.</p>
+        <p>${I18n.t('export.empty')}</p>
       </div>
-    `;
+    `);
     return;
   }
 
-  container.innerHTML = messages.map(message => createMessageCard(message)).join('');
+  SafeRender.setHtml(container, SafeRender.html`${messages.map(message => createMessageCard(message))}`);
 
   // Add click listeners
   container.querySelectorAll('.message-item').forEach(item => {
+    item.classList.toggle('message-item-fresh', CounselorSession.freshMessageIds.has(item.dataset.messageId));
     item.addEventListener('click', () => {
+      item.classList.remove('message-item-fresh');
       showMessageDetail(item.dataset.messageId);
     });
   });
@@ -143,7 +570,7 @@ function loadMessages() {
 /**
  * Create message card HTML
  * @param {Object} message - Message object
- * @returns {string} HTML string
+ * @returns {RenderedHtml} Markup
  */
 function createMessageCard(message) {
   const urgencyEmoji = {
@@ -154,31 +581,49 @@ function createMessageCard(message) {
   };
 
   const crisisBadge = message.crisisDetected ?
-    `<span class="crisis-badge"><i class='bx bx-error-circle'></i> CRISIS DETECTADA</span>` : '';
+    SafeRender.html`<span class="crisis-badge"><i class='bx bx-error-circle'></i> ${I18n.t('case.crisisDetected')}</span>` : '';
 
-  return `
+  const assigneeLabel = message.assignedTo ? message.assignedTo.counselorName : I18n.t('assignment.unassigned');
+  const trigger = getCrisisTrigger(message);
+  const triggerReply = trigger && trigger.source === 'reply' ? message.replies[trigger.replyIndex] : null;
+
+  return SafeRender.html`
     <div class="message-item priority-${message.urgency}" data-message-id="${message.id}">
       <div class="message-header">
         <div class="message-meta">
           <span class="badge badge-primary">${message.trackingCode}</span>
           <span class="badge badge-${getUrgencyColor(message.urgency)}">
-            ${urgencyEmoji[message.urgency]} ${message.urgency.toUpperCase()}
+            ${urgencyEmoji[message.urgency]} ${I18n.t(`urgency.${message.urgency}`).toUpperCase()}
           </span>
           <span class="badge badge-${getStatusBadgeColor(message.status)}">
             ${getStatusLabel(message.status)}
           </span>
           ${crisisBadge}
+          ${isEscalationOpen(message) ? SafeRender.html`
+            <span class="badge badge-danger"><i class='bx bx-bell'></i> ${I18n.t('case.unacknowledged')}</span>
+          ` : ''}
+          ${message.legalHold ? SafeRender.html`
+            <span class="badge badge-warning"><i class='bx bx-shield-quarter'></i> ${I18n.t('case.legalHold')}</span>
+          ` : ''}
         </div>
       </div>
       
       <div class="message-preview">
-        <strong>${getCategoryEmoji(message.category)} ${message.category.charAt(0).toUpperCase() + message.category.slice(1)}</strong>
-        <p>${message.message.substring(0, 150)}${message.message.length > 150 ? '...' : ''}</p>
+        <strong>${getCategoryEmoji(message.category)} ${I18n.t(`category.${message.category}`)}</strong>
+        <p>${SafeRender.truncate(message.message, 150)}</p>
+        ${triggerReply ? SafeRender.html`
+          <p class="crisis-trigger-preview">
+            <i class='bx bx-error'></i>
+            ${I18n.t('case.triggeredByReply', { reply: SafeRender.truncate(triggerReply.message, 100) })}
+          </p>
+        ` : ''}
       </div>
       
       <div class="message-footer">
         <span>${formatDate(message.timestamp)}</span>
-        <span>${message.replies.length} respuesta${message.replies.length !== 1 ? 's' : ''}</span>
+        ${createSlaCountdown(message)}
+        <span><i class='bx bx-user'></i> ${assigneeLabel}</span>
+        <span>${I18n.t('case.replyCount', { count: message.replies.length })}</span>
       </div>
     </div>
   `;
@@ -199,229 +644,2682 @@ function getStatusBadgeColor(status) {
   return colors[status] || 'primary';
 }
 
-// ===== MESSAGE DETAIL MODAL =====
+// ===== RISK TRACKING =====
+
+const CRISIS_LEVEL_LABELS = I18n.labels('crisis.level', ['none', 'moderate', 'high', 'critical']);
 
 /**
- * Show message detail modal
- * @param {string} messageId - Message ID
+ * Get the analysis of every student message in a conversation, oldest first
+ * @param {Object} message - Message object
+ * @returns {Array} Entries { source, replyIndex, level, keywords, lexiconVersion, timestamp }
  */
-function showMessageDetail(messageId) {
-  const message = getMessages().find(m => m.id === messageId);
-  if (!message) return;
+function getRiskTrajectory(message) {
+  if (message.riskTrajectory) return message.riskTrajectory;
 
-  const modal = document.getElementById('messageModal');
-  const modalBody = document.getElementById('modalBody');
+  // Messages stored before replies were analyzed only have the first analysis
+  return [{
+    source: 'message',
+    replyIndex: null,
+    level: message.crisisLevel,
+    keywords: message.crisisKeywords,
+    lexiconVersion: message.lexiconVersion,
+    timestamp: message.timestamp
+  }];
+}
 
-  // Build crisis alert if detected
-  let crisisAlert = '';
-  if (message.crisisDetected) {
-    const analysis = CrisisDetection.analyze(message.message);
-    crisisAlert = `
-      <div class="alert alert-danger mb-lg">
-        <i class='bx bx-error-circle' style="font-size: 1.5rem;"></i>
-        <div>
-          <strong>⚠️ ALERTA DE CRISIS</strong>
-          <p><strong>Nivel:</strong> ${message.crisisLevel.toUpperCase()}</p>
-          <p><strong>Palabras clave detectadas:</strong> ${message.crisisKeywords.join(', ')}</p>
-          <p><strong>Recomendación:</strong> ${analysis.recommendation}</p>
-        </div>
-      </div>
-    `;
-  }
+/**
+ * Get the student message that set the case's current crisis level
+ * @param {Object} message - Message object
+ * @returns {Object|null} { source, replyIndex, timestamp }, or null without a crisis
+ */
+function getCrisisTrigger(message) {
+  if (!message.crisisDetected) return null;
+  return message.crisisTrigger || { source: 'message', replyIndex: null, timestamp: message.timestamp };
+}
 
-  // Build conversation thread
-  let conversationHtml = '';
-  if (message.replies.length > 0) {
-    conversationHtml = `
-      <div class="conversation-thread">
-        <h4>Historial de Conversación</h4>
-        <div class="conversation-message student">
-          <div class="message-sender">
-            👤 Estudiante
-            <span class="message-time">${formatDate(message.timestamp)}</span>
-          </div>
-          <p>${message.message}</p>
-        </div>
-        ${message.replies.map(reply => `
-          <div class="conversation-message ${reply.from}">
-            <div class="message-sender">
-              ${reply.from === 'counselor' ? '👨‍⚕️ Consejero' : '👤 Estudiante'}
-              <span class="message-time">${formatDate(reply.timestamp)}</span>
-            </div>
-            <p>${reply.message}</p>
-          </div>
-        `).join('')}
-      </div>
-    `;
-  } else {
-    conversationHtml = `
-      <div class="mb-lg">
-        <h4>Mensaje Original</h4>
-        <div class="conversation-message student">
-          <div class="message-sender">
-            👤 Estudiante
-            <span class="message-time">${formatDate(message.timestamp)}</span>
-          </div>
-          <p>${message.message}</p>
-        </div>
-      </div>
-    `;
-  }
+/**
+ * Describe where a trajectory entry or trigger comes from
+ * @param {Object} entry - { source, timestamp }
+ * @returns {string} Description
+ */
+function describeRiskSource(entry) {
+  return entry.source === 'reply'
+    ? I18n.t('risk.studentReply', { date: formatDate(entry.timestamp) })
+    : I18n.t('risk.initialMessage');
+}
 
-  modalBody.innerHTML = `
-    <div class="mb-lg">
-      <div class="flex justify-between items-center mb-md">
-        <span class="badge badge-primary">${message.trackingCode}</span>
-        <span class="text-secondary">${formatDate(message.timestamp)}</span>
-      </div>
-      
-      <div class="flex gap-sm mb-md">
-        <span class="badge badge-${getUrgencyColor(message.urgency)}">
-          ${message.urgency.toUpperCase()}
-        </span>
-        <span class="badge badge-primary">
-          ${getCategoryEmoji(message.category)} ${message.category}
-        </span>
-        <span class="badge badge-primary">
-          Estado de ánimo: ${message.mood}
-        </span>
-      </div>
-    </div>
-    
-    ${crisisAlert}
-    
-    ${conversationHtml}
-    
-    <div class="reply-form">
-      <h4>Actualizar Estado</h4>
-      <div class="status-selector">
-        <button class="status-btn ${message.status === 'new' ? 'active' : ''}" data-status="new">Nuevo</button>
-        <button class="status-btn ${message.status === 'in-review' ? 'active' : ''}" data-status="in-review">En Revisión</button>
-        <button class="status-btn ${message.status === 'responded' ? 'active' : ''}" data-status="responded">Respondido</button>
-        <button class="status-btn ${message.status === 'resolved' ? 'active' : ''}" data-status="resolved">Resuelto</button>
-      </div>
-      
-      <h4 class="mt-lg">Enviar Respuesta</h4>
-      <form id="replyForm" data-message-id="${message.id}">
-        <div class="form-group">
-          <textarea 
-            id="replyMessage" 
-            class="form-textarea" 
-            placeholder="Escribe tu respuesta al estudiante (será anónima)..."
-            required
-          ></textarea>
-        </div>
-        
-        <div class="form-group">
-          <label class="form-label">Notas Internas (solo para consejeros)</label>
-          <textarea 
-            id="counselorNotes" 
-            class="form-textarea" 
-            placeholder="Notas privadas sobre este caso..."
-          >${message.counselorNotes || ''}</textarea>
-        </div>
-        
-        <button type="submit" class="btn btn-primary">
-          <i class='bx bx-send'></i>
-          Enviar Respuesta
-        </button>
-      </form>
+/**
+ * Create the risk trajectory of a conversation
+ * @param {Object} message - Message object
+ * @returns {RenderedHtml} Markup
+ */
+function createRiskTrajectory(message) {
+  const trajectory = getRiskTrajectory(message);
+
+  return SafeRender.html`
+    <div class="risk-trajectory mb-lg">
+      <h4>${I18n.t('risk.title')}</h4>
+      <ol class="risk-points">
+        ${trajectory.map(entry => SafeRender.html`
+          <li class="risk-point level-${entry.level}" title="${entry.keywords.join(', ')}">
+            <span class="risk-level">${CRISIS_LEVEL_LABELS[entry.level]}</span>
+            <span class="message-time">${describeRiskSource(entry)}</span>
+          </li>
+        `)}
+      </ol>
     </div>
   `;
+}
 
-  // Add event listeners
-  modalBody.querySelectorAll('.status-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const newStatus = e.target.dataset.status;
-      updateMessageStatus(message.id, newStatus);
+// ===== LIVE UPDATES =====
 
-      // Update UI
-      modalBody.querySelectorAll('.status-btn').forEach(b => b.classList.remove('active'));
-      e.target.classList.add('active');
-    });
-  });
+const LIVE_REFRESH_DELAY_MS = 300;
 
-  modalBody.querySelector('#replyForm').addEventListener('submit', handleReplySubmit);
+/**
+ * Follow changes made in other tabs and on other devices
+ */
+function startLiveUpdates() {
+  stopLiveUpdates();
+  const stops = [LiveUpdates.listen(handleLiveChange), LiveUpdates.connect(handleLiveChange)];
+  CounselorSession.stopLiveUpdates = () => stops.forEach(stop => stop());
+}
 
-  modal.classList.remove('hidden');
+/**
+ * Stop following changes and forget what was announced
+ */
+function stopLiveUpdates() {
+  if (CounselorSession.stopLiveUpdates) CounselorSession.stopLiveUpdates();
+  CounselorSession.stopLiveUpdates = null;
+  clearTimeout(CounselorSession.liveRefreshTimer);
+  CounselorSession.liveSeen.clear();
+  CounselorSession.freshMessageIds.clear();
 }
 
 /**
- * Update message status
+ * React to a change: announce new messages and student replies, then refresh.
+ * Tabs and the server may report the same change, so it is announced once.
+ * @param {Object} event - Change from LiveUpdates
+ */
+function handleLiveChange(event) {
+  if (!CounselorSession.counselor) return;
+
+  const isActivity = event.change === 'created' || event.change === 'student_reply';
+  const key = `${event.change}:${event.messageId}:${event.replies}`;
+  if (isActivity && !CounselorSession.liveSeen.has(key)) {
+    CounselorSession.liveSeen.add(key);
+    CounselorSession.freshMessageIds.add(event.messageId);
+    announceLiveChange(event);
+  }
+
+  // Bursts of changes (a restore, several tabs) trigger a single refresh
+  clearTimeout(CounselorSession.liveRefreshTimer);
+  CounselorSession.liveRefreshTimer = setTimeout(() => {
+    updateDashboardStats();
+    loadMessages();
+    if (isActivity) checkCrisisAlarm();
+  }, LIVE_REFRESH_DELAY_MS);
+}
+
+/**
+ * Show a toast for a new message or student reply
+ * @param {Object} event - Change from LiveUpdates
+ */
+function announceLiveChange(event) {
+  const isCrisis = event.crisisLevel === 'high' || event.crisisLevel === 'critical';
+  const isUrgent = isCrisis || event.urgency === 'urgente';
+  let text = event.change === 'created'
+    ? I18n.t(isUrgent ? 'live.newUrgentMessage' : 'live.newMessage')
+    : I18n.t('live.studentReply');
+  if (isCrisis) text += I18n.t('live.crisisSuffix', { level: CRISIS_LEVEL_LABELS[event.crisisLevel].toLowerCase() });
+
+  showToast(text, {
+    type: isUrgent ? 'danger' : 'info',
+    actionLabel: I18n.t('common.view'),
+    onAction: () => showMessageDetail(event.messageId)
+  });
+}
+
+// ===== CRISIS ALARM =====
+
+const ALARM_POLL_MS = 30 * 1000;
+
+const NOTIFICATION_CHANNEL_LABELS = I18n.labels('escalation.channel', ['email', 'webhook', 'app']);
+
+/**
+ * Whether a message has a crisis alert nobody has acknowledged
+ * @param {Object} message - Message object
+ * @returns {boolean}
+ */
+function isEscalationOpen(message) {
+  return Boolean(message.escalation) && !message.escalation.acknowledgedAt && message.status !== 'resolved';
+}
+
+/**
+ * Start polling for unacknowledged crisis alerts
+ */
+function startCrisisAlarm() {
+  stopCrisisAlarm();
+  checkCrisisAlarm();
+  CounselorSession.alarmTimer = setInterval(checkCrisisAlarm, ALARM_POLL_MS);
+}
+
+/**
+ * Stop polling and hide the alarm
+ */
+function stopCrisisAlarm() {
+  clearInterval(CounselorSession.alarmTimer);
+  CounselorSession.alarmTimer = null;
+  CounselorSession.alarmSeen.clear();
+  document.getElementById('crisisAlarm')?.classList.add('hidden');
+}
+
+/**
+ * Fetch open alerts, show them and sound the alarm for new or repeated ones
+ */
+async function checkCrisisAlarm() {
+  let escalations;
+  try {
+    escalations = await MessageStore.listEscalations();
+  } catch (err) {
+    if (err.status === 401) handleCounselorApiError(err);
+    return; // Try again on the next poll
+  }
+  if (!CounselorSession.counselor) return;
+
+  const keys = escalations.map(e => `${e.messageId}:${e.attempts}`);
+  const isNew = keys.some(key => !CounselorSession.alarmSeen.has(key));
+  CounselorSession.alarmSeen = new Set(keys);
+
+  renderCrisisAlarm(escalations);
+  if (isNew) {
+    playAlarmSound();
+    updateDashboardStats();
+    loadMessages();
+  }
+}
+
+/**
+ * Render the alarm banner
+ * @param {Array} escalations - Open escalations
+ */
+function renderCrisisAlarm(escalations) {
+  const container = document.getElementById('crisisAlarm');
+  container.classList.toggle('hidden', escalations.length === 0);
+
+  SafeRender.setHtml(container, SafeRender.html`
+    <h3><i class='bx bx-bell bx-tada'></i> ${I18n.t('alarm.title', { count: escalations.length })}</h3>
+    ${escalations.map(escalation => SafeRender.html`
+      <div class="crisis-alarm-item">
+        <div>
+          <strong>${I18n.t('alarm.level', { level: CRISIS_LEVEL_LABELS[escalation.level] })}</strong>
+          · ${getCategoryEmoji(escalation.category)} ${I18n.t(`category.${escalation.category}`)}
+          <span class="text-secondary">
+            ${I18n.t('alarm.since', { date: formatDate(escalation.openedAt) })} · ${I18n.t('alarm.attempts', { count: escalation.attempts })}
+            ${escalation.onCall.length > 0 ? SafeRender.html` · ${I18n.t('alarm.onCall', { names: escalation.onCall.map(r => r.name).join(', ') })}` : ''}
+          </span>
+        </div>
+        <div class="flex gap-sm">
+          <button type="button" class="btn btn-sm btn-secondary" data-alarm-view="${escalation.messageId}">${I18n.t('common.view')}</button>
+          <button type="button" class="btn btn-sm btn-primary" data-alarm-ack="${escalation.messageId}">${I18n.t('alarm.acknowledge')}</button>
+        </div>
+      </div>
+    `)}
+  `);
+
+  container.querySelectorAll('button[data-alarm-view]').forEach(btn => {
+    btn.addEventListener('click', () => showMessageDetail(btn.dataset.alarmView));
+  });
+  container.querySelectorAll('button[data-alarm-ack]').forEach(btn => {
+    btn.addEventListener('click', () => handleAcknowledgeEscalation(btn.dataset.alarmAck));
+  });
+}
+
+/**
+ * Play a short two-tone alarm (silently skipped if audio is unavailable)
+ */
+function playAlarmSound() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  try {
+    const context = new AudioContextClass();
+    [880, 660, 880].forEach((frequency, i) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      const start = context.currentTime + i * 0.25;
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.2);
+    });
+    setTimeout(() => context.close(), 1000);
+  } catch (err) {
+    // Browsers may block audio until the page has been interacted with
+  }
+}
+
+/**
+ * Acknowledge a crisis alert so reminders stop
  * @param {string} messageId - Message ID
- * @param {string} newStatus - New status
  */
-function updateMessageStatus(messageId, newStatus) {
-  const messages = getMessages();
-  const message = messages.find(m => m.id === messageId);
+async function handleAcknowledgeEscalation(messageId) {
+  try {
+    await MessageStore.acknowledgeEscalation(messageId);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  checkCrisisAlarm();
+  loadMessages();
+  const modalBody = document.getElementById('modalBody');
+  if (!document.getElementById('messageModal').classList.contains('hidden') &&
+      modalBody.querySelector(`[data-message-id="${messageId}"]`)) {
+    showMessageDetail(messageId);
+  }
+}
+
+/**
+ * Create the notification log of a message's crisis alert
+ * @param {Object} message - Message object
+ * @returns {RenderedHtml|string} Markup, or '' without an alert
+ */
+function createEscalationLog(message) {
+  const escalation = message.escalation;
+  if (!escalation) return '';
+
+  return SafeRender.html`
+    <div class="escalation-log mb-lg">
+      <div class="flex justify-between items-center">
+        <h4>${I18n.t('escalationLog.title')}</h4>
+        ${isEscalationOpen(message) ? SafeRender.html`
+          <button type="button" id="acknowledgeEscalationBtn" class="btn btn-sm btn-primary">
+            <i class='bx bx-check-shield'></i>
+            ${I18n.t('escalationLog.acknowledge')}
+          </button>
+        ` : ''}
+      </div>
+      ${escalation.acknowledgedAt ? SafeRender.html`
+        <p class="text-secondary">${I18n.t('escalationLog.acknowledgedBy', { name: escalation.acknowledgedByName })} · ${formatDate(escalation.acknowledgedAt)}</p>
+      ` : SafeRender.html`
+        <p class="text-secondary">${I18n.t('escalationLog.unacknowledged')} ${escalation.nextNotifyAt && message.status !== 'resolved' ? I18n.t('escalationLog.nextReminder', { time: I18n.formatTime(escalation.nextNotifyAt) }) : ''}</p>
+      `}
+      <ul class="escalation-events">
+        ${escalation.notifications.map(notification => SafeRender.html`
+          <li class="${notification.ok ? '' : 'failed'}">
+            <span>${formatDate(notification.at)}</span>
+            <span>${I18n.t('escalationLog.notification', { attempt: notification.attempt, channel: NOTIFICATION_CHANNEL_LABELS[notification.channel], to: notification.to })}</span>
+            ${notification.ok ? '' : SafeRender.html`<span>${I18n.t('common.error', { error: notification.error })}</span>`}
+          </li>
+        `)}
+        ${escalation.acknowledgements.map(ack => SafeRender.html`
+          <li class="acknowledged">
+            <span>${formatDate(ack.at)}</span>
+            <span>${I18n.t('escalationLog.acknowledgement', { name: ack.counselorName, level: CRISIS_LEVEL_LABELS[ack.level], count: ack.attempts })}</span>
+          </li>
+        `)}
+      </ul>
+    </div>
+  `;
+}
+
+// ===== MESSAGE DETAIL MODAL =====
+
+/**
+ * Show message detail modal
+ * @param {string} messageId - Message ID
+ */
+async function showMessageDetail(messageId) {
+  CounselorSession.freshMessageIds.delete(messageId);
+  let message;
+  try {
+    message = await decryptForCounselor(await MessageStore.getMessage(messageId));
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+  const templates = message.locked || message.anonymized ? [] : await loadReplyTemplates();
+
+  const modal = document.getElementById('messageModal');
+  const modalBody = document.getElementById('modalBody');
+
+  // Build crisis alert if detected
+  const trigger = getCrisisTrigger(message);
+  const isTrigger = replyIndex => Boolean(trigger) &&
+    (replyIndex === null ? trigger.source === 'message' : trigger.replyIndex === replyIndex);
+  const triggerEntry = getRiskTrajectory(message).find(entry => trigger &&
+    entry.source === trigger.source && entry.replyIndex === trigger.replyIndex);
+
+  let crisisAlert = '';
+  if (message.crisisDetected) {
+    crisisAlert = SafeRender.html`
+      <div class="alert alert-danger mb-lg">
+        <i class='bx bx-error-circle' style="font-size: 1.5rem;"></i>
+        <div>
+          <strong>⚠️ ${I18n.t('detail.crisisAlert')}</strong>
+          <p><strong>${I18n.t('detail.crisisLevel')}</strong> ${CRISIS_LEVEL_LABELS[message.crisisLevel].toUpperCase()}</p>
+          <p><strong>${I18n.t('detail.crisisTrigger')}</strong> ${describeRiskSource(trigger)}</p>
+          <p><strong>${I18n.t('detail.crisisKeywords')}</strong> ${message.crisisKeywords.join(', ')}</p>
+          <p><strong>${I18n.t('detail.recommendation')}</strong> ${I18n.t(`crisis.recommendation.${message.crisisLevel}`)}</p>
+          ${triggerEntry && triggerEntry.lexiconVersion ? SafeRender.html`<p class="text-secondary">${I18n.t('detail.lexiconVersion', { version: triggerEntry.lexiconVersion })}</p>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  // Build assignment section
+  const assignmentHtml = createAssignmentPanel(message);
+
+  // Build conversation thread
+  let conversationHtml = '';
+  if (message.replies.length > 0) {
+    conversationHtml = SafeRender.html`
+      <div class="conversation-thread">
+        <h4>${I18n.t('detail.conversation')}</h4>
+        <div class="conversation-message student ${isTrigger(null) ? 'crisis-trigger' : ''}">
+          <div class="message-sender">
+            👤 ${I18n.t('detail.student')}
+            <span class="message-time">${formatDate(message.timestamp)}</span>
+          </div>
+          <p>${SafeRender.text(message.message)}</p>
+        </div>
+        ${message.replies.map((reply, index) => SafeRender.html`
+          <div class="conversation-message ${reply.from} ${reply.from === 'student' && isTrigger(index) ? 'crisis-trigger' : ''}">
+            <div class="message-sender">
+              ${reply.from === 'counselor' ? SafeRender.html`👨‍⚕️ ${reply.counselorName || I18n.t('track.fromCounselor')}` : `👤 ${I18n.t('detail.student')}`}
+              <span class="message-time">${formatDate(reply.timestamp)}</span>
+            </div>
+            <p>${SafeRender.text(ExercisePlayer.stripLinks(reply.message))}</p>
+            ${ExercisePlayer.parseLinks(reply.message).map(link => SafeRender.html`
+              <span class="badge badge-primary">
+                <i class='bx bx-wind'></i>
+                ${I18n.t('exercise.linked', { name: I18n.t(`exercise.${link.id}.name`) })}
+              </span>
+            `)}
+            ${reply.from === 'counselor' ? SafeRender.html`
+              <div class="reply-read-state">
+                <i class='bx ${reply.readAt ? 'bx-check-double' : 'bx-check'}'></i>
+                ${reply.readAt ? I18n.t('detail.readAt', { date: formatDate(reply.readAt) }) : I18n.t('detail.unread')}
+              </div>
+            ` : ''}
+          </div>
+        `)}
+      </div>
+    `;
+  } else {
+    conversationHtml = SafeRender.html`
+      <div class="mb-lg">
+        <h4>${I18n.t('detail.original')}</h4>
+        <div class="conversation-message student">
+          <div class="message-sender">
+            👤 ${I18n.t('detail.student')}
+            <span class="message-time">${formatDate(message.timestamp)}</span>
+          </div>
+          <p>${SafeRender.text(message.message)}</p>
+        </div>
+      </div>
+    `;
+  }
+
+  SafeRender.setHtml(modalBody, SafeRender.html`
+    <div class="mb-lg">
+      <div class="flex justify-between items-center mb-md">
+        <span class="badge badge-primary">${message.trackingCode}</span>
+        <span class="text-secondary">${formatDate(message.timestamp)}</span>
+      </div>
+      
+      <div class="flex gap-sm mb-md">
+        <span class="badge badge-${getUrgencyColor(message.urgency)}">
+          ${I18n.t(`urgency.${message.urgency}`).toUpperCase()}
+        </span>
+        <span class="badge badge-primary">
+          ${getCategoryEmoji(message.category)} ${I18n.t(`category.${message.category}`)}
+        </span>
+        <span class="badge badge-primary">
+          ${I18n.t('detail.mood', { mood: I18n.t(`mood.${message.mood}`) })}
+        </span>
+        ${createSlaCountdown(message)}
+      </div>
+    </div>
+    
+    ${crisisAlert}
+    
+    ${createEscalationLog(message)}
+    
+    ${createRiskTrajectory(message)}
+    
+    ${assignmentHtml}
+    
+    ${createLegalHoldPanel(message)}
+    
+    <div class="case-columns">
+      <div>${conversationHtml}</div>
+      ${createNotesTimeline(message)}
+    </div>
+    
+    ${message.anonymized ? SafeRender.html`
+      <div class="alert alert-warning">
+        <i class='bx bx-trash'></i>
+        <p>${I18n.t('detail.anonymized', { date: I18n.formatDateTime(message.anonymizedAt) })}</p>
+      </div>
+    ` : ''}
+    
+    <div class="reply-form ${message.anonymized ? 'hidden' : ''}">
+      <h4>${I18n.t('detail.updateStatus')}</h4>
+      <div class="status-selector">
+        ${['new', 'in-review', 'responded', 'resolved'].map(status => SafeRender.html`
+          <button class="status-btn ${message.status === status ? 'active' : ''}" data-status="${status}">${getStatusLabel(status)}</button>
+        `)}
+      </div>
+      
+      <h4 class="mt-lg">${I18n.t('detail.sendReply')}</h4>
+      ${message.locked ? SafeRender.html`
+        <div class="alert alert-warning mb-md">
+          <i class='bx bx-lock-alt'></i>
+          <p>${I18n.t('detail.lockedReply')}</p>
+        </div>
+      ` : ''}
+      <form id="replyForm" data-message-id="${message.id}" class="${message.locked ? 'hidden' : ''}">
+        ${createTemplatePicker(message, templates)}
+        ${createExercisePicker()}
+        <div class="form-group">
+          <textarea 
+            id="replyMessage" 
+            class="form-textarea" 
+            placeholder="${I18n.t('detail.replyPlaceholder')}"
+            required
+          ></textarea>
+        </div>
+        
+        <button type="submit" class="btn btn-primary">
+          <i class='bx bx-send'></i>
+          ${I18n.t('detail.sendReply')}
+        </button>
+      </form>
+    </div>
+  `);
+
+  // Add event listeners
+  modalBody.querySelectorAll('.status-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const newStatus = e.target.dataset.status;
+      updateMessageStatus(message.id, newStatus);
+
+      // Update UI
+      modalBody.querySelectorAll('.status-btn').forEach(b => b.classList.remove('active'));
+      e.target.classList.add('active');
+    });
+  });
+
+  modalBody.querySelector('#replyForm').addEventListener('submit', handleReplySubmit);
+  modalBody.querySelector('#replyTemplateSelect')?.addEventListener('change', (e) => {
+    if (!e.target.value) return;
+    insertReplyTemplate(message, templates.find(t => t.id === e.target.value));
+    e.target.value = '';
+  });
+  modalBody.querySelectorAll('button[data-template-id]').forEach(btn => {
+    btn.addEventListener('click', () => insertReplyTemplate(message, templates.find(t => t.id === btn.dataset.templateId)));
+  });
+  modalBody.querySelector('#replyExerciseSelect').addEventListener('change', (e) => {
+    if (!e.target.value) return;
+    insertExerciseLink(e.target.value);
+    e.target.value = '';
+  });
+  modalBody.querySelector('#noteForm')?.addEventListener('submit', (e) => handleNoteSubmit(e, message));
+  modalBody.querySelectorAll('button[data-edit-note-id]').forEach(btn => {
+    btn.addEventListener('click', () => startNoteEdit(message, btn));
+  });
+
+  modalBody.querySelector('#legalHoldBtn')?.addEventListener('click', () => handleLegalHoldToggle(message));
+
+  modalBody.querySelector('#acknowledgeEscalationBtn')?.addEventListener('click', () => {
+    handleAcknowledgeEscalation(message.id);
+  });
+
+  modalBody.querySelector('#claimCaseBtn')?.addEventListener('click', () => {
+    handleAssignmentChange(message.id, () => MessageStore.claimMessage(message.id));
+  });
+  modalBody.querySelector('#releaseCaseBtn')?.addEventListener('click', () => {
+    handleAssignmentChange(message.id, () => MessageStore.releaseMessage(message.id));
+  });
+  modalBody.querySelector('#assignCounselorSelect')?.addEventListener('change', (e) => {
+    if (!e.target.value) return;
+    handleAssignmentChange(message.id, () => MessageStore.assignMessage(message.id, e.target.value));
+  });
+
+  modal.classList.remove('hidden');
+}
+
+// ===== INTERNAL NOTES =====
+
+/**
+ * Whether the current counselor may still edit a note
+ * @param {Object} message - Decrypted message
+ * @param {Object} note - Note
+ * @returns {boolean}
+ */
+function canEditNote(message, note) {
+  return !message.locked && !message.anonymized && note.counselorId === CounselorSession.counselor.id &&
+    Date.parse(note.editableUntil) > Date.now();
+}
+
+/**
+ * Create the private notes timeline of the message detail modal
+ * @param {Object} message - Decrypted message
+ * @returns {RenderedHtml} Markup
+ */
+function createNotesTimeline(message) {
+  return SafeRender.html`
+    <div class="notes-timeline">
+      <h4><i class='bx bx-lock-alt'></i> ${I18n.t('notes.title')}</h4>
+      <p class="text-secondary">${I18n.t('notes.intro')}</p>
+      ${message.notes.length === 0 ? SafeRender.html`<p class="text-secondary">${I18n.t('notes.empty')}</p>` : ''}
+      <ol class="notes-list">
+        ${message.notes.map(note => SafeRender.html`
+          <li class="note-item" data-note-id="${note.id}">
+            <div class="note-meta">
+              <strong>${note.counselorName || I18n.t('notes.legacyAuthor')}</strong>
+              <span class="message-time">${I18n.formatDateTime(note.createdAt)}</span>
+              ${note.updatedAt ? SafeRender.html`
+                <span class="text-secondary">· ${I18n.t('notes.edited', { time: I18n.formatTime(note.updatedAt, {}) })}</span>
+              ` : ''}
+            </div>
+            <div class="note-body">
+              <p>${SafeRender.text(note.note)}</p>
+              ${canEditNote(message, note) ? SafeRender.html`
+                <button type="button" class="btn btn-sm btn-secondary" data-edit-note-id="${note.id}">
+                  <i class='bx bx-edit'></i>
+                  ${I18n.t('notes.editUntil', { time: I18n.formatTime(note.editableUntil) })}
+                </button>
+              ` : ''}
+            </div>
+          </li>
+        `)}
+      </ol>
+      ${message.locked || message.anonymized ? '' : SafeRender.html`
+        <form id="noteForm">
+          <div class="form-group">
+            <label class="form-label" for="newNote">${I18n.t('notes.new')}</label>
+            <textarea id="newNote" class="form-textarea" rows="3" placeholder="${I18n.t('notes.placeholder')}"
+              required></textarea>
+          </div>
+          <button type="submit" class="btn btn-secondary">
+            <i class='bx bx-note'></i>
+            ${I18n.t('notes.save')}
+          </button>
+        </form>
+      `}
+    </div>
+  `;
+}
+
+/**
+ * Save a new note
+ * @param {Event} e - Form event
+ * @param {Object} message - Message shown in the modal
+ */
+async function handleNoteSubmit(e, message) {
+  e.preventDefault();
+  const text = document.getElementById('newNote').value.trim();
+  if (!text) return;
+
+  try {
+    const threadKey = await getThreadKey(message);
+    await MessageStore.addNote(message.id, await E2ECrypto.encryptText(threadKey, text));
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+  showMessageDetail(message.id);
+}
+
+/**
+ * Turn a note into an editor
+ * @param {Object} message - Message shown in the modal
+ * @param {HTMLElement} button - The note's edit button
+ */
+function startNoteEdit(message, button) {
+  const noteId = button.dataset.editNoteId;
+  const note = message.notes.find(n => n.id === noteId);
+  const body = button.closest('.note-body');
+
+  SafeRender.setHtml(body, SafeRender.html`
+    <textarea class="form-textarea" rows="3" aria-label="${I18n.t('notes.editLabel')}">${note.note}</textarea>
+    <div class="flex gap-sm mt-md">
+      <button type="button" class="btn btn-sm btn-primary" data-action="save">${I18n.t('common.save')}</button>
+      <button type="button" class="btn btn-sm btn-secondary" data-action="cancel">${I18n.t('common.cancel')}</button>
+    </div>
+  `);
+
+  body.querySelector('[data-action="cancel"]').addEventListener('click', () => showMessageDetail(message.id));
+  body.querySelector('[data-action="save"]').addEventListener('click', async () => {
+    const text = body.querySelector('textarea').value.trim();
+    if (!text) return;
+    try {
+      const threadKey = await getThreadKey(message);
+      await MessageStore.editNote(message.id, noteId, await E2ECrypto.encryptText(threadKey, text));
+    } catch (err) {
+      handleCounselorApiError(err);
+    }
+    showMessageDetail(message.id);
+  });
+}
+
+// ===== CASE ASSIGNMENT =====
+
+/**
+ * Create the assignment section of the message detail modal
+ * @param {Object} message - Message object
+ * @returns {RenderedHtml} Markup
+ */
+function createAssignmentPanel(message) {
+  const me = CounselorSession.counselor;
+  const assignee = message.assignedTo;
+  const isMine = assignee && assignee.counselorId === me.id;
+  const canHandOn = !assignee || isMine || me.role === 'admin';
+  const candidates = CounselorSession.counselors.filter(c =>
+    c.active && (!assignee || c.id !== assignee.counselorId)
+  );
+
+  const history = (message.assignmentHistory || []).slice().reverse();
+
+  return SafeRender.html`
+    <div class="assignment-panel mb-lg">
+      <h4>${I18n.t('assignment.title')}</h4>
+      <p><strong>${I18n.t('assignment.owner')}</strong> ${assignee ? (isMine ? I18n.t('workload.me', { name: assignee.counselorName }) : assignee.counselorName) : I18n.t('assignment.unassigned')}</p>
+      <div class="flex gap-sm items-center assignment-actions">
+        ${canHandOn && !isMine ? SafeRender.html`
+          <button type="button" id="claimCaseBtn" class="btn btn-sm btn-primary">
+            <i class='bx bx-user-check'></i>
+            ${I18n.t('assignment.claim')}
+          </button>
+        ` : ''}
+        ${assignee && canHandOn ? SafeRender.html`
+          <button type="button" id="releaseCaseBtn" class="btn btn-sm btn-secondary">
+            <i class='bx bx-user-minus'></i>
+            ${I18n.t('assignment.release')}
+          </button>
+        ` : ''}
+        ${canHandOn ? SafeRender.html`
+          <select id="assignCounselorSelect" class="form-select">
+            <option value="">${I18n.t(assignee ? 'assignment.reassignTo' : 'assignment.assignTo')}</option>
+            ${candidates.map(c => SafeRender.html`<option value="${c.id}">${c.name}</option>`)}
+          </select>
+        ` : ''}
+      </div>
+      ${history.length > 0 ? SafeRender.html`
+        <ul class="assignment-history">
+          ${history.map(entry => SafeRender.html`
+            <li>
+              ${describeAssignment(entry)}
+              <span class="message-time">${formatDate(entry.timestamp)}</span>
+            </li>
+          `)}
+        </ul>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Describe an assignment history entry
+ * @param {Object} entry - History entry
+ * @returns {string} Description
+ */
+function describeAssignment(entry) {
+  const key = `assignment.history.${entry.action}`;
+  return I18n.has(key, I18n.DEFAULT_LOCALE)
+    ? I18n.t(key, { name: entry.counselorName, by: entry.byName })
+    : entry.action;
+}
+
+/**
+ * Run an assignment action and refresh the dashboard
+ * @param {string} messageId - Message ID
+ * @param {Function} action - Async MessageStore call
+ */
+async function handleAssignmentChange(messageId, action) {
+  try {
+    await action();
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  showMessageDetail(messageId);
+  updateDashboardStats();
+  loadMessages();
+}
+
+/**
+ * Update message status
+ * @param {string} messageId - Message ID
+ * @param {string} newStatus - New status
+ */
+async function updateMessageStatus(messageId, newStatus) {
+  try {
+    await MessageStore.updateStatus(messageId, newStatus);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  updateDashboardStats();
+  loadMessages();
+}
+
+/**
+ * Handle reply form submission
+ * @param {Event} e - Form event
+ */
+async function handleReplySubmit(e) {
+  e.preventDefault();
+
+  const messageId = e.target.dataset.messageId;
+  const replyText = document.getElementById('replyMessage').value;
+
+  try {
+    const threadKey = await getThreadKey(await MessageStore.getMessage(messageId));
+
+    // The server also moves the status to responded if not already
+    await MessageStore.addCounselorReply(messageId, {
+      message: await E2ECrypto.encryptText(threadKey, replyText)
+    });
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  // Show success and refresh
+  alert(I18n.t('detail.replySent'));
+  closeModal('messageModal');
+  updateDashboardStats();
+  loadMessages();
+}
+
+// ===== LINKED EXERCISES =====
+
+/**
+ * Create the picker that links a guided exercise in the reply
+ * @returns {RenderedHtml} Markup
+ */
+function createExercisePicker() {
+  return SafeRender.html`
+    <div class="form-group">
+      <label class="form-label" for="replyExerciseSelect">${I18n.t('exercise.insert')}</label>
+      <select id="replyExerciseSelect" class="form-select">
+        <option value="">${I18n.t('exercise.chooseToLink')}</option>
+        ${Object.keys(ExercisePlayer.EXERCISES).map(id => SafeRender.html`
+          <option value="${id}">${I18n.t(`exercise.${id}.name`)}</option>
+        `)}
+      </select>
+      <small class="text-secondary">${I18n.t('exercise.insertHelp')}</small>
+    </div>
+  `;
+}
+
+/**
+ * Add an exercise link to the reply being written. The student sees a
+ * button that opens the exercise.
+ * @param {string} id - Exercise id
+ */
+function insertExerciseLink(id) {
+  const textarea = document.getElementById('replyMessage');
+  const link = ExercisePlayer.linkFor(id);
+  textarea.value = textarea.value.trim() ? `${textarea.value.trimEnd()}\n\n${link}` : link;
+  textarea.focus();
+}
+
+// ===== REPLY TEMPLATES =====
+
+const TEMPLATE_SUGGESTION_CHIPS = 3;
+
+/**
+ * Load the team's templates for the reply picker
+ * @returns {Promise<Array>} Templates, or none when they cannot be loaded
+ */
+async function loadReplyTemplates() {
+  try {
+    return await MessageStore.listTemplates();
+  } catch (err) {
+    return []; // Replying still works without templates
+  }
+}
+
+/**
+ * Describe who a template is meant for
+ * @param {Object} template - Template
+ * @returns {string} e.g. "Bullying · Alto, Crítico"
+ */
+function describeTemplateTarget(template) {
+  const categories = template.categories.map(c => Analytics.CATEGORY_LABELS[c] || c).join(', ');
+  const levels = template.crisisLevels.map(l => CRISIS_LEVEL_LABELS[l] || l).join(', ');
+  return [categories || I18n.t('templates.anyCategory'), levels || I18n.t('templates.anyLevel')].join(' · ');
+}
+
+/**
+ * Create the template picker of the reply form
+ * @param {Object} message - Decrypted message
+ * @param {Array} templates - Every template
+ * @returns {RenderedHtml|string} Markup, or nothing without templates
+ */
+function createTemplatePicker(message, templates) {
+  if (templates.length === 0) return '';
+  const { suggested, general, others } = ReplyTemplates.suggest(templates, message);
+  const group = (label, items) => items.length === 0 ? '' : SafeRender.html`
+    <optgroup label="${label}">
+      ${items.map(t => SafeRender.html`<option value="${t.id}">${t.title}</option>`)}
+    </optgroup>
+  `;
+
+  return SafeRender.html`
+    <div class="form-group template-picker">
+      ${suggested.length > 0 ? SafeRender.html`
+        <span class="form-label">${I18n.t('templates.suggested')}</span>
+        <div class="flex gap-sm template-suggestions">
+          ${suggested.slice(0, TEMPLATE_SUGGESTION_CHIPS).map(t => SafeRender.html`
+            <button type="button" class="btn btn-sm btn-secondary" data-template-id="${t.id}"
+              title="${describeTemplateTarget(t)}">
+              <i class='bx bx-message-square-add'></i>
+              ${t.title}
+            </button>
+          `)}
+        </div>
+      ` : ''}
+      <label class="form-label" for="replyTemplateSelect">${I18n.t('templates.insert')}</label>
+      <select id="replyTemplateSelect" class="form-select">
+        <option value="">${I18n.t('templates.choose')}</option>
+        ${group(I18n.t('templates.suggested'), suggested)}
+        ${group(I18n.t('templates.general'), general)}
+        ${group(I18n.t('templates.others'), others)}
+      </select>
+    </div>
+  `;
+}
+
+/**
+ * Add a filled-in template to the reply being written
+ * @param {Object} message - Decrypted message
+ * @param {Object} template - Template
+ */
+function insertReplyTemplate(message, template) {
+  const textarea = document.getElementById('replyMessage');
+  const text = ReplyTemplates.fill(template.body, ReplyTemplates.createContext(message, CounselorSession.counselor));
+  textarea.value = textarea.value.trim() ? `${textarea.value.trimEnd()}\n\n${text}` : text;
+  textarea.focus();
+}
+
+/**
+ * Load the template list and reset the editor
+ */
+async function loadTemplates() {
+  let templates;
+  try {
+    templates = await MessageStore.listTemplates();
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+  renderTemplateList(templates);
+  if (!document.getElementById('templateId').value) fillTemplateForm(null);
+}
+
+/**
+ * Render the template list
+ * @param {Array} templates - Templates
+ */
+function renderTemplateList(templates) {
+  const container = document.getElementById('templatesList');
+  if (templates.length === 0) {
+    SafeRender.setHtml(container, SafeRender.html`<p class="text-secondary">${I18n.t('templates.empty')}</p>`);
+    return;
+  }
+
+  SafeRender.setHtml(container, SafeRender.html`${templates.map(template => SafeRender.html`
+    <div class="account-item template-item">
+      <div>
+        <strong>${template.title}</strong>
+        <span class="text-secondary">${describeTemplateTarget(template)}</span>
+        <p class="template-preview">${SafeRender.truncate(template.body, 160)}</p>
+        <span class="text-secondary">
+          ${template.updatedAt
+            ? I18n.t('templates.updated', { date: formatDate(template.updatedAt), name: template.updatedByName })
+            : I18n.t('templates.created', { date: formatDate(template.createdAt), name: template.createdByName })}
+        </span>
+      </div>
+      <div class="flex gap-sm items-center">
+        <button type="button" class="btn btn-sm btn-secondary" data-edit-template-id="${template.id}">
+          <i class='bx bx-edit'></i>
+          ${I18n.t('common.edit')}
+        </button>
+        <button type="button" class="btn btn-sm btn-danger" data-delete-template-id="${template.id}">
+          <i class='bx bx-trash'></i>
+          ${I18n.t('common.delete')}
+        </button>
+      </div>
+    </div>
+  `)}`);
+
+  container.querySelectorAll('button[data-edit-template-id]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      fillTemplateForm(templates.find(t => t.id === btn.dataset.editTemplateId));
+      document.getElementById('templateForm').scrollIntoView({ behavior: 'smooth' });
+    });
+  });
+  container.querySelectorAll('button[data-delete-template-id]').forEach(btn => {
+    btn.addEventListener('click', () => handleTemplateDelete(templates.find(t => t.id === btn.dataset.deleteTemplateId)));
+  });
+}
+
+/**
+ * Fill the editor with a template, or clear it for a new one
+ * @param {Object|null} template - Template to edit
+ */
+function fillTemplateForm(template) {
+  document.getElementById('templateId').value = template ? template.id : '';
+  document.getElementById('templateTitle').value = template ? template.title : '';
+  document.getElementById('templateBody').value = template ? template.body : '';
+  document.getElementById('templateFormTitle').dataset.editing = template ? template.title : '';
+  renderTemplateFormChoices(template ? template.categories : [], template ? template.crisisLevels : []);
+}
+
+/**
+ * Render the editor's title, checkboxes and placeholder help in the current
+ * language, keeping the given boxes checked
+ * @param {Array<string>} categories - Checked categories
+ * @param {Array<string>} crisisLevels - Checked crisis levels
+ */
+function renderTemplateFormChoices(categories, crisisLevels) {
+  const checkboxes = (name, labels, selected) => SafeRender.html`${Object.entries(labels).map(([value, label]) => SafeRender.html`
+    <label class="form-check">
+      <input type="checkbox" name="${name}" value="${value}" ${selected.includes(value) ? 'checked' : ''}>
+      ${label}
+    </label>
+  `)}`;
+  const editing = document.getElementById('templateFormTitle').dataset.editing;
+
+  SafeRender.setHtml(document.getElementById('templateFormTitle'), SafeRender.html`
+    <i class='bx bx-edit'></i>
+    ${editing ? I18n.t('templates.editTitle', { title: editing }) : I18n.t('templates.new')}
+  `);
+  SafeRender.setHtml(document.getElementById('templateCategories'),
+    checkboxes('templateCategory', Analytics.CATEGORY_LABELS, categories));
+  SafeRender.setHtml(document.getElementById('templateCrisisLevels'),
+    checkboxes('templateCrisisLevel', CRISIS_LEVEL_LABELS, crisisLevels));
+  SafeRender.setHtml(document.getElementById('templatePlaceholders'), SafeRender.html`
+    ${ReplyTemplates.PLACEHOLDERS.map(name => SafeRender.html`
+      <li><code>{${name}}</code> ${ReplyTemplates.describePlaceholder(name)}</li>
+    `)}
+  `);
+}
+
+/**
+ * Values checked in one of the editor's checkbox groups
+ * @param {string} name - Checkbox name
+ * @returns {Array<string>} Checked values
+ */
+function getCheckedTemplateChoices(name) {
+  return [...document.querySelectorAll(`#templateForm input[name="${name}"]:checked`)].map(i => i.value);
+}
+
+/**
+ * Save the template in the editor
+ * @param {Event} e - Form event
+ */
+async function handleTemplateSave(e) {
+  e.preventDefault();
+  const id = document.getElementById('templateId').value;
+  const template = {
+    title: document.getElementById('templateTitle').value,
+    body: document.getElementById('templateBody').value,
+    categories: getCheckedTemplateChoices('templateCategory'),
+    crisisLevels: getCheckedTemplateChoices('templateCrisisLevel')
+  };
+
+  try {
+    if (id) await MessageStore.updateTemplate(id, template);
+    else await MessageStore.createTemplate(template);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  alert(I18n.t('templates.saved'));
+  fillTemplateForm(null);
+  loadTemplates();
+}
+
+/**
+ * Delete a template after confirmation
+ * @param {Object} template - Template
+ */
+async function handleTemplateDelete(template) {
+  if (!confirm(I18n.t('templates.confirmDelete', { title: template.title }))) return;
+
+  try {
+    await MessageStore.deleteTemplate(template.id);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+  if (document.getElementById('templateId').value === template.id) fillTemplateForm(null);
+  loadTemplates();
+}
+
+// ===== RESOURCE LIBRARY =====
+
+/**
+ * Load every library article, drafts included, and reset the editor
+ */
+async function loadLibrary() {
+  let resources;
+  try {
+    resources = await MessageStore.listAllResources();
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+  renderLibraryList(resources);
+  if (!document.getElementById('libraryId').value) fillLibraryForm(null);
+}
+
+/**
+ * Render the article list
+ * @param {Array} resources - Articles
+ */
+function renderLibraryList(resources) {
+  const container = document.getElementById('libraryList');
+  if (resources.length === 0) {
+    SafeRender.setHtml(container, SafeRender.html`<p class="text-secondary">${I18n.t('library.empty')}</p>`);
+    return;
+  }
+
+  SafeRender.setHtml(container, SafeRender.html`${resources.map(resource => SafeRender.html`
+    <div class="account-item template-item">
+      <div>
+        <strong>${resource.title}</strong>
+        <span class="badge ${resource.published ? 'badge-success' : 'badge-warning'}">
+          ${I18n.t(resource.published ? 'library.published' : 'library.draft')}
+        </span>
+        <span class="text-secondary">
+          ${I18n.t(`category.${resource.category}`)}${resource.file ? ` · ${I18n.t('library.fromFile', { file: resource.file })}` : ''}
+        </span>
+        <p class="template-preview">${ResourceLibrary.describe(resource)}</p>
+        <span class="text-secondary">
+          ${resource.updatedAt
+            ? I18n.t('library.updated', { date: formatDate(resource.updatedAt), name: resource.updatedByName })
+            : I18n.t('library.created', { date: formatDate(resource.createdAt), name: resource.createdByName })}
+        </span>
+      </div>
+      <div class="flex gap-sm items-center">
+        <button type="button" class="btn btn-sm btn-secondary" data-edit-resource-id="${resource.id}">
+          <i class='bx bx-edit'></i>
+          ${I18n.t('common.edit')}
+        </button>
+        <button type="button" class="btn btn-sm ${resource.published ? 'btn-outline' : 'btn-primary'}" data-publish-resource-id="${resource.id}">
+          <i class='bx ${resource.published ? 'bx-hide' : 'bx-upload'}'></i>
+          ${I18n.t(resource.published ? 'library.unpublish' : 'library.publish')}
+        </button>
+      </div>
+    </div>
+  `)}`);
+
+  container.querySelectorAll('button[data-edit-resource-id]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      fillLibraryForm(resources.find(r => r.id === btn.dataset.editResourceId));
+      document.getElementById('libraryForm').scrollIntoView({ behavior: 'smooth' });
+    });
+  });
+  container.querySelectorAll('button[data-publish-resource-id]').forEach(btn => {
+    btn.addEventListener('click', () => handleLibraryPublish(resources.find(r => r.id === btn.dataset.publishResourceId)));
+  });
+}
+
+/**
+ * Fill the editor with an article, or clear it for a new one
+ * @param {Object|null} resource - Article to edit
+ */
+function fillLibraryForm(resource) {
+  document.getElementById('libraryId').value = resource ? resource.id : '';
+  document.getElementById('libraryTitle').value = resource ? resource.title : '';
+  document.getElementById('librarySummary').value = resource ? resource.summary : '';
+  document.getElementById('libraryBody').value = resource ? resource.body : '';
+  document.getElementById('libraryPublished').checked = resource ? resource.published : false;
+  document.getElementById('libraryFormTitle').dataset.editing = resource ? resource.title : '';
+  renderLibraryFormChoices(resource ? resource.category : '');
+}
+
+/**
+ * Render the editor's title and category list in the current language,
+ * keeping the given category chosen
+ * @param {string} category - Chosen category
+ */
+function renderLibraryFormChoices(category) {
+  const editing = document.getElementById('libraryFormTitle').dataset.editing;
+
+  SafeRender.setHtml(document.getElementById('libraryFormTitle'), SafeRender.html`
+    <i class='bx bx-edit'></i>
+    ${editing ? I18n.t('library.editTitle', { title: editing }) : I18n.t('library.new')}
+  `);
+  SafeRender.setHtml(document.getElementById('libraryCategory'), SafeRender.html`
+    <option value="">${I18n.t('library.chooseCategory')}</option>
+    ${Object.entries(Analytics.CATEGORY_LABELS).map(([value, label]) => SafeRender.html`
+      <option value="${value}" ${value === category ? 'selected' : ''}>${label}</option>
+    `)}
+  `);
+}
+
+/**
+ * Read the article in the editor
+ * @returns {Object} { title, category, summary, body, published }
+ */
+function readLibraryForm() {
+  return {
+    title: document.getElementById('libraryTitle').value,
+    category: document.getElementById('libraryCategory').value,
+    summary: document.getElementById('librarySummary').value,
+    body: document.getElementById('libraryBody').value,
+    published: document.getElementById('libraryPublished').checked
+  };
+}
+
+/**
+ * Save the article in the editor
+ * @param {Event} e - Form event
+ */
+async function handleLibrarySave(e) {
+  e.preventDefault();
+  const id = document.getElementById('libraryId').value;
+  const resource = readLibraryForm();
+
+  try {
+    if (id) await MessageStore.updateResource(id, resource);
+    else await MessageStore.createResource(resource);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  alert(I18n.t(resource.published ? 'library.savedPublished' : 'library.savedDraft'));
+  fillLibraryForm(null);
+  loadLibrary();
+  ResourceLibrary.load();
+}
+
+/**
+ * Show the article in the editor as students would read it
+ */
+function handleLibraryPreview() {
+  const resource = readLibraryForm();
+  if (!resource.title.trim() || !resource.category || !resource.body.trim()) {
+    alert(I18n.t('library.previewIncomplete'));
+    return;
+  }
+  ResourceLibrary.open({ ...resource, updatedAt: new Date().toISOString() }, { preview: true });
+}
+
+/**
+ * Publish an article or take it back to draft
+ * @param {Object} resource - Article
+ */
+async function handleLibraryPublish(resource) {
+  const publish = !resource.published;
+  if (!publish && !confirm(I18n.t('library.confirmUnpublish', { title: resource.title }))) return;
+
+  try {
+    await MessageStore.publishResource(resource.id, publish);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+  if (document.getElementById('libraryId').value === resource.id) {
+    document.getElementById('libraryPublished').checked = publish;
+  }
+  loadLibrary();
+  ResourceLibrary.load();
+}
+
+// ===== ANALYTICS =====
+
+const ANALYTICS_DEFAULT_WEEKS = 13;
+
+/**
+ * Switch between the dashboard tabs
+ * @param {string} tab - 'cases', 'analytics', 'templates', 'library' or 'audit'
+ */
+function showDashboardTab(tab) {
+  document.querySelectorAll('.dashboard-tab').forEach(btn => {
+    const active = btn.dataset.tab === tab;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-selected', String(active));
+  });
+  document.getElementById('casesTab').classList.toggle('hidden', tab !== 'cases');
+  document.getElementById('analyticsTab').classList.toggle('hidden', tab !== 'analytics');
+  document.getElementById('templatesTab').classList.toggle('hidden', tab !== 'templates');
+  document.getElementById('libraryTab').classList.toggle('hidden', tab !== 'library');
+  document.getElementById('auditTab').classList.toggle('hidden', tab !== 'audit');
+
+  if (tab === 'analytics') {
+    if (!document.getElementById('analyticsFrom').value) setAnalyticsRange(ANALYTICS_DEFAULT_WEEKS);
+    loadAnalytics();
+  }
+  if (tab === 'templates') loadTemplates();
+  if (tab === 'library') loadLibrary();
+  if (tab === 'audit') {
+    loadAuditFilters();
+    loadAuditLog();
+  }
+}
+
+/**
+ * Fill the date range with the last few weeks, ending today
+ * @param {number} weeks - Number of weeks
+ */
+function setAnalyticsRange(weeks) {
+  const to = new Date();
+  const from = new Date(to);
+  from.setDate(from.getDate() - weeks * 7 + 1);
+  document.getElementById('analyticsFrom').value = Analytics.toDayValue(from);
+  document.getElementById('analyticsTo').value = Analytics.toDayValue(to);
+}
+
+/**
+ * Load every message and render the analytics for the selected range
+ */
+async function loadAnalytics() {
+  let range;
+  try {
+    range = Analytics.createRange(
+      document.getElementById('analyticsFrom').value,
+      document.getElementById('analyticsTo').value
+    );
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+
+  let messages;
+  try {
+    messages = await MessageStore.listMessages();
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  renderAnalytics(Analytics.summarize(messages, range));
+}
+
+/**
+ * Render period totals and charts
+ * @param {Object} summary - Result of Analytics.summarize
+ */
+function renderAnalytics(summary) {
+  const { totals } = summary;
+  const hours = value => value === null ? '—' : `${Analytics.formatNumber(value)} h`;
+  const summaryCards = [
+    { icon: 'bx-message-dots', color: 'primary', value: totals.messages, label: I18n.t('analytics.totalMessages') },
+    { icon: 'bx-error-circle', color: 'danger', value: totals.crisisDetections, label: I18n.t('analytics.totalCrisis') },
+    { icon: 'bx-stopwatch', color: 'warning', value: hours(totals.avgFirstResponseHours), label: I18n.t('analytics.avgFirstResponse') },
+    { icon: 'bx-check-circle', color: 'success', value: hours(totals.avgResolutionHours), label: I18n.t('analytics.avgResolution') }
+  ];
+
+  SafeRender.setHtml(document.getElementById('analyticsSummary'), SafeRender.html`${summaryCards.map(card => SafeRender.html`
+    <div class="stat-card glass-card">
+      <div class="stat-icon ${card.color}">
+        <i class='bx ${card.icon}'></i>
+      </div>
+      <div class="stat-content">
+        <div class="stat-value">${card.value}</div>
+        <div class="stat-label">${card.label}</div>
+      </div>
+    </div>
+  `)}`);
+
+  const categories = Analytics.toSeries(Analytics.CATEGORY_LABELS, Analytics.PALETTE);
+  const moods = Analytics.toSeries(Analytics.MOOD_LABELS, Analytics.MOOD_COLORS);
+  const levels = Analytics.toSeries(Analytics.CRISIS_LEVEL_LABELS, Analytics.LEVEL_COLORS);
+  const responseTimes = Analytics.toSeries(Analytics.RESPONSE_TIME_LABELS, Analytics.PALETTE);
+
+  SafeRender.setHtml(document.getElementById('chartCategories'), SafeRender.html`
+    ${Analytics.renderStackedBars(summary.categories, categories)}
+    ${Analytics.renderDataTable(summary.categories, categories)}
+  `);
+  SafeRender.setHtml(document.getElementById('chartMoods'), SafeRender.html`
+    ${Analytics.renderStackedBars(summary.moods, moods, { percent: true })}
+    ${Analytics.renderDataTable(summary.moods, moods)}
+  `);
+  SafeRender.setHtml(document.getElementById('chartCrisis'), SafeRender.html`
+    ${Analytics.renderStackedBars(summary.crisis, levels)}
+    ${Analytics.renderDataTable(summary.crisis, levels)}
+  `);
+  SafeRender.setHtml(document.getElementById('chartResponseTimes'), SafeRender.html`
+    ${Analytics.renderLineChart(summary.responseTimes, responseTimes, 'h')}
+    ${Analytics.renderDataTable(summary.responseTimes, responseTimes, value => Analytics.formatNumber(value))}
+  `);
+}
+
+// ===== AUDIT LOG =====
+
+const AUDIT_ACTION_LABELS = I18n.labels('audit.actionLabel', [
+  'login', 'logout', 'view', 'status', 'reply', 'notes', 'note_add', 'note_edit', 'assign', 'acknowledge', 'legal_hold', 'export', 'backup', 'restore', 'retention_config', 'retention_run', 'account_create', 'account_update', 'lexicon_publish', 'lexicon_activate', 'escalation_config', 'template_create', 'template_update', 'template_delete', 'resource_create', 'resource_update', 'resource_publish'
+]);
+
+/**
+ * Fill the action and counselor filters
+ */
+async function loadAuditFilters() {
+  const actionSelect = document.getElementById('auditAction');
+  const action = actionSelect.value;
+  actionSelect.length = 1;
+  Object.entries(AUDIT_ACTION_LABELS).forEach(([value, label]) => actionSelect.add(new Option(label, value)));
+  actionSelect.value = action;
+
+  let counselors;
+  try {
+    counselors = await MessageStore.listCounselors();
+  } catch (err) {
+    return;
+  }
+  const actorSelect = document.getElementById('auditActor');
+  const selected = actorSelect.value;
+  actorSelect.length = 1;
+  counselors.forEach(c => actorSelect.add(new Option(c.name, c.id)));
+  actorSelect.value = selected;
+}
+
+/**
+ * Encrypted note in an audit value: `note` for the notes list, and
+ * `counselorNotes` for entries from before notes were kept as a list
+ * @param {Object|null} value - Logged before/after value
+ * @returns {Object|null} Encrypted box
+ */
+function getAuditNoteBox(value) {
+  return value ? value.note || value.counselorNotes || null : null;
+}
+
+/**
+ * Decrypt the note versions referenced by audit entries
+ * @param {Array} entries - Audit entries
+ * @returns {Promise<Map>} Encrypted box -> plain text, or null when it cannot be opened
+ */
+async function decryptAuditNotes(entries) {
+  const noteEntries = entries.filter(entry => ['notes', 'note_add', 'note_edit'].includes(entry.action));
+  const plain = new Map();
+  if (noteEntries.length === 0) return plain;
+
+  // The case list carries the key headers and is not itself an audited view
+  const messages = new Map((await MessageStore.listMessages()).map(m => [m.id, m]));
+  await Promise.all(noteEntries.flatMap(entry => [entry.before, entry.after].map(async value => {
+    const box = getAuditNoteBox(value);
+    if (!box) return;
+    try {
+      const message = messages.get(entry.messageId);
+      plain.set(box, await E2ECrypto.decryptText(await getThreadKey(message), box));
+    } catch (err) {
+      plain.set(box, null);
+    }
+  })));
+  return plain;
+}
+
+/**
+ * Format a before/after value for display
+ * @param {*} value - Logged value
+ * @returns {string} Text
+ */
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value !== 'object') return String(value);
+  return Object.entries(value)
+    .map(([key, item]) => `${key}: ${item !== null && typeof item === 'object' ? JSON.stringify(item) : item}`)
+    .join(' · ');
+}
+
+/**
+ * Describe what an entry changed
+ * @param {Object} entry - Audit entry
+ * @param {Map} notes - Decrypted notes from decryptAuditNotes
+ * @returns {RenderedHtml} Markup
+ */
+function createAuditChange(entry, notes) {
+  const { before, after } = entry;
+  const change = (from, to) => SafeRender.html`
+    <span class="audit-before">${from}</span> <i class='bx bx-right-arrow-alt'></i> <span class="audit-after">${to}</span>
+  `;
+  const noteText = value => {
+    const box = getAuditNoteBox(value);
+    if (!box) return I18n.t('audit.noNotes');
+    const text = notes.get(box);
+    return text === null || text === undefined ? `🔒 ${I18n.t('audit.unavailable')}` : text || I18n.t('audit.emptyNotes');
+  };
+  const assignee = value => (value && value.assignedTo ? value.assignedTo.counselorName : I18n.t('assignment.unassigned'));
+  const hold = value => (value ? I18n.t('audit.holdOn', { reason: value.reason }) : I18n.t('common.no'));
+  const publication = value => I18n.t(value.published ? 'library.published' : 'library.draft');
+
+  switch (entry.action) {
+    case 'status':
+      return change(getStatusLabel(before.status), getStatusLabel(after.status));
+    case 'reply':
+      return SafeRender.html`
+        ${I18n.t('audit.replyNumber', { number: after.replyIndex + 1 })}
+        ${before.status !== after.status ? SafeRender.html` · ${change(getStatusLabel(before.status), getStatusLabel(after.status))}` : ''}
+      `;
+    case 'notes':
+    case 'note_edit':
+      return change(noteText(before), noteText(after));
+    case 'note_add':
+      return SafeRender.html`${noteText(after)}`;
+    case 'assign':
+      return change(assignee(before), assignee(after));
+    case 'legal_hold':
+      return change(hold(before), hold(after));
+    case 'template_create':
+      return SafeRender.html`«${after.title}»`;
+    case 'template_update':
+      return before.title === after.title ? SafeRender.html`«${after.title}»` : change(`«${before.title}»`, `«${after.title}»`);
+    case 'template_delete':
+      return SafeRender.html`«${before.title}»`;
+    case 'resource_create':
+      return SafeRender.html`«${after.title}» · ${publication(after)}`;
+    case 'resource_update':
+    case 'resource_publish':
+      return SafeRender.html`
+        ${before.title === after.title ? SafeRender.html`«${after.title}»` : change(`«${before.title}»`, `«${after.title}»`)}
+        ${before.published !== after.published ? SafeRender.html` · ${change(publication(before), publication(after))}` : ''}
+      `;
+    default:
+      if (!before && !after) return SafeRender.html``;
+      return before ? change(formatAuditValue(before), formatAuditValue(after)) : SafeRender.html`${formatAuditValue(after)}`;
+  }
+}
+
+/**
+ * Load the audit log with the current filters
+ */
+async function loadAuditLog() {
+  const filters = {
+    action: document.getElementById('auditAction').value,
+    actorId: document.getElementById('auditActor').value,
+    messageId: document.getElementById('auditMessageId').value.trim(),
+    from: document.getElementById('auditFrom').value,
+    to: document.getElementById('auditTo').value
+  };
+
+  let data;
+  let notes;
+  try {
+    data = await MessageStore.listAuditLog(filters);
+    notes = await decryptAuditNotes(data.entries);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  const { verification } = data;
+  SafeRender.setHtml(document.getElementById('auditVerification'), verification.valid ? SafeRender.html`
+    <div class="alert alert-success">
+      <i class='bx bx-check-shield'></i>
+      <p>
+        ${I18n.t('audit.chainValid', { count: verification.count })}
+        ${I18n.t('audit.headHash')} <code class="audit-hash">${verification.headHash}</code>
+        <span class="text-secondary">${I18n.t('audit.headHashHelp')}</span>
+      </p>
+    </div>
+  ` : SafeRender.html`
+    <div class="alert alert-danger">
+      <i class='bx bx-error'></i>
+      <p><strong>${I18n.t('audit.chainBroken')}</strong> ${I18n.t('audit.chainBrokenAt', { seq: verification.brokenAt, count: verification.count })}</p>
+    </div>
+  `);
+
+  document.getElementById('auditCount').textContent = data.total > data.entries.length
+    ? I18n.t('audit.showingLatest', { shown: data.entries.length, total: data.total })
+    : I18n.t('audit.count', { count: data.total });
+
+  const container = document.getElementById('auditEntries');
+  if (data.entries.length === 0) {
+    SafeRender.setHtml(container, SafeRender.html`<p class="text-secondary">${I18n.t('audit.empty')}</p>`);
+    return;
+  }
+
+  SafeRender.setHtml(container, SafeRender.html`${data.entries.map(entry => SafeRender.html`
+    <div class="audit-entry">
+      <span class="audit-seq">#${entry.seq}</span>
+      <span class="audit-time">${I18n.formatDateTime(entry.at)}</span>
+      <strong>${entry.actorName}</strong>
+      <span class="badge badge-primary">${AUDIT_ACTION_LABELS[entry.action] || entry.action}</span>
+      ${entry.messageId ? SafeRender.html`
+        <button type="button" class="btn btn-sm btn-secondary" data-audit-message-id="${entry.messageId}">
+          ${I18n.t('audit.case', { id: entry.messageId.slice(0, 8) })}
+        </button>
+      ` : ''}
+      <span class="audit-change">${createAuditChange(entry, notes)}</span>
+    </div>
+  `)}`);
+
+  container.querySelectorAll('button[data-audit-message-id]').forEach(btn => {
+    btn.addEventListener('click', () => showMessageDetail(btn.dataset.auditMessageId));
+  });
+}
+
+// ===== ACCOUNT ADMINISTRATION =====
+
+/**
+ * Load and display counselor accounts (admin only)
+ */
+async function loadCounselorAccounts() {
+  const container = document.getElementById('accountsList');
+
+  let accounts;
+  try {
+    accounts = await MessageStore.listCounselors();
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  SafeRender.setHtml(container, SafeRender.html`${accounts.map(account => SafeRender.html`
+    <div class="account-item">
+      <div>
+        <strong>${account.name}</strong>
+        <span class="text-secondary">@${account.username}</span>
+      </div>
+      <div class="flex gap-sm items-center">
+        <span class="badge badge-primary">${I18n.t(`role.${account.role}`)}</span>
+        <span class="badge badge-${account.active ? 'success' : 'danger'}">${I18n.t(account.active ? 'accounts.active' : 'accounts.inactive')}</span>
+        ${account.id !== CounselorSession.counselor.id ? SafeRender.html`
+          <button class="btn btn-sm btn-secondary" data-account-id="${account.id}" data-active="${!account.active}">
+            ${I18n.t(account.active ? 'accounts.deactivate' : 'accounts.activate')}
+          </button>
+        ` : ''}
+      </div>
+    </div>
+  `)}`);
+
+  container.querySelectorAll('button[data-account-id]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await MessageStore.setCounselorActive(btn.dataset.accountId, btn.dataset.active === 'true');
+      } catch (err) {
+        handleCounselorApiError(err);
+        return;
+      }
+      loadCounselorAccounts();
+    });
+  });
+}
+
+/**
+ * Handle new account form submission (admin only)
+ * @param {Event} e - Form event
+ */
+async function handleCreateAccount(e) {
+  e.preventDefault();
+
+  const password = document.getElementById('newAccountPassword').value;
+  const adminPassword = document.getElementById('newAccountAdminPassword');
+
+  // The team key is only held as a non-extractable key, so it is unlocked
+  // again from the administrator's own box to make the new account's copy
+  let privateKey = null;
+  if (CounselorSession.privateKeyBox) {
+    try {
+      privateKey = await E2ECrypto.unlockPrivateKey(CounselorSession.privateKeyBox, adminPassword.value);
+    } catch (err) {
+      alert(I18n.t('accounts.error.wrongPassword'));
+      adminPassword.value = '';
+      return;
+    }
+  }
+
+  try {
+    await MessageStore.createCounselor({
+      username: document.getElementById('newAccountUsername').value.trim(),
+      name: document.getElementById('newAccountName').value.trim(),
+      password,
+      role: document.getElementById('newAccountRole').value,
+      // Give the new account its own copy of the team key, locked with its password
+      privateKeyBox: privateKey ? await E2ECrypto.lockPrivateKey(privateKey, password) : null
+    });
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  e.target.reset();
+  alert(I18n.t('accounts.created'));
+  loadCounselorAccounts();
+}
+
+// ===== CRISIS LEXICON =====
+
+const LEXICON_CATEGORY_LABELS = I18n.labels('lexicon.category', ['suicide', 'selfHarm', 'violence', 'severe', 'death']);
+
+// Spanish terms are the lexicon's `keywords`; other languages go in `localeKeywords`
+const LEXICON_LANGUAGES = ['es', ...Object.keys(CrisisDetection.languages)];
+
+const LEXICON_SAMPLE_TEXTS = [
+  'quiero morir',
+  'no quiero morir, solo estoy cansado',
+  'ya no puedo más con todo',
+  'a veces pienso en hacerme daño',
+  'mi papá trabaja en el matadero',
+  'tengo miedo de los exámenes finales',
+  'I want to kill myself',
+  "I don't want to die, I'm just tired"
+];
+
+/**
+ * Load lexicon versions and fill the draft with the active one (admin only)
+ */
+async function loadLexicons() {
+  let data;
+  try {
+    data = await MessageStore.listLexicons();
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  const active = data.lexicons.find(l => l.version === data.activeVersion);
+  CrisisDetection.setLexicon(active);
+  renderLexiconVersions(data.lexicons, data.activeVersion);
+  fillLexiconDraft(active);
+
+  const samples = document.getElementById('lexiconSamples');
+  if (!samples.value.trim()) samples.value = LEXICON_SAMPLE_TEXTS.join('\n');
+  SafeRender.setHtml(document.getElementById('lexiconTestResults'), SafeRender.html``);
+}
+
+/**
+ * Render the list of lexicon versions
+ * @param {Array} lexicons - Versions, newest first
+ * @param {number} activeVersion - Active version number
+ */
+function renderLexiconVersions(lexicons, activeVersion) {
+  const container = document.getElementById('lexiconVersions');
+
+  SafeRender.setHtml(container, SafeRender.html`${lexicons.map(lexicon => SafeRender.html`
+    <div class="account-item">
+      <div>
+        <strong>${I18n.t('lexicon.version', { version: lexicon.version })}</strong>
+        <span class="text-secondary">${formatDate(lexicon.createdAt)} · ${lexicon.createdByName}</span>
+        ${lexicon.note ? SafeRender.html`<p class="text-secondary">${lexicon.note}</p>` : ''}
+      </div>
+      <div class="flex gap-sm items-center">
+        ${lexicon.version === activeVersion ? SafeRender.html`
+          <span class="badge badge-success">${I18n.t('lexicon.active')}</span>
+        ` : SafeRender.html`
+          <button type="button" class="btn btn-sm btn-secondary" data-lexicon-version="${lexicon.version}">
+            <i class='bx bx-undo'></i>
+            ${I18n.t('lexicon.rollback')}
+          </button>
+        `}
+      </div>
+    </div>
+  `)}`);
+
+  container.querySelectorAll('button[data-lexicon-version]').forEach(btn => {
+    btn.addEventListener('click', () => handleLexiconRollback(Number(btn.dataset.lexiconVersion)));
+  });
+}
+
+/**
+ * Fill the language picker of the draft editor
+ */
+function fillLexiconLanguages() {
+  const select = document.getElementById('lexiconLanguage');
+  const selected = select.value || 'es';
+  SafeRender.setHtml(select, SafeRender.html`${LEXICON_LANGUAGES.map(language => SafeRender.html`
+    <option value="${language}">${I18n.LOCALES[language].name}</option>
+  `)}`);
+  select.value = selected;
+}
+
+/**
+ * Show the draft terms of the language chosen in the editor
+ */
+function showLexiconLanguage() {
+  const language = document.getElementById('lexiconLanguage').value || 'es';
+  document.querySelectorAll('#lexiconCategories [data-language]').forEach(group => {
+    group.classList.toggle('hidden', group.dataset.language !== language);
+  });
+}
+
+/**
+ * Fill the draft editor with a lexicon
+ * @param {Object} lexicon - Lexicon
+ */
+function fillLexiconDraft(lexicon) {
+  const container = document.getElementById('lexiconCategories');
+  const terms = { es: lexicon.keywords, ...CrisisDetection.getLocaleKeywords(lexicon) };
+
+  fillLexiconLanguages();
+  SafeRender.setHtml(container, SafeRender.html`${Object.keys(LEXICON_CATEGORY_LABELS).map(category => SafeRender.html`
+    <div class="lexicon-category">
+      ${LEXICON_LANGUAGES.map(language => SafeRender.html`
+        <div class="form-group" data-language="${language}">
+          <label class="form-label" for="lexiconTerms-${language}-${category}">${LEXICON_CATEGORY_LABELS[category]}</label>
+          <textarea id="lexiconTerms-${language}-${category}" class="form-textarea" lang="${language}"
+            data-category="${category}">${(terms[language][category] || []).join('\n')}</textarea>
+        </div>
+      `)}
+      <div class="form-group">
+        <label class="form-label" for="lexiconWeight-${category}">${I18n.t('lexicon.weight')}</label>
+        <input type="number" id="lexiconWeight-${category}" class="form-input" min="0" max="100" step="any"
+          value="${lexicon.scores[category] ?? 0}" required>
+      </div>
+    </div>
+  `)}`);
+
+  showLexiconLanguage();
+  document.getElementById('lexiconThresholdCritical').value = lexicon.thresholds.critical;
+  document.getElementById('lexiconThresholdHigh').value = lexicon.thresholds.high;
+  document.getElementById('lexiconThresholdModerate').value = lexicon.thresholds.moderate;
+  document.getElementById('lexiconNote').value = '';
+}
+
+/**
+ * Read the draft lexicon from the editor
+ * @returns {Object} { version, keywords, localeKeywords, scores, thresholds, note }
+ */
+function readLexiconDraft() {
+  const terms = {};
+  const scores = {};
+
+  LEXICON_LANGUAGES.forEach(language => {
+    terms[language] = {};
+    Object.keys(LEXICON_CATEGORY_LABELS).forEach(category => {
+      terms[language][category] = document.getElementById(`lexiconTerms-${language}-${category}`).value
+        .split('\n')
+        .map(term => term.trim())
+        .filter(Boolean);
+    });
+  });
+  Object.keys(LEXICON_CATEGORY_LABELS).forEach(category => {
+    scores[category] = Number(document.getElementById(`lexiconWeight-${category}`).value);
+  });
+
+  const { es: keywords, ...localeKeywords } = terms;
+  return {
+    version: 'borrador',
+    keywords,
+    localeKeywords,
+    scores,
+    thresholds: {
+      critical: Number(document.getElementById('lexiconThresholdCritical').value),
+      high: Number(document.getElementById('lexiconThresholdHigh').value),
+      moderate: Number(document.getElementById('lexiconThresholdModerate').value)
+    },
+    note: document.getElementById('lexiconNote').value.trim()
+  };
+}
+
+/**
+ * Run the sample texts through the active lexicon and the draft
+ */
+function handleLexiconTest() {
+  const samples = document.getElementById('lexiconSamples').value
+    .split('\n')
+    .map(text => text.trim())
+    .filter(Boolean);
+  const results = CrisisDetection.compareLexicons(samples, readLexiconDraft());
+  const changed = results.filter(r => r.changed).length;
+
+  SafeRender.setHtml(document.getElementById('lexiconTestResults'), SafeRender.html`
+    <p class="mb-md">${I18n.t('lexicon.testSummary', { changed, count: results.length })}</p>
+    <div class="lexicon-test-row">
+      <strong>${I18n.t('lexicon.testText')}</strong>
+      <strong>${I18n.t('lexicon.testActive', { version: CrisisDetection.version })}</strong>
+      <strong>${I18n.t('lexicon.draft')}</strong>
+    </div>
+    ${results.map(result => SafeRender.html`
+      <div class="lexicon-test-row ${result.changed ? 'changed' : ''}">
+        <span>${SafeRender.truncate(result.text, 120)}</span>
+        <span>
+          ${CRISIS_LEVEL_LABELS[result.current.crisisLevel]} (${result.current.severityScore})
+          <small>${result.current.detectedKeywords.join(', ')}</small>
+        </span>
+        <span>
+          ${CRISIS_LEVEL_LABELS[result.draft.crisisLevel]} (${result.draft.severityScore})
+          <small>${result.draft.detectedKeywords.join(', ')}</small>
+        </span>
+      </div>
+    `)}
+  `);
+}
+
+/**
+ * Replace the sample texts with the decrypted messages received so far
+ */
+async function handleLoadSampleMessages() {
+  let messages;
+  try {
+    messages = await Promise.all((await MessageStore.listMessages()).map(decryptForCounselor));
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  const texts = messages
+    .filter(m => !m.locked)
+    .map(m => m.message.replace(/\s+/g, ' ').trim());
+  document.getElementById('lexiconSamples').value = texts.join('\n');
+  handleLexiconTest();
+}
+
+/**
+ * Publish the draft as a new active version
+ * @param {Event} e - Form event
+ */
+async function handleLexiconPublish(e) {
+  e.preventDefault();
 
-  if (message) {
-    message.status = newStatus;
-    saveMessages(messages);
-    updateDashboardStats();
-    loadMessages();
+  const { version, ...draft } = readLexiconDraft();
+  if (!confirm(I18n.t('lexicon.confirmPublish'))) return;
+
+  try {
+    await MessageStore.publishLexicon(draft);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
   }
+
+  alert(I18n.t('lexicon.published'));
+  loadLexicons();
 }
 
 /**
- * Handle reply form submission
+ * Make an earlier lexicon version active again
+ * @param {number} version - Version number
+ */
+async function handleLexiconRollback(version) {
+  if (!confirm(I18n.t('lexicon.confirmRollback', { version }))) return;
+
+  try {
+    await MessageStore.activateLexicon(version);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  loadLexicons();
+}
+
+// ===== CRISIS ESCALATION SETTINGS =====
+
+/**
+ * Format an ISO date for a datetime-local input
+ * @param {string} isoString - ISO date
+ * @returns {string} Local "YYYY-MM-DDTHH:MM"
+ */
+function toDateTimeLocal(isoString) {
+  const date = new Date(isoString);
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Load notification settings into the form (admin only)
+ */
+async function loadEscalationConfig() {
+  let data;
+  let counselors;
+  try {
+    [data, counselors] = await Promise.all([
+      MessageStore.getEscalationConfig(),
+      MessageStore.listCounselors()
+    ]);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  const { email, webhook, onCall, dashboardUrl } = data.config;
+  document.getElementById('escalationEmailEnabled').checked = email.enabled;
+  document.getElementById('escalationSmtpHost').value = email.host;
+  document.getElementById('escalationSmtpPort').value = email.port;
+  document.getElementById('escalationSmtpSecurity').value = email.secure ? 'tls' : email.starttls ? 'starttls' : 'none';
+  document.getElementById('escalationEmailFrom').value = email.from;
+  document.getElementById('escalationSmtpUsername').value = email.username;
+  document.getElementById('escalationSmtpPassword').value = '';
+  document.getElementById('escalationSmtpPassword').placeholder = email.hasPassword ? I18n.t('escalation.passwordSaved') : '';
+  document.getElementById('escalationWebhookEnabled').checked = webhook.enabled;
+  document.getElementById('escalationWebhookUrl').value = webhook.url;
+  document.getElementById('escalationWebhookSecret').value = '';
+  document.getElementById('escalationWebhookSecret').placeholder = webhook.hasSecret ? I18n.t('escalation.secretSaved') : '';
+  document.getElementById('escalationShiftHours').value = onCall.shiftHours;
+  document.getElementById('escalationStartsAt').value = toDateTimeLocal(onCall.startsAt);
+  document.getElementById('escalationDashboardUrl').value = dashboardUrl || `${location.origin}${location.pathname}#counselor`;
+
+  CounselorSession.escalationCounselors = counselors.filter(c => c.active);
+  renderEscalationRotation(onCall.rotation);
+
+  SafeRender.setHtml(document.getElementById('escalationOnCallNow'), data.onCallNow ? SafeRender.html`
+    <i class='bx bx-user-voice'></i>
+    ${I18n.t('escalation.onCallNow')} <strong>${data.onCallNow.name}</strong>
+    ${data.backupNow && data.backupNow.counselorId !== data.onCallNow.counselorId ? SafeRender.html` · ${I18n.t('escalation.backupNow', { name: data.backupNow.name })}` : ''}
+  ` : SafeRender.html`
+    <span class="text-secondary">${I18n.t('escalation.nobodyOnCall')}</span>
+  `);
+}
+
+/**
+ * Render the on-call rotation editor
+ * @param {Array} rotation - Entries { counselorId, email }, in shift order
+ */
+function renderEscalationRotation(rotation) {
+  const container = document.getElementById('escalationRotation');
+  const counselors = CounselorSession.escalationCounselors;
+
+  SafeRender.setHtml(container, SafeRender.html`${rotation.map((entry, index) => SafeRender.html`
+    <div class="escalation-rotation-row" data-index="${index}">
+      <span class="badge badge-primary">${I18n.t('escalation.shift', { number: index + 1 })}</span>
+      <select class="form-select" data-field="counselorId" aria-label="${I18n.t('escalation.counselor')}">
+        ${counselors.map(c => SafeRender.html`
+          <option value="${c.id}" ${c.id === entry.counselorId ? 'selected' : ''}>${c.name}</option>
+        `)}
+      </select>
+      <input type="email" class="form-input" data-field="email" value="${entry.email}"
+        placeholder="${I18n.t('escalation.alertEmail')}" aria-label="${I18n.t('escalation.alertEmail')}">
+      <button type="button" class="btn btn-sm btn-secondary" data-remove-index="${index}" aria-label="${I18n.t('common.remove')}">
+        <i class='bx bx-trash'></i>
+      </button>
+    </div>
+  `)}`);
+
+  container.querySelectorAll('button[data-remove-index]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const entries = readEscalationRotation();
+      entries.splice(Number(btn.dataset.removeIndex), 1);
+      renderEscalationRotation(entries);
+    });
+  });
+}
+
+/**
+ * Read the on-call rotation from the editor
+ * @returns {Array} Entries { counselorId, email }
+ */
+function readEscalationRotation() {
+  return Array.from(document.querySelectorAll('#escalationRotation .escalation-rotation-row')).map(row => ({
+    counselorId: row.querySelector('[data-field="counselorId"]').value,
+    email: row.querySelector('[data-field="email"]').value.trim()
+  }));
+}
+
+/**
+ * Add a row to the on-call rotation
+ */
+function handleAddOnCall() {
+  const counselors = CounselorSession.escalationCounselors;
+  if (counselors.length === 0) return;
+  renderEscalationRotation([...readEscalationRotation(), { counselorId: counselors[0].id, email: '' }]);
+}
+
+/**
+ * Save notification settings
  * @param {Event} e - Form event
  */
-function handleReplySubmit(e) {
+async function handleEscalationSave(e) {
   e.preventDefault();
 
-  const messageId = e.target.dataset.messageId;
-  const replyText = document.getElementById('replyMessage').value;
-  const notes = document.getElementById('counselorNotes').value;
+  const security = document.getElementById('escalationSmtpSecurity').value;
+  try {
+    await MessageStore.updateEscalationConfig({
+      email: {
+        enabled: document.getElementById('escalationEmailEnabled').checked,
+        host: document.getElementById('escalationSmtpHost').value.trim(),
+        port: Number(document.getElementById('escalationSmtpPort').value),
+        secure: security === 'tls',
+        starttls: security === 'starttls',
+        username: document.getElementById('escalationSmtpUsername').value.trim(),
+        password: document.getElementById('escalationSmtpPassword').value,
+        from: document.getElementById('escalationEmailFrom').value.trim()
+      },
+      webhook: {
+        enabled: document.getElementById('escalationWebhookEnabled').checked,
+        url: document.getElementById('escalationWebhookUrl').value.trim(),
+        secret: document.getElementById('escalationWebhookSecret').value
+      },
+      onCall: {
+        rotation: readEscalationRotation(),
+        shiftHours: Number(document.getElementById('escalationShiftHours').value),
+        startsAt: new Date(document.getElementById('escalationStartsAt').value).toISOString()
+      },
+      dashboardUrl: document.getElementById('escalationDashboardUrl').value.trim()
+    });
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  alert(I18n.t('escalation.saved'));
+  loadEscalationConfig();
+}
+
+/**
+ * Send a test alert through the saved settings
+ */
+async function handleEscalationTest() {
+  const container = document.getElementById('escalationTestResults');
+  SafeRender.setHtml(container, SafeRender.html`<p class="text-secondary">${I18n.t('escalation.testing')}</p>`);
+
+  let results;
+  try {
+    results = await MessageStore.sendTestEscalation();
+  } catch (err) {
+    SafeRender.setHtml(container, SafeRender.html``);
+    handleCounselorApiError(err);
+    return;
+  }
+
+  SafeRender.setHtml(container, SafeRender.html`${results.map(result => SafeRender.html`
+    <div class="alert alert-${result.ok ? 'success' : 'danger'} mb-md">
+      <i class='bx ${result.ok ? 'bx-check-circle' : 'bx-error-circle'}'></i>
+      <p>
+        <strong>${NOTIFICATION_CHANNEL_LABELS[result.channel]}</strong>
+        ${result.to ? SafeRender.html` (${result.to})` : ''}:
+        ${result.ok ? I18n.t('escalation.sent') : result.error}
+      </p>
+    </div>
+  `)}`);
+}
 
-  const messages = getMessages();
-  const message = messages.find(m => m.id === messageId);
+// ===== DATA RETENTION =====
 
-  if (message) {
-    // Add reply
-    message.replies.push({
-      from: 'counselor',
-      message: replyText,
-      timestamp: new Date().toISOString()
+const RETENTION_ACTION_LABELS = I18n.labels('retention.action', ['anonymize', 'delete']);
+
+const RETENTION_TRIGGER_LABELS = I18n.labels('retention.trigger', ['startup', 'schedule', 'manual', 'restore']);
+
+/**
+ * Load retention settings and the purge log
+ */
+async function loadRetention() {
+  let data;
+  try {
+    data = await MessageStore.getRetention();
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  document.getElementById('retentionEnabled').checked = data.config.enabled;
+  document.getElementById('retentionScheduleHours').value = data.config.scheduleHours;
+  renderRetentionRules(data.config.rules);
+  renderRetentionLog(data.log);
+
+  SafeRender.setHtml(document.getElementById('retentionLastRun'), data.lastRunAt ? SafeRender.html`
+    <i class='bx bx-time'></i> ${I18n.t('retention.lastRun', { date: I18n.formatDateTime(data.lastRunAt) })}
+  ` : SafeRender.html`<span class="text-secondary">${I18n.t('retention.neverRun')}</span>`);
+}
+
+/**
+ * Render the rule editor
+ * @param {Array} rules - Rules { status, days, action }
+ */
+function renderRetentionRules(rules) {
+  const container = document.getElementById('retentionRules');
+  const statuses = ['new', 'in-review', 'responded', 'resolved'];
+
+  SafeRender.setHtml(container, rules.length === 0 ? SafeRender.html`
+    <p class="text-secondary">${I18n.t('retention.noRules')}</p>
+  ` : SafeRender.html`${rules.map((rule, index) => SafeRender.html`
+    <div class="retention-rule-row" data-index="${index}">
+      <select class="form-select" data-field="action" aria-label="${I18n.t('retention.actionLabel')}">
+        ${Object.entries(RETENTION_ACTION_LABELS).map(([value, label]) => SafeRender.html`
+          <option value="${value}" ${value === rule.action ? 'selected' : ''}>${label}</option>
+        `)}
+      </select>
+      <span>${I18n.t('retention.casesInStatus')}</span>
+      <select class="form-select" data-field="status" aria-label="${I18n.t('retention.statusLabel')}">
+        ${statuses.map(status => SafeRender.html`
+          <option value="${status}" ${status === rule.status ? 'selected' : ''}>${getStatusLabel(status)}</option>
+        `)}
+      </select>
+      <input type="number" class="form-input" data-field="days" value="${rule.days}" min="1" max="3650"
+        aria-label="${I18n.t('retention.daysLabel')}" required>
+      <span>${I18n.t(rule.status === 'resolved' ? 'retention.daysAfterResolved' : 'retention.daysAfterActivity')}</span>
+      <button type="button" class="btn btn-sm btn-secondary" data-remove-index="${index}" aria-label="${I18n.t('common.remove')}">
+        <i class='bx bx-trash'></i>
+      </button>
+    </div>
+  `)}`);
+
+  container.querySelectorAll('select[data-field="status"]').forEach(select => {
+    select.addEventListener('change', () => renderRetentionRules(readRetentionRules()));
+  });
+  container.querySelectorAll('button[data-remove-index]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const rules = readRetentionRules();
+      rules.splice(Number(btn.dataset.removeIndex), 1);
+      renderRetentionRules(rules);
     });
+  });
+}
 
-    // Update notes
-    message.counselorNotes = notes;
+/**
+ * Read the rules from the editor
+ * @returns {Array} Rules { status, days, action }
+ */
+function readRetentionRules() {
+  return Array.from(document.querySelectorAll('#retentionRules .retention-rule-row')).map(row => ({
+    action: row.querySelector('[data-field="action"]').value,
+    status: row.querySelector('[data-field="status"]').value,
+    days: Number(row.querySelector('[data-field="days"]').value)
+  }));
+}
 
-    // Update status to responded if not already
-    if (message.status === 'new' || message.status === 'in-review') {
-      message.status = 'responded';
-    }
+/**
+ * Describe a dry run or a completed run
+ * @param {Object} result - { items, counts, held }
+ * @param {Array} rules - Rules the item rule indexes refer to
+ * @returns {RenderedHtml} Markup
+ */
+function createRetentionItems(result, rules) {
+  if (result.items.length === 0) return SafeRender.html``;
+  return SafeRender.html`
+    <div class="retention-items">
+      ${result.items.map(item => {
+        const rule = rules[item.ruleIndex];
+        return SafeRender.html`
+          <div class="retention-item retention-item-${item.action}">
+            <span class="badge">${RETENTION_ACTION_LABELS[item.action]}</span>
+            <span>${Analytics.CATEGORY_LABELS[item.category] || item.category}</span>
+            <span>${I18n.t('retention.since', { status: getStatusLabel(item.status), date: I18n.formatDate(item.referenceAt, {}) })}</span>
+            ${rule ? SafeRender.html`<span class="text-secondary">${I18n.t('retention.ruleDays', { number: item.ruleIndex + 1, count: rule.days })}</span>` : ''}
+          </div>
+        `;
+      })}
+    </div>
+  `;
+}
+
+/**
+ * Render the purge log
+ * @param {Array} log - Log entries, newest first
+ */
+function renderRetentionLog(log) {
+  const container = document.getElementById('retentionLog');
+  if (log.length === 0) {
+    SafeRender.setHtml(container, SafeRender.html`<p class="text-secondary">${I18n.t('retention.noLog')}</p>`);
+    return;
+  }
 
-    saveMessages(messages);
+  SafeRender.setHtml(container, SafeRender.html`${log.map(entry => SafeRender.html`
+    <details class="retention-log-entry">
+      <summary>
+        <strong>${I18n.formatDateTime(entry.at)}</strong>
+        · ${RETENTION_TRIGGER_LABELS[entry.trigger] || entry.trigger}${entry.byName ? SafeRender.html` ${I18n.t('retention.by', { name: entry.byName })}` : ''}
+        · ${I18n.t('retention.logCounts', { anonymized: entry.counts.anonymize, deleted: entry.counts.delete })}
+        ${entry.held > 0 ? SafeRender.html` · ${I18n.t('retention.held', { count: entry.held })}` : ''}
+      </summary>
+      ${createRetentionItems(entry, entry.rules)}
+    </details>
+  `)}`);
+}
 
-    // Show success and refresh
-    alert('Respuesta enviada con éxito');
-    closeModal('messageModal');
-    updateDashboardStats();
-    loadMessages();
+/**
+ * Save the retention settings
+ * @param {Event} e - Form event
+ */
+async function handleRetentionSave(e) {
+  e.preventDefault();
+
+  let data;
+  try {
+    data = await MessageStore.updateRetentionConfig({
+      enabled: document.getElementById('retentionEnabled').checked,
+      scheduleHours: Number(document.getElementById('retentionScheduleHours').value),
+      rules: readRetentionRules()
+    });
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
   }
+
+  alert(I18n.t(data.config.enabled ? 'retention.savedScheduled' : 'retention.savedManual'));
+  loadRetention();
 }
 
-// ===== FILTER EVENT LISTENERS =====
+/**
+ * Add a rule to the editor
+ */
+function handleAddRetentionRule() {
+  renderRetentionRules([...readRetentionRules(), { status: 'resolved', days: 180, action: 'anonymize' }]);
+}
 
 /**
- * Initialize counselor dashboard
+ * Show what the saved rules would do now
  */
-function initCounselorDashboard() {
-  // Check if already logged in
-  if (isCounselorLoggedIn()) {
-    showCounselorDashboard();
+async function handleRetentionPreview() {
+  const container = document.getElementById('retentionPreview');
+  let preview;
+  let data;
+  try {
+    [preview, data] = await Promise.all([MessageStore.previewRetention(), MessageStore.getRetention()]);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  SafeRender.setHtml(container, SafeRender.html`
+    <div class="alert alert-${preview.items.length > 0 ? 'warning' : 'success'} mb-md">
+      <i class='bx bx-info-circle'></i>
+      <p>
+        ${I18n.t('retention.previewResult', { anonymized: preview.counts.anonymize, deleted: preview.counts.delete })}
+        ${preview.held > 0 ? SafeRender.html` ${I18n.t('retention.previewHeld', { count: preview.held })}` : ''}
+        ${I18n.t('retention.previewNothingChanged')}
+      </p>
+    </div>
+    ${createRetentionItems(preview, data.config.rules)}
+  `);
+}
+
+/**
+ * Apply the saved rules immediately
+ */
+async function handleRetentionRun() {
+  if (!confirm(I18n.t('retention.confirmRun'))) return;
+
+  let run;
+  try {
+    run = await MessageStore.runRetention();
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  alert(I18n.t('retention.ran', { anonymized: run.counts.anonymize, deleted: run.counts.delete }));
+  SafeRender.setHtml(document.getElementById('retentionPreview'), SafeRender.html``);
+  CounselorSession.threadKeys.clear();
+  loadRetention();
+  loadMessages();
+  updateDashboardStats();
+}
+
+/**
+ * Create the legal hold section of the message detail modal
+ * @param {Object} message - Message object
+ * @returns {RenderedHtml} Markup
+ */
+function createLegalHoldPanel(message) {
+  const hold = message.legalHold;
+  const isAdmin = CounselorSession.counselor.role === 'admin';
+  if (!hold && !isAdmin) return SafeRender.html``;
+
+  return SafeRender.html`
+    <div class="legal-hold-panel mb-lg ${hold ? 'active' : ''}">
+      <h4><i class='bx bx-shield-quarter'></i> ${I18n.t('legalHold.title')}</h4>
+      ${hold ? SafeRender.html`
+        <p>${I18n.t('legalHold.active')}</p>
+        <p class="text-secondary">
+          ${I18n.t('legalHold.reason', { reason: hold.reason })} · ${hold.byName}, ${I18n.formatDateTime(hold.at)}
+        </p>
+      ` : SafeRender.html`
+        <p class="text-secondary">${I18n.t('legalHold.none')}</p>
+      `}
+      ${isAdmin ? SafeRender.html`
+        <button type="button" id="legalHoldBtn" class="btn btn-sm btn-secondary">
+          ${I18n.t(hold ? 'legalHold.lift' : 'legalHold.place')}
+        </button>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Place or lift the legal hold of a case
+ * @param {Object} message - Message shown in the modal
+ */
+async function handleLegalHoldToggle(message) {
+  let reason = '';
+  if (!message.legalHold) {
+    reason = prompt(I18n.t('legalHold.promptReason'));
+    if (reason === null) return;
+  } else if (!confirm(I18n.t('legalHold.confirmLift'))) {
+    return;
+  }
+
+  try {
+    await MessageStore.setLegalHold(message.id, !message.legalHold, reason);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+  showMessageDetail(message.id);
+  loadMessages();
+}
+
+// ===== BACKUP AND RESTORE =====
+
+const BACKUP_FILE_FORMAT = 'voces-anonimas-backup-cifrada';
+
+const BACKUP_ACTION_LABELS = I18n.labels('backup.action', ['add', 'overwrite', 'skip']);
+
+/**
+ * Download an encrypted snapshot of the whole mailbox
+ * @param {Event} e - Form event
+ */
+async function handleBackupCreate(e) {
+  e.preventDefault();
+
+  const passwordInput = document.getElementById('backupPassword');
+  const confirmInput = document.getElementById('backupPasswordConfirm');
+  if (passwordInput.value !== confirmInput.value) {
+    alert(I18n.t('backup.error.passwordMismatch'));
+    return;
+  }
+
+  let snapshot;
+  try {
+    snapshot = await MessageStore.getBackupSnapshot();
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  const box = await E2ECrypto.lockWithPassword(JSON.stringify(snapshot), passwordInput.value);
+  const file = {
+    format: BACKUP_FILE_FORMAT,
+    version: 1,
+    createdAt: snapshot.createdAt,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: E2ECrypto.KEY_ITERATIONS },
+    cipher: 'AES-GCM',
+    ...box
+  };
+  downloadFile(`voces-anonimas-copia-${snapshot.createdAt.slice(0, 10)}.json`, JSON.stringify(file), 'application/json');
+
+  passwordInput.value = '';
+  confirmInput.value = '';
+}
+
+/**
+ * Read and decrypt the selected backup file
+ * @returns {Promise<Object>} Snapshot
+ */
+async function readBackupFile() {
+  const [selected] = document.getElementById('backupFile').files;
+  if (!selected) throw new Error(I18n.t('backup.error.noFile'));
+
+  let file;
+  try {
+    file = JSON.parse(await selected.text());
+  } catch (err) {
+    throw new Error(I18n.t('backup.error.invalidFile'));
+  }
+  if (!file || file.format !== BACKUP_FILE_FORMAT) {
+    throw new Error(I18n.t('backup.error.wrongFormat'));
+  }
+  if (!file.kdf || file.kdf.iterations !== E2ECrypto.KEY_ITERATIONS) {
+    throw new Error(I18n.t('backup.error.otherVersion'));
+  }
+
+  try {
+    const password = document.getElementById('backupRestorePassword').value;
+    return JSON.parse(await E2ECrypto.unlockWithPassword(file, password));
+  } catch (err) {
+    throw new Error(I18n.t('backup.error.wrongPassword'));
+  }
+}
+
+/**
+ * Options chosen for the restore
+ * @returns {Object} { overwrite, settings }
+ */
+function getRestoreOptions() {
+  return {
+    overwrite: document.getElementById('backupOverwrite').checked,
+    settings: document.getElementById('backupSettings').checked
+  };
+}
+
+/**
+ * Forget a reviewed backup, e.g. after the file or options change
+ */
+function clearBackupPreview() {
+  CounselorSession.pendingBackup = null;
+  document.getElementById('backupRestoreBtn').disabled = true;
+  SafeRender.setHtml(document.getElementById('backupPreview'), SafeRender.html``);
+}
+
+/**
+ * Render what a restore would change
+ * @param {Object} preview - Preview from the server
+ */
+function renderBackupPreview(preview) {
+  const { messages, counselors, lexicons } = preview;
+  const nothingToDo = messages.add + messages.overwrite === 0 && counselors.add + counselors.overwrite === 0 &&
+    lexicons.add === 0 && !preview.settings;
+
+  SafeRender.setHtml(document.getElementById('backupPreview'), SafeRender.html`
+    <p class="text-secondary mt-md">
+      ${I18n.t('backup.createdBy', { date: I18n.formatDateTime(preview.createdAt), name: preview.createdBy })}
+    </p>
+    ${preview.replaceTeamKey ? SafeRender.html`
+      <div class="alert alert-warning mb-md">
+        <i class='bx bx-key'></i>
+        <p>${I18n.t('backup.replaceTeamKey')}
+          ${counselors.losingKeyAccess.length > 0 ? SafeRender.html`
+            ${I18n.t('backup.losingKeyAccess', { names: counselors.losingKeyAccess.join(', ') })}
+          ` : ''}
+        </p>
+      </div>
+    ` : ''}
+    ${lexicons.conflict > 0 ? SafeRender.html`
+      <div class="alert alert-warning mb-md">
+        <i class='bx bx-error'></i>
+        <p>${I18n.t('backup.lexiconConflicts', { versions: lexicons.conflicts.join(', ') })}</p>
+      </div>
+    ` : ''}
+    <ul class="backup-summary">
+      <li>
+        <strong>${I18n.t('backup.summary.messages')}</strong> ${I18n.t('backup.summary.messageCounts', messages)}
+      </li>
+      <li>
+        <strong>${I18n.t('backup.summary.accounts')}</strong> ${I18n.t('backup.summary.accountCounts', counselors)}
+        ${counselors.names.length > 0 ? SafeRender.html` (${counselors.names.join(', ')})` : ''}
+      </li>
+      <li><strong>${I18n.t('backup.summary.lexicons')}</strong> ${I18n.t('backup.summary.lexiconCounts', lexicons)}</li>
+      <li>
+        <strong>${I18n.t('backup.summary.settings')}</strong>
+        ${I18n.t(preview.settings ? 'backup.summary.settingsRestored' : 'backup.summary.settingsKept')}
+      </li>
+    </ul>
+    ${messages.items.length > 0 ? SafeRender.html`
+      <div class="backup-items">
+        ${messages.items.map(item => SafeRender.html`
+          <div class="backup-item backup-item-${item.action}">
+            <span class="badge">${BACKUP_ACTION_LABELS[item.action]}</span>
+            <span>${I18n.formatDateTime(item.timestamp)}</span>
+            <span>${Analytics.CATEGORY_LABELS[item.category] || item.category}</span>
+            <span>${I18n.t('case.replyCount', { count: item.replies })}
+              ${item.currentReplies !== null ? SafeRender.html` ${I18n.t('backup.currentReplies', { count: item.currentReplies, matchedBy: item.matchedBy })}` : ''}
+            </span>
+          </div>
+        `)}
+      </div>
+    ` : ''}
+    ${nothingToDo ? SafeRender.html`<p class="text-secondary">${I18n.t('backup.nothingToDo')}</p>` : ''}
+  `);
+  document.getElementById('backupRestoreBtn').disabled = nothingToDo;
+}
+
+/**
+ * Decrypt the selected backup and show what restoring it would change
+ * @param {Event} e - Form event
+ */
+async function handleBackupPreview(e) {
+  e.preventDefault();
+  clearBackupPreview();
+
+  let snapshot;
+  try {
+    snapshot = await readBackupFile();
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+
+  let preview;
+  try {
+    preview = await MessageStore.previewRestore(snapshot, getRestoreOptions());
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  CounselorSession.pendingBackup = { snapshot, options: getRestoreOptions() };
+  renderBackupPreview(preview);
+}
+
+/**
+ * Restore the reviewed backup
+ */
+async function handleBackupRestore() {
+  const pending = CounselorSession.pendingBackup;
+  if (!pending || !confirm(I18n.t('backup.confirmRestore'))) return;
+
+  let restored;
+  try {
+    restored = await MessageStore.restoreBackup(pending.snapshot, pending.options);
+  } catch (err) {
+    handleCounselorApiError(err);
+    return;
+  }
+
+  clearBackupPreview();
+  document.getElementById('backupRestoreForm').reset();
+  alert(I18n.t('backup.restored', { added: restored.messages.add, overwritten: restored.messages.overwrite }));
+
+  if (restored.replaceTeamKey) {
+    alert(I18n.t('backup.keyChanged'));
+    handleCounselorLogout();
+    return;
+  }
+  showCounselorDashboard();
+}
+
+// ===== LANGUAGE =====
+
+/**
+ * Redraw the dashboard in the language just chosen. Editors are redrawn from
+ * what is on screen, so unsaved changes survive the switch.
+ */
+function refreshCounselorLanguage() {
+  const counselor = CounselorSession.counselor;
+  if (!counselor || document.getElementById('counselorDashboard').classList.contains('hidden')) return;
+
+  document.getElementById('counselorName').textContent =
+    counselor.role === 'admin' ? I18n.t('dashboard.adminName', { name: counselor.name }) : counselor.name;
+  updateDashboardStats();
+  loadMessages();
+
+  const tab = document.querySelector('.dashboard-tab.active')?.dataset.tab;
+  if (tab === 'analytics') loadAnalytics();
+  if (tab === 'templates') {
+    loadTemplates();
+    renderTemplateFormChoices(getCheckedTemplateChoices('templateCategory'), getCheckedTemplateChoices('templateCrisisLevel'));
+  }
+  if (tab === 'library') {
+    loadLibrary();
+    renderLibraryFormChoices(document.getElementById('libraryCategory').value);
+  }
+  if (tab === 'audit') {
+    loadAuditFilters();
+    loadAuditLog();
+  }
+
+  if (counselor.role === 'admin') {
+    if (document.querySelector('#lexiconCategories textarea')) {
+      const note = document.getElementById('lexiconNote').value;
+      fillLexiconDraft(readLexiconDraft());
+      document.getElementById('lexiconNote').value = note;
+    }
+    renderEscalationRotation(readEscalationRotation());
+    renderRetentionRules(readRetentionRules());
+    loadCounselorAccounts();
   }
+}
+
+// ===== FILTER EVENT LISTENERS =====
 
+/**
+ * Initialize counselor dashboard
+ */
+async function initCounselorDashboard() {
   // Login form
   document.getElementById('counselorLoginForm')?.addEventListener('submit', handleCounselorLogin);
 
   // Logout button
   document.getElementById('logoutBtn')?.addEventListener('click', handleCounselorLogout);
 
+  // Export
+  document.getElementById('exportForm')?.addEventListener('submit', handleExport);
+
+  // Dashboard tabs and analytics
+  document.querySelectorAll('.dashboard-tab').forEach(btn => {
+    btn.addEventListener('click', () => showDashboardTab(btn.dataset.tab));
+  });
+  document.getElementById('analyticsRangeForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadAnalytics();
+  });
+  document.querySelectorAll('button[data-range-weeks]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      setAnalyticsRange(Number(btn.dataset.rangeWeeks));
+      loadAnalytics();
+    });
+  });
+
+  // Audit log
+  document.getElementById('auditFilterForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadAuditLog();
+  });
+
+  // Reply templates
+  document.getElementById('templateForm')?.addEventListener('submit', handleTemplateSave);
+  document.getElementById('templateResetBtn')?.addEventListener('click', () => fillTemplateForm(null));
+
+  // Resource library
+  document.getElementById('libraryForm')?.addEventListener('submit', handleLibrarySave);
+  document.getElementById('libraryPreviewBtn')?.addEventListener('click', handleLibraryPreview);
+  document.getElementById('libraryResetBtn')?.addEventListener('click', () => fillLibraryForm(null));
+
+  // Account administration
+  document.getElementById('createAccountForm')?.addEventListener('submit', handleCreateAccount);
+
+  // Crisis lexicon
+  document.getElementById('lexiconForm')?.addEventListener('submit', handleLexiconPublish);
+  document.getElementById('lexiconTestBtn')?.addEventListener('click', handleLexiconTest);
+  document.getElementById('lexiconLoadMessagesBtn')?.addEventListener('click', handleLoadSampleMessages);
+  document.getElementById('lexiconLanguage')?.addEventListener('change', showLexiconLanguage);
+
+  // Crisis escalation
+  document.getElementById('escalationForm')?.addEventListener('submit', handleEscalationSave);
+  document.getElementById('escalationAddOnCallBtn')?.addEventListener('click', handleAddOnCall);
+  document.getElementById('escalationTestBtn')?.addEventListener('click', handleEscalationTest);
+
+  // Data retention
+  document.getElementById('retentionForm')?.addEventListener('submit', handleRetentionSave);
+  document.getElementById('retentionAddRuleBtn')?.addEventListener('click', handleAddRetentionRule);
+  document.getElementById('retentionPreviewBtn')?.addEventListener('click', handleRetentionPreview);
+  document.getElementById('retentionRunBtn')?.addEventListener('click', handleRetentionRun);
+
+  // Backup and restore
+  document.getElementById('backupCreateForm')?.addEventListener('submit', handleBackupCreate);
+  document.getElementById('backupRestoreForm')?.addEventListener('submit', handleBackupPreview);
+  document.getElementById('backupRestoreForm')?.addEventListener('change', clearBackupPreview);
+  document.getElementById('backupRestoreBtn')?.addEventListener('click', handleBackupRestore);
+
+  // Language
+  I18n.onChange(refreshCounselorLanguage);
+
   // Filter listeners
-  const filters = ['filterStatus', 'filterUrgency', 'filterCategory', 'searchMessages'];
+  const filters = ['filterStatus', 'filterUrgency', 'filterCategory', 'filterAssignee', 'searchMessages'];
   filters.forEach(filterId => {
     const element = document.getElementById(filterId);
     if (element) {
@@ -432,6 +3330,9 @@ function initCounselorDashboard() {
     }
   });
 
+  // Check if already logged in
+  await resumeCounselorSession();
+
   console.log('Counselor dashboard initialized');
 }
 
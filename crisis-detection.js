@@ -3,52 +3,405 @@
 // ============================================
 
 const CrisisDetection = {
-    // Crisis keywords in Spanish
+    // Built-in lexicon. The server seeds version 1 from it and counselors can
+    // publish newer versions; `setLexicon` swaps in the active one.
+    version: 1,
+
+    // Crisis keywords in Spanish. Entries are words or phrases matched on
+    // whole words, ignoring case and accents; a trailing `*` matches any
+    // ending ("suicid*" covers suicidio, suicidarme, suicida...), and verbs
+    // also match with a pronoun attached ("morir" covers morirme, matarlos).
     keywords: {
-        suicide: ['suicidio', 'suicidarme', 'quitarme la vida', 'acabar con todo', 'no quiero vivir', 'mejor muerto', 'matarme'],
-        selfHarm: ['cortarme', 'hacerme daño', 'lastimarme', 'autolesión', 'herirme', 'golpearme'],
+        suicide: ['suicid*', 'quitarme la vida', 'acabar con todo', 'no quiero vivir', 'mejor muert*', 'matarme'],
+        selfHarm: ['cortarme', 'hacerme daño', 'lastimarme', 'autolesi*', 'herirme', 'golpearme'],
         violence: ['matar', 'violencia', 'arma', 'pistola', 'cuchillo', 'atacar', 'venganza'],
-        severe: ['desesperado', 'sin salida', 'no puedo más', 'insoportable', 'horrible', 'terrible'],
-        death: ['muerte', 'morir', 'muerto', 'funeral', 'despedida final']
+        severe: ['desesperad*', 'sin salida', 'no puedo más', 'insoportable', 'horrible', 'terrible'],
+        death: ['muert*', 'morir', 'funeral', 'despedida final']
+    },
+
+    // Severity added once per distinct keyword found
+    scores: {
+        suicide: 10,
+        selfHarm: 8,
+        violence: 9,
+        death: 7,
+        severe: 5
+    },
+
+    // Minimum severity score for each crisis level
+    thresholds: {
+        critical: 10,
+        high: 7,
+        moderate: 5
+    },
+
+    // A keyword preceded by one of these words (at most NEGATION_WINDOW words
+    // earlier, within the same clause and with no other keyword in between)
+    // does not count: "no quiero morir".
+    negations: ['no', 'nunca', 'jamás', 'tampoco', 'ni'],
+    NEGATION_WINDOW: 3,
+
+    // Short words that do not count towards that window ("nunca me voy a
+    // suicidar")
+    negationFillers: ['me', 'te', 'se', 'nos', 'os', 'lo', 'la', 'le', 'los', 'las', 'les', 'a'],
+
+    // Phrases that start with a negation but do not deny what follows
+    // ("no me importa morir")
+    negationIdioms: ['no me import*', 'no tengo miedo', 'no me da miedo', 'no le temo', 'no temo'],
+
+    // Pronouns Spanish attaches to the end of a verb ("morirme", "matarlos")
+    enclitics: ['me', 'te', 'se', 'lo', 'la', 'le', 'nos', 'os', 'los', 'las', 'les'],
+
+    // Words that start a new clause, so a negation before them does not carry
+    // over ("no sé si quiero morir" is not negated)
+    clauseBreaks: ['pero', 'aunque', 'si', 'que', 'porque', 'sino', 'y', 'e', 'o', 'u'],
+
+    // Common chat spellings mapped to the word they stand for
+    spellingVariants: {
+        q: 'que',
+        k: 'que',
+        ke: 'que',
+        xq: 'porque',
+        pq: 'porque',
+        xk: 'porque',
+        d: 'de',
+        nc: 'no se'
+    },
+
+    // Other languages students write in. Their keywords are checked alongside
+    // the Spanish ones and scored with the same weights, and each language
+    // brings its own negations, clause breaks and chat spellings. `keywords`
+    // are the built-in defaults; published lexicons carry their own copy in
+    // `localeKeywords`. The Kichwa list is a starting point for counselors
+    // who speak it to review and extend.
+    languages: {
+        en: {
+            keywords: {
+                suicide: ['suicid*', 'kill myself', 'end my life', 'take my life', 'end it all', 'not want to live', 'better off dead'],
+                selfHarm: ['cut myself', 'cutting myself', 'hurt myself', 'harm myself', 'self harm*', 'burn myself'],
+                violence: ['kill', 'violence', 'weapon', 'gun', 'knife', 'attack', 'revenge'],
+                severe: ['hopeless', 'desperate', 'no way out', 'can not take it', 'can not go on', 'unbearable', 'horrible', 'terrible'],
+                death: ['death', 'die', 'dying', 'dead', 'funeral', 'final goodbye']
+            },
+            negations: ['not', 'no', 'never', 'neither', 'nor'],
+            negationIdioms: ['not care', 'not mind', 'not afraid', 'not scared'],
+            negationFillers: ['to'],
+            enclitics: [],
+            clauseBreaks: ['but', 'although', 'though', 'if', 'that', 'because', 'and', 'or', 'so'],
+            // Contractions split at the apostrophe ("don't" -> don, t)
+            spellingVariants: {
+                t: 'not',
+                dont: 'do not',
+                didnt: 'did not',
+                cant: 'can not',
+                cannot: 'can not',
+                wont: 'will not',
+                wanna: 'want to',
+                u: 'you',
+                im: 'i am'
+            }
+        },
+        qu: {
+            keywords: {
+                suicide: ['wañuchiku*', 'wañuyta munani'],
+                selfHarm: ['kuchuriku*', 'nanachiku*'],
+                violence: ['illapa', 'kuchillu'],
+                severe: ['mana ushanichu', 'ña mana ushanichu'],
+                death: ['wañuy*', 'wañuna*', 'aya pampa']
+            },
+            negations: ['mana', 'ama'],
+            negationIdioms: [],
+            negationFillers: [],
+            enclitics: [],
+            clauseBreaks: ['shinapash', 'ichaka', 'chaymanta'],
+            spellingVariants: {}
+        }
     },
 
+    // Keywords per language for `analyze`; null uses each language's defaults
+    localeKeywords: null,
+
+    // ===== TOKENIZER =====
+
     /**
-     * Analyze message for crisis indicators
-     * @param {string} message - The message to analyze
-     * @returns {Object} Analysis result with crisis detection info
+     * Normalize a single word: lowercase, strip accents, collapse letters
+     * stretched for emphasis ("moriiiir") and map chat spellings
+     * @param {string} word - Word
+     * @param {Object} [rules] - Language rules (defaults to Spanish)
+     * @returns {string} Normalized word (may contain a space for expansions)
+     */
+    normalizeWord(word, rules = this) {
+        const plain = word
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/(.)\1{2,}/g, '$1');
+        return rules.spellingVariants[plain] || plain;
+    },
+
+    /**
+     * Split text into word and punctuation tokens
+     * @param {string} text - Text
+     * @param {Object} [rules] - Language rules (defaults to Spanish)
+     * @returns {Array} Tokens { type: 'word'|'break', norm, surface, index }
+     */
+    tokenize(text, rules = this) {
+        const tokens = [];
+        for (const { 0: surface, index } of String(text).matchAll(/[\p{L}\p{N}]+|[.!?;:,¡¿()]/gu)) {
+            if (!/[\p{L}\p{N}]/u.test(surface)) {
+                tokens.push({ type: 'break', norm: surface, surface, index });
+                continue;
+            }
+            for (const norm of this.normalizeWord(surface, rules).split(' ')) {
+                tokens.push({ type: 'word', norm, surface: surface.toLowerCase(), index });
+            }
+        }
+        return tokens;
+    },
+
+    /**
+     * Compile a keyword entry into per-word matchers. Exact words accept a
+     * plural ending, and infinitives the pronouns the language attaches.
+     * @param {string} keyword - Word or phrase, optionally ending words in `*`
+     * @param {Object} [rules] - Language rules (defaults to Spanish)
+     * @returns {Array} Matchers { text, stem, endings }
+     */
+    compileKeyword(keyword, rules = this) {
+        return keyword.trim().split(/\s+/).map(part => {
+            const text = this.normalizeWord(part.replace(/\*$/, ''), rules);
+            const endings = ['', 's', 'es'];
+            if (/[aei]r$/.test(text)) endings.push(...rules.enclitics);
+            return { text, stem: part.endsWith('*'), endings };
+        });
+    },
+
+    /**
+     * Check one token against one keyword word ("arma" matches "armas" but
+     * not "armario")
+     * @param {Object} matcher - { text, stem, endings }
+     * @param {Object} token - Token
+     * @returns {boolean} Whether it matches
+     */
+    matchesToken(matcher, token) {
+        if (token.type !== 'word') return false;
+        if (matcher.stem) return token.norm.startsWith(matcher.text);
+        return matcher.endings.some(ending => token.norm === matcher.text + ending);
+    },
+
+    /**
+     * Check whether a compiled keyword occurs at a position
+     * @param {Array} tokens - Tokens
+     * @param {number} start - Index of the first token
+     * @param {Array} matchers - Compiled keyword
+     * @returns {boolean} Whether it occurs there
+     */
+    matchesAt(tokens, start, matchers) {
+        return start + matchers.length <= tokens.length &&
+            matchers.every((matcher, j) => this.matchesToken(matcher, tokens[start + j]));
+    },
+
+    /**
+     * Find every position where a compiled keyword occurs
+     * @param {Array} tokens - Tokens
+     * @param {Array} matchers - Compiled keyword
+     * @returns {Array} Start indexes
+     */
+    findKeyword(tokens, matchers) {
+        const starts = [];
+        for (let i = 0; i < tokens.length; i++) {
+            if (this.matchesAt(tokens, i, matchers)) starts.push(i);
+        }
+        return starts;
+    },
+
+    /**
+     * Check whether a match is negated by a preceding word in its clause.
+     * The negation of an earlier keyword ("ya no puedo más") stays with it.
+     * @param {Array} tokens - Tokens
+     * @param {number} start - Index of the first matched token
+     * @param {Object} [rules] - Language rules (defaults to Spanish)
+     * @param {Array} [others] - Other matches { start, end } in the text
+     * @returns {boolean} Whether the match is negated
+     */
+    isNegated(tokens, start, rules = this, others = []) {
+        const negations = rules.negations.map(word => this.normalizeWord(word, rules));
+        const idioms = rules.negationIdioms.map(idiom => this.compileKeyword(idiom, rules));
+        let words = 0;
+
+        for (let i = start - 1; i >= 0 && words < this.NEGATION_WINDOW; i--) {
+            const token = tokens[i];
+            if (token.type === 'break' || rules.clauseBreaks.includes(token.norm)) return false;
+            if (others.some(other => other.start <= i && i < other.end)) return false;
+            if (negations.includes(token.norm)) {
+                return !idioms.some(matchers => this.matchesAt(tokens, i, matchers));
+            }
+            if (!rules.negationFillers.includes(token.norm)) words++;
+        }
+        return false;
+    },
+
+    /**
+     * Find every occurrence of the keywords in a message. Matches inside a
+     * longer match are dropped ("muerto" within "mejor muerto"); negated ones
+     * are kept and flagged.
+     * @param {string} message - Message text
+     * @param {Object} keywordSets - Keywords per category
+     * @param {Object} [rules] - Language rules (defaults to Spanish)
+     * @returns {Array} Occurrences { keyword, word, category, index, negated }, where
+     *   `index` is the position of the first word in the message
      */
-    analyze(message) {
-        const lowerMessage = message.toLowerCase();
-        const detectedKeywords = [];
-        let severityScore = 0;
-
-        // Check for crisis keywords
-        for (const [category, words] of Object.entries(this.keywords)) {
-            for (const word of words) {
-                if (lowerMessage.includes(word)) {
-                    detectedKeywords.push({ word, category });
-
-                    // Assign severity scores
-                    if (category === 'suicide') severityScore += 10;
-                    else if (category === 'selfHarm') severityScore += 8;
-                    else if (category === 'violence') severityScore += 9;
-                    else if (category === 'death') severityScore += 7;
-                    else if (category === 'severe') severityScore += 5;
+    scanKeywords(message, keywordSets, rules = this) {
+        const tokens = this.tokenize(message, rules);
+        const matches = [];
+
+        for (const [category, keywords] of Object.entries(keywordSets)) {
+            for (const keyword of keywords) {
+                const matchers = this.compileKeyword(keyword, rules);
+                for (const start of this.findKeyword(tokens, matchers)) {
+                    matches.push({ keyword, category, start, end: start + matchers.length });
                 }
             }
         }
 
+        return matches
+            .filter(match => !matches.some(other =>
+                other.start <= match.start && other.end >= match.end &&
+                other.end - other.start > match.end - match.start
+            ))
+            .map(match => ({
+                keyword: match.keyword,
+                // Expanded spellings ("cant" -> can not) share one surface word
+                word: tokens.slice(match.start, match.end)
+                    .filter((token, i, words) => i === 0 || token.index !== words[i - 1].index)
+                    .map(t => t.surface)
+                    .join(' '),
+                category: match.category,
+                index: tokens[match.start].index,
+                negated: this.isNegated(tokens, match.start, rules, matches)
+            }));
+    },
+
+    /**
+     * Find keyword matches in a message. Negated matches are dropped, and
+     * each keyword is reported once however often it repeats.
+     * @param {string} message - Message text
+     * @param {Object} [keywordSets] - Keywords per category (defaults to the active lexicon)
+     * @param {Object} [rules] - Language rules (defaults to Spanish)
+     * @returns {Array} Matches { keyword, word, category }
+     */
+    findMatches(message, keywordSets = this.keywords, rules = this) {
+        const found = new Map();
+        for (const match of this.scanKeywords(message, keywordSets, rules)) {
+            if (match.negated || found.has(match.keyword)) continue;
+            found.set(match.keyword, { keyword: match.keyword, word: match.word, category: match.category });
+        }
+        return [...found.values()];
+    },
+
+    // ===== LEXICON =====
+
+    /**
+     * Get the keywords of every other language in a lexicon. Lexicons
+     * published before languages were added fall back to the built-in lists.
+     * @param {Object} lexicon - Lexicon
+     * @returns {Object} { language: { category: [terms] } }
+     */
+    getLocaleKeywords(lexicon) {
+        const result = {};
+        Object.entries(this.languages).forEach(([language, rules]) => {
+            const keywords = lexicon.localeKeywords && lexicon.localeKeywords[language];
+            result[language] = keywords || rules.keywords;
+        });
+        return result;
+    },
+
+    /**
+     * Get the lexicon currently used by `analyze`
+     * @returns {Object} { version, keywords, localeKeywords, scores, thresholds }
+     */
+    getLexicon() {
+        return {
+            version: this.version,
+            keywords: this.keywords,
+            localeKeywords: this.getLocaleKeywords(this),
+            scores: this.scores,
+            thresholds: this.thresholds
+        };
+    },
+
+    /**
+     * Use a published lexicon for subsequent analyses
+     * @param {Object} lexicon - { version, keywords, localeKeywords, scores, thresholds }
+     */
+    setLexicon(lexicon) {
+        this.version = lexicon.version;
+        this.keywords = lexicon.keywords;
+        this.localeKeywords = lexicon.localeKeywords || null;
+        this.scores = lexicon.scores;
+        this.thresholds = lexicon.thresholds;
+    },
+
+    /**
+     * Run sample texts through the active lexicon and a draft, reporting
+     * which ones would change level
+     * @param {Array} samples - Sample texts
+     * @param {Object} draft - Draft lexicon
+     * @returns {Array} Results { text, current, draft, changed }
+     */
+    compareLexicons(samples, draft) {
+        return samples.map(text => {
+            const current = this.analyze(text);
+            const proposed = this.analyze(text, draft);
+            return {
+                text,
+                current,
+                draft: proposed,
+                changed: current.crisisLevel !== proposed.crisisLevel
+            };
+        });
+    },
+
+    // ===== ANALYSIS =====
+
+    /**
+     * Analyze message for crisis indicators in every supported language
+     * @param {string} message - The message to analyze
+     * @param {Object} [lexicon] - Lexicon to use (defaults to the active one)
+     * @returns {Object} Analysis result with crisis detection info
+     */
+    analyze(message, lexicon = this.getLexicon()) {
+        const scans = [this.scanKeywords(message, lexicon.keywords)];
+        Object.entries(this.getLocaleKeywords(lexicon)).forEach(([language, keywords]) => {
+            scans.push(this.scanKeywords(message, keywords, this.languages[language]));
+        });
+
+        // Some words are keywords in more than one language ("terrible",
+        // "suicide"). They count once, and not at all if any of those
+        // languages reads them as negated ("nunca me voy a suicidar").
+        const negated = new Set(scans.flat().filter(match => match.negated).map(match => match.index));
+        const found = new Map();
+        scans.forEach(scan => {
+            const seen = new Set();
+            scan.forEach(match => {
+                if (match.negated || negated.has(match.index) || seen.has(match.keyword)) return;
+                seen.add(match.keyword);
+                if (!found.has(match.word)) found.set(match.word, match);
+            });
+        });
+        const detectedKeywords = [...found.values()];
+        const severityScore = detectedKeywords.reduce((sum, k) => sum + (lexicon.scores[k.category] || 0), 0);
+
         // Determine crisis level
         let crisisLevel = 'none';
         let isCrisis = false;
 
-        if (severityScore >= 10) {
+        if (severityScore >= lexicon.thresholds.critical) {
             crisisLevel = 'critical';
             isCrisis = true;
-        } else if (severityScore >= 7) {
+        } else if (severityScore >= lexicon.thresholds.high) {
             crisisLevel = 'high';
             isCrisis = true;
-        } else if (severityScore >= 5) {
+        } else if (severityScore >= lexicon.thresholds.moderate) {
             crisisLevel = 'moderate';
             isCrisis = true;
         }
@@ -59,7 +412,8 @@ const CrisisDetection = {
             severityScore,
             detectedKeywords: detectedKeywords.map(k => k.word),
             categories: [...new Set(detectedKeywords.map(k => k.category))],
-            recommendation: this.getRecommendation(crisisLevel)
+            recommendation: this.getRecommendation(crisisLevel),
+            lexiconVersion: lexicon.version
         };
     },
 
@@ -78,6 +432,45 @@ const CrisisDetection = {
         return recommendations[level] || recommendations.none;
     },
 
+    // Time allowed to acknowledge a crisis alert before re-notifying, matching
+    // the response times given by getRecommendation
+    responseWindows: {
+        critical: 15 * 60 * 1000,
+        high: 2 * 60 * 60 * 1000,
+        moderate: 24 * 60 * 60 * 1000
+    },
+
+    /**
+     * Get the acknowledgement window for a crisis level
+     * @param {string} level - Crisis level
+     * @returns {number|null} Milliseconds, or null when no response is required
+     */
+    getResponseWindow(level) {
+        return this.responseWindows[level] || null;
+    },
+
+    // Time allowed for a counselor to answer, by the urgency of the case
+    urgencyResponseTargets: {
+        urgente: 60 * 60 * 1000,
+        alta: 4 * 60 * 60 * 1000,
+        media: 24 * 60 * 60 * 1000,
+        baja: 72 * 60 * 60 * 1000
+    },
+
+    /**
+     * Get the time allowed to answer a student message: the stricter of the
+     * case's urgency target and the response window of the message's crisis level
+     * @param {string} urgency - Case urgency
+     * @param {string} level - Crisis level of the student message
+     * @returns {number} Milliseconds
+     */
+    getResponseTarget(urgency, level) {
+        const targets = [this.urgencyResponseTargets[urgency] || this.urgencyResponseTargets.baja];
+        const window = this.getResponseWindow(level);
+        if (window) targets.push(window);
+        return Math.min(...targets);
+    },
+
     /**
      * Auto-escalate urgency based on crisis detection
      * @param {string} currentUrgency - Current urgency level
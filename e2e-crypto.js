@@ -0,0 +1,343 @@
+// ============================================
+// END-TO-END ENCRYPTION MODULE
+// ============================================
+//
+// Message text, replies and internal notes are encrypted in the browser with
+// a random per-conversation AES-GCM key ("thread key"). The thread key is
+// stored twice, wrapped:
+//   - with a key derived from the student's tracking code (PBKDF2 -> AES-KW)
+//   - with the counselor team's RSA-OAEP public key
+// The server only sees ciphertext plus the metadata needed for triage, and
+// finds conversations by a one-way lookup id derived from the tracking code.
+// When the student chooses a PIN, it is mixed into the code-derived key.
+// A mood journal kept with a conversation has a key of its own, derived from
+// the tracking code alone, so it stays readable only by the student.
+
+const E2ECrypto = {
+    VERSION: 1,
+    LOOKUP_SALT: 'voces-anonimas:lookup:v1',
+    LOOKUP_ITERATIONS: 100000,
+    KEY_ITERATIONS: 250000,
+
+    // ===== ENCODING HELPERS =====
+
+    /**
+     * Encode bytes as base64
+     * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+     * @returns {string} Base64 string
+     */
+    toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary);
+    },
+
+    /**
+     * Decode base64 into bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    },
+
+    /**
+     * Normalize a tracking code as typed by a student
+     * @param {string} code - Tracking code
+     * @returns {string} Normalized code
+     */
+    normalizeCode(code) {
+        return String(code).trim().toUpperCase();
+    },
+
+    // ===== KEY DERIVATION =====
+
+    /**
+     * Derive a key from a secret string with PBKDF2-SHA-256
+     * @param {string} secret - Tracking code or password
+     * @param {Uint8Array} salt - Salt
+     * @param {Object} algorithm - Target key algorithm
+     * @param {Array} usages - Key usages
+     * @returns {Promise<CryptoKey>} Derived key
+     */
+    async deriveKey(secret, salt, algorithm, usages) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: this.KEY_ITERATIONS, hash: 'SHA-256' },
+            baseKey, algorithm, false, usages
+        );
+    },
+
+    /**
+     * Derive the server lookup id for a tracking code
+     * @param {string} code - Tracking code
+     * @returns {Promise<string>} 64-character hex id
+     */
+    async deriveLookupId(code) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(this.normalizeCode(code)), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                salt: new TextEncoder().encode(this.LOOKUP_SALT),
+                iterations: this.LOOKUP_ITERATIONS,
+                hash: 'SHA-256'
+            },
+            baseKey, 256
+        );
+        return [...new Uint8Array(bits)].map(b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Derive the AES-KW key that wraps a thread key for the student
+     * @param {string} code - Tracking code
+     * @param {string} saltBase64 - Per-conversation salt
+     * @param {string} [pin] - Optional student PIN
+     * @returns {Promise<CryptoKey>} Wrapping key
+     */
+    deriveCodeKey(code, saltBase64, pin) {
+        const secret = pin ? `${this.normalizeCode(code)}:${pin}` : this.normalizeCode(code);
+        return this.deriveKey(
+            secret, this.fromBase64(saltBase64),
+            { name: 'AES-KW', length: 256 }, ['wrapKey', 'unwrapKey']
+        );
+    },
+
+    /**
+     * Derive the AES-GCM key of a student's mood journal. Only the tracking
+     * code (and PIN) can produce it, so counselors cannot read the journal.
+     * @param {string} code - Tracking code
+     * @param {string} saltBase64 - Per-journal salt
+     * @param {string} [pin] - Optional student PIN
+     * @returns {Promise<CryptoKey>} Journal key
+     */
+    deriveJournalKey(code, saltBase64, pin) {
+        const secret = pin ? `${this.normalizeCode(code)}:${pin}` : this.normalizeCode(code);
+        return this.deriveKey(
+            secret, this.fromBase64(saltBase64),
+            { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']
+        );
+    },
+
+    // ===== TEXT ENCRYPTION =====
+
+    /**
+     * Encrypt text with a thread key
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {string} text - Plain text
+     * @returns {Promise<Object>} Encrypted box { iv, ct }
+     */
+    async encryptText(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv: this.toBase64(iv), ct: this.toBase64(ct) };
+    },
+
+    /**
+     * Decrypt text with a thread key
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Object|string} box - Encrypted box (plain strings pass through)
+     * @returns {Promise<string>} Plain text
+     */
+    async decryptText(key, box) {
+        if (typeof box === 'string') return box;
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(box.iv) }, key, this.fromBase64(box.ct)
+        );
+        return new TextDecoder().decode(plain);
+    },
+
+    // ===== CONVERSATIONS =====
+
+    /**
+     * Wrap a thread key for a tracking code (and optional PIN)
+     * @param {CryptoKey} threadKey - Thread key
+     * @param {string} trackingCode - Tracking code
+     * @param {string} [pin] - Optional student PIN
+     * @returns {Promise<Object>} { codeSalt, studentKey }
+     */
+    async wrapForCode(threadKey, trackingCode, pin) {
+        const codeSalt = this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const codeKey = await this.deriveCodeKey(trackingCode, codeSalt, pin);
+        const studentKey = await crypto.subtle.wrapKey('raw', threadKey, codeKey, 'AES-KW');
+        return { codeSalt, studentKey: this.toBase64(studentKey) };
+    },
+
+    /**
+     * Encrypt a new conversation for the student and the counselor team
+     * @param {string} trackingCode - Tracking code shown to the student
+     * @param {string} text - First message
+     * @param {string} counselorPublicKey - Base64 SPKI team public key
+     * @param {string} [pin] - Optional student PIN
+     * @returns {Promise<Object>} { lookupId, encryption, trackingCode, message }
+     */
+    async sealNewThread(trackingCode, text, counselorPublicKey, pin) {
+        const threadKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const publicKey = await this.importPublicKey(counselorPublicKey);
+        const counselorKey = await crypto.subtle.wrapKey('raw', threadKey, publicKey, { name: 'RSA-OAEP' });
+
+        return {
+            lookupId: await this.deriveLookupId(trackingCode),
+            encryption: {
+                version: this.VERSION,
+                ...await this.wrapForCode(threadKey, trackingCode, pin),
+                counselorKey: this.toBase64(counselorKey)
+            },
+            trackingCode: await this.encryptText(threadKey, this.normalizeCode(trackingCode)),
+            message: await this.encryptText(threadKey, text)
+        };
+    },
+
+    /**
+     * Recover a thread key with the student's tracking code
+     * @param {string} code - Tracking code
+     * @param {Object} encryption - Message encryption header
+     * @param {string} [pin] - Optional student PIN
+     * @returns {Promise<CryptoKey>} Thread key
+     */
+    async unwrapWithCode(code, encryption, pin) {
+        const codeKey = await this.deriveCodeKey(code, encryption.codeSalt, pin);
+        return crypto.subtle.unwrapKey(
+            'raw', this.fromBase64(encryption.studentKey), codeKey, 'AES-KW',
+            { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Recover a thread key with the counselor team private key
+     * @param {Object} encryption - Message encryption header
+     * @param {CryptoKey} privateKey - Team private key
+     * @returns {Promise<CryptoKey>} Thread key
+     */
+    unwrapWithPrivateKey(encryption, privateKey) {
+        return crypto.subtle.unwrapKey(
+            'raw', this.fromBase64(encryption.counselorKey), privateKey, { name: 'RSA-OAEP' },
+            { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Decrypt every encrypted field of a message
+     * @param {Object} message - Message as returned by the API
+     * @param {CryptoKey} key - Thread key
+     * @returns {Promise<Object>} Copy of the message with plain text fields
+     */
+    async decryptMessage(message, key) {
+        const plain = { ...message };
+        plain.message = await this.decryptText(key, message.message);
+        if (message.trackingCode) plain.trackingCode = await this.decryptText(key, message.trackingCode);
+        if (message.notes) {
+            plain.notes = await Promise.all(message.notes.map(async note => ({
+                ...note,
+                note: await this.decryptText(key, note.note)
+            })));
+        }
+        plain.replies = await Promise.all(message.replies.map(async reply => ({
+            ...reply,
+            message: await this.decryptText(key, reply.message)
+        })));
+        return plain;
+    },
+
+    // ===== COUNSELOR TEAM KEY =====
+
+    /**
+     * Generate the counselor team key pair
+     * @returns {Promise<Object>} { publicKey, privateKey } as base64 SPKI / PKCS#8
+     */
+    async generateCounselorKeyPair() {
+        const pair = await crypto.subtle.generateKey(
+            {
+                name: 'RSA-OAEP',
+                modulusLength: 3072,
+                publicExponent: new Uint8Array([1, 0, 1]),
+                hash: 'SHA-256'
+            },
+            true, ['wrapKey', 'unwrapKey']
+        );
+        return {
+            publicKey: this.toBase64(await crypto.subtle.exportKey('spki', pair.publicKey)),
+            privateKey: this.toBase64(await crypto.subtle.exportKey('pkcs8', pair.privateKey))
+        };
+    },
+
+    /**
+     * Import the team public key
+     * @param {string} spkiBase64 - Base64 SPKI
+     * @returns {Promise<CryptoKey>} Public key
+     */
+    importPublicKey(spkiBase64) {
+        return crypto.subtle.importKey(
+            'spki', this.fromBase64(spkiBase64), { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['wrapKey']
+        );
+    },
+
+    /**
+     * Import the team private key
+     * @param {string} pkcs8Base64 - Base64 PKCS#8
+     * @returns {Promise<CryptoKey>} Private key
+     */
+    importPrivateKey(pkcs8Base64) {
+        return crypto.subtle.importKey(
+            'pkcs8', this.fromBase64(pkcs8Base64), { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['unwrapKey']
+        );
+    },
+
+    /**
+     * Encrypt the team private key with a counselor's password
+     * @param {string} pkcs8Base64 - Base64 PKCS#8 private key
+     * @param {string} password - Counselor password
+     * @returns {Promise<Object>} Locked key { salt, iv, ct }
+     */
+    lockPrivateKey(pkcs8Base64, password) {
+        return this.lockWithPassword(pkcs8Base64, password);
+    },
+
+    /**
+     * Decrypt the team private key with a counselor's password
+     * @param {Object} lockedKey - Locked key { salt, iv, ct }
+     * @param {string} password - Counselor password
+     * @returns {Promise<string>} Base64 PKCS#8 private key
+     */
+    unlockPrivateKey(lockedKey, password) {
+        return this.unlockWithPassword(lockedKey, password);
+    },
+
+    // ===== PASSWORD BOXES =====
+
+    /**
+     * Encrypt text with a key derived from a password
+     * @param {string} text - Plain text
+     * @param {string} password - Password
+     * @returns {Promise<Object>} Locked box { salt, iv, ct }
+     */
+    async lockWithPassword(text, password) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(password, salt, { name: 'AES-GCM', length: 256 }, ['encrypt']);
+        const box = await this.encryptText(key, text);
+        return { salt: this.toBase64(salt), ...box };
+    },
+
+    /**
+     * Decrypt a box made by lockWithPassword; rejects on a wrong password
+     * @param {Object} box - Locked box { salt, iv, ct }
+     * @param {string} password - Password
+     * @returns {Promise<string>} Plain text
+     */
+    async unlockWithPassword(box, password) {
+        const key = await this.deriveKey(password, this.fromBase64(box.salt), { name: 'AES-GCM', length: 256 }, ['decrypt']);
+        return this.decryptText(key, box);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = E2ECrypto;
+}
@@ -0,0 +1,590 @@
+// ============================================
+// EXERCISES - GUIDED BREATHING AND GROUNDING
+// ============================================
+//
+// A small library of calming exercises played in the exercise modal. Each
+// exercise is a list of timed phases; breathing exercises repeat them for a
+// chosen number of minutes, grounding walks through its steps once. Phase
+// lengths, duration, tones, vibration and reduced motion are set per device.
+// Counselors link an exercise by writing `[ejercicio:box]` (optionally
+// `[ejercicio:box:3]` for three minutes) in a reply; the student sees a
+// button that opens it.
+
+const ExercisePlayer = {
+    STORAGE_KEY: 'vocesAnonimasEjercicios',
+    LINK_PATTERN: /\[ejercicio:([a-z0-9-]+)(?::(\d{1,2}))?\]/g,
+    MIN_MINUTES: 1,
+    MAX_MINUTES: 10,
+
+    // `seconds` are the default phase lengths; PHASE_LIMITS bounds what a
+    // student may set
+    EXERCISES: {
+        box: {
+            kind: 'breathing',
+            icon: 'bx-square',
+            minutes: 2,
+            phases: [
+                { id: 'inhale', seconds: 4 },
+                { id: 'hold', seconds: 4 },
+                { id: 'exhale', seconds: 4 },
+                { id: 'holdOut', seconds: 4 }
+            ]
+        },
+        '4-7-8': {
+            kind: 'breathing',
+            icon: 'bx-moon',
+            minutes: 2,
+            phases: [
+                { id: 'inhale', seconds: 4 },
+                { id: 'hold', seconds: 7 },
+                { id: 'exhale', seconds: 8 }
+            ]
+        },
+        sigh: {
+            kind: 'breathing',
+            icon: 'bx-wind',
+            minutes: 1,
+            phases: [
+                { id: 'inhale', seconds: 2 },
+                { id: 'inhaleMore', seconds: 1 },
+                { id: 'exhale', seconds: 6 }
+            ]
+        },
+        grounding: {
+            kind: 'grounding',
+            icon: 'bx-leaf',
+            phases: [
+                { id: 'see', seconds: 30 },
+                { id: 'touch', seconds: 25 },
+                { id: 'hear', seconds: 20 },
+                { id: 'smell', seconds: 15 },
+                { id: 'taste', seconds: 10 }
+            ]
+        }
+    },
+    PHASE_LIMITS: {
+        breathing: { min: 1, max: 20 },
+        grounding: { min: 5, max: 120 }
+    },
+    // Size of the breathing circle at the end of each phase; phases left out
+    // keep the size they start with
+    PHASE_SCALES: { inhale: 1.5, inhaleMore: 1.65, exhale: 1 },
+    // Tone played as each phase starts, in Hz
+    PHASE_TONES: { inhale: 523, inhaleMore: 587, hold: 440, holdOut: 392, exhale: 349 },
+    GROUNDING_TONE: 494,
+
+    // Running session: { config, steps, index, remaining, elapsed, settings }
+    session: null,
+    audio: null,
+
+    // ===== SETTINGS =====
+
+    /**
+     * Settings saved on this device
+     * @returns {Object} { sound, vibration, reducedMotion, exercises: { id: { phases, minutes } } }
+     */
+    loadSettings() {
+        const defaults = { sound: false, vibration: false, reducedMotion: null, exercises: {} };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return saved && typeof saved === 'object' ? { ...defaults, ...saved } : defaults;
+        } catch (err) {
+            return defaults;
+        }
+    },
+
+    /**
+     * Save settings on this device
+     * @param {Object} settings - Settings
+     */
+    saveSettings(settings) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(settings));
+        } catch (err) {
+            // Storage disabled: settings last for this page only
+        }
+    },
+
+    /**
+     * Whether motion should be reduced: the student's choice, else the system's
+     * @param {Object} settings - Settings
+     * @returns {boolean}
+     */
+    reducesMotion(settings) {
+        if (typeof settings.reducedMotion === 'boolean') return settings.reducedMotion;
+        return typeof matchMedia !== 'undefined' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+    },
+
+    /**
+     * Keep a number within bounds, falling back when it is not a number
+     * @param {*} value - Candidate
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value
+     * @param {number} fallback - Value used when the candidate is not a number
+     * @returns {number}
+     */
+    clamp(value, min, max, fallback) {
+        const number = Math.round(Number(value));
+        if (value === null || value === undefined || value === '' || !Number.isFinite(number)) return fallback;
+        return Math.min(max, Math.max(min, number));
+    },
+
+    /**
+     * Resolve an exercise's phase lengths and duration from its defaults,
+     * the saved settings and any overrides (e.g. minutes set by a counselor)
+     * @param {string} id - Exercise id
+     * @param {Object} [settings] - Settings
+     * @param {Object} [overrides] - { minutes, phases: { phaseId: seconds } }
+     * @returns {Object} { id, kind, phases: [{ id, seconds }], minutes }
+     */
+    configure(id, settings = this.loadSettings(), overrides = {}) {
+        const exercise = this.EXERCISES[id];
+        const saved = settings.exercises[id] || {};
+        const limits = this.PHASE_LIMITS[exercise.kind];
+        const phases = exercise.phases.map(phase => ({
+            id: phase.id,
+            seconds: this.clamp(
+                (overrides.phases || {})[phase.id] ?? (saved.phases || {})[phase.id],
+                limits.min, limits.max, phase.seconds
+            )
+        }));
+        const minutes = exercise.kind === 'breathing'
+            ? this.clamp(overrides.minutes ?? saved.minutes, this.MIN_MINUTES, this.MAX_MINUTES, exercise.minutes)
+            : null;
+        return { id, kind: exercise.kind, phases, minutes };
+    },
+
+    // ===== SESSIONS =====
+
+    /**
+     * Lay out every step of a session. Breathing repeats whole cycles to fill
+     * the chosen minutes (at least one); grounding goes through once.
+     * @param {Object} config - Result of `configure`
+     * @returns {Array} [{ phase, seconds, cycle }]
+     */
+    buildSteps(config) {
+        const cycleSeconds = config.phases.reduce((sum, phase) => sum + phase.seconds, 0);
+        const cycles = config.kind === 'breathing' ? Math.max(1, Math.round(config.minutes * 60 / cycleSeconds)) : 1;
+        const steps = [];
+        for (let cycle = 1; cycle <= cycles; cycle++) {
+            config.phases.forEach(phase => steps.push({ phase: phase.id, seconds: phase.seconds, cycle }));
+        }
+        return steps;
+    },
+
+    /**
+     * Format a length of time as m:ss
+     * @param {number} seconds - Seconds
+     * @returns {string}
+     */
+    formatDuration(seconds) {
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    },
+
+    // ===== LINKS IN REPLIES =====
+
+    /**
+     * Text a counselor writes in a reply to link an exercise
+     * @param {string} id - Exercise id
+     * @param {number} [minutes] - Suggested duration
+     * @returns {string} e.g. "[ejercicio:4-7-8:3]"
+     */
+    linkFor(id, minutes) {
+        return minutes ? `[ejercicio:${id}:${minutes}]` : `[ejercicio:${id}]`;
+    },
+
+    /**
+     * Exercises linked in a text; unknown ids are ignored
+     * @param {string} text - Reply text
+     * @returns {Array} [{ id, minutes }] without repeats
+     */
+    parseLinks(text) {
+        const links = [];
+        for (const match of String(text || '').matchAll(this.LINK_PATTERN)) {
+            if (!this.EXERCISES[match[1]] || links.some(link => link.id === match[1])) continue;
+            links.push({ id: match[1], minutes: match[2] ? Number(match[2]) : null });
+        }
+        return links;
+    },
+
+    /**
+     * Remove exercise links from a text before showing it
+     * @param {string} text - Reply text
+     * @returns {string}
+     */
+    stripLinks(text) {
+        return String(text || '')
+            .replace(this.LINK_PATTERN, (match, id) => (this.EXERCISES[id] ? '' : match))
+            .replace(/^[ \t]+|[ \t]+$/gm, '')
+            .trim();
+    },
+
+    // ===== CUES =====
+
+    /**
+     * Play a short, soft tone
+     * @param {number} frequency - Frequency in Hz
+     */
+    playTone(frequency) {
+        if (!this.audio) return;
+        const oscillator = this.audio.createOscillator();
+        const gain = this.audio.createGain();
+        const now = this.audio.currentTime;
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(0.15, now + 0.05);
+        gain.gain.linearRampToValueAtTime(0, now + 0.4);
+        oscillator.connect(gain).connect(this.audio.destination);
+        oscillator.start(now);
+        oscillator.stop(now + 0.45);
+    },
+
+    /**
+     * Mark the start of a step with the cues the student turned on
+     * @param {Object} step - Step
+     */
+    cue(step) {
+        const { settings, config } = this.session;
+        if (settings.sound) this.playTone(config.kind === 'grounding' ? this.GROUNDING_TONE : this.PHASE_TONES[step.phase]);
+        if (settings.vibration && typeof navigator !== 'undefined' && navigator.vibrate) {
+            navigator.vibrate(step.phase === 'exhale' ? [60, 80, 60] : 80);
+        }
+    },
+
+    // ===== PLAYER =====
+
+    /**
+     * Open the exercise modal, on the list or on one exercise's settings
+     * @param {string} [id] - Exercise id
+     * @param {Object} [overrides] - { minutes } suggested by a counselor
+     */
+    open(id, overrides = {}) {
+        this.stop();
+        document.getElementById('exerciseModal').classList.remove('hidden');
+        if (this.EXERCISES[id]) {
+            this.renderSetup(this.configure(id, this.loadSettings(), overrides));
+        } else {
+            this.renderChooser();
+        }
+    },
+
+    /**
+     * Stop the running session, if any
+     */
+    stop() {
+        const modal = document.getElementById('exerciseModal');
+        if (modal && modal.dataset.intervalId) {
+            clearInterval(parseInt(modal.dataset.intervalId));
+            delete modal.dataset.intervalId;
+        }
+        this.session = null;
+    },
+
+    /**
+     * Start a session
+     * @param {Object} config - Result of `configure`
+     */
+    start(config) {
+        const settings = this.loadSettings();
+        if (settings.sound && !this.audio && typeof AudioContext !== 'undefined') {
+            this.audio = new AudioContext(); // Created on a click, as browsers require
+        }
+        this.session = { config, settings, steps: this.buildSteps(config), index: -1, remaining: 0, elapsed: 0 };
+        this.renderRunning();
+        this.nextStep();
+
+        const modal = document.getElementById('exerciseModal');
+        modal.dataset.intervalId = setInterval(() => this.tick(), 1000); // Cleared by closeModal too
+    },
+
+    /**
+     * Advance the clock by one second
+     */
+    tick() {
+        const session = this.session;
+        if (!session) return;
+        session.elapsed += 1;
+        session.remaining -= 1;
+        if (session.remaining <= 0) {
+            this.nextStep();
+        } else {
+            this.updateCountdown();
+        }
+    },
+
+    /**
+     * Move to the next step, or finish after the last one
+     */
+    nextStep() {
+        const session = this.session;
+        session.index += 1;
+        if (session.index >= session.steps.length) {
+            this.finish();
+            return;
+        }
+
+        const step = session.steps[session.index];
+        session.remaining = step.seconds;
+        this.showStep(step);
+        this.cue(step);
+    },
+
+    /**
+     * End a completed session and show its summary
+     */
+    finish() {
+        const { config, steps, elapsed } = this.session;
+        this.stop();
+        if (config.kind === 'breathing') GamificationSystem.trackBreathingSession();
+        this.renderSummary(config, steps[steps.length - 1].cycle, elapsed);
+    },
+
+    /**
+     * Show a step in the running view
+     * @param {Object} step - Step
+     */
+    showStep(step) {
+        const { config, steps, settings } = this.session;
+        const instruction = document.getElementById('exerciseInstruction');
+        instruction.textContent = I18n.t(`exercise.phase.${step.phase}`);
+
+        if (config.kind === 'breathing') {
+            document.getElementById('exerciseCycle').textContent = I18n.t('exercise.cycle', {
+                cycle: step.cycle,
+                total: steps[steps.length - 1].cycle
+            });
+            const circle = document.getElementById('exerciseCircle');
+            if (!this.reducesMotion(settings) && this.PHASE_SCALES[step.phase]) {
+                circle.style.transitionDuration = `${step.seconds}s`;
+                circle.style.transform = `scale(${this.PHASE_SCALES[step.phase]})`;
+            }
+        } else {
+            document.getElementById('exerciseCycle').textContent = I18n.t('exercise.step', {
+                step: this.session.index + 1,
+                total: steps.length
+            });
+            document.getElementById('exerciseHint').textContent = I18n.t(`exercise.hint.${step.phase}`);
+        }
+        this.updateCountdown();
+    },
+
+    /**
+     * Update the seconds left and the progress bar
+     */
+    updateCountdown() {
+        const { steps, remaining, elapsed } = this.session;
+        const total = steps.reduce((sum, step) => sum + step.seconds, 0);
+        document.getElementById('exerciseCountdown').textContent = remaining;
+        document.getElementById('exerciseProgress').style.width = `${Math.min(100, elapsed / total * 100)}%`;
+        document.getElementById('exerciseProgressBar').setAttribute('aria-valuenow', String(Math.round(elapsed / total * 100)));
+        document.getElementById('exerciseRemaining').textContent = this.formatDuration(total - elapsed);
+    },
+
+    /**
+     * Skip the rest of the current grounding step
+     */
+    skipStep() {
+        if (!this.session) return;
+        this.session.elapsed += this.session.remaining;
+        this.nextStep();
+    },
+
+    // ===== VIEWS =====
+
+    /**
+     * Render into the exercise modal
+     * @param {RenderedHtml} rendered - Markup
+     * @returns {Element} Player element
+     */
+    render(rendered) {
+        const player = document.getElementById('exercisePlayer');
+        SafeRender.setHtml(player, rendered);
+        return player;
+    },
+
+    /**
+     * Show the list of exercises
+     */
+    renderChooser() {
+        const player = this.render(SafeRender.html`
+            <p class="mb-lg">${I18n.t('exercise.choose')}</p>
+            <ul class="exercise-list">
+                ${Object.entries(this.EXERCISES).map(([id, exercise]) => SafeRender.html`
+                    <li>
+                        <button type="button" class="exercise-option" data-exercise="${id}">
+                            <i class='bx ${exercise.icon}' aria-hidden="true"></i>
+                            <span>
+                                <strong>${I18n.t(`exercise.${id}.name`)}</strong>
+                                <span class="text-secondary">${I18n.t(`exercise.${id}.description`)}</span>
+                            </span>
+                        </button>
+                    </li>
+                `)}
+            </ul>
+        `);
+        player.querySelectorAll('[data-exercise]').forEach(btn => {
+            btn.addEventListener('click', () => this.renderSetup(this.configure(btn.dataset.exercise)));
+        });
+    },
+
+    /**
+     * Show an exercise's settings before starting
+     * @param {Object} config - Result of `configure`
+     */
+    renderSetup(config) {
+        const settings = this.loadSettings();
+        const limits = this.PHASE_LIMITS[config.kind];
+        const player = this.render(SafeRender.html`
+            <h3>${I18n.t(`exercise.${config.id}.name`)}</h3>
+            <p class="text-secondary mb-lg">${I18n.t(`exercise.${config.id}.description`)}</p>
+            <form id="exerciseSetupForm" class="exercise-setup">
+                <fieldset>
+                    <legend class="form-label">${I18n.t(config.kind === 'breathing' ? 'exercise.phaseLengths' : 'exercise.stepLengths')}</legend>
+                    <div class="exercise-phases">
+                        ${config.phases.map(phase => SafeRender.html`
+                            <label>
+                                <span>${I18n.t(`exercise.phase.${phase.id}`)}</span>
+                                <input type="number" class="form-input" name="phase-${phase.id}" value="${phase.seconds}"
+                                    min="${limits.min}" max="${limits.max}" required>
+                                <span class="text-secondary">${I18n.t('exercise.seconds')}</span>
+                            </label>
+                        `)}
+                    </div>
+                </fieldset>
+                ${config.kind === 'breathing' ? SafeRender.html`
+                    <label class="exercise-minutes">
+                        <span class="form-label">${I18n.t('exercise.duration')}</span>
+                        <input type="number" class="form-input" name="minutes" value="${config.minutes}"
+                            min="${this.MIN_MINUTES}" max="${this.MAX_MINUTES}" required>
+                        <span class="text-secondary">${I18n.t('exercise.minutes')}</span>
+                    </label>
+                ` : ''}
+                <div class="exercise-options">
+                    <label><input type="checkbox" name="sound" ${settings.sound ? 'checked' : ''}> ${I18n.t('exercise.sound')}</label>
+                    <label><input type="checkbox" name="vibration" ${settings.vibration ? 'checked' : ''}> ${I18n.t('exercise.vibration')}</label>
+                    <label><input type="checkbox" name="reducedMotion" ${this.reducesMotion(settings) ? 'checked' : ''}> ${I18n.t('exercise.reducedMotion')}</label>
+                </div>
+                <div class="flex gap-sm mt-lg">
+                    <button type="submit" class="btn btn-primary">
+                        <i class='bx bx-play'></i>
+                        ${I18n.t('exercise.start')}
+                    </button>
+                    <button type="button" class="btn btn-outline" data-action="back">${I18n.t('exercise.other')}</button>
+                </div>
+            </form>
+        `);
+
+        player.querySelector('[data-action="back"]').addEventListener('click', () => this.renderChooser());
+        player.querySelector('#exerciseSetupForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.currentTarget;
+            const phases = {};
+            config.phases.forEach(phase => {
+                phases[phase.id] = form.elements[`phase-${phase.id}`].value;
+            });
+            const minutes = form.elements.minutes ? form.elements.minutes.value : undefined;
+
+            // Remember the choices for next time
+            const saved = this.loadSettings();
+            const chosen = this.configure(config.id, saved, { phases, minutes });
+            saved.exercises[config.id] = {
+                phases: Object.fromEntries(chosen.phases.map(phase => [phase.id, phase.seconds])),
+                minutes: chosen.minutes
+            };
+            saved.sound = form.elements.sound.checked;
+            saved.vibration = form.elements.vibration.checked;
+            saved.reducedMotion = form.elements.reducedMotion.checked;
+            this.saveSettings(saved);
+            this.start(chosen);
+        });
+    },
+
+    /**
+     * Show the running session
+     */
+    renderRunning() {
+        const { config, settings } = this.session;
+        const reduced = this.reducesMotion(settings);
+        const player = this.render(SafeRender.html`
+            <p class="text-secondary">
+                ${I18n.t(`exercise.${config.id}.name`)} · <span id="exerciseCycle"></span>
+            </p>
+            ${config.kind === 'breathing' ? SafeRender.html`
+                <div id="exerciseCircle" class="breathing-circle ${reduced ? 'reduced-motion' : ''}" aria-hidden="true"></div>
+            ` : ''}
+            <p id="exerciseInstruction" class="breathing-instruction" aria-live="polite"></p>
+            ${config.kind === 'grounding' ? SafeRender.html`<p id="exerciseHint" class="text-secondary"></p>` : ''}
+            <p id="exerciseCountdown" class="exercise-countdown" aria-hidden="true"></p>
+            <div id="exerciseProgressBar" class="exercise-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100"
+                aria-label="${I18n.t('exercise.progress')}">
+                <span id="exerciseProgress"></span>
+            </div>
+            <p class="text-secondary mt-sm">${I18n.t('exercise.remaining')} <span id="exerciseRemaining"></span></p>
+            <div class="flex gap-sm mt-lg exercise-controls">
+                ${config.kind === 'grounding' ? SafeRender.html`
+                    <button type="button" class="btn btn-secondary" data-action="next">
+                        <i class='bx bx-skip-next'></i>
+                        ${I18n.t('exercise.next')}
+                    </button>
+                ` : ''}
+                <button type="button" class="btn btn-outline" data-action="stop">
+                    <i class='bx bx-stop'></i>
+                    ${I18n.t('exercise.stop')}
+                </button>
+            </div>
+        `);
+
+        player.querySelector('[data-action="next"]')?.addEventListener('click', () => this.skipStep());
+        player.querySelector('[data-action="stop"]').addEventListener('click', () => {
+            this.stop();
+            this.renderSetup(config);
+        });
+    },
+
+    /**
+     * Show what was completed
+     * @param {Object} config - Exercise configuration
+     * @param {number} cycles - Cycles completed
+     * @param {number} elapsed - Seconds taken
+     */
+    renderSummary(config, cycles, elapsed) {
+        const name = I18n.t(`exercise.${config.id}.name`);
+        const player = this.render(SafeRender.html`
+            <div class="alert alert-success">
+                <i class='bx bx-check-circle' style="font-size: 1.5rem;"></i>
+                <div>
+                    <strong>${I18n.t('exercise.done')}</strong>
+                    <p>
+                        ${config.kind === 'breathing'
+                            ? I18n.t('exercise.summary.breathing', { count: cycles, name, duration: this.formatDuration(elapsed) })
+                            : I18n.t('exercise.summary.grounding', { duration: this.formatDuration(elapsed) })}
+                    </p>
+                    <p class="mt-sm">${I18n.t('exercise.summary.notice')}</p>
+                </div>
+            </div>
+            <div class="flex gap-sm mt-lg exercise-controls">
+                <button type="button" class="btn btn-primary" data-action="again">
+                    <i class='bx bx-revision'></i>
+                    ${I18n.t('exercise.again')}
+                </button>
+                <button type="button" class="btn btn-secondary" data-action="journal">
+                    <i class='bx bx-calendar-heart'></i>
+                    ${I18n.t('exercise.checkIn')}
+                </button>
+                <button type="button" class="btn btn-outline" data-action="other">${I18n.t('exercise.other')}</button>
+            </div>
+        `);
+
+        player.querySelector('[data-action="again"]').addEventListener('click', () => this.start(config));
+        player.querySelector('[data-action="other"]').addEventListener('click', () => this.renderChooser());
+        player.querySelector('[data-action="journal"]').addEventListener('click', () => {
+            closeModal('exerciseModal');
+            document.getElementById('journal')?.scrollIntoView({ behavior: 'smooth' });
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExercisePlayer;
+}
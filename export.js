@@ -0,0 +1,301 @@
+// ============================================
+// CASE EXPORT - CSV, JSON AND PRINTABLE REPORTS
+// ============================================
+//
+// Turns the decrypted cases on screen into files that can leave the
+// dashboard. Everything identifying is opt-in: tracking codes and internal
+// notes are left out unless requested, and message text can be dropped or
+// passed through a best-effort redaction of personal details.
+
+const CaseExport = {
+    TEXT_MODES: ['none', 'redacted', 'full'],
+    MODE_LABELS: I18n.labels('report.mode', ['none', 'redacted', 'full']),
+
+    // Applied in order; each match is replaced by its label
+    REDACTIONS: [
+        { pattern: /[^\s@<>()]+@[^\s@<>()]+\.[a-z]{2,}/gi, label: '[correo]' },
+        { pattern: /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi, label: '[enlace]' },
+        { pattern: /(?<![\p{L}\p{N}])@[\p{L}\p{N}_.]{2,}/gu, label: '[usuario]' },
+        { pattern: /(?<![\p{L}\p{N}])\+?\d[\d\s().-]{5,}\d(?![\p{L}\p{N}])/gu, label: '[teléfono]' },
+        { pattern: /\b(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{8,12}\b/g, label: '[código]' }
+    ],
+
+    // A capitalized word that does not start a sentence is probably a name
+    PROPER_NOUN: /([^.!?¡¿\n\s]\s+)(\p{Lu}[\p{Ll}]+(?:\s+\p{Lu}[\p{Ll}]+)*)/gu,
+
+    CSV_COLUMNS: [
+        ['caso', 'Caso'],
+        ['codigo', 'Código'],
+        ['fecha', 'Fecha'],
+        ['categoria', 'Categoría'],
+        ['urgencia', 'Urgencia'],
+        ['estado', 'Estado'],
+        ['estadoAnimo', 'Estado de ánimo'],
+        ['nivelCrisis', 'Nivel de crisis'],
+        ['asignado', 'Asignado a'],
+        ['respuestas', 'Respuestas'],
+        ['horasPrimeraRespuesta', 'Horas hasta 1.ª respuesta'],
+        ['horasResolucion', 'Horas hasta resolución'],
+        ['mensaje', 'Mensaje'],
+        ['notas', 'Notas internas']
+    ],
+
+    // ===== REDACTION =====
+
+    /**
+     * Hide emails, links, handles, phone numbers, tracking codes and likely
+     * proper names. Heuristic: reports should still be reviewed before sharing.
+     * @param {string} text - Student or counselor text
+     * @returns {string} Redacted text
+     */
+    redactText(text) {
+        let result = String(text || '');
+        this.REDACTIONS.forEach(({ pattern, label }) => {
+            result = result.replace(pattern, label);
+        });
+        return result.replace(this.PROPER_NOUN, (match, before) => `${before}[nombre]`);
+    },
+
+    /**
+     * Apply a text mode to a piece of text
+     * @param {string} text - Text
+     * @param {string} mode - 'none', 'redacted' or 'full'
+     * @returns {string|null} Text to export, or null when text is excluded
+     */
+    applyTextMode(text, mode) {
+        if (mode === 'full') return text;
+        if (mode === 'redacted') return this.redactText(text);
+        return null;
+    },
+
+    // ===== RECORDS =====
+
+    /**
+     * Hours between two timestamps, rounded to one decimal
+     * @param {string} from - ISO start
+     * @param {string|null} to - ISO end
+     * @returns {number|null} Hours, or null without an end
+     */
+    hoursBetween(from, to) {
+        if (!to) return null;
+        return Math.round((Date.parse(to) - Date.parse(from)) / 360000) / 10;
+    },
+
+    /**
+     * Build anonymized export records from decrypted messages
+     * @param {Array} messages - Decrypted messages (counselor view)
+     * @param {Object} options - { text, notes } as 'none'|'redacted'|'full', and { trackingCodes: boolean }
+     * @returns {Array} Records; excluded fields are omitted
+     */
+    toRecords(messages, options) {
+        const mode = this.TEXT_MODES.includes(options.text) ? options.text : 'none';
+        const notesMode = this.TEXT_MODES.includes(options.notes) ? options.notes : 'none';
+
+        return messages.map((message, index) => {
+            const record = { caso: index + 1 };
+            if (options.trackingCodes) record.codigo = message.trackingCode;
+            Object.assign(record, {
+                fecha: message.timestamp,
+                categoria: message.category,
+                urgencia: message.urgency,
+                estado: message.status,
+                estadoAnimo: message.mood,
+                nivelCrisis: message.crisisLevel || 'none',
+                asignado: message.assignedTo ? message.assignedTo.counselorName : null,
+                respuestas: message.replies.length,
+                horasPrimeraRespuesta: this.hoursBetween(message.timestamp, message.firstResponseAt),
+                horasResolucion: this.hoursBetween(message.timestamp, message.resolvedAt)
+            });
+            if (mode !== 'none') {
+                record.mensaje = this.applyTextMode(message.message, mode);
+                record.conversacion = message.replies.map(reply => ({
+                    de: reply.from === 'counselor' ? 'consejero' : 'estudiante',
+                    fecha: reply.timestamp,
+                    texto: this.applyTextMode(reply.message, mode)
+                }));
+            }
+            if (notesMode !== 'none') {
+                record.notas = message.notes.map(note => this.formatNote(note, notesMode)).join('\n');
+            }
+            return record;
+        });
+    },
+
+    /**
+     * Format an internal note as one line of the notes column
+     * @param {Object} note - Decrypted note
+     * @param {string} mode - 'redacted' or 'full'
+     * @returns {string} "[YYYY-MM-DD HH:MM Author] text"
+     */
+    formatNote(note, mode) {
+        const date = note.createdAt.slice(0, 16).replace('T', ' ');
+        const author = note.counselorName || 'sin autor';
+        return `[${date} ${author}] ${this.applyTextMode(note.note, mode)}`;
+    },
+
+    /**
+     * Count records by a field
+     * @param {Array} records - Export records
+     * @param {string} field - Field name
+     * @returns {Object} { value: count }
+     */
+    countBy(records, field) {
+        return records.reduce((counts, record) => {
+            counts[record[field]] = (counts[record[field]] || 0) + 1;
+            return counts;
+        }, {});
+    },
+
+    // ===== FORMATS =====
+
+    /**
+     * Quote a CSV cell, neutralizing spreadsheet formulas
+     * @param {*} value - Cell value
+     * @returns {string} CSV cell
+     */
+    csvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Serialize records as CSV (one row per case; replies only as a count)
+     * @param {Array} records - Export records
+     * @returns {string} CSV with a UTF-8 BOM so spreadsheets detect accents
+     */
+    toCsv(records) {
+        const columns = this.CSV_COLUMNS.filter(([key]) => records.some(r => key in r));
+        const rows = [columns.map(([, label]) => this.csvCell(label)).join(',')];
+        records.forEach(record => {
+            rows.push(columns.map(([key]) => this.csvCell(record[key])).join(','));
+        });
+        return `\uFEFF${rows.join('\r\n')}\r\n`;
+    },
+
+    /**
+     * Serialize records as JSON, with the options used
+     * @param {Array} records - Export records
+     * @param {Object} meta - { exportedAt, exportedBy, filters, options }
+     * @returns {string} JSON
+     */
+    toJson(records, meta) {
+        return JSON.stringify({ ...meta, total: records.length, casos: records }, null, 2);
+    },
+
+    /**
+     * Render a standalone, printable HTML report
+     * @param {Array} records - Export records
+     * @param {Object} meta - { exportedAt, exportedBy, filters, options }
+     * @returns {RenderedHtml} Full HTML document
+     */
+    renderReport(records, meta) {
+        const summaries = [
+            [I18n.t('report.category'), this.countBy(records, 'categoria')],
+            [I18n.t('report.urgency'), this.countBy(records, 'urgencia')],
+            [I18n.t('report.status'), this.countBy(records, 'estado')],
+            [I18n.t('report.crisisLevel'), this.countBy(records, 'nivelCrisis')]
+        ];
+        const hasText = records.some(r => 'mensaje' in r);
+        const hasNotes = records.some(r => 'notas' in r);
+
+        return SafeRender.html`<!DOCTYPE html>
+<html lang="${I18n.locale}">
+<head>
+    <meta charset="UTF-8">
+    <title>${I18n.t('report.title')}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; font-size: 12px; }
+        h1 { font-size: 20px; margin-bottom: 0.25rem; }
+        h2 { font-size: 15px; margin-top: 1.5rem; }
+        .meta { color: #4b5563; }
+        .summary { display: flex; flex-wrap: wrap; gap: 1rem; }
+        .summary table { min-width: 160px; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; vertical-align: top; }
+        th { background: #f3f4f6; }
+        .text { white-space: pre-wrap; }
+        .reply { margin-top: 4px; color: #374151; }
+        tr { page-break-inside: avoid; }
+    </style>
+</head>
+<body>
+    <h1>${I18n.t('report.title')}</h1>
+    <p class="meta">
+        ${I18n.t('report.generated', { date: I18n.formatDateTime(meta.exportedAt), name: meta.exportedBy })} ·
+        ${I18n.t('report.caseCount', { count: records.length })} · ${I18n.t('report.filters', { filters: meta.filters })}
+    </p>
+    <p class="meta">
+        ${I18n.t('report.messageText')} ${this.MODE_LABELS[meta.options.text]} ·
+        ${I18n.t('report.notes')}: ${this.MODE_LABELS[meta.options.notes]} ·
+        ${I18n.t('report.trackingCodes')} ${I18n.t(meta.options.trackingCodes ? 'report.included' : 'report.excluded')}
+    </p>
+
+    <h2>${I18n.t('report.summary')}</h2>
+    <div class="summary">
+        ${summaries.map(([title, counts]) => SafeRender.html`
+            <table>
+                <thead><tr><th>${title}</th><th>${I18n.t('report.cases')}</th></tr></thead>
+                <tbody>
+                    ${Object.entries(counts).map(([value, count]) => SafeRender.html`
+                        <tr><td>${value}</td><td>${count}</td></tr>
+                    `)}
+                </tbody>
+            </table>
+        `)}
+    </div>
+
+    <h2>${I18n.t('report.cases')}</h2>
+    <table>
+        <thead>
+            <tr>
+                <th>${I18n.t('report.case')}</th>
+                ${meta.options.trackingCodes ? SafeRender.html`<th>${I18n.t('report.code')}</th>` : ''}
+                <th>${I18n.t('report.date')}</th>
+                <th>${I18n.t('report.category')}</th>
+                <th>${I18n.t('report.urgency')}</th>
+                <th>${I18n.t('report.status')}</th>
+                <th>${I18n.t('report.mood')}</th>
+                <th>${I18n.t('report.crisis')}</th>
+                <th>${I18n.t('report.firstResponseHours')}</th>
+                <th>${I18n.t('report.resolutionHours')}</th>
+                ${hasText ? SafeRender.html`<th>${I18n.t('report.conversation')}</th>` : ''}
+                ${hasNotes ? SafeRender.html`<th>${I18n.t('report.notes')}</th>` : ''}
+            </tr>
+        </thead>
+        <tbody>
+            ${records.map(record => SafeRender.html`
+                <tr>
+                    <td>${record.caso}</td>
+                    ${meta.options.trackingCodes ? SafeRender.html`<td>${record.codigo}</td>` : ''}
+                    <td>${I18n.formatDate(record.fecha, {})}</td>
+                    <td>${record.categoria}</td>
+                    <td>${record.urgencia}</td>
+                    <td>${record.estado}</td>
+                    <td>${record.estadoAnimo}</td>
+                    <td>${record.nivelCrisis}</td>
+                    <td>${record.horasPrimeraRespuesta ?? '—'}</td>
+                    <td>${record.horasResolucion ?? '—'}</td>
+                    ${hasText ? SafeRender.html`
+                        <td>
+                            <div class="text">${record.mensaje}</div>
+                            ${record.conversacion.map(reply => SafeRender.html`
+                                <div class="reply text"><strong>${reply.de}:</strong> ${reply.texto}</div>
+                            `)}
+                        </td>
+                    ` : ''}
+                    ${hasNotes ? SafeRender.html`<td class="text">${record.notas}</td>` : ''}
+                </tr>
+            `)}
+        </tbody>
+    </table>
+</body>
+</html>`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseExport;
+}
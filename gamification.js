@@ -0,0 +1,253 @@
+// ============================================
+// GAMIFICATION - GENTLE WELLBEING BADGES
+// ============================================
+//
+// Small acknowledgements for looking after oneself: a first message, mood
+// check-ins on consecutive days and breathing sessions. Progress is a few
+// counters and dates kept in this browser only; it never includes moods,
+// tracking codes or anything else that could point to a student, and it is
+// never sent to the server. Messages are neither counted nor dated: the
+// first-message badge only remembers that it was earned. Badges reward care,
+// not disclosure.
+
+const GamificationSystem = {
+    STORAGE_KEY: 'vocesAnonimasProgreso',
+    MOOD_DAYS_KEPT: 60,
+
+    // `earned` receives the progress, the current mood streak and the event
+    // being recorded. Undated badges keep no trace of when they were earned.
+    BADGES: [
+        { id: 'firstMessage', icon: 'bx-envelope', undated: true, earned: (progress, streak, event) => event === 'messageSent' },
+        { id: 'firstCheckIn', icon: 'bx-happy', earned: progress => progress.moodDays.length >= 1 },
+        { id: 'streak3', icon: 'bx-sun', earned: (progress, streak) => streak >= 3 },
+        { id: 'streak7', icon: 'bx-calendar-heart', earned: (progress, streak) => streak >= 7 },
+        { id: 'firstBreath', icon: 'bx-wind', earned: progress => progress.breathingSessions >= 1 },
+        { id: 'calmBreath', icon: 'bx-leaf', earned: progress => progress.breathingSessions >= 5 }
+    ],
+
+    // ===== STORAGE =====
+
+    /**
+     * Progress before anything has been tracked
+     * @returns {Object} { moodDays, breathingSessions, badges }
+     */
+    emptyProgress() {
+        return { moodDays: [], breathingSessions: 0, badges: {} };
+    },
+
+    /**
+     * Read the progress saved on this device
+     * @returns {Object} Progress; `badges` maps badge ids to the date they
+     *     were earned, or to `true` for undated badges
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return saved && typeof saved === 'object' ? { ...this.emptyProgress(), ...saved } : this.emptyProgress();
+        } catch (err) {
+            return this.emptyProgress();
+        }
+    },
+
+    /**
+     * Save the progress
+     * @param {Object} progress - Progress
+     */
+    write(progress) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(progress));
+        } catch (err) {
+            // Storage disabled: progress lasts for this page only
+        }
+    },
+
+    /**
+     * Forget all progress on this device
+     */
+    reset() {
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (err) {
+            // Storage disabled: nothing was saved
+        }
+    },
+
+    // ===== TRACKING =====
+
+    /**
+     * Acknowledge a message sent. Nothing is counted: only the badge is kept.
+     * @returns {Array<string>} Badges earned by it
+     */
+    trackMessageSent() {
+        return this.record(() => {}, new Date(), 'messageSent');
+    },
+
+    /**
+     * Note that the student checked in with their mood today. Only the day is
+     * kept, not the mood.
+     * @param {Date} [now] - Current date
+     * @returns {Array<string>} Badges earned by it
+     */
+    trackMoodRegistered(now = new Date()) {
+        return this.record(progress => {
+            const today = this.dayKey(now);
+            if (!progress.moodDays.includes(today)) progress.moodDays.push(today);
+            progress.moodDays = progress.moodDays.sort().slice(-this.MOOD_DAYS_KEPT);
+        }, now);
+    },
+
+    /**
+     * Count a completed breathing session
+     * @returns {Array<string>} Badges earned by it
+     */
+    trackBreathingSession() {
+        return this.record(progress => {
+            progress.breathingSessions += 1;
+        });
+    },
+
+    /**
+     * Apply a change to the saved progress, award any new badges and update
+     * the panel
+     * @param {Function} change - Mutates the progress
+     * @param {Date} [now] - Current date
+     * @param {string} [event] - What happened, for badges earned by an event
+     * @returns {Array<string>} Badges earned by the change
+     */
+    record(change, now = new Date(), event = null) {
+        const progress = this.load();
+        change(progress);
+        const earned = this.evaluate(progress, now, event);
+        earned.forEach(id => {
+            const badge = this.BADGES.find(b => b.id === id);
+            progress.badges[id] = badge.undated ? true : now.toISOString();
+        });
+        this.write(progress);
+
+        if (typeof document !== 'undefined') {
+            this.renderPanel();
+            this.announce(earned);
+        }
+        return earned;
+    },
+
+    // ===== STREAKS AND BADGES =====
+
+    /**
+     * Day of a date in the student's time zone
+     * @param {Date} date - Date
+     * @returns {string} "YYYY-MM-DD"
+     */
+    dayKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Consecutive days with a mood check-in, counting back from today. A
+     * streak stays alive until the end of the day after the last check-in.
+     * @param {Array<string>} days - Day keys with a check-in
+     * @param {Date} [now] - Current date
+     * @returns {number} Days in the current streak
+     */
+    moodStreak(days, now = new Date()) {
+        const checked = new Set(days);
+        const cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        if (!checked.has(this.dayKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+
+        let streak = 0;
+        while (checked.has(this.dayKey(cursor))) {
+            streak += 1;
+            cursor.setDate(cursor.getDate() - 1);
+        }
+        return streak;
+    },
+
+    /**
+     * Badges the progress qualifies for but has not been awarded yet
+     * @param {Object} progress - Progress
+     * @param {Date} [now] - Current date
+     * @param {string} [event] - Event being recorded
+     * @returns {Array<string>} Badge ids
+     */
+    evaluate(progress, now = new Date(), event = null) {
+        const streak = this.moodStreak(progress.moodDays, now);
+        return this.BADGES
+            .filter(badge => !progress.badges[badge.id] && badge.earned(progress, streak, event))
+            .map(badge => badge.id);
+    },
+
+    // ===== PANEL =====
+
+    /**
+     * Show a short notice for each badge just earned
+     * @param {Array<string>} earned - Badge ids
+     */
+    announce(earned) {
+        if (typeof showToast === 'undefined') return;
+        earned.forEach(id => {
+            showToast(I18n.t('progress.earned', { badge: I18n.t(`progress.badge.${id}`) }));
+        });
+    },
+
+    /**
+     * Render the progress panel of the student view
+     */
+    renderPanel() {
+        const panel = document.getElementById('gamificationPanel');
+        if (!panel) return;
+
+        const progress = this.load();
+        const streak = this.moodStreak(progress.moodDays);
+        const earnedCount = this.BADGES.filter(badge => progress.badges[badge.id]).length;
+
+        SafeRender.setHtml(panel, SafeRender.html`
+            <h2>
+                <i class='bx bx-medal'></i>
+                ${I18n.t('progress.title')}
+            </h2>
+            <p class="text-secondary mb-lg">${I18n.t('progress.intro')}</p>
+            <p class="mb-md">
+                ${streak > 0 ? I18n.t('progress.streak', { count: streak }) : I18n.t('progress.noStreak')}
+            </p>
+            <ul class="badge-grid">
+                ${this.BADGES.map(badge => {
+                    const earnedAt = progress.badges[badge.id];
+                    return SafeRender.html`
+                        <li class="progress-badge ${earnedAt ? 'earned' : ''}">
+                            <i class='bx ${badge.icon}' aria-hidden="true"></i>
+                            <strong>${I18n.t(`progress.badge.${badge.id}`)}</strong>
+                            <span class="text-secondary">
+                                ${earnedAt && !badge.undated ? I18n.t('progress.earnedOn', { date: I18n.formatDate(earnedAt) }) : I18n.t(`progress.hint.${badge.id}`)}
+                            </span>
+                        </li>
+                    `;
+                })}
+            </ul>
+            <div class="flex gap-sm mt-lg progress-actions">
+                <button type="button" class="btn btn-sm btn-secondary" data-action="breathe">
+                    <i class='bx bx-wind'></i>
+                    ${I18n.t('progress.breathe')}
+                </button>
+                ${earnedCount > 0 || progress.moodDays.length > 0 ? SafeRender.html`
+                    <button type="button" class="btn btn-sm btn-outline" data-action="reset">
+                        <i class='bx bx-trash'></i>
+                        ${I18n.t('progress.reset')}
+                    </button>
+                ` : ''}
+            </div>
+        `);
+
+        panel.querySelector('[data-action="breathe"]').addEventListener('click', () => ExercisePlayer.open());
+        panel.querySelector('[data-action="reset"]')?.addEventListener('click', () => {
+            if (!confirm(I18n.t('progress.confirmReset'))) return;
+            this.reset();
+            this.renderPanel();
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GamificationSystem;
+}
@@ -0,0 +1,228 @@
+// ============================================
+// I18N - LOCALE CATALOGS, TRANSLATION AND DATES
+// ============================================
+//
+// Interface text lives in one catalog per locale (locales/*.js), keyed by
+// dotted names such as "track.title". Spanish is the reference catalog:
+// a key missing from another locale falls back to it, so a partial catalog
+// never leaves a blank on screen. Static markup names its keys with
+// data-i18n attributes and is translated by `apply`; scripts call `t`.
+
+const I18n = {
+    STORAGE_KEY: 'vocesAnonimas_language',
+    DEFAULT_LOCALE: 'es',
+
+    // `intl` is the locale handed to the browser's date and number formatting.
+    // Browsers ship no Kichwa date names, so Kichwa uses Ecuadorian Spanish.
+    LOCALES: {
+        es: { name: 'Español', intl: 'es-ES' },
+        en: { name: 'English', intl: 'en-US' },
+        qu: { name: 'Kichwa', intl: 'es-EC' }
+    },
+
+    locale: 'es',
+    catalogs: {},
+    listeners: [],
+
+    // ===== CATALOGS =====
+
+    /**
+     * Add strings to a locale's catalog
+     * @param {string} locale - Locale code
+     * @param {Object} messages - { key: text } where text may be { one, other }
+     */
+    register(locale, messages) {
+        this.catalogs[locale] = { ...this.catalogs[locale], ...messages };
+    },
+
+    /**
+     * Whether a key has text in a locale, without falling back
+     * @param {string} key - Message key
+     * @param {string} [locale] - Locale code (defaults to the current one)
+     * @returns {boolean}
+     */
+    has(key, locale = this.locale) {
+        return Object.prototype.hasOwnProperty.call(this.catalogs[locale] || {}, key);
+    },
+
+    /**
+     * Translate a key. `{name}` placeholders are filled from params; a
+     * `count` param picks between `one` and `other` forms.
+     * @param {string} key - Message key
+     * @param {Object} [params] - Placeholder values
+     * @returns {string} Text, or the key itself if no catalog has it
+     */
+    t(key, params = {}) {
+        const locale = this.has(key) ? this.locale : this.DEFAULT_LOCALE;
+        let text = this.has(key, locale) ? this.catalogs[locale][key] : key;
+        if (typeof text === 'object') text = params.count === 1 ? text.one : text.other;
+
+        return text.replace(/\{(\w+)\}/g, (match, name) => (
+            Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+        ));
+    },
+
+    /**
+     * Build a label map whose values are always in the current locale, for
+     * code that looks labels up by name (e.g. CRISIS_LEVEL_LABELS[level])
+     * @param {string} prefix - Key prefix, e.g. "crisis.level"
+     * @param {Array<string>} names - Names to expose, e.g. ['none', 'high']
+     * @returns {Object} { name: label } with live values
+     */
+    labels(prefix, names) {
+        const map = {};
+        names.forEach(name => {
+            Object.defineProperty(map, name, {
+                enumerable: true,
+                get: () => this.t(`${prefix}.${name}`)
+            });
+        });
+        return map;
+    },
+
+    // ===== CURRENT LOCALE =====
+
+    /**
+     * Pick the locale to start with: the saved choice, else the browser's
+     * language if we have it, else Spanish
+     * @returns {string} Locale code
+     */
+    detectLocale() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.STORAGE_KEY);
+        } catch (err) {
+            // Storage disabled: fall back to the browser language
+        }
+        if (this.LOCALES[saved]) return saved;
+
+        const languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+        const match = languages
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => this.LOCALES[language]);
+        return match || this.DEFAULT_LOCALE;
+    },
+
+    /**
+     * Switch locale, remember the choice and translate the page
+     * @param {string} locale - Locale code
+     * @param {Object} [options] - { save: false to not remember the choice }
+     */
+    setLocale(locale, options = {}) {
+        if (!this.LOCALES[locale]) locale = this.DEFAULT_LOCALE;
+        this.locale = locale;
+
+        if (options.save !== false) {
+            try {
+                localStorage.setItem(this.STORAGE_KEY, locale);
+            } catch (err) {
+                // Storage disabled: the choice lasts for this page only
+            }
+        }
+        if (typeof document !== 'undefined') {
+            document.documentElement.lang = locale;
+            this.apply(document);
+        }
+        this.listeners.forEach(listener => listener(locale));
+    },
+
+    /**
+     * Run a function whenever the locale changes
+     * @param {Function} listener - Receives the new locale code
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    },
+
+    /**
+     * Translate the static markup under an element. Elements name their
+     * text with data-i18n and their attributes with data-i18n-placeholder,
+     * data-i18n-title and data-i18n-aria-label.
+     * @param {ParentNode} root - Document or element
+     */
+    apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        [['i18nPlaceholder', 'placeholder'], ['i18nTitle', 'title'], ['i18nAriaLabel', 'aria-label']]
+            .forEach(([dataKey, attribute]) => {
+                const selector = `[data-${dataKey.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`;
+                root.querySelectorAll(selector).forEach(element => {
+                    element.setAttribute(attribute, this.t(element.dataset[dataKey]));
+                });
+            });
+    },
+
+    // ===== DATES AND NUMBERS =====
+
+    /**
+     * Locale used for browser formatting
+     * @returns {string} BCP 47 tag
+     */
+    intlLocale() {
+        return this.LOCALES[this.locale].intl;
+    },
+
+    /**
+     * Format a date
+     * @param {Date|string} date - Date
+     * @param {Object} [options] - Intl.DateTimeFormat options (defaults to a long date)
+     * @returns {string}
+     */
+    formatDate(date, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+        return new Date(date).toLocaleDateString(this.intlLocale(), options);
+    },
+
+    /**
+     * Format a date and time
+     * @param {Date|string} date - Date
+     * @returns {string}
+     */
+    formatDateTime(date) {
+        return new Date(date).toLocaleString(this.intlLocale());
+    },
+
+    /**
+     * Format a time of day
+     * @param {Date|string} date - Date
+     * @param {Object} [options] - Intl.DateTimeFormat options
+     * @returns {string}
+     */
+    formatTime(date, options = { hour: '2-digit', minute: '2-digit' }) {
+        return new Date(date).toLocaleTimeString(this.intlLocale(), options);
+    },
+
+    /**
+     * Format a number
+     * @param {number} value - Number
+     * @returns {string}
+     */
+    formatNumber(value) {
+        return value.toLocaleString(this.intlLocale());
+    },
+
+    /**
+     * Describe how long ago something happened, switching to the date after
+     * a week ("Hace 5 minutos", "3 hours ago", "2 punchakunata ñawpa")
+     * @param {Date|string} date - Date in the past
+     * @param {Date} [now] - Current date
+     * @returns {string}
+     */
+    formatRelative(date, now = new Date()) {
+        const diffMs = now - new Date(date);
+        const minutes = Math.floor(diffMs / 60000);
+        const hours = Math.floor(diffMs / 3600000);
+        const days = Math.floor(diffMs / 86400000);
+
+        if (minutes < 1) return this.t('time.justNow');
+        if (minutes < 60) return this.t('time.minutesAgo', { count: minutes });
+        if (hours < 24) return this.t('time.hoursAgo', { count: hours });
+        if (days < 7) return this.t('time.daysAgo', { count: days });
+        return this.formatDate(date);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
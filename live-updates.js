@@ -0,0 +1,200 @@
+// ============================================
+// LIVE UPDATES - CHANGES FROM OTHER TABS AND DEVICES
+// ============================================
+//
+// Dashboards learn about changes to cases from two sources: other tabs of
+// the same browser (BroadcastChannel, or `storage` events where it is not
+// available) and the server's event stream, which covers every other device.
+// A change only says which case changed; dashboards reload the details
+// through the API. Both sources can report the same change, so listeners
+// should tolerate repeats.
+
+const LiveUpdates = {
+    CHANNEL_NAME: 'voces-anonimas-cambios',
+    STORAGE_KEY: 'vocesAnonimasCambio',
+    RECONNECT_MIN_MS: 2 * 1000,
+    RECONNECT_MAX_MS: 60 * 1000,
+
+    channel: null,
+
+    // ===== CHANGES =====
+
+    /**
+     * Describe a change to a case, in the same shape the server sends
+     * @param {string} change - 'created', 'student_reply', 'updated' or 'bulk'
+     * @param {Object} [message] - Message returned by the API
+     * @returns {Object} Change
+     */
+    toChange(change, message) {
+        if (!message) return { change };
+        return {
+            change,
+            messageId: message.id,
+            urgency: message.urgency,
+            crisisLevel: message.crisisLevel || 'none',
+            replies: message.replies.length
+        };
+    },
+
+    /**
+     * Work out which case a successful API call changed
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to the API base URL
+     * @param {Object} data - Parsed response
+     * @returns {Object|null} Change, or null when no case changed
+     */
+    describeRequest(method, path, data) {
+        if (method === 'GET') return null;
+        const message = data && data.message;
+
+        if (method === 'POST' && path === '/messages') return this.toChange('created', message);
+        if (/^\/track\/[^/]+\/replies$/.test(path)) return this.toChange('student_reply', message);
+        if (/^\/(track|messages)\/[^/]+/.test(path) && message) return this.toChange('updated', message);
+        if (path === '/retention/run' || path === '/backup/restore') return this.toChange('bulk');
+        return null;
+    },
+
+    // ===== OTHER TABS =====
+
+    /**
+     * Get the channel shared by this browser's tabs
+     * @returns {BroadcastChannel|null} Channel, or null where unsupported
+     */
+    getChannel() {
+        if (!this.channel && typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+        }
+        return this.channel;
+    },
+
+    /**
+     * Tell this browser's other tabs about a change
+     * @param {Object} change - Change
+     */
+    notify(change) {
+        const channel = this.getChannel();
+        if (channel) {
+            channel.postMessage(change);
+            return;
+        }
+        // Removing the key right away still fires the event in other tabs,
+        // and leaves no trace on a shared computer that a message was sent
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ ...change, at: Date.now() }));
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (err) {
+            // Storage disabled: other tabs catch up through the server
+        }
+    },
+
+    /**
+     * Listen for changes made in this browser's other tabs
+     * @param {Function} onChange - Receives each change
+     * @returns {Function} Stops listening
+     */
+    listen(onChange) {
+        const channel = this.getChannel();
+        const onMessage = event => onChange(event.data);
+        const onStorage = event => {
+            if (event.key !== this.STORAGE_KEY || !event.newValue) return;
+            try {
+                onChange(JSON.parse(event.newValue));
+            } catch (err) {
+                // Ignore values written by something else
+            }
+        };
+
+        if (channel) channel.addEventListener('message', onMessage);
+        window.addEventListener('storage', onStorage);
+        return () => {
+            if (channel) channel.removeEventListener('message', onMessage);
+            window.removeEventListener('storage', onStorage);
+        };
+    },
+
+    // ===== SERVER EVENTS =====
+
+    /**
+     * Split server-sent event text into complete events
+     * @param {string} buffer - Text received so far
+     * @returns {Object} { events: [{ type, data }], rest } where `rest` is an incomplete event
+     */
+    parseEvents(buffer) {
+        const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+        const rest = blocks.pop();
+        const events = [];
+
+        blocks.forEach(block => {
+            let type = 'message';
+            const data = [];
+            block.split('\n').forEach(line => {
+                if (!line || line.startsWith(':')) return;
+                const colon = line.indexOf(':');
+                const field = colon === -1 ? line : line.slice(0, colon);
+                const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+                if (field === 'event') type = value;
+                if (field === 'data') data.push(value);
+            });
+            if (data.length > 0) events.push({ type, data: data.join('\n') });
+        });
+        return { events, rest };
+    },
+
+    /**
+     * Read an event stream until it ends
+     * @param {ReadableStream} body - Response body
+     * @param {Function} onEvent - Receives each { type, data }
+     */
+    async readEvents(body, onEvent) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) return;
+            const parsed = this.parseEvents(buffer + decoder.decode(value, { stream: true }));
+            buffer = parsed.rest;
+            parsed.events.forEach(onEvent);
+        }
+    },
+
+    /**
+     * Stay connected to the server's event stream, reconnecting with backoff.
+     * After a reconnection a 'resync' change is reported, since changes may
+     * have been missed while disconnected.
+     * @param {Function} onChange - Receives each change
+     * @returns {Function} Disconnects
+     */
+    connect(onChange) {
+        const controller = new AbortController();
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        (async () => {
+            let delay = this.RECONNECT_MIN_MS;
+            let connected = false;
+            while (!controller.signal.aborted) {
+                try {
+                    const body = await MessageStore.openEventStream(controller.signal);
+                    if (connected) onChange({ change: 'resync' });
+                    connected = true;
+                    delay = this.RECONNECT_MIN_MS;
+                    await this.readEvents(body, event => {
+                        if (event.type === 'message') onChange(JSON.parse(event.data));
+                    });
+                } catch (err) {
+                    // Ended sessions and servers without events stop for good
+                    if (controller.signal.aborted || err.status === 401 || err.status === 404) return;
+                }
+                await wait(delay);
+                delay = Math.min(delay * 2, this.RECONNECT_MAX_MS);
+            }
+        })();
+
+        return () => controller.abort();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveUpdates;
+}
@@ -0,0 +1,926 @@
+// ============================================
+// LOCALE - ENGLISH
+// ============================================
+//
+// Keep in step with es.js; test/i18n.test.js checks that no key is missing.
+
+const LOCALE_EN = {
+    'accounts.activate': 'Activate',
+    'accounts.active': 'Active',
+    'accounts.create': 'Create Account',
+    'accounts.created': 'Account created successfully',
+    'accounts.deactivate': 'Deactivate',
+    'accounts.error.wrongPassword': 'Your password is not correct. It is needed to give the new account its copy of the encryption key.',
+    'accounts.inactive': 'Deactivated',
+    'accounts.initialPassword': 'Initial password',
+    'accounts.name': 'Name',
+    'accounts.new': 'New Account',
+    'accounts.role': 'Role',
+    'accounts.title': 'Counselor Accounts',
+    'accounts.yourPassword': 'Your password',
+
+    'alarm.acknowledge': 'Acknowledge',
+    'alarm.attempts': {
+        one: '{count} alert',
+        other: '{count} alerts'
+    },
+    'alarm.level': '{level} level',
+    'alarm.onCall': 'On call: {names}',
+    'alarm.since': 'since {date}',
+    'alarm.title': 'Unacknowledged crisis alerts ({count})',
+
+    'analytics.avgFirstResponse': 'Average first reply',
+    'analytics.avgResolution': 'Average time to resolution',
+    'analytics.byCategory': 'Messages per week and category',
+    'analytics.byCrisis': 'Crisis detections by level',
+    'analytics.byCrisisHelp': 'Includes those detected in student replies',
+    'analytics.byMood': 'Mood per week',
+    'analytics.byMoodHelp': "Share of each mood among the week's messages",
+    'analytics.fourWeeks': '4 weeks',
+    'analytics.invalidRange': 'Choose a valid date range',
+    'analytics.period': 'Period',
+    'analytics.quarter': 'Quarter',
+    'analytics.refresh': 'Refresh',
+    'analytics.responseTime.firstResponse': 'First reply',
+    'analytics.responseTime.resolution': 'Resolution',
+    'analytics.responseTimes': 'Average handling times',
+    'analytics.responseTimesHelp': 'Hours since the message arrived, grouped by week of arrival',
+    'analytics.shortcuts': 'Shortcuts',
+    'analytics.showData': 'Show data',
+    'analytics.totalCrisis': 'Crisis detections',
+    'analytics.totalMessages': 'Messages in the period',
+    'analytics.week': 'Week',
+    'analytics.weekOf': 'Week of {week}',
+    'analytics.year': 'Year',
+
+    'app.title': 'Voces Anónimas | Student Digital Mailbox',
+
+    'assignment.assignTo': 'Assign to...',
+    'assignment.claim': 'Take case',
+    'assignment.history.assigned': 'Assigned to {name} by {by}',
+    'assignment.history.claimed': 'Taken by {name}',
+    'assignment.history.reassigned': 'Reassigned to {name} by {by}',
+    'assignment.history.released': 'Released by {by} (was with {name})',
+    'assignment.owner': 'Assigned to:',
+    'assignment.reassignTo': 'Reassign to...',
+    'assignment.release': 'Release',
+    'assignment.title': 'Assignment',
+    'assignment.unassigned': 'Unassigned',
+
+    'audit.action': 'Action',
+    'audit.actionLabel.account_create': 'Created an account',
+    'audit.actionLabel.account_update': 'Changed an account',
+    'audit.actionLabel.acknowledge': 'Acknowledged an alert',
+    'audit.actionLabel.assign': 'Changed the assignment',
+    'audit.actionLabel.backup': 'Downloaded a backup',
+    'audit.actionLabel.escalation_config': 'Changed escalation',
+    'audit.actionLabel.export': 'Exported cases',
+    'audit.actionLabel.legal_hold': 'Legal hold',
+    'audit.actionLabel.lexicon_activate': 'Activated a lexicon',
+    'audit.actionLabel.lexicon_publish': 'Published a lexicon',
+    'audit.actionLabel.login': 'Logged in',
+    'audit.actionLabel.logout': 'Logged out',
+    'audit.actionLabel.note_add': 'Added a note',
+    'audit.actionLabel.note_edit': 'Edited a note',
+    'audit.actionLabel.notes': 'Edited the notes',
+    'audit.actionLabel.reply': 'Replied',
+    'audit.actionLabel.resource_create': 'Created an article',
+    'audit.actionLabel.resource_publish': 'Published or unpublished an article',
+    'audit.actionLabel.resource_update': 'Edited an article',
+    'audit.actionLabel.restore': 'Restored a backup',
+    'audit.actionLabel.retention_config': 'Changed retention',
+    'audit.actionLabel.retention_run': 'Applied retention',
+    'audit.actionLabel.status': 'Changed the status',
+    'audit.actionLabel.template_create': 'Created a template',
+    'audit.actionLabel.template_delete': 'Deleted a template',
+    'audit.actionLabel.template_update': 'Edited a template',
+    'audit.actionLabel.view': 'Viewed the case',
+    'audit.actor': 'Person',
+    'audit.case': 'Case {id}',
+    'audit.chainBroken': 'The log was tampered with:',
+    'audit.chainBrokenAt': 'the chain breaks at entry no. {seq} of {count}.',
+    'audit.chainValid': {
+        one: 'Chain intact: {count} entry verified.',
+        other: 'Chain intact: {count} entries verified.'
+    },
+    'audit.count': {
+        one: '{count} entry',
+        other: '{count} entries'
+    },
+    'audit.empty': 'No matching entries.',
+    'audit.emptyNotes': '(empty)',
+    'audit.headHash': 'Current fingerprint:',
+    'audit.headHashHelp': 'Write it down outside the system to detect whether the log is rebuilt.',
+    'audit.holdOn': 'Yes ({reason})',
+    'audit.messageId': 'Case (ID)',
+    'audit.noNotes': '(no notes)',
+    'audit.replyNumber': 'Reply no. {number}',
+    'audit.showingLatest': 'Showing the {shown} most recent of {total} entries',
+    'audit.title': 'Audit Log',
+    'audit.unavailable': 'Not available',
+
+    'backup.action.add': 'New',
+    'backup.action.overwrite': 'Replaced',
+    'backup.action.skip': 'Current one kept',
+    'backup.confirmRestore': 'Restore the reviewed backup? This cannot be undone.',
+    'backup.create': 'Create backup',
+    'backup.createdBy': 'Backup made on {date} by {name}.',
+    'backup.currentReplies': '(current: {count}, matched by {matchedBy})',
+    'backup.download': 'Download encrypted backup',
+    'backup.error.invalidFile': 'The file is not a valid backup',
+    'backup.error.noFile': 'Choose a backup file',
+    'backup.error.otherVersion': 'This backup was made with another version and cannot be opened here',
+    'backup.error.passwordMismatch': 'The passwords do not match',
+    'backup.error.wrongFormat': 'The file is not a Voces Anónimas backup',
+    'backup.error.wrongPassword': 'The password is wrong or the file is damaged',
+    'backup.file': 'Backup file',
+    'backup.intro': "The backup includes every message (still encrypted), the accounts, the team's public key, the lexicons and the settings. It is encrypted in this browser with the password you choose: without it the backup cannot be restored, so keep it somewhere safe and apart from the file.",
+    'backup.keyChanged': 'The encryption key changed. Log in again with an account from the backup.',
+    'backup.lexiconConflicts': 'Lexicon versions {versions} already exist here with different content. The ones in this mailbox, which its cases were analyzed with, are kept, and those in the backup are not activated.',
+    'backup.losingKeyAccess': 'These accounts will not be able to read messages until they are created again: {names}.',
+    'backup.nothingToDo': 'The backup contains nothing missing here.',
+    'backup.overwrite': 'Replace messages that differ from the backup',
+    'backup.password': 'Backup password',
+    'backup.passwordConfirm': 'Repeat the password',
+    'backup.replaceTeamKey': "The backup's encryption key will be adopted. Accounts in the backup will replace those with the same username, with their passwords from then, and you will have to log in again.",
+    'backup.restore': 'Restore',
+    'backup.restoreIntro': 'Messages are merged with the current ones: those that already exist (same case or same tracking code) are not duplicated.',
+    'backup.restoreTitle': 'Restore backup',
+    'backup.restored': 'Backup restored: {added} new messages and {overwritten} replaced.',
+    'backup.review': 'Review backup',
+    'backup.settings': 'Also restore the settings (active lexicon, escalation, retention and reply templates)',
+    'backup.summary.accountCounts': '{add} new, {overwrite} to replace, {unchanged} already present',
+    'backup.summary.accounts': 'Accounts:',
+    'backup.summary.lexiconCounts': '{add} new versions, {unchanged} already present, {conflict} in conflict',
+    'backup.summary.lexicons': 'Lexicons:',
+    'backup.summary.messageCounts': '{add} new, {overwrite} to replace, {skip} different ones kept, {unchanged} already identical',
+    'backup.summary.messages': 'Messages:',
+    'backup.summary.settings': 'Settings:',
+    'backup.summary.settingsKept': 'current settings kept',
+    'backup.summary.settingsRestored': 'restored',
+    'backup.title': 'Backup',
+
+    'case.anonymizedCode': 'ANONYMIZED',
+    'case.anonymizedText': 'Text removed by the retention policy',
+    'case.crisisDetected': 'CRISIS DETECTED',
+    'case.legalHold': 'Legal hold',
+    'case.lockedText': 'Encrypted content (key not available)',
+    'case.replyCount': {
+        one: '{count} reply',
+        other: '{count} replies'
+    },
+    'case.triggeredByReply': 'Level set by a reply: “{reply}”',
+    'case.unacknowledged': 'UNACKNOWLEDGED',
+
+    'category.academico': 'School',
+    'category.ansiedad': 'Anxiety',
+    'category.autoestima': 'Self-esteem',
+    'category.bullying': 'Bullying',
+    'category.depresion': 'Depression',
+    'category.familiar': 'Family',
+    'category.otro': 'Other',
+    'category.relaciones': 'Relationships',
+
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.delete': 'Delete',
+    'common.edit': 'Edit',
+    'common.error': 'Error: {error}',
+    'common.from': 'From',
+    'common.no': 'No',
+    'common.remove': 'Remove',
+    'common.save': 'Save',
+    'common.to': 'To',
+    'common.view': 'View',
+
+    'crisis.level.critical': 'Critical',
+    'crisis.level.high': 'High',
+    'crisis.level.moderate': 'Moderate',
+    'crisis.level.none': 'No crisis',
+    'crisis.recommendation.critical': 'IMMEDIATE ACTION REQUIRED: Contact the student right away. Consider emergency intervention.',
+    'crisis.recommendation.high': 'HIGH PRIORITY: Reply within the next 2 hours. Assess whether intervention is needed.',
+    'crisis.recommendation.moderate': 'MEDIUM PRIORITY: Reply the same day. Monitor closely.',
+    'crisis.recommendation.none': 'Standard follow-up according to protocol.',
+
+    'dashboard.adminName': '{name} (Administrator)',
+    'dashboard.logout': 'Log Out',
+    'dashboard.tab.analytics': 'Analytics',
+    'dashboard.tab.audit': 'Audit',
+    'dashboard.tab.cases': 'Cases',
+    'dashboard.tab.library': 'Library',
+    'dashboard.tab.templates': 'Templates',
+    'dashboard.title': 'Counseling Dashboard',
+
+    'detail.anonymized': 'Case anonymized on {date} by the retention policy. Only statistical data is kept and it can no longer be changed.',
+    'detail.conversation': 'Conversation History',
+    'detail.crisisAlert': 'CRISIS ALERT',
+    'detail.crisisKeywords': 'Keywords detected:',
+    'detail.crisisLevel': 'Level:',
+    'detail.crisisTrigger': 'Triggered by:',
+    'detail.lexiconVersion': 'Analyzed with lexicon v{version}',
+    'detail.lockedReply': 'You cannot reply without the encryption key. Log out and log in again.',
+    'detail.mood': 'Mood: {mood}',
+    'detail.original': 'Original Message',
+    'detail.readAt': 'Read by the student · {date}',
+    'detail.recommendation': 'Recommendation:',
+    'detail.replyPlaceholder': 'Write your reply to the student (it will be anonymous)...',
+    'detail.replySent': 'Reply sent successfully',
+    'detail.sendReply': 'Send Reply',
+    'detail.student': 'Student',
+    'detail.title': 'Message Details',
+    'detail.unread': 'Not read yet',
+    'detail.updateStatus': 'Update Status',
+
+    'duration.days': '{days} d {hours} h',
+    'duration.hours': '{hours} h {minutes} min',
+    'duration.minutes': '{minutes} min',
+
+    'errors.accountDisabled': 'This account is deactivated',
+    'errors.accountNotFound': 'Account not found',
+    'errors.adminOnly': 'Only an administrator can do this',
+    'errors.alreadyAssigned': 'The case is already assigned to this person',
+    'errors.assigneeInactive': 'A case cannot be assigned to a deactivated account',
+    'errors.backupBadAccounts': 'The backup is damaged: some accounts are incomplete',
+    'errors.backupBadLexicons': 'The backup is damaged: some lexicon versions are incomplete',
+    'errors.backupBadMessages': 'The backup is damaged: some messages are incomplete',
+    'errors.backupBadTeamKey': 'The backup is damaged: the counseling key is not valid',
+    'errors.backupIncomplete': 'The backup is damaged: messages, accounts or lexicons are missing',
+    'errors.backupVersion': 'Unsupported backup version ({version})',
+    'errors.bodyTooLarge': 'What was sent is too large',
+    'errors.cannotDeactivateSelf': 'You cannot deactivate your own account',
+    'errors.caseAnonymized': 'This case was anonymized by the retention policy and cannot be changed',
+    'errors.caseNotAssigned': 'This case is not assigned',
+    'errors.codeExists': 'The tracking code already exists',
+    'errors.codeNotFound': 'Code not found',
+    'errors.emptyMessage': 'The message cannot be empty',
+    'errors.encryptionVersion': 'Unsupported encryption version',
+    'errors.holdReasonRequired': 'Give the reason for the legal hold',
+    'errors.holdReasonTooLong': 'The reason is too long',
+    'errors.internal': 'Internal server error',
+    'errors.invalidCategories': 'Invalid value in categories',
+    'errors.invalidCategory': 'Invalid value for category',
+    'errors.invalidCiphertext': 'The encrypted content is not valid',
+    'errors.invalidCrisisLevel': 'Invalid value for crisis level',
+    'errors.invalidCrisisLevels': 'Invalid value in crisis levels',
+    'errors.invalidExport': 'Invalid export details',
+    'errors.invalidJournal': 'The journal is not valid',
+    'errors.invalidJson': 'What was sent is not valid JSON',
+    'errors.invalidLookupId': 'Invalid tracking identifier',
+    'errors.invalidMood': 'Invalid value for mood',
+    'errors.invalidOnCallEmail': 'Invalid email for {name}',
+    'errors.invalidPath': 'The requested address is not valid',
+    'errors.invalidPin': 'The PIN must have 4 to 8 digits',
+    'errors.invalidReadReceipts': 'Invalid replies',
+    'errors.invalidRetentionInterval': 'The frequency must be between 1 hour and 7 days',
+    'errors.invalidRole': 'Invalid role',
+    'errors.invalidRotationStart': 'The on-call start date is not valid',
+    'errors.invalidRuleAction': 'Invalid action in a rule',
+    'errors.invalidRuleDays': 'The days in a rule must be between 1 and 3650',
+    'errors.invalidRuleStatus': 'Invalid status in a rule',
+    'errors.invalidShiftLength': 'The shift length must be between 1 hour and 31 days',
+    'errors.invalidSmtpPort': 'The SMTP port is not valid',
+    'errors.invalidStatus': 'Invalid value for status',
+    'errors.invalidTerm': 'Invalid term: "{term}". Use words separated by spaces and, optionally, * at the end of a word.',
+    'errors.invalidThresholds': 'The thresholds must be numbers greater than zero',
+    'errors.invalidUrgency': 'Invalid value for urgency',
+    'errors.invalidUsername': 'The username must have 3 to 32 characters (letters, numbers, period, hyphen)',
+    'errors.invalidWebhookUrl': 'The webhook URL must start with http:// or https://',
+    'errors.invalidWeight': 'The weight of category {category} must be between 0 and {max}',
+    'errors.keywordsRequired': 'The lexicon keywords are missing',
+    'errors.lexiconNotFound': 'Lexicon version not found',
+    'errors.liveUpdates': 'Could not open the live updates connection',
+    'errors.mailboxNotReady': 'The mailbox is not ready to receive messages yet. Try again later.',
+    'errors.messageNotFound': 'Message not found',
+    'errors.methodNotAllowed': 'Method not allowed',
+    'errors.missingKeyBox': 'The encrypted counseling key for this account is missing',
+    'errors.nameRequired': 'The name is required',
+    'errors.network': 'Could not reach the server. Please try again.',
+    'errors.noChannels': 'No notification channels are enabled',
+    'errors.noCrisisAlerts': 'This message has no crisis alerts',
+    'errors.noLegalHold': 'This case has no legal hold',
+    'errors.notABackup': 'The file is not a Voces Anónimas backup',
+    'errors.notFound': 'Not found',
+    'errors.noteEditExpired': 'The time to edit this note is over. Add a new note.',
+    'errors.noteNotFound': 'Note not found',
+    'errors.noteNotYours': 'Only whoever wrote the note can edit it',
+    'errors.passwordTooShort': 'The password must have at least {min} characters',
+    'errors.pinRequired': 'This message is protected with a PIN. Enter it to see the conversation.',
+    'errors.reassignNotAllowed': 'Only whoever holds the case or an administrator can reassign it',
+    'errors.releaseNotAllowed': 'Only whoever holds the case or an administrator can release it',
+    'errors.resourceBodyRequired': 'The resource cannot be empty',
+    'errors.resourceBodyTooLong': 'The resource text is too long',
+    'errors.resourceNotFound': 'Resource not found',
+    'errors.resourceSummaryTooLong': 'The resource summary is too long',
+    'errors.resourceTitleRequired': 'The resource needs a title',
+    'errors.resourceTitleTooLong': 'The resource title is too long',
+    'errors.routeNotFound': 'Route not found',
+    'errors.sessionExpired': 'Your session is not valid or has expired. Log in again.',
+    'errors.smtpIncomplete': 'Give the SMTP server and a valid sender address',
+    'errors.teamKeyExists': 'The counseling key is already set up',
+    'errors.teamKeyMismatch': 'The backup uses another counseling key and this mailbox already has messages, so they cannot be merged. Restore into a new installation.',
+    'errors.templateBodyRequired': 'The template cannot be empty',
+    'errors.templateBodyTooLong': 'The template text is too long',
+    'errors.templateNotFound': 'Template not found',
+    'errors.templateTitleRequired': 'The template needs a title',
+    'errors.templateTitleTooLong': 'The template title is too long',
+    'errors.thresholdOrder': 'The thresholds must satisfy: critical > high > moderate',
+    'errors.tooManyAttempts': 'Too many failed attempts. Try again in {minutes} min.',
+    'errors.tooManyResources': 'No more than {max} resources are allowed',
+    'errors.tooManyRules': 'No more than {max} rules are allowed',
+    'errors.tooManyTemplates': 'No more than {max} templates are allowed',
+    'errors.tooManyTerms': 'Too many terms in category {category} (at most {max})',
+    'errors.unexpected': 'An unexpected error occurred',
+    'errors.unknownLexiconVersion': 'Unknown lexicon version',
+    'errors.unknownOnCallAccount': 'The on-call rotation includes an account that does not exist',
+    'errors.usernameTaken': 'An account with that username already exists',
+    'errors.webhookUrlRequired': 'Give the webhook URL',
+    'errors.wrongCredentials': 'Wrong username or password',
+    'errors.wrongPin': 'The PIN is not correct',
+
+    'escalation.addOnCall': 'Add to the on-call rotation',
+    'escalation.alertEmail': 'Email for alerts',
+    'escalation.backupNow': 'Backup: {name}',
+    'escalation.channel.app': 'Dashboard',
+    'escalation.channel.email': 'Email',
+    'escalation.channel.webhook': 'Webhook',
+    'escalation.counselor': 'Counselor',
+    'escalation.dashboardUrl': 'Dashboard link',
+    'escalation.email': 'Email',
+    'escalation.emailEnabled': 'Send alerts by email',
+    'escalation.emailFrom': 'Sender',
+    'escalation.intro': 'When a case reaches a high or critical level, the person on call is alerted. If nobody acknowledges the alert within the recommended time, the alert is repeated and the next person on call is added. Alerts never include the message text.',
+    'escalation.nobodyOnCall': 'Nobody is on call: add at least one person to receive email alerts.',
+    'escalation.onCall': 'On call',
+    'escalation.onCallNow': 'On call now:',
+    'escalation.passwordSaved': 'Saved (type to change it)',
+    'escalation.save': 'Save settings',
+    'escalation.saved': 'Escalation settings saved',
+    'escalation.secretSaved': 'Saved (type to change it)',
+    'escalation.sent': 'sent',
+    'escalation.shift': 'Shift {number}',
+    'escalation.shiftHours': 'Shift length (hours)',
+    'escalation.smtpHost': 'SMTP server',
+    'escalation.smtpPassword': 'SMTP password',
+    'escalation.smtpPort': 'Port',
+    'escalation.smtpSecurity': 'Security',
+    'escalation.smtpSecurity.none': 'None',
+    'escalation.smtpUsername': 'SMTP username',
+    'escalation.startsAt': 'Start of the first shift',
+    'escalation.test': 'Send test',
+    'escalation.testing': 'Sending a test with the saved settings...',
+    'escalation.title': 'Crisis Escalation',
+    'escalation.webhookEnabled': 'Send alerts to a webhook (chat, pager, etc.)',
+    'escalation.webhookSecret': 'Signing secret',
+
+    'escalationLog.acknowledge': 'Acknowledge alert',
+    'escalationLog.acknowledgedBy': 'Acknowledged by {name}',
+    'escalationLog.acknowledgement': {
+        one: 'Acknowledged by {name} ({level} level, after {count} alert)',
+        other: 'Acknowledged by {name} ({level} level, after {count} alerts)'
+    },
+    'escalationLog.nextReminder': 'Next reminder at {time}',
+    'escalationLog.notification': 'Alert {attempt} · {channel}: {to}',
+    'escalationLog.title': 'Crisis Alerts',
+    'escalationLog.unacknowledged': 'Not acknowledged.',
+
+    'exercise.4-7-8.description': 'A long breath out that helps your body relax, for example before sleeping.',
+    'exercise.4-7-8.name': '4-7-8 breathing',
+    'exercise.again': 'Repeat',
+    'exercise.box.description': 'Breathe in, hold, breathe out and hold for the same count. It helps you regain calm and focus.',
+    'exercise.box.name': 'Box breathing',
+    'exercise.checkIn': 'Check in with my mood',
+    'exercise.choose': 'Pick an exercise. You can stop it whenever you want.',
+    'exercise.chooseToLink': 'Choose an exercise...',
+    'exercise.cycle': 'Cycle {cycle} of {total}',
+    'exercise.done': 'Well done!',
+    'exercise.duration': 'Duration',
+    'exercise.grounding.description': 'Use your senses to come back to the present when anxiety or memories overwhelm you.',
+    'exercise.grounding.name': '5-4-3-2-1 grounding',
+    'exercise.hint.hear': 'Near or distant sounds, even small ones.',
+    'exercise.hint.see': 'Look around and name them quietly or in your head.',
+    'exercise.hint.smell': 'If you cannot smell anything, think of a smell you like.',
+    'exercise.hint.taste': 'Or think of a taste you like. Take one more deep breath.',
+    'exercise.hint.touch': 'Notice their texture, temperature and weight.',
+    'exercise.insert': 'Link a guided exercise',
+    'exercise.insertHelp': 'The student will see a button that opens it in their conversation.',
+    'exercise.libraryIntro': 'To calm down whenever you need to:',
+    'exercise.libraryTitle': 'Guided Exercises',
+    'exercise.linked': 'Linked exercise: {name}',
+    'exercise.minutes': 'minutes',
+    'exercise.next': 'Next',
+    'exercise.openLinked': 'Open exercise: {name}',
+    'exercise.other': 'Choose another exercise',
+    'exercise.phase.exhale': 'Breathe out slowly',
+    'exercise.phase.hear': '3 things you can hear',
+    'exercise.phase.hold': 'Hold',
+    'exercise.phase.holdOut': 'Hold with empty lungs',
+    'exercise.phase.inhale': 'Breathe in',
+    'exercise.phase.inhaleMore': 'Breathe in a little more',
+    'exercise.phase.see': '5 things you can see',
+    'exercise.phase.smell': '2 things you can smell',
+    'exercise.phase.taste': '1 thing you can taste',
+    'exercise.phase.touch': '4 things you can touch',
+    'exercise.phaseLengths': 'Length of each phase',
+    'exercise.progress': 'Exercise progress',
+    'exercise.reducedMotion': 'Reduce motion',
+    'exercise.remaining': 'Time left:',
+    'exercise.seconds': 'seconds',
+    'exercise.sigh.description': 'Two breaths in through your nose and a slow breath out through your mouth. It eases tension in a few breaths.',
+    'exercise.sigh.name': 'Physiological sigh',
+    'exercise.sound': 'Soft tones',
+    'exercise.start': 'Start',
+    'exercise.step': 'Step {step} of {total}',
+    'exercise.stepLengths': 'Time for each step',
+    'exercise.stop': 'Stop',
+    'exercise.summary.breathing': {
+        one: 'You completed {count} cycle of {name} in {duration}.',
+        other: 'You completed {count} cycles of {name} in {duration}.'
+    },
+    'exercise.summary.grounding': 'You went through your five senses in {duration}.',
+    'exercise.summary.notice': 'Take a moment to notice how you feel now.',
+    'exercise.vibration': 'Vibration',
+
+    'export.confirmIdentifying': 'The export will include data that can identify students. Continue?',
+    'export.empty': 'No messages match the selected filters.',
+    'export.exclude': 'Exclude',
+    'export.format': 'Format',
+    'export.format.csv': 'CSV (spreadsheet)',
+    'export.format.report': 'Printable report (PDF)',
+    'export.fullNotes': 'Complete',
+    'export.fullText': 'Complete',
+    'export.identifiers': 'Identifiers',
+    'export.intro': 'Export the messages that match the current filters. By default texts, tracking codes and internal notes are left out.',
+    'export.notes': 'Internal notes',
+    'export.popupBlocked': 'The browser blocked the report window. Allow pop-ups and try again.',
+    'export.redact': 'Hide personal details',
+    'export.redactionNote': 'Personal details are hidden automatically (emails, phone numbers, links, usernames, codes and proper names): check the file before sharing it.',
+    'export.searchFilter': 'Search: "{search}"',
+    'export.submit': 'Export',
+    'export.text': 'Message text',
+    'export.title': 'Export Selection',
+    'export.trackingCodes': 'Include tracking codes',
+
+    'filters.allFeminine': 'All',
+    'filters.allMasculine': 'All',
+    'filters.assignee': 'Assignment',
+    'filters.assignee.mine': 'My cases',
+    'filters.category': 'Category',
+    'filters.search': 'Search',
+    'filters.searchPlaceholder': 'Code or keywords...',
+    'filters.status': 'Status',
+    'filters.status.new': 'New',
+    'filters.status.overdue': 'Overdue',
+    'filters.status.resolved': 'Resolved',
+    'filters.status.responded': 'Responded',
+    'filters.title': 'Filters',
+    'filters.urgency': 'Urgency',
+
+    'form.category': 'What do you want to talk about?',
+    'form.categoryOption.academico': '📚 School Stress',
+    'form.categoryOption.ansiedad': '😰 Anxiety',
+    'form.categoryOption.autoestima': '💭 Self-esteem / Confidence',
+    'form.categoryOption.bullying': '😢 Bullying / Harassment',
+    'form.categoryOption.depresion': '😔 Depression / Sadness',
+    'form.categoryOption.familiar': '🏠 Family Problems',
+    'form.categoryOption.otro': '💬 Other',
+    'form.categoryOption.relaciones': '💔 Relationships / Friendships',
+    'form.categoryPlaceholder': 'Choose a category...',
+    'form.characters': 'characters',
+    'form.error.mood': 'Please choose how you feel',
+    'form.error.pin': 'The PIN must have 4 to 8 digits',
+    'form.message': 'Your message',
+    'form.messagePlaceholder': 'Write here what you feel or what worries you... Remember that this is completely anonymous and confidential.',
+    'form.mood': 'How do you feel right now?',
+    'form.pin': 'Optional PIN',
+    'form.pinHelp': 'If you choose a PIN, it will be asked for together with your code to open the conversation.',
+    'form.pinPlaceholder': '4 to 8 digits',
+    'form.submit': 'Send Anonymous Message',
+    'form.subtitle': 'Your identity is fully protected. Nobody will know who sent this message.',
+    'form.title': 'Send an Anonymous Message',
+    'form.urgency': 'How urgent is it?',
+    'form.urgencyOption.alta': '🟠 High - I need help',
+    'form.urgencyOption.baja': '🟢 Low - I can wait',
+    'form.urgencyOption.media': '🟡 Medium - I would like to talk soon',
+    'form.urgencyOption.urgente': '🔴 Urgent - It is an emergency',
+    'form.urgencyPlaceholder': 'Choose the level...',
+
+    'hero.subtitle': 'A safe, anonymous space to share your feelings and worries and to ask for help. We are here to listen.',
+    'hero.title': 'Your voice matters 💙',
+
+    'journal.calendar': 'Recent weeks',
+    'journal.clear': 'Delete my journal from this device',
+    'journal.clearCode': 'Delete my journal',
+    'journal.confirmClear': 'Delete every check-in in your journal on this device?',
+    'journal.confirmClearCode': 'Delete the journal kept with your code? It cannot be recovered.',
+    'journal.confirmMove': "The check-ins saved on this device will move to that code's journal and be removed from here. Continue?",
+    'journal.error.mood': 'Pick how you feel.',
+    'journal.intro': 'Check in with how you feel each day and, if you like, add a short note. No one else sees it: you only share a summary with your counselor if you decide to.',
+    'journal.link': 'Open with this code',
+    'journal.linkHelp': 'That way you can open it from another device. It is encrypted with your code: not even the counseling team can read it.',
+    'journal.linkTitle': 'Keep it with a tracking code',
+    'journal.linked': 'Your journal is now kept with your code.',
+    'journal.note': 'Note (optional)',
+    'journal.notePlaceholder': 'Something you want to remember about today...',
+    'journal.save': 'Save',
+    'journal.saved': 'Saved. Thank you for taking a moment for yourself.',
+    'journal.share': 'Share a summary of my journal',
+    'journal.shareReview': 'We added the summary to your reply. Review it before sending; your notes are not included.',
+    'journal.storedOnDevice': 'Your journal is kept on this device only.',
+    'journal.storedWithCode': 'Your journal is kept encrypted with code {code}. After closing the page you will need your code to open it again.',
+    'journal.summary.count': {
+        one: 'I checked in with my mood on {count} day.',
+        other: 'I checked in with my mood on {count} days.'
+    },
+    'journal.summary.title': 'Summary of my mood journal ({from} – {to}):',
+    'journal.summary.trend.better': 'This week I feel better than last week.',
+    'journal.summary.trend.steady': 'I have felt about the same as last week.',
+    'journal.summary.trend.worse': 'This week has been harder than last week.',
+    'journal.title': 'My Mood Journal',
+    'journal.today': 'How do you feel today?',
+    'journal.todayAgain': 'You already checked in today. You can change it:',
+    'journal.trend': 'How your mood has changed',
+    'journal.trend.better': 'Your mood this week is better than the week before.',
+    'journal.trend.none': 'Check in a few more days to see how it changes.',
+    'journal.trend.steady': 'Your mood has stayed about the same as last week.',
+    'journal.trend.worse': 'This week has been harder than the one before. If you want, tell us about it.',
+    'journal.unlink': 'Close',
+
+    'legalHold.active': 'This case is excluded from the retention rules.',
+    'legalHold.confirmLift': 'Lift the legal hold? The retention rules will apply to this case again.',
+    'legalHold.lift': 'Lift legal hold',
+    'legalHold.none': 'No legal hold: the retention rules apply to this case.',
+    'legalHold.place': 'Place legal hold',
+    'legalHold.promptReason': 'Reason for the legal hold (for example, the case file number):',
+    'legalHold.reason': 'Reason: {reason}',
+    'legalHold.title': 'Legal hold',
+
+    'lexicon.active': 'Active',
+    'lexicon.category.death': 'Death',
+    'lexicon.category.selfHarm': 'Self-harm',
+    'lexicon.category.severe': 'Severe distress',
+    'lexicon.category.suicide': 'Suicide',
+    'lexicon.category.violence': 'Violence',
+    'lexicon.confirmPublish': 'Publish the draft? New messages will be analyzed with this version.',
+    'lexicon.confirmRollback': 'Go back to version {version} of the lexicon?',
+    'lexicon.draft': 'Draft',
+    'lexicon.draftHelp': 'One term or phrase per line. End a word with * to include its variants (for example, suicid*).',
+    'lexicon.intro': 'Terms and weights used to analyze every new message. Each publication creates a new version; you can go back to an earlier one at any time.',
+    'lexicon.language': 'Language of the terms',
+    'lexicon.languageHelp': "Every message is checked against the terms of all languages, whatever the page's language. Weights and thresholds are shared.",
+    'lexicon.note': 'Version note',
+    'lexicon.notePlaceholder': 'What changed and why',
+    'lexicon.publish': 'Publish version',
+    'lexicon.published': 'New lexicon version published',
+    'lexicon.rollback': 'Restore',
+    'lexicon.samples': 'Test texts (one per line)',
+    'lexicon.test': 'Test draft',
+    'lexicon.testActive': 'Active version (v{version})',
+    'lexicon.testBench': 'Test Bench',
+    'lexicon.testSummary': '{changed} of {count} texts would change level with the draft.',
+    'lexicon.testText': 'Text',
+    'lexicon.thresholdCritical': 'Critical threshold',
+    'lexicon.thresholdHigh': 'High threshold',
+    'lexicon.thresholdModerate': 'Moderate threshold',
+    'lexicon.title': 'Crisis Lexicon',
+    'lexicon.useMessages': 'Use received messages',
+    'lexicon.version': 'Version {version}',
+    'lexicon.weight': 'Weight',
+
+    'library.body': 'Text',
+    'library.category': 'Category',
+    'library.chooseCategory': 'Choose a category…',
+    'library.confirmUnpublish': 'Unpublish “{title}”? Students will no longer see it.',
+    'library.created': 'Created {date} by {name}',
+    'library.draft': 'Draft',
+    'library.editTitle': 'Edit “{title}”',
+    'library.empty': 'There are no articles yet.',
+    'library.fromFile': 'file {file}',
+    'library.intro': 'Help articles students can read in the resources section. Only published ones are shown.',
+    'library.markdownHelp': 'You can use Markdown: ## Subheading, - list, 1. steps, > quote, **bold**, *italics* and [link](https://…).',
+    'library.new': 'New Article',
+    'library.preview': 'Preview',
+    'library.previewIncomplete': 'Fill in the title, category and text to see the preview.',
+    'library.publish': 'Publish',
+    'library.published': 'Published',
+    'library.publishedField': 'Published (visible to students)',
+    'library.reset': 'New',
+    'library.save': 'Save article',
+    'library.savedDraft': 'Article saved as a draft',
+    'library.savedPublished': 'Article saved and published',
+    'library.summary': 'Summary (optional)',
+    'library.title': 'Resource Library',
+    'library.titleField': 'Title',
+    'library.unpublish': 'Unpublish',
+    'library.updated': 'Edited {date} by {name}',
+
+    'live.crisisSuffix': ' · {level} crisis',
+    'live.newMessage': 'New message',
+    'live.newUrgentMessage': 'New urgent message',
+    'live.studentReply': 'New reply from a student',
+
+    'login.back': 'Back',
+    'login.error.keyUnlock': 'The encryption key could not be opened: {error}',
+    'login.error.noKey': 'Your account has no access to the encryption key, so you will not be able to read messages. Ask an administrator to create your account again.',
+    'login.password': 'Password',
+    'login.passwordPlaceholder': 'Enter your password',
+    'login.reloadNotice': 'For security, the key for reading messages is not kept when the page reloads. Enter your password again.',
+    'login.submit': 'Log In',
+    'login.subtitle': 'Enter your username and password to open the dashboard',
+    'login.title': 'Counselor Access',
+    'login.username': 'Username',
+    'login.usernamePlaceholder': 'Enter your username',
+
+    'messages.title': 'Received Messages',
+
+    'mood.ansioso': 'Anxious',
+    'mood.bien': 'Good',
+    'mood.mal': 'Bad',
+    'mood.muy-bien': 'Very good',
+    'mood.muy-mal': 'Very bad',
+    'mood.neutral': 'Neutral',
+
+    'nav.counselorAccess': 'Counselor Access',
+    'nav.home': 'Home',
+    'nav.language': 'Language',
+    'nav.resources': 'Resources',
+    'nav.track': 'Track message',
+    'nav.trackUnread': {
+        one: 'Track message ({count} unread reply)',
+        other: 'Track message ({count} unread replies)'
+    },
+    'nav.write': 'Write',
+
+    'notes.editLabel': 'Edit note',
+    'notes.editUntil': 'Edit (until {time})',
+    'notes.edited': 'edited {time}',
+    'notes.empty': 'No notes yet.',
+    'notes.intro': 'For counselors only. Every note is kept on record; you can correct your own for a few minutes after writing them.',
+    'notes.legacyAuthor': 'Earlier note (author not recorded)',
+    'notes.new': 'New note',
+    'notes.placeholder': 'Private note about this case...',
+    'notes.save': 'Save note',
+    'notes.title': 'Internal Notes',
+
+    'progress.badge.calmBreath': 'Calm breathing',
+    'progress.badge.firstBreath': 'A breather',
+    'progress.badge.firstCheckIn': 'Listening to myself',
+    'progress.badge.firstMessage': 'First step',
+    'progress.badge.streak3': 'Three days with me',
+    'progress.badge.streak7': 'A week of care',
+    'progress.breathe': 'Take a breath',
+    'progress.confirmReset': 'Clear the badges and streaks saved on this device?',
+    'progress.earned': 'New badge: {badge}. Looking after yourself counts too 💙',
+    'progress.earnedOn': 'Earned on {date}',
+    'progress.hint.calmBreath': 'Complete five breathing exercises.',
+    'progress.hint.firstBreath': 'Complete a breathing exercise.',
+    'progress.hint.firstCheckIn': 'Pick how you feel on any day.',
+    'progress.hint.firstMessage': 'Asking for help is a brave step.',
+    'progress.hint.streak3': 'Check in with your mood three days in a row.',
+    'progress.hint.streak7': 'Check in with your mood seven days in a row.',
+    'progress.intro': 'Small self-care milestones. They are kept on this device only: they do not say who you are and are not sent to anyone.',
+    'progress.noStreak': 'Whenever you like, tell us how you feel. There is no need to write anything else.',
+    'progress.reset': 'Clear my progress',
+    'progress.streak': {
+        one: 'You checked in with your mood today or yesterday. Come back tomorrow to keep going.',
+        other: 'You have checked in with your mood {count} days in a row.'
+    },
+    'progress.title': 'Your Wellbeing',
+
+    'report.case': 'Case',
+    'report.caseCount': {
+        one: '{count} case',
+        other: '{count} cases'
+    },
+    'report.cases': 'Cases',
+    'report.category': 'Category',
+    'report.code': 'Code',
+    'report.conversation': 'Conversation',
+    'report.crisis': 'Crisis',
+    'report.crisisLevel': 'Crisis level',
+    'report.date': 'Date',
+    'report.excluded': 'excluded',
+    'report.filters': 'Filters: {filters}',
+    'report.firstResponseHours': 'First reply (h)',
+    'report.generated': 'Generated on {date} by {name}',
+    'report.included': 'included',
+    'report.messageText': 'Message text:',
+    'report.mode.full': 'complete',
+    'report.mode.none': 'excluded',
+    'report.mode.redacted': 'with personal details hidden',
+    'report.mood': 'Mood',
+    'report.notes': 'Internal notes',
+    'report.resolutionHours': 'Resolution (h)',
+    'report.status': 'Status',
+    'report.summary': 'Summary',
+    'report.title': 'Case report - Voces Anónimas',
+    'report.trackingCodes': 'Tracking codes:',
+    'report.urgency': 'Urgency',
+
+    'resources.allCategories': 'All topics',
+    'resources.articles': 'Help Articles',
+    'resources.articlesIntro': 'Information about mental health:',
+    'resources.category': 'Topic',
+    'resources.empty': 'No articles have been published yet.',
+    'resources.loadError': 'The articles could not be loaded. Please try again later.',
+    'resources.noMatch': 'No article matches your search.',
+    'resources.related': 'More about {category}',
+    'resources.search': 'Search articles',
+    'resources.searchPlaceholder': 'Search by topic or word…',
+    'resources.talk': 'If you want to talk about this, you can write to us anonymously through the mailbox.',
+    'resources.title': 'Support Resources',
+    'resources.updated': 'Updated {date}',
+
+    'retention.action.anonymize': 'Anonymize',
+    'retention.action.delete': 'Delete',
+    'retention.actionLabel': 'Action',
+    'retention.addRule': 'Add rule',
+    'retention.by': 'by {name}',
+    'retention.casesInStatus': 'cases with status',
+    'retention.confirmRun': 'Apply the saved rules now? Purged data cannot be recovered.',
+    'retention.daysAfterActivity': 'days after the last activity',
+    'retention.daysAfterResolved': 'days after being resolved',
+    'retention.daysLabel': 'Days',
+    'retention.enabled': 'Apply the rules automatically',
+    'retention.held': '{count} on legal hold',
+    'retention.intro': 'Rules are applied when the server starts and at the frequency given. Anonymizing erases the message, replies, notes and tracking code but keeps the category, urgency, mood and dates for statistics. Deleting erases the whole case. Cases on legal hold are never changed.',
+    'retention.lastRun': 'Last applied: {date}',
+    'retention.log': 'Purge log',
+    'retention.logCounts': '{anonymized} anonymized, {deleted} deleted',
+    'retention.neverRun': 'The rules have not been applied yet.',
+    'retention.noLog': 'No entries yet.',
+    'retention.noRules': 'No rules: cases are kept indefinitely.',
+    'retention.preview': 'Preview',
+    'retention.previewHeld': {
+        one: '{count} case is kept because of a legal hold.',
+        other: '{count} cases are kept because of a legal hold.'
+    },
+    'retention.previewNothingChanged': 'Nothing has been changed.',
+    'retention.previewResult': 'With the saved rules, {anonymized} cases would be anonymized and {deleted} deleted now.',
+    'retention.ran': 'Rules applied: {anonymized} cases anonymized and {deleted} deleted.',
+    'retention.ruleDays': {
+        one: 'Rule {number}: {count} day',
+        other: 'Rule {number}: {count} days'
+    },
+    'retention.run': 'Apply now',
+    'retention.save': 'Save rules',
+    'retention.savedManual': 'Rules saved. Automatic application is turned off.',
+    'retention.savedScheduled': 'Rules saved. They will be applied at the next scheduled run.',
+    'retention.scheduleHours': 'Check every (hours)',
+    'retention.since': '{status} since {date}',
+    'retention.statusLabel': 'Status',
+    'retention.title': 'Data Retention',
+    'retention.trigger.manual': 'manual',
+    'retention.trigger.restore': 'after restoring a backup',
+    'retention.trigger.schedule': 'scheduled',
+    'retention.trigger.startup': 'at server startup',
+
+    'risk.initialMessage': 'First message',
+    'risk.studentReply': 'Student reply ({date})',
+    'risk.title': 'Risk Trajectory',
+
+    'role.admin': 'Administrator',
+    'role.counselor': 'Counselor',
+
+    'savedCodes.confirm': 'Only save your code on a personal device: anyone using this browser will be able to open your conversation. Remember the code?',
+    'savedCodes.confirmWithPin': 'Only save your code on a personal device. Your PIN will not be saved, so you will have to type it to read the replies. Remember the code?',
+    'savedCodes.forget': 'Forget',
+    'savedCodes.forgetHere': 'Forget on this device',
+    'savedCodes.missing': 'No longer exists',
+    'savedCodes.newReplies': {
+        one: 'You have a new reply from the counseling team.',
+        other: 'You have {count} new replies from the counseling team.'
+    },
+    'savedCodes.notify': 'Notify me of new replies',
+    'savedCodes.open': 'Open',
+    'savedCodes.pinProtected': 'With PIN: open it to see what is new',
+    'savedCodes.saveHere': 'Remember on this device',
+    'savedCodes.savedHere': 'Saved on this device',
+    'savedCodes.title': 'Codes saved on this device',
+    'savedCodes.unread': {
+        one: '{count} new reply',
+        other: '{count} new replies'
+    },
+    'savedCodes.upToDate': 'No new replies',
+
+    'sla.deadline': 'Deadline: {date}',
+    'sla.dueIn': 'Reply within {duration}',
+    'sla.firstResponse': 'First reply in {duration}',
+    'sla.overdue': 'Overdue by {duration}',
+
+    'stats.medianFirstResponse': 'Median first reply',
+    'stats.overdue': 'Overdue',
+    'stats.pending': 'Pending',
+    'stats.resolved': 'Resolved',
+    'stats.total': 'Total Messages',
+    'stats.urgent': 'Urgent Cases',
+
+    'status.in-review': 'In Review',
+    'status.new': 'New',
+    'status.resolved': 'Resolved',
+    'status.responded': 'Responded',
+
+    'success.copied': 'Copied',
+    'success.copy': 'Copy',
+    'success.next': 'A counselor will review your message soon. You can track its status with the code above.',
+    'success.pinReminder': 'you will need it together with the code. We cannot recover it for you.',
+    'success.pinReminderTitle': 'Remember your PIN:',
+    'success.saveCode': 'Your message has been received. Keep this code to follow up:',
+    'success.sendAnother': 'Send another message',
+    'success.title': 'Message sent successfully!',
+
+    'templates.anyCategory': 'All categories',
+    'templates.anyLevel': 'Any crisis level',
+    'templates.body': 'Text',
+    'templates.categories': 'Categories (none checked: all)',
+    'templates.choose': 'Choose a template…',
+    'templates.confirmDelete': 'Delete the template “{title}” for the whole team?',
+    'templates.created': 'Created {date} by {name}',
+    'templates.crisisLevels': 'Crisis levels (none checked: all)',
+    'templates.editTitle': 'Edit “{title}”',
+    'templates.empty': 'No templates yet.',
+    'templates.general': 'General',
+    'templates.insert': 'Insert template',
+    'templates.intro': 'Common replies shared by the whole team. When replying to a case, the templates for its category and crisis level are suggested.',
+    'templates.new': 'New Template',
+    'templates.others': 'For other cases',
+    'templates.placeholder.categoria': 'Topic of the case, worded to use in a sentence',
+    'templates.placeholder.consejero': 'Your name',
+    'templates.placeholder.fecha': "Today's date",
+    'templates.placeholder.fecha_mensaje': 'Date the student wrote',
+    'templates.reset': 'New',
+    'templates.save': 'Save template',
+    'templates.saved': 'Template saved',
+    'templates.suggested': 'Suggested for this case',
+    'templates.title': 'Reply Templates',
+    'templates.titleField': 'Title',
+    'templates.updated': 'Edited {date} by {name}',
+
+    'time.daysAgo': {
+        one: '{count} day ago',
+        other: '{count} days ago'
+    },
+    'time.hoursAgo': {
+        one: '{count} hour ago',
+        other: '{count} hours ago'
+    },
+    'time.justNow': 'Just now',
+    'time.minutesAgo': {
+        one: '{count} minute ago',
+        other: '{count} minutes ago'
+    },
+
+    'toast.close': 'Close notice',
+
+    'track.category': 'Category:',
+    'track.code': 'Tracking Code',
+    'track.codePlaceholder': 'E.g. ABCD2345XY',
+    'track.conversation': 'Conversation',
+    'track.error.emptyCode': 'Please enter a tracking code',
+    'track.error.emptyReply': 'Please write a reply',
+    'track.error.pinRequired': 'PIN required',
+    'track.error.pinRequiredHelp': 'This message is protected with a PIN. Enter it to see the conversation.',
+    'track.error.tooManyAttempts': 'Too many attempts',
+    'track.error.tooManyAttemptsHelp': 'Wait a few minutes before trying again.',
+    'track.error.wrongPin': 'Wrong PIN',
+    'track.error.wrongPinHelp': 'The PIN is not correct. Check it and try again.',
+    'track.found': 'Message found',
+    'track.foundHelp': 'Here is the status of your message:',
+    'track.fromCounselor': 'Counselor',
+    'track.fromYou': 'You',
+    'track.newReply': 'New',
+    'track.notFound': 'Code not found',
+    'track.notFoundHelp': 'No message was found with this code. Check that you entered it correctly:',
+    'track.pending': 'Your message is being reviewed. You will get a reply soon. Check again using your code.',
+    'track.pin': 'PIN (if you chose one)',
+    'track.replyLabel': 'Your reply',
+    'track.replyPlaceholder': 'Write your reply here...',
+    'track.replySent': 'Reply sent!',
+    'track.replySentHelp': 'The counselor will receive your message.',
+    'track.replySubmit': 'Send Reply',
+    'track.replyTitle': 'Reply to the Counselor',
+    'track.rotate': 'Change my code',
+    'track.rotateConfirm': 'Do you want to change your tracking code? The current code will stop working.',
+    'track.rotateHelp': 'If you think someone else knows your code, change it for a new one. The old code will stop working.',
+    'track.rotated': 'Code updated',
+    'track.rotatedKeep': 'Keep it somewhere safe.',
+    'track.rotatedNewCode': 'Your new tracking code is:',
+    'track.rotatedSamePin': 'Your PIN stays the same.',
+    'track.search': 'Search',
+    'track.subtitle': "Enter your tracking code to see your message's status and the counseling team's replies.",
+    'track.title': 'Track My Message',
+    'track.yourMessage': 'Your message:',
+
+    'urgency.alta': 'High',
+    'urgency.baja': 'Low',
+    'urgency.media': 'Medium',
+    'urgency.urgente': 'Urgent',
+
+    'workload.me': '{name} (you)',
+    'workload.subtitle': 'Open cases per counselor',
+    'workload.title': 'Workload'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LOCALE_EN;
+}
@@ -0,0 +1,927 @@
+// ============================================
+// LOCALE - SPANISH
+// ============================================
+//
+// Reference catalog: every key the interface uses is defined here, and the
+// other locales fall back to it for anything they leave out.
+
+const LOCALE_ES = {
+    'accounts.activate': 'Activar',
+    'accounts.active': 'Activa',
+    'accounts.create': 'Crear Cuenta',
+    'accounts.created': 'Cuenta creada con éxito',
+    'accounts.deactivate': 'Desactivar',
+    'accounts.error.wrongPassword': 'Tu contraseña no es correcta. Se necesita para entregar a la nueva cuenta su copia de la clave de cifrado.',
+    'accounts.inactive': 'Desactivada',
+    'accounts.initialPassword': 'Contraseña inicial',
+    'accounts.name': 'Nombre',
+    'accounts.new': 'Nueva Cuenta',
+    'accounts.role': 'Rol',
+    'accounts.title': 'Cuentas de Consejeros',
+    'accounts.yourPassword': 'Tu contraseña',
+
+    'alarm.acknowledge': 'Reconocer',
+    'alarm.attempts': {
+        one: '{count} aviso',
+        other: '{count} avisos'
+    },
+    'alarm.level': 'Nivel {level}',
+    'alarm.onCall': 'Guardia: {names}',
+    'alarm.since': 'desde {date}',
+    'alarm.title': 'Alertas de crisis sin reconocer ({count})',
+
+    'analytics.avgFirstResponse': 'Promedio 1.ª respuesta',
+    'analytics.avgResolution': 'Promedio hasta resolución',
+    'analytics.byCategory': 'Mensajes por semana y categoría',
+    'analytics.byCrisis': 'Detecciones de crisis por nivel',
+    'analytics.byCrisisHelp': 'Incluye las detectadas en respuestas de estudiantes',
+    'analytics.byMood': 'Estado de ánimo por semana',
+    'analytics.byMoodHelp': 'Proporción de cada estado de ánimo entre los mensajes de la semana',
+    'analytics.fourWeeks': '4 semanas',
+    'analytics.invalidRange': 'Elige un rango de fechas válido',
+    'analytics.period': 'Periodo',
+    'analytics.quarter': 'Trimestre',
+    'analytics.refresh': 'Actualizar',
+    'analytics.responseTime.firstResponse': 'Primera respuesta',
+    'analytics.responseTime.resolution': 'Resolución',
+    'analytics.responseTimes': 'Tiempos promedio de atención',
+    'analytics.responseTimesHelp': 'Horas desde que llega el mensaje, agrupadas por semana de llegada',
+    'analytics.shortcuts': 'Atajos',
+    'analytics.showData': 'Ver datos',
+    'analytics.totalCrisis': 'Detecciones de crisis',
+    'analytics.totalMessages': 'Mensajes en el periodo',
+    'analytics.week': 'Semana',
+    'analytics.weekOf': 'Semana del {week}',
+    'analytics.year': 'Año',
+
+    'app.title': 'Voces Anónimas | Buzón Digital Estudiantil',
+
+    'assignment.assignTo': 'Asignar a...',
+    'assignment.claim': 'Tomar caso',
+    'assignment.history.assigned': 'Asignado a {name} por {by}',
+    'assignment.history.claimed': 'Tomado por {name}',
+    'assignment.history.reassigned': 'Reasignado a {name} por {by}',
+    'assignment.history.released': 'Liberado por {by} (estaba con {name})',
+    'assignment.owner': 'Responsable:',
+    'assignment.reassignTo': 'Reasignar a...',
+    'assignment.release': 'Liberar',
+    'assignment.title': 'Asignación',
+    'assignment.unassigned': 'Sin asignar',
+
+    'audit.action': 'Acción',
+    'audit.actionLabel.account_create': 'Creó una cuenta',
+    'audit.actionLabel.account_update': 'Modificó una cuenta',
+    'audit.actionLabel.acknowledge': 'Reconoció una alerta',
+    'audit.actionLabel.assign': 'Cambió la asignación',
+    'audit.actionLabel.backup': 'Descargó una copia',
+    'audit.actionLabel.escalation_config': 'Cambió el escalamiento',
+    'audit.actionLabel.export': 'Exportó casos',
+    'audit.actionLabel.legal_hold': 'Retención legal',
+    'audit.actionLabel.lexicon_activate': 'Activó un léxico',
+    'audit.actionLabel.lexicon_publish': 'Publicó un léxico',
+    'audit.actionLabel.login': 'Inicio de sesión',
+    'audit.actionLabel.logout': 'Cierre de sesión',
+    'audit.actionLabel.note_add': 'Agregó una nota',
+    'audit.actionLabel.note_edit': 'Editó una nota',
+    'audit.actionLabel.notes': 'Editó las notas',
+    'audit.actionLabel.reply': 'Respondió',
+    'audit.actionLabel.resource_create': 'Creó un artículo',
+    'audit.actionLabel.resource_publish': 'Publicó o retiró un artículo',
+    'audit.actionLabel.resource_update': 'Editó un artículo',
+    'audit.actionLabel.restore': 'Restauró una copia',
+    'audit.actionLabel.retention_config': 'Cambió la retención',
+    'audit.actionLabel.retention_run': 'Aplicó la retención',
+    'audit.actionLabel.status': 'Cambió el estado',
+    'audit.actionLabel.template_create': 'Creó una plantilla',
+    'audit.actionLabel.template_delete': 'Eliminó una plantilla',
+    'audit.actionLabel.template_update': 'Editó una plantilla',
+    'audit.actionLabel.view': 'Vio el caso',
+    'audit.actor': 'Persona',
+    'audit.case': 'Caso {id}',
+    'audit.chainBroken': 'El registro fue alterado:',
+    'audit.chainBrokenAt': 'la cadena se rompe en el registro n.º {seq} de {count}.',
+    'audit.chainValid': {
+        one: 'Cadena íntegra: {count} registro verificado.',
+        other: 'Cadena íntegra: {count} registros verificados.'
+    },
+    'audit.count': {
+        one: '{count} registro',
+        other: '{count} registros'
+    },
+    'audit.empty': 'No hay registros que coincidan.',
+    'audit.emptyNotes': '(vacías)',
+    'audit.headHash': 'Huella actual:',
+    'audit.headHashHelp': 'Anótala fuera del sistema para detectar si el registro se reconstruye.',
+    'audit.holdOn': 'Sí ({reason})',
+    'audit.messageId': 'Caso (ID)',
+    'audit.noNotes': '(sin notas)',
+    'audit.replyNumber': 'Respuesta n.º {number}',
+    'audit.showingLatest': 'Mostrando los {shown} más recientes de {total} registros',
+    'audit.title': 'Registro de Auditoría',
+    'audit.unavailable': 'No disponible',
+
+    'backup.action.add': 'Nuevo',
+    'backup.action.overwrite': 'Se reemplaza',
+    'backup.action.skip': 'Se conserva el actual',
+    'backup.confirmRestore': '¿Restaurar la copia revisada? Esta acción no se puede deshacer.',
+    'backup.create': 'Crear copia',
+    'backup.createdBy': 'Copia creada el {date} por {name}.',
+    'backup.currentReplies': '(actual: {count}, coincide por {matchedBy})',
+    'backup.download': 'Descargar copia cifrada',
+    'backup.error.invalidFile': 'El archivo no es una copia de seguridad válida',
+    'backup.error.noFile': 'Selecciona un archivo de copia',
+    'backup.error.otherVersion': 'Esta copia fue creada con otra versión y no se puede abrir aquí',
+    'backup.error.passwordMismatch': 'Las contraseñas no coinciden',
+    'backup.error.wrongFormat': 'El archivo no es una copia de seguridad de Voces Anónimas',
+    'backup.error.wrongPassword': 'La contraseña no es correcta o el archivo está dañado',
+    'backup.file': 'Archivo de copia',
+    'backup.intro': 'La copia incluye todos los mensajes (siguen cifrados), las cuentas, la clave pública del equipo, los léxicos y la configuración. Se cifra en este navegador con la contraseña que elijas: sin ella no se puede restaurar, así que guárdala en un lugar seguro y separado del archivo.',
+    'backup.keyChanged': 'La clave de cifrado cambió. Inicia sesión nuevamente con una cuenta de la copia.',
+    'backup.lexiconConflicts': 'Las versiones {versions} del léxico ya existen aquí con otro contenido. Se conservan las de este buzón, con las que se analizaron sus casos, y no se activan las de la copia.',
+    'backup.losingKeyAccess': 'Estas cuentas no podrán leer mensajes hasta que se vuelvan a crear: {names}.',
+    'backup.nothingToDo': 'La copia no contiene nada que falte aquí.',
+    'backup.overwrite': 'Reemplazar los mensajes que difieran de la copia',
+    'backup.password': 'Contraseña de la copia',
+    'backup.passwordConfirm': 'Repite la contraseña',
+    'backup.replaceTeamKey': 'Se adoptará la clave de cifrado de la copia. Las cuentas de la copia reemplazarán a las que tengan el mismo usuario, con sus contraseñas de entonces, y tendrás que volver a iniciar sesión.',
+    'backup.restore': 'Restaurar',
+    'backup.restoreIntro': 'Los mensajes se combinan con los actuales: los que ya existen (mismo caso o mismo código de seguimiento) no se duplican.',
+    'backup.restoreTitle': 'Restaurar copia',
+    'backup.restored': 'Copia restaurada: {added} mensajes nuevos y {overwritten} reemplazados.',
+    'backup.review': 'Revisar copia',
+    'backup.settings': 'Restaurar también la configuración (léxico activo, escalamiento, retención y plantillas de respuesta)',
+    'backup.summary.accountCounts': '{add} nuevas, {overwrite} a reemplazar, {unchanged} ya existentes',
+    'backup.summary.accounts': 'Cuentas:',
+    'backup.summary.lexiconCounts': '{add} versiones nuevas, {unchanged} ya existentes, {conflict} en conflicto',
+    'backup.summary.lexicons': 'Léxicos:',
+    'backup.summary.messageCounts': '{add} nuevos, {overwrite} a reemplazar, {skip} distintos que se conservan, {unchanged} ya idénticos',
+    'backup.summary.messages': 'Mensajes:',
+    'backup.summary.settings': 'Configuración:',
+    'backup.summary.settingsKept': 'se conserva la actual',
+    'backup.summary.settingsRestored': 'se restaura',
+    'backup.title': 'Copia de Seguridad',
+
+    'case.anonymizedCode': 'ANONIMIZADO',
+    'case.anonymizedText': 'Texto eliminado por la política de retención',
+    'case.crisisDetected': 'CRISIS DETECTADA',
+    'case.legalHold': 'Retención legal',
+    'case.lockedText': 'Contenido cifrado (clave no disponible)',
+    'case.replyCount': {
+        one: '{count} respuesta',
+        other: '{count} respuestas'
+    },
+    'case.triggeredByReply': 'Nivel activado por una respuesta: “{reply}”',
+    'case.unacknowledged': 'SIN RECONOCER',
+
+    'category.academico': 'Académico',
+    'category.ansiedad': 'Ansiedad',
+    'category.autoestima': 'Autoestima',
+    'category.bullying': 'Bullying',
+    'category.depresion': 'Depresión',
+    'category.familiar': 'Familiar',
+    'category.otro': 'Otro',
+    'category.relaciones': 'Relaciones',
+
+    'common.cancel': 'Cancelar',
+    'common.close': 'Cerrar',
+    'common.delete': 'Eliminar',
+    'common.edit': 'Editar',
+    'common.error': 'Error: {error}',
+    'common.from': 'Desde',
+    'common.no': 'No',
+    'common.remove': 'Quitar',
+    'common.save': 'Guardar',
+    'common.to': 'Hasta',
+    'common.view': 'Ver',
+
+    'crisis.level.critical': 'Crítico',
+    'crisis.level.high': 'Alto',
+    'crisis.level.moderate': 'Moderado',
+    'crisis.level.none': 'Sin crisis',
+    'crisis.recommendation.critical': 'ACCIÓN INMEDIATA REQUERIDA: Contactar al estudiante de inmediato. Considerar intervención de emergencia.',
+    'crisis.recommendation.high': 'ALTA PRIORIDAD: Responder dentro de las próximas 2 horas. Evaluar necesidad de intervención.',
+    'crisis.recommendation.moderate': 'PRIORIDAD MEDIA: Responder dentro del mismo día. Monitorear de cerca.',
+    'crisis.recommendation.none': 'Seguimiento estándar según protocolo.',
+
+    'dashboard.adminName': '{name} (Administrador)',
+    'dashboard.logout': 'Cerrar Sesión',
+    'dashboard.tab.analytics': 'Analítica',
+    'dashboard.tab.audit': 'Auditoría',
+    'dashboard.tab.cases': 'Casos',
+    'dashboard.tab.library': 'Biblioteca',
+    'dashboard.tab.templates': 'Plantillas',
+    'dashboard.title': 'Panel de Consejería',
+
+    'detail.anonymized': 'Caso anonimizado el {date} por la política de retención. Solo se conservan los datos estadísticos y ya no se puede modificar.',
+    'detail.conversation': 'Historial de Conversación',
+    'detail.crisisAlert': 'ALERTA DE CRISIS',
+    'detail.crisisKeywords': 'Palabras clave detectadas:',
+    'detail.crisisLevel': 'Nivel:',
+    'detail.crisisTrigger': 'Activado por:',
+    'detail.lexiconVersion': 'Analizado con el léxico v{version}',
+    'detail.lockedReply': 'No puedes responder sin la clave de cifrado. Cierra sesión y vuelve a ingresar.',
+    'detail.mood': 'Estado de ánimo: {mood}',
+    'detail.original': 'Mensaje Original',
+    'detail.readAt': 'Leída por el estudiante · {date}',
+    'detail.recommendation': 'Recomendación:',
+    'detail.replyPlaceholder': 'Escribe tu respuesta al estudiante (será anónima)...',
+    'detail.replySent': 'Respuesta enviada con éxito',
+    'detail.sendReply': 'Enviar Respuesta',
+    'detail.student': 'Estudiante',
+    'detail.title': 'Detalle del Mensaje',
+    'detail.unread': 'Sin leer todavía',
+    'detail.updateStatus': 'Actualizar Estado',
+
+    'duration.days': '{days} d {hours} h',
+    'duration.hours': '{hours} h {minutes} min',
+    'duration.minutes': '{minutes} min',
+
+    'errors.accountDisabled': 'Esta cuenta está desactivada',
+    'errors.accountNotFound': 'Cuenta no encontrada',
+    'errors.adminOnly': 'Solo un administrador puede realizar esta acción',
+    'errors.alreadyAssigned': 'El caso ya está asignado a esta persona',
+    'errors.assigneeInactive': 'No se puede asignar un caso a una cuenta desactivada',
+    'errors.backupBadAccounts': 'La copia está dañada: hay cuentas incompletas',
+    'errors.backupBadLexicons': 'La copia está dañada: hay versiones de léxico incompletas',
+    'errors.backupBadMessages': 'La copia está dañada: hay mensajes incompletos',
+    'errors.backupBadTeamKey': 'La copia está dañada: la clave de consejería no es válida',
+    'errors.backupIncomplete': 'La copia está dañada: faltan mensajes, cuentas o léxicos',
+    'errors.backupVersion': 'Versión de copia no compatible ({version})',
+    'errors.bodyTooLarge': 'El contenido enviado es demasiado grande',
+    'errors.cannotDeactivateSelf': 'No puedes desactivar tu propia cuenta',
+    'errors.caseAnonymized': 'Este caso fue anonimizado por la política de retención y no se puede modificar',
+    'errors.caseNotAssigned': 'Este caso no está asignado',
+    'errors.codeExists': 'El código de seguimiento ya existe',
+    'errors.codeNotFound': 'Código no encontrado',
+    'errors.emptyMessage': 'El mensaje no puede estar vacío',
+    'errors.encryptionVersion': 'Versión de cifrado no soportada',
+    'errors.holdReasonRequired': 'Indica el motivo de la retención legal',
+    'errors.holdReasonTooLong': 'El motivo es demasiado largo',
+    'errors.internal': 'Error interno del servidor',
+    'errors.invalidCategories': 'Valor no válido en categorías',
+    'errors.invalidCategory': 'Valor no válido para categoría',
+    'errors.invalidCiphertext': 'El contenido cifrado no es válido',
+    'errors.invalidCrisisLevel': 'Valor no válido para nivel de crisis',
+    'errors.invalidCrisisLevels': 'Valor no válido en niveles de crisis',
+    'errors.invalidExport': 'Datos de exportación no válidos',
+    'errors.invalidJournal': 'El diario no es válido',
+    'errors.invalidJson': 'El contenido enviado no es JSON válido',
+    'errors.invalidLookupId': 'Identificador de seguimiento no válido',
+    'errors.invalidMood': 'Valor no válido para estado de ánimo',
+    'errors.invalidOnCallEmail': 'Correo no válido para {name}',
+    'errors.invalidPath': 'La dirección solicitada no es válida',
+    'errors.invalidPin': 'El PIN debe tener entre 4 y 8 dígitos',
+    'errors.invalidReadReceipts': 'Respuestas no válidas',
+    'errors.invalidRetentionInterval': 'La frecuencia debe estar entre 1 hora y 7 días',
+    'errors.invalidRole': 'Rol no válido',
+    'errors.invalidRotationStart': 'La fecha de inicio de la guardia no es válida',
+    'errors.invalidRuleAction': 'Acción no válida en una regla',
+    'errors.invalidRuleDays': 'Los días de una regla deben estar entre 1 y 3650',
+    'errors.invalidRuleStatus': 'Estado no válido en una regla',
+    'errors.invalidShiftLength': 'La duración del turno debe estar entre 1 hora y 31 días',
+    'errors.invalidSmtpPort': 'El puerto SMTP no es válido',
+    'errors.invalidStatus': 'Valor no válido para estado',
+    'errors.invalidTerm': 'Término no válido: "{term}". Usa palabras separadas por espacios y, opcionalmente, * al final de una palabra.',
+    'errors.invalidThresholds': 'Los umbrales deben ser números mayores que cero',
+    'errors.invalidUrgency': 'Valor no válido para urgencia',
+    'errors.invalidUsername': 'El usuario debe tener entre 3 y 32 caracteres (letras, números, punto, guion)',
+    'errors.invalidWebhookUrl': 'La URL del webhook debe empezar con http:// o https://',
+    'errors.invalidWeight': 'El peso de la categoría {category} debe estar entre 0 y {max}',
+    'errors.keywordsRequired': 'Faltan las palabras clave del léxico',
+    'errors.lexiconNotFound': 'Versión de léxico no encontrada',
+    'errors.liveUpdates': 'No se pudo abrir la conexión de avisos en vivo',
+    'errors.mailboxNotReady': 'El buzón aún no está listo para recibir mensajes. Intenta más tarde.',
+    'errors.messageNotFound': 'Mensaje no encontrado',
+    'errors.methodNotAllowed': 'Método no permitido',
+    'errors.missingKeyBox': 'Falta la clave de consejería cifrada para esta cuenta',
+    'errors.nameRequired': 'El nombre es obligatorio',
+    'errors.network': 'No se pudo conectar con el servidor. Intenta nuevamente.',
+    'errors.noChannels': 'No hay canales de notificación activados',
+    'errors.noCrisisAlerts': 'Este mensaje no tiene alertas de crisis',
+    'errors.noLegalHold': 'Este caso no tiene retención legal',
+    'errors.notABackup': 'El archivo no es una copia de seguridad de Voces Anónimas',
+    'errors.notFound': 'No encontrado',
+    'errors.noteEditExpired': 'El plazo para editar esta nota terminó. Agrega una nota nueva.',
+    'errors.noteNotFound': 'Nota no encontrada',
+    'errors.noteNotYours': 'Solo quien escribió la nota puede editarla',
+    'errors.passwordTooShort': 'La contraseña debe tener al menos {min} caracteres',
+    'errors.pinRequired': 'Este mensaje está protegido con un PIN. Ingrésalo para ver la conversación.',
+    'errors.reassignNotAllowed': 'Solo quien tiene el caso o un administrador puede reasignarlo',
+    'errors.releaseNotAllowed': 'Solo quien tiene el caso o un administrador puede liberarlo',
+    'errors.resourceBodyRequired': 'El recurso no puede estar vacío',
+    'errors.resourceBodyTooLong': 'El texto del recurso es demasiado largo',
+    'errors.resourceNotFound': 'Recurso no encontrado',
+    'errors.resourceSummaryTooLong': 'El resumen del recurso es demasiado largo',
+    'errors.resourceTitleRequired': 'El recurso necesita un título',
+    'errors.resourceTitleTooLong': 'El título del recurso es demasiado largo',
+    'errors.routeNotFound': 'Ruta no encontrada',
+    'errors.sessionExpired': 'Tu sesión no es válida o ha expirado. Inicia sesión nuevamente.',
+    'errors.smtpIncomplete': 'Indica el servidor SMTP y una dirección de remitente válida',
+    'errors.teamKeyExists': 'La clave de consejería ya está configurada',
+    'errors.teamKeyMismatch': 'La copia usa otra clave de consejería y este buzón ya tiene mensajes, así que no se pueden combinar. Restaura en una instalación nueva.',
+    'errors.templateBodyRequired': 'La plantilla no puede estar vacía',
+    'errors.templateBodyTooLong': 'El texto de la plantilla es demasiado largo',
+    'errors.templateNotFound': 'Plantilla no encontrada',
+    'errors.templateTitleRequired': 'La plantilla necesita un título',
+    'errors.templateTitleTooLong': 'El título de la plantilla es demasiado largo',
+    'errors.thresholdOrder': 'Los umbrales deben cumplir: crítico > alto > moderado',
+    'errors.tooManyAttempts': 'Demasiados intentos fallidos. Vuelve a intentarlo en {minutes} min.',
+    'errors.tooManyResources': 'No se admiten más de {max} recursos',
+    'errors.tooManyRules': 'No se admiten más de {max} reglas',
+    'errors.tooManyTemplates': 'No se admiten más de {max} plantillas',
+    'errors.tooManyTerms': 'Demasiados términos en la categoría {category} (máximo {max})',
+    'errors.unexpected': 'Ocurrió un error inesperado',
+    'errors.unknownLexiconVersion': 'Versión de léxico desconocida',
+    'errors.unknownOnCallAccount': 'La guardia incluye una cuenta que no existe',
+    'errors.usernameTaken': 'Ya existe una cuenta con ese usuario',
+    'errors.webhookUrlRequired': 'Indica la URL del webhook',
+    'errors.wrongCredentials': 'Usuario o contraseña incorrectos',
+    'errors.wrongPin': 'El PIN no es correcto',
+
+    'escalation.addOnCall': 'Agregar a la guardia',
+    'escalation.alertEmail': 'Correo para avisos',
+    'escalation.backupNow': 'Respaldo: {name}',
+    'escalation.channel.app': 'Panel',
+    'escalation.channel.email': 'Correo',
+    'escalation.channel.webhook': 'Webhook',
+    'escalation.counselor': 'Consejero',
+    'escalation.dashboardUrl': 'Enlace al panel',
+    'escalation.email': 'Correo electrónico',
+    'escalation.emailEnabled': 'Enviar alertas por correo',
+    'escalation.emailFrom': 'Remitente',
+    'escalation.intro': 'Cuando un caso llega a nivel alto o crítico se avisa a la persona de guardia. Si nadie reconoce la alerta dentro del plazo recomendado, se repite el aviso y se suma a la siguiente persona de la guardia. Los avisos nunca incluyen el texto del mensaje.',
+    'escalation.nobodyOnCall': 'Nadie está de guardia: agrega al menos una persona para recibir avisos por correo.',
+    'escalation.onCall': 'Guardia',
+    'escalation.onCallNow': 'De guardia ahora:',
+    'escalation.passwordSaved': 'Guardada (escribe para cambiarla)',
+    'escalation.save': 'Guardar configuración',
+    'escalation.saved': 'Configuración de escalamiento guardada',
+    'escalation.secretSaved': 'Guardado (escribe para cambiarlo)',
+    'escalation.sent': 'enviado',
+    'escalation.shift': 'Turno {number}',
+    'escalation.shiftHours': 'Duración del turno (horas)',
+    'escalation.smtpHost': 'Servidor SMTP',
+    'escalation.smtpPassword': 'Contraseña SMTP',
+    'escalation.smtpPort': 'Puerto',
+    'escalation.smtpSecurity': 'Seguridad',
+    'escalation.smtpSecurity.none': 'Ninguna',
+    'escalation.smtpUsername': 'Usuario SMTP',
+    'escalation.startsAt': 'Inicio del primer turno',
+    'escalation.test': 'Enviar prueba',
+    'escalation.testing': 'Enviando prueba con la configuración guardada...',
+    'escalation.title': 'Escalamiento de Crisis',
+    'escalation.webhookEnabled': 'Enviar alertas a un webhook (chat, buscapersonas, etc.)',
+    'escalation.webhookSecret': 'Secreto de firma',
+
+    'escalationLog.acknowledge': 'Reconocer alerta',
+    'escalationLog.acknowledgedBy': 'Reconocida por {name}',
+    'escalationLog.acknowledgement': {
+        one: 'Reconocida por {name} (nivel {level}, tras {count} aviso)',
+        other: 'Reconocida por {name} (nivel {level}, tras {count} avisos)'
+    },
+    'escalationLog.nextReminder': 'Próximo recordatorio a las {time}',
+    'escalationLog.notification': 'Aviso {attempt} · {channel}: {to}',
+    'escalationLog.title': 'Avisos de Crisis',
+    'escalationLog.unacknowledged': 'Sin reconocer.',
+
+    'exercise.4-7-8.description': 'Una exhalación larga que ayuda a relajar el cuerpo, por ejemplo antes de dormir.',
+    'exercise.4-7-8.name': 'Respiración 4-7-8',
+    'exercise.again': 'Repetir',
+    'exercise.box.description': 'Inhala, sostén, exhala y sostén durante el mismo tiempo. Ayuda a recuperar la calma y la concentración.',
+    'exercise.box.name': 'Respiración cuadrada',
+    'exercise.checkIn': 'Registrar mi ánimo',
+    'exercise.choose': 'Elige un ejercicio. Puedes detenerlo cuando quieras.',
+    'exercise.chooseToLink': 'Elige un ejercicio...',
+    'exercise.cycle': 'Ciclo {cycle} de {total}',
+    'exercise.done': '¡Bien hecho!',
+    'exercise.duration': 'Duración',
+    'exercise.grounding.description': 'Usa tus sentidos para volver al presente cuando la ansiedad o los recuerdos te desbordan.',
+    'exercise.grounding.name': 'Anclaje 5-4-3-2-1',
+    'exercise.hint.hear': 'Sonidos cercanos o lejanos, aunque sean pequeños.',
+    'exercise.hint.see': 'Mira a tu alrededor y nómbralas en voz baja o en tu mente.',
+    'exercise.hint.smell': 'Si no notas ningún olor, recuerda uno que te guste.',
+    'exercise.hint.taste': 'O recuerda un sabor que te guste. Respira hondo una vez más.',
+    'exercise.hint.touch': 'Nota su textura, su temperatura y su peso.',
+    'exercise.insert': 'Enlazar un ejercicio guiado',
+    'exercise.insertHelp': 'El estudiante verá un botón para abrirlo en su conversación.',
+    'exercise.libraryIntro': 'Para calmarte cuando lo necesites:',
+    'exercise.libraryTitle': 'Ejercicios Guiados',
+    'exercise.linked': 'Ejercicio enlazado: {name}',
+    'exercise.minutes': 'minutos',
+    'exercise.next': 'Siguiente',
+    'exercise.openLinked': 'Abrir ejercicio: {name}',
+    'exercise.other': 'Elegir otro ejercicio',
+    'exercise.phase.exhale': 'Exhala despacio',
+    'exercise.phase.hear': '3 cosas que puedes oír',
+    'exercise.phase.hold': 'Sostén',
+    'exercise.phase.holdOut': 'Sostén sin aire',
+    'exercise.phase.inhale': 'Inhala',
+    'exercise.phase.inhaleMore': 'Inhala un poco más',
+    'exercise.phase.see': '5 cosas que puedes ver',
+    'exercise.phase.smell': '2 cosas que puedes oler',
+    'exercise.phase.taste': '1 cosa que puedes saborear',
+    'exercise.phase.touch': '4 cosas que puedes tocar',
+    'exercise.phaseLengths': 'Duración de cada fase',
+    'exercise.progress': 'Progreso del ejercicio',
+    'exercise.reducedMotion': 'Reducir movimiento',
+    'exercise.remaining': 'Tiempo restante:',
+    'exercise.seconds': 'segundos',
+    'exercise.sigh.description': 'Dos inhalaciones por la nariz y una exhalación lenta por la boca. Alivia la tensión en pocos respiros.',
+    'exercise.sigh.name': 'Suspiro fisiológico',
+    'exercise.sound': 'Tonos suaves',
+    'exercise.start': 'Empezar',
+    'exercise.step': 'Paso {step} de {total}',
+    'exercise.stepLengths': 'Tiempo para cada paso',
+    'exercise.stop': 'Detener',
+    'exercise.summary.breathing': {
+        one: 'Completaste {count} ciclo de {name} en {duration}.',
+        other: 'Completaste {count} ciclos de {name} en {duration}.'
+    },
+    'exercise.summary.grounding': 'Recorriste tus cinco sentidos en {duration}.',
+    'exercise.summary.notice': 'Tómate un momento para notar cómo te sientes ahora.',
+    'exercise.vibration': 'Vibración',
+
+    'export.confirmIdentifying': 'La exportación incluirá datos que pueden identificar a estudiantes. ¿Continuar?',
+    'export.empty': 'No hay mensajes que coincidan con los filtros seleccionados.',
+    'export.exclude': 'Excluir',
+    'export.format': 'Formato',
+    'export.format.csv': 'CSV (hoja de cálculo)',
+    'export.format.report': 'Informe imprimible (PDF)',
+    'export.fullNotes': 'Completas',
+    'export.fullText': 'Completo',
+    'export.identifiers': 'Identificadores',
+    'export.intro': 'Exporta los mensajes que coinciden con los filtros actuales. Por defecto no se incluyen textos, códigos de seguimiento ni notas internas.',
+    'export.notes': 'Notas internas',
+    'export.popupBlocked': 'El navegador bloqueó la ventana del informe. Permite las ventanas emergentes e intenta de nuevo.',
+    'export.redact': 'Ocultar datos personales',
+    'export.redactionNote': 'La ocultación de datos personales es automática (correos, teléfonos, enlaces, usuarios, códigos y nombres propios): revisa el archivo antes de compartirlo.',
+    'export.searchFilter': 'Búsqueda: "{search}"',
+    'export.submit': 'Exportar',
+    'export.text': 'Texto de los mensajes',
+    'export.title': 'Exportar Selección',
+    'export.trackingCodes': 'Incluir códigos de seguimiento',
+
+    'filters.allFeminine': 'Todas',
+    'filters.allMasculine': 'Todos',
+    'filters.assignee': 'Asignación',
+    'filters.assignee.mine': 'Mis casos',
+    'filters.category': 'Categoría',
+    'filters.search': 'Buscar',
+    'filters.searchPlaceholder': 'Código o palabras clave...',
+    'filters.status': 'Estado',
+    'filters.status.new': 'Nuevos',
+    'filters.status.overdue': 'Atrasados',
+    'filters.status.resolved': 'Resueltos',
+    'filters.status.responded': 'Respondidos',
+    'filters.title': 'Filtros',
+    'filters.urgency': 'Urgencia',
+
+    'form.category': '¿Sobre qué quieres hablar?',
+    'form.categoryOption.academico': '📚 Estrés Académico',
+    'form.categoryOption.ansiedad': '😰 Ansiedad',
+    'form.categoryOption.autoestima': '💭 Autoestima / Confianza',
+    'form.categoryOption.bullying': '😢 Bullying / Acoso',
+    'form.categoryOption.depresion': '😔 Depresión / Tristeza',
+    'form.categoryOption.familiar': '🏠 Problemas Familiares',
+    'form.categoryOption.otro': '💬 Otro',
+    'form.categoryOption.relaciones': '💔 Relaciones / Amistades',
+    'form.categoryPlaceholder': 'Selecciona una categoría...',
+    'form.characters': 'caracteres',
+    'form.error.mood': 'Por favor selecciona cómo te sientes',
+    'form.error.pin': 'El PIN debe tener entre 4 y 8 dígitos',
+    'form.message': 'Tu mensaje',
+    'form.messagePlaceholder': 'Escribe aquí lo que sientes o lo que te preocupa... Recuerda que esto es completamente anónimo y confidencial.',
+    'form.mood': '¿Cómo te sientes ahora?',
+    'form.pin': 'PIN opcional',
+    'form.pinHelp': 'Si eliges un PIN, se pedirá junto con tu código para abrir la conversación.',
+    'form.pinPlaceholder': '4 a 8 dígitos',
+    'form.submit': 'Enviar Mensaje Anónimo',
+    'form.subtitle': 'Tu identidad está completamente protegida. Nadie sabrá quién envió este mensaje.',
+    'form.title': 'Enviar Mensaje Anónimo',
+    'form.urgency': '¿Qué tan urgente es?',
+    'form.urgencyOption.alta': '🟠 Alta - Necesito ayuda',
+    'form.urgencyOption.baja': '🟢 Baja - Puedo esperar',
+    'form.urgencyOption.media': '🟡 Media - Me gustaría hablar pronto',
+    'form.urgencyOption.urgente': '🔴 Urgente - Es una emergencia',
+    'form.urgencyPlaceholder': 'Selecciona el nivel...',
+
+    'hero.subtitle': 'Un espacio seguro y anónimo para compartir tus emociones, preocupaciones y pedir ayuda. Estamos aquí para escucharte.',
+    'hero.title': 'Tu voz importa 💙',
+
+    'journal.calendar': 'Últimas semanas',
+    'journal.clear': 'Borrar mi diario de este dispositivo',
+    'journal.clearCode': 'Borrar mi diario',
+    'journal.confirmClear': '¿Borrar todos los registros de tu diario en este dispositivo?',
+    'journal.confirmClearCode': '¿Borrar el diario guardado con tu código? No se puede recuperar.',
+    'journal.confirmMove': 'Los registros guardados en este dispositivo se moverán al diario de ese código y se borrarán de aquí. ¿Continuar?',
+    'journal.error.mood': 'Elige cómo te sientes.',
+    'journal.intro': 'Registra cada día cómo te sientes y, si quieres, una nota corta. Nadie más lo ve: solo compartes un resumen con tu consejero si tú lo decides.',
+    'journal.link': 'Abrir con este código',
+    'journal.linkHelp': 'Así podrás abrirlo desde otro dispositivo. Se cifra con tu código: ni siquiera el equipo de consejería puede leerlo.',
+    'journal.linkTitle': 'Guardarlo con un código de seguimiento',
+    'journal.linked': 'Tu diario ahora se guarda con tu código.',
+    'journal.note': 'Nota (opcional)',
+    'journal.notePlaceholder': 'Algo que quieras recordar de hoy...',
+    'journal.save': 'Guardar',
+    'journal.saved': 'Guardado. Gracias por tomarte un momento para ti.',
+    'journal.share': 'Compartir resumen de mi diario',
+    'journal.shareReview': 'Agregamos el resumen a tu respuesta. Revísalo antes de enviarlo; tus notas no se incluyen.',
+    'journal.storedOnDevice': 'Tu diario se guarda solo en este dispositivo.',
+    'journal.storedWithCode': 'Tu diario se guarda cifrado con el código {code}. Al cerrar la página tendrás que abrirlo de nuevo con tu código.',
+    'journal.summary.count': {
+        one: 'Registré cómo me sentía {count} día.',
+        other: 'Registré cómo me sentía {count} días.'
+    },
+    'journal.summary.title': 'Resumen de mi diario de ánimo ({from} – {to}):',
+    'journal.summary.trend.better': 'Esta semana me siento mejor que la anterior.',
+    'journal.summary.trend.steady': 'Me he sentido parecido a la semana anterior.',
+    'journal.summary.trend.worse': 'Esta semana ha sido más difícil que la anterior.',
+    'journal.title': 'Mi Diario de Ánimo',
+    'journal.today': '¿Cómo te sientes hoy?',
+    'journal.todayAgain': 'Ya registraste tu ánimo hoy. Puedes cambiarlo:',
+    'journal.trend': 'Cómo ha cambiado tu ánimo',
+    'journal.trend.better': 'Tu ánimo de esta semana es mejor que el de la anterior.',
+    'journal.trend.none': 'Registra tu ánimo algunos días más para ver cómo cambia.',
+    'journal.trend.steady': 'Tu ánimo se ha mantenido parecido a la semana anterior.',
+    'journal.trend.worse': 'Esta semana ha sido más difícil que la anterior. Si quieres, cuéntanoslo.',
+    'journal.unlink': 'Cerrar',
+
+    'legalHold.active': 'Este caso está excluido de las reglas de retención.',
+    'legalHold.confirmLift': '¿Levantar la retención legal? Las reglas de retención volverán a aplicarse a este caso.',
+    'legalHold.lift': 'Levantar retención legal',
+    'legalHold.none': 'Sin retención legal: las reglas de retención se aplican a este caso.',
+    'legalHold.place': 'Aplicar retención legal',
+    'legalHold.promptReason': 'Motivo de la retención legal (por ejemplo, el número de expediente):',
+    'legalHold.reason': 'Motivo: {reason}',
+    'legalHold.title': 'Retención legal',
+
+    'lexicon.active': 'Activa',
+    'lexicon.category.death': 'Muerte',
+    'lexicon.category.selfHarm': 'Autolesión',
+    'lexicon.category.severe': 'Angustia severa',
+    'lexicon.category.suicide': 'Suicidio',
+    'lexicon.category.violence': 'Violencia',
+    'lexicon.confirmPublish': '¿Publicar el borrador? Los mensajes nuevos se analizarán con esta versión.',
+    'lexicon.confirmRollback': '¿Volver a la versión {version} del léxico?',
+    'lexicon.draft': 'Borrador',
+    'lexicon.draftHelp': 'Un término o frase por línea. Termina una palabra con * para incluir sus variantes (por ejemplo, suicid*).',
+    'lexicon.intro': 'Términos y pesos con los que se analiza cada mensaje nuevo. Cada publicación crea una versión nueva; puedes volver a una anterior en cualquier momento.',
+    'lexicon.language': 'Idioma de los términos',
+    'lexicon.languageHelp': 'Cada mensaje se revisa con los términos de todos los idiomas, sea cual sea el idioma de la página. Los pesos y umbrales son comunes.',
+    'lexicon.note': 'Nota de la versión',
+    'lexicon.notePlaceholder': 'Qué cambió y por qué',
+    'lexicon.publish': 'Publicar versión',
+    'lexicon.published': 'Nueva versión del léxico publicada',
+    'lexicon.rollback': 'Restaurar',
+    'lexicon.samples': 'Textos de prueba (uno por línea)',
+    'lexicon.test': 'Probar borrador',
+    'lexicon.testActive': 'Versión activa (v{version})',
+    'lexicon.testBench': 'Banco de Pruebas',
+    'lexicon.testSummary': '{changed} de {count} textos cambiarían de nivel con el borrador.',
+    'lexicon.testText': 'Texto',
+    'lexicon.thresholdCritical': 'Umbral crítico',
+    'lexicon.thresholdHigh': 'Umbral alto',
+    'lexicon.thresholdModerate': 'Umbral moderado',
+    'lexicon.title': 'Léxico de Crisis',
+    'lexicon.useMessages': 'Usar mensajes recibidos',
+    'lexicon.version': 'Versión {version}',
+    'lexicon.weight': 'Peso',
+
+    'library.body': 'Texto',
+    'library.category': 'Categoría',
+    'library.chooseCategory': 'Elige una categoría…',
+    'library.confirmUnpublish': '¿Retirar «{title}»? Los estudiantes dejarán de verlo.',
+    'library.created': 'Creado {date} por {name}',
+    'library.draft': 'Borrador',
+    'library.editTitle': 'Editar «{title}»',
+    'library.empty': 'Todavía no hay artículos.',
+    'library.fromFile': 'archivo {file}',
+    'library.intro': 'Artículos de ayuda que los estudiantes pueden leer en la sección de recursos. Solo se muestran los publicados.',
+    'library.markdownHelp': 'Puedes usar Markdown: ## Subtítulo, - lista, 1. pasos, > cita, **negrita**, *cursiva* y [enlace](https://…).',
+    'library.new': 'Nuevo Artículo',
+    'library.preview': 'Vista previa',
+    'library.previewIncomplete': 'Completa el título, la categoría y el texto para ver la vista previa.',
+    'library.publish': 'Publicar',
+    'library.published': 'Publicado',
+    'library.publishedField': 'Publicado (visible para los estudiantes)',
+    'library.reset': 'Nuevo',
+    'library.save': 'Guardar artículo',
+    'library.savedDraft': 'Artículo guardado como borrador',
+    'library.savedPublished': 'Artículo guardado y publicado',
+    'library.summary': 'Resumen (opcional)',
+    'library.title': 'Biblioteca de Recursos',
+    'library.titleField': 'Título',
+    'library.unpublish': 'Retirar',
+    'library.updated': 'Editado {date} por {name}',
+
+    'live.crisisSuffix': ' · crisis {level}',
+    'live.newMessage': 'Nuevo mensaje',
+    'live.newUrgentMessage': 'Nuevo mensaje urgente',
+    'live.studentReply': 'Nueva respuesta de un estudiante',
+
+    'login.back': 'Volver',
+    'login.error.keyUnlock': 'No se pudo abrir la clave de cifrado: {error}',
+    'login.error.noKey': 'Tu cuenta no tiene acceso a la clave de cifrado, por lo que no podrás leer los mensajes. Pide a un administrador que vuelva a crear tu cuenta.',
+    'login.password': 'Contraseña',
+    'login.passwordPlaceholder': 'Ingresa tu contraseña',
+    'login.reloadNotice': 'Por seguridad, la clave para leer los mensajes no se guarda al recargar la página. Vuelve a ingresar tu contraseña.',
+    'login.submit': 'Iniciar Sesión',
+    'login.subtitle': 'Ingresa tu usuario y contraseña para acceder al panel de administración',
+    'login.title': 'Acceso para Consejeros',
+    'login.username': 'Usuario',
+    'login.usernamePlaceholder': 'Ingresa tu usuario',
+
+    'messages.title': 'Mensajes Recibidos',
+
+    'mood.ansioso': 'Ansioso',
+    'mood.bien': 'Bien',
+    'mood.mal': 'Mal',
+    'mood.muy-bien': 'Muy bien',
+    'mood.muy-mal': 'Muy mal',
+    'mood.neutral': 'Neutral',
+
+    'nav.counselorAccess': 'Acceso Consejeros',
+    'nav.home': 'Inicio',
+    'nav.language': 'Idioma',
+    'nav.resources': 'Recursos',
+    'nav.track': 'Rastrear mensaje',
+    'nav.trackUnread': {
+        one: 'Rastrear mensaje ({count} respuesta sin leer)',
+        other: 'Rastrear mensaje ({count} respuestas sin leer)'
+    },
+    'nav.write': 'Escribir',
+
+    'notes.editLabel': 'Editar nota',
+    'notes.editUntil': 'Editar (hasta las {time})',
+    'notes.edited': 'editada {time}',
+    'notes.empty': 'Todavía no hay notas.',
+    'notes.intro': 'Solo para consejeros. Cada nota queda registrada; puedes corregir las tuyas durante unos minutos después de escribirlas.',
+    'notes.legacyAuthor': 'Nota anterior (autor no registrado)',
+    'notes.new': 'Nueva nota',
+    'notes.placeholder': 'Nota privada sobre este caso...',
+    'notes.save': 'Guardar nota',
+    'notes.title': 'Notas Internas',
+
+    'progress.badge.calmBreath': 'Respiración en calma',
+    'progress.badge.firstBreath': 'Un respiro',
+    'progress.badge.firstCheckIn': 'Me escucho',
+    'progress.badge.firstMessage': 'Primer paso',
+    'progress.badge.streak3': 'Tres días conmigo',
+    'progress.badge.streak7': 'Una semana de cuidado',
+    'progress.breathe': 'Respirar un momento',
+    'progress.confirmReset': '¿Borrar las insignias y rachas guardadas en este dispositivo?',
+    'progress.earned': 'Nueva insignia: {badge}. Cuidarte también cuenta 💙',
+    'progress.earnedOn': 'Conseguida el {date}',
+    'progress.hint.calmBreath': 'Completa cinco ejercicios de respiración.',
+    'progress.hint.firstBreath': 'Completa un ejercicio de respiración.',
+    'progress.hint.firstCheckIn': 'Elige cómo te sientes un día cualquiera.',
+    'progress.hint.firstMessage': 'Pedir ayuda es un paso valiente.',
+    'progress.hint.streak3': 'Registra tu ánimo tres días seguidos.',
+    'progress.hint.streak7': 'Registra tu ánimo siete días seguidos.',
+    'progress.intro': 'Pequeños logros de autocuidado. Se guardan solo en este dispositivo: no dicen quién eres ni se envían a nadie.',
+    'progress.noStreak': 'Cuando quieras, cuéntanos cómo te sientes. No hace falta escribir nada más.',
+    'progress.reset': 'Borrar mi progreso',
+    'progress.streak': {
+        one: 'Registraste cómo te sientes hoy o ayer. Vuelve mañana para seguir la racha.',
+        other: 'Llevas {count} días seguidos registrando cómo te sientes.'
+    },
+    'progress.title': 'Tu Bienestar',
+
+    'report.case': 'Caso',
+    'report.caseCount': {
+        one: '{count} caso',
+        other: '{count} casos'
+    },
+    'report.cases': 'Casos',
+    'report.category': 'Categoría',
+    'report.code': 'Código',
+    'report.conversation': 'Conversación',
+    'report.crisis': 'Crisis',
+    'report.crisisLevel': 'Nivel de crisis',
+    'report.date': 'Fecha',
+    'report.excluded': 'excluidos',
+    'report.filters': 'Filtros: {filters}',
+    'report.firstResponseHours': '1.ª respuesta (h)',
+    'report.generated': 'Generado el {date} por {name}',
+    'report.included': 'incluidos',
+    'report.messageText': 'Texto de mensajes:',
+    'report.mode.full': 'completo',
+    'report.mode.none': 'excluido',
+    'report.mode.redacted': 'con datos personales ocultos',
+    'report.mood': 'Ánimo',
+    'report.notes': 'Notas internas',
+    'report.resolutionHours': 'Resolución (h)',
+    'report.status': 'Estado',
+    'report.summary': 'Resumen',
+    'report.title': 'Informe de casos - Voces Anónimas',
+    'report.trackingCodes': 'Códigos de seguimiento:',
+    'report.urgency': 'Urgencia',
+
+    'resources.allCategories': 'Todos los temas',
+    'resources.articles': 'Artículos de Ayuda',
+    'resources.articlesIntro': 'Información sobre salud mental:',
+    'resources.category': 'Tema',
+    'resources.empty': 'Todavía no hay artículos publicados.',
+    'resources.loadError': 'No se pudieron cargar los artículos. Intenta nuevamente más tarde.',
+    'resources.noMatch': 'Ningún artículo coincide con tu búsqueda.',
+    'resources.related': 'Más sobre {category}',
+    'resources.search': 'Buscar artículos',
+    'resources.searchPlaceholder': 'Busca por tema o palabra…',
+    'resources.talk': 'Si quieres hablar de esto, puedes escribirnos de forma anónima desde el buzón.',
+    'resources.title': 'Recursos de Apoyo',
+    'resources.updated': 'Actualizado el {date}',
+
+    'retention.action.anonymize': 'Anonimizar',
+    'retention.action.delete': 'Eliminar',
+    'retention.actionLabel': 'Acción',
+    'retention.addRule': 'Agregar regla',
+    'retention.by': 'por {name}',
+    'retention.casesInStatus': 'casos en estado',
+    'retention.confirmRun': '¿Aplicar ahora las reglas guardadas? Los datos purgados no se pueden recuperar.',
+    'retention.daysAfterActivity': 'días después de la última actividad',
+    'retention.daysAfterResolved': 'días después de resolverse',
+    'retention.daysLabel': 'Días',
+    'retention.enabled': 'Aplicar las reglas automáticamente',
+    'retention.held': '{count} en retención legal',
+    'retention.intro': 'Las reglas se aplican al iniciar el servidor y con la frecuencia indicada. Anonimizar borra el mensaje, las respuestas, las notas y el código de seguimiento, pero conserva categoría, urgencia, estado de ánimo y fechas para las estadísticas. Eliminar borra el caso completo. Los casos con retención legal nunca se modifican.',
+    'retention.lastRun': 'Última aplicación: {date}',
+    'retention.log': 'Registro de purgas',
+    'retention.logCounts': '{anonymized} anonimizados, {deleted} eliminados',
+    'retention.neverRun': 'Las reglas todavía no se han aplicado.',
+    'retention.noLog': 'Todavía no hay registros.',
+    'retention.noRules': 'Sin reglas: los casos se conservan indefinidamente.',
+    'retention.preview': 'Vista previa',
+    'retention.previewHeld': {
+        one: '{count} caso se conserva por retención legal.',
+        other: '{count} casos se conservan por retención legal.'
+    },
+    'retention.previewNothingChanged': 'No se ha modificado nada.',
+    'retention.previewResult': 'Con las reglas guardadas, ahora se anonimizarían {anonymized} casos y se eliminarían {deleted}.',
+    'retention.ran': 'Reglas aplicadas: {anonymized} casos anonimizados y {deleted} eliminados.',
+    'retention.ruleDays': {
+        one: 'Regla {number}: {count} día',
+        other: 'Regla {number}: {count} días'
+    },
+    'retention.run': 'Aplicar ahora',
+    'retention.save': 'Guardar reglas',
+    'retention.savedManual': 'Reglas guardadas. La aplicación automática está desactivada.',
+    'retention.savedScheduled': 'Reglas guardadas. Se aplicarán en la próxima revisión programada.',
+    'retention.scheduleHours': 'Revisar cada (horas)',
+    'retention.since': '{status} desde {date}',
+    'retention.statusLabel': 'Estado',
+    'retention.title': 'Retención de Datos',
+    'retention.trigger.manual': 'manual',
+    'retention.trigger.restore': 'tras restaurar una copia',
+    'retention.trigger.schedule': 'programada',
+    'retention.trigger.startup': 'al iniciar el servidor',
+
+    'risk.initialMessage': 'Mensaje inicial',
+    'risk.studentReply': 'Respuesta del estudiante ({date})',
+    'risk.title': 'Trayectoria de Riesgo',
+
+    'role.admin': 'Administrador',
+    'role.counselor': 'Consejero',
+
+    'savedCodes.confirm': 'Guarda tu código solo en un dispositivo personal: cualquiera que use este navegador podrá abrir tu conversación. ¿Recordar el código?',
+    'savedCodes.confirmWithPin': 'Guarda tu código solo en un dispositivo personal. Tu PIN no se guardará, así que tendrás que escribirlo para leer las respuestas. ¿Recordar el código?',
+    'savedCodes.forget': 'Olvidar',
+    'savedCodes.forgetHere': 'Olvidar en este dispositivo',
+    'savedCodes.missing': 'Ya no existe',
+    'savedCodes.newReplies': {
+        one: 'Tienes una respuesta nueva del equipo de consejería.',
+        other: 'Tienes {count} respuestas nuevas del equipo de consejería.'
+    },
+    'savedCodes.notify': 'Avisarme de nuevas respuestas',
+    'savedCodes.open': 'Abrir',
+    'savedCodes.pinProtected': 'Con PIN: ábrelo para ver novedades',
+    'savedCodes.saveHere': 'Recordar en este dispositivo',
+    'savedCodes.savedHere': 'Guardado en este dispositivo',
+    'savedCodes.title': 'Códigos guardados en este dispositivo',
+    'savedCodes.unread': {
+        one: '{count} respuesta nueva',
+        other: '{count} respuestas nuevas'
+    },
+    'savedCodes.upToDate': 'Sin respuestas nuevas',
+
+    'sla.deadline': 'Plazo: {date}',
+    'sla.dueIn': 'Responder en {duration}',
+    'sla.firstResponse': '1.ª respuesta en {duration}',
+    'sla.overdue': 'Atrasado {duration}',
+
+    'stats.medianFirstResponse': 'Mediana 1.ª respuesta',
+    'stats.overdue': 'Atrasados',
+    'stats.pending': 'Pendientes',
+    'stats.resolved': 'Resueltos',
+    'stats.total': 'Total Mensajes',
+    'stats.urgent': 'Casos Urgentes',
+
+    'status.in-review': 'En Revisión',
+    'status.new': 'Nuevo',
+    'status.resolved': 'Resuelto',
+    'status.responded': 'Respondido',
+
+    'success.copied': 'Copiado',
+    'success.copy': 'Copiar',
+    'success.next': 'Un consejero revisará tu mensaje pronto. Puedes rastrear el estado usando el código arriba.',
+    'success.pinReminder': 'lo necesitarás junto con el código. No podemos recuperarlo por ti.',
+    'success.pinReminderTitle': 'Recuerda tu PIN:',
+    'success.saveCode': 'Tu mensaje ha sido recibido. Guarda este código para hacer seguimiento:',
+    'success.sendAnother': 'Enviar otro mensaje',
+    'success.title': '¡Mensaje enviado con éxito!',
+
+    'templates.anyCategory': 'Todas las categorías',
+    'templates.anyLevel': 'Cualquier nivel de crisis',
+    'templates.body': 'Texto',
+    'templates.categories': 'Categorías (ninguna marcada: todas)',
+    'templates.choose': 'Elige una plantilla…',
+    'templates.confirmDelete': '¿Eliminar la plantilla «{title}» para todo el equipo?',
+    'templates.created': 'Creada {date} por {name}',
+    'templates.crisisLevels': 'Niveles de crisis (ninguno marcado: todos)',
+    'templates.editTitle': 'Editar «{title}»',
+    'templates.empty': 'Todavía no hay plantillas.',
+    'templates.general': 'Generales',
+    'templates.insert': 'Insertar plantilla',
+    'templates.intro': 'Respuestas habituales compartidas por todo el equipo. Al responder un caso se sugieren las plantillas de su categoría y nivel de crisis.',
+    'templates.new': 'Nueva Plantilla',
+    'templates.others': 'Para otros casos',
+    'templates.placeholder.categoria': 'Tema del caso, escrito para usar en una frase',
+    'templates.placeholder.consejero': 'Tu nombre',
+    'templates.placeholder.fecha': 'Fecha de hoy',
+    'templates.placeholder.fecha_mensaje': 'Fecha en que el estudiante escribió',
+    'templates.reset': 'Nueva',
+    'templates.save': 'Guardar plantilla',
+    'templates.saved': 'Plantilla guardada',
+    'templates.suggested': 'Sugeridas para este caso',
+    'templates.title': 'Plantillas de Respuesta',
+    'templates.titleField': 'Título',
+    'templates.updated': 'Editada {date} por {name}',
+
+    'time.daysAgo': {
+        one: 'Hace {count} día',
+        other: 'Hace {count} días'
+    },
+    'time.hoursAgo': {
+        one: 'Hace {count} hora',
+        other: 'Hace {count} horas'
+    },
+    'time.justNow': 'Hace un momento',
+    'time.minutesAgo': {
+        one: 'Hace {count} minuto',
+        other: 'Hace {count} minutos'
+    },
+
+    'toast.close': 'Cerrar aviso',
+
+    'track.category': 'Categoría:',
+    'track.code': 'Código de Seguimiento',
+    'track.codePlaceholder': 'Ej: ABCD2345XY',
+    'track.conversation': 'Conversación',
+    'track.error.emptyCode': 'Por favor ingresa un código de seguimiento',
+    'track.error.emptyReply': 'Por favor escribe una respuesta',
+    'track.error.pinRequired': 'PIN requerido',
+    'track.error.pinRequiredHelp': 'Este mensaje está protegido con un PIN. Ingrésalo para ver la conversación.',
+    'track.error.tooManyAttempts': 'Demasiados intentos',
+    'track.error.tooManyAttemptsHelp': 'Espera unos minutos antes de volver a intentarlo.',
+    'track.error.wrongPin': 'PIN incorrecto',
+    'track.error.wrongPinHelp': 'El PIN no es correcto. Revísalo e intenta de nuevo.',
+    'track.found': 'Mensaje encontrado',
+    'track.foundHelp': 'Aquí está el estado de tu mensaje:',
+    'track.fromCounselor': 'Consejero',
+    'track.fromYou': 'Tú',
+    'track.newReply': 'Nueva',
+    'track.notFound': 'Código no encontrado',
+    'track.notFoundHelp': 'No se encontró ningún mensaje con este código. Verifica que lo hayas ingresado correctamente:',
+    'track.pending': 'Tu mensaje está siendo revisado. Recibirás una respuesta pronto. Vuelve a consultar usando tu código.',
+    'track.pin': 'PIN (si elegiste uno)',
+    'track.replyLabel': 'Tu respuesta',
+    'track.replyPlaceholder': 'Escribe tu respuesta aquí...',
+    'track.replySent': '¡Respuesta enviada!',
+    'track.replySentHelp': 'El consejero recibirá tu mensaje.',
+    'track.replySubmit': 'Enviar Respuesta',
+    'track.replyTitle': 'Responder al Consejero',
+    'track.rotate': 'Cambiar mi código',
+    'track.rotateConfirm': '¿Quieres cambiar tu código de seguimiento? El código actual dejará de funcionar.',
+    'track.rotateHelp': 'Si crees que alguien más conoce tu código, cámbialo por uno nuevo. El código anterior dejará de funcionar.',
+    'track.rotated': 'Código actualizado',
+    'track.rotatedKeep': 'Guárdalo en un lugar seguro.',
+    'track.rotatedNewCode': 'Tu nuevo código de seguimiento es:',
+    'track.rotatedSamePin': 'Tu PIN sigue siendo el mismo.',
+    'track.search': 'Buscar',
+    'track.subtitle': 'Ingresa tu código de seguimiento para ver el estado de tu mensaje y las respuestas del equipo de consejería.',
+    'track.title': 'Rastrear Mi Mensaje',
+    'track.yourMessage': 'Tu mensaje:',
+
+    'urgency.alta': 'Alta',
+    'urgency.baja': 'Baja',
+    'urgency.media': 'Media',
+    'urgency.urgente': 'Urgente',
+
+    'workload.me': '{name} (tú)',
+    'workload.subtitle': 'Casos abiertos por consejero',
+    'workload.title': 'Carga de Trabajo'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LOCALE_ES;
+}
@@ -0,0 +1,126 @@
+// ============================================
+// LOCALE - KICHWA
+// ============================================
+//
+// Covers the pages students use. Counselor screens and anything not listed
+// here fall back to Spanish.
+
+const LOCALE_QU = {
+    'app.title': 'Voces Anónimas | Yachakukkunapak Willay Wasi',
+
+    'common.close': 'Wichkana',
+
+    'exercise.libraryTitle': 'Samay rurakuna',
+    'exercise.phase.exhale': 'Samayta kachay',
+    'exercise.phase.hold': 'Harkay',
+    'exercise.phase.inhale': 'Samayta aysay',
+
+    'form.category': '¿Imamanta rimanata munanki?',
+    'form.categoryPlaceholder': 'Shukta akllay...',
+    'form.characters': 'killkakuna',
+    'form.error.mood': 'Imashina kashkata akllay',
+    'form.error.pin': 'PIN-ka 4 - 8 yupaykunami kana',
+    'form.message': 'Kampak willay',
+    'form.messagePlaceholder': 'Kaypi killkay ima yuyaykunata, ima llakikunata charishkata... Kayka mana shutiyukmi, pakallami.',
+    'form.mood': '¿Kunan imashina kanki?',
+    'form.pin': 'PIN (munashpalla)',
+    'form.pinHelp': 'PIN-ta akllashpaka, yupaywan kuchkami mañanka rimanakuyta paskankapak.',
+    'form.pinPlaceholder': '4 - 8 yupaykuna',
+    'form.submit': 'Willayta kachana',
+    'form.subtitle': 'Pi kashkatapash pipash mana yachanka.',
+    'form.title': 'Mana shutiyuk willayta kachana',
+    'form.urgency': '¿Ima shina utkami kan?',
+    'form.urgencyPlaceholder': 'Akllay...',
+
+    'hero.subtitle': 'Kaypika mana pi rikshishpa kampak yuyaykunata, llakikunata willayta, yanapayta mañaytapash ushanki. Kaypimi kanchik uyankapak.',
+    'hero.title': 'Kampak shimika ancha valinmi 💙',
+
+    'journal.save': 'Wakaychina',
+    'journal.title': 'Ñuka shunku killka',
+    'journal.today': '¿Kunan punchaka imashina kanki?',
+
+    'mood.ansioso': 'Mancharishka',
+    'mood.bien': 'Alli',
+    'mood.mal': 'Mana alli',
+    'mood.muy-bien': 'Ancha alli',
+    'mood.muy-mal': 'Ancha mana alli',
+    'mood.neutral': 'Chawpi',
+
+    'nav.counselorAccess': 'Yuyachikkunapak yaykuna',
+    'nav.home': 'Kallari',
+    'nav.language': 'Shimi',
+    'nav.resources': 'Yanapaykuna',
+    'nav.track': 'Willayta katina',
+    'nav.trackUnread': {
+        one: 'Willayta katina ({count} mana rikushka kutichiy)',
+        other: 'Willayta katina ({count} mana rikushka kutichiykuna)'
+    },
+    'nav.write': 'Killkana',
+
+    'progress.badge.firstBreath': 'Shuk samay',
+    'progress.badge.firstMessage': 'Punta purina',
+    'progress.breathe': 'Ashalla samari',
+    'progress.intro': 'Kikin kamarikuypak uchilla mirarikuna. Kay antallapimi wakaychirin: pi kashkataka mana willanchu, pimanpash mana kachanchu.',
+    'progress.title': 'Kampak alli kawsay',
+
+    'resources.title': 'Yanapaykuna',
+
+    'savedCodes.forget': 'Kunkana',
+    'savedCodes.open': 'Paskana',
+    'savedCodes.title': 'Kay antapi wakaychishka yupaykuna',
+
+    'status.new': 'Mushuk',
+    'status.resolved': 'Tukuchishka',
+
+    'success.copied': 'Killkapashka',
+    'success.copy': 'Killkapay',
+    'success.next': 'Shuk yuyachikmi kampak willayta rikunka. Hanak yupaywan katiyta ushanki.',
+    'success.pinReminder': 'yupaywan kuchkami mutsunki. Ñukanchikka mana kutin kuyta ushanchikchu.',
+    'success.pinReminderTitle': 'PIN-ta ama kunkapay:',
+    'success.saveCode': 'Willaytaka chaskishkanchikmi. Kay yupayta wakaychi katinkapak:',
+    'success.sendAnother': 'Shuk willayta kachana',
+    'success.title': '¡Willayka kachashkami!',
+
+    'time.daysAgo': {
+        one: '{count} punchata ñawpa',
+        other: '{count} punchakunata ñawpa'
+    },
+    'time.hoursAgo': {
+        one: '{count} urata ñawpa',
+        other: '{count} urakunata ñawpa'
+    },
+    'time.justNow': 'Kunanlla',
+    'time.minutesAgo': {
+        one: '{count} minututa ñawpa',
+        other: '{count} minutukunata ñawpa'
+    },
+
+    'toast.close': 'Wichkana',
+
+    'track.code': 'Katina yupay',
+    'track.codePlaceholder': 'Shina: ABCD2345XY',
+    'track.conversation': 'Rimanakuy',
+    'track.error.emptyCode': 'Katina yupayta killkay',
+    'track.error.emptyReply': 'Kutichiyta killkay',
+    'track.error.pinRequired': 'PIN-ta mutsunmi',
+    'track.error.wrongPin': 'PIN-ka mana allichu',
+    'track.found': 'Willayka taririshkami',
+    'track.fromCounselor': 'Yuyachik',
+    'track.fromYou': 'Kan',
+    'track.newReply': 'Mushuk',
+    'track.notFound': 'Yupayka mana taririshkachu',
+    'track.pin': 'PIN (akllashka kashpa)',
+    'track.replyLabel': 'Kampak kutichiy',
+    'track.replySent': '¡Kutichiyka kachashkami!',
+    'track.replySubmit': 'Kutichiyta kachana',
+    'track.replyTitle': 'Yuyachikman kutichina',
+    'track.search': 'Maskana',
+    'track.subtitle': 'Katina yupayta killkay, willay imashina kakta, yuyachikkunapak kutichiykunatapash rikunkapak.',
+    'track.title': 'Ñuka willayta katina',
+    'track.yourMessage': 'Kampak willay:'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LOCALE_QU;
+}
@@ -0,0 +1,609 @@
+// ============================================
+// MOOD JOURNAL - DAILY CHECK-INS, CALENDAR AND TREND
+// ============================================
+//
+// A daily mood check-in with the same six moods as the message form and an
+// optional short note. The journal lives in this browser by default. A
+// student may instead keep it with one of their conversations: it is then
+// encrypted with a key derived from the tracking code alone, so it opens on
+// any device with the code and counselors still cannot read it. Nothing
+// reaches a counselor unless the student shares a summary in the thread.
+
+const MoodJournal = {
+    STORAGE_KEY: 'vocesAnonimasDiario',
+    MOODS: ['muy-bien', 'bien', 'neutral', 'mal', 'muy-mal', 'ansioso'],
+    MOOD_EMOJI: {
+        'muy-bien': '😊',
+        bien: '🙂',
+        neutral: '😐',
+        mal: '😔',
+        'muy-mal': '😢',
+        ansioso: '😰'
+    },
+    // Higher is better. Anxiety has no place on a good/bad scale of its
+    // own, so the trend places it next to "mal".
+    MOOD_SCORES: { 'muy-bien': 5, bien: 4, neutral: 3, mal: 2, ansioso: 2, 'muy-mal': 1 },
+    NOTE_MAX_LENGTH: 280,
+    DAYS_KEPT: 366,
+    WEEKS_SHOWN: 6,
+    SUMMARY_DAYS: 14,
+    TREND_MIN_ENTRIES: 2,
+
+    // Entries of the open journal, oldest first: [{ day, mood, note, at }]
+    entries: [],
+    // { code, pin, lookupId, salt, key } while the journal is kept with a tracking code
+    linked: null,
+
+    // ===== ENTRIES =====
+
+    /**
+     * Add or replace the check-in of a day
+     * @param {Array} entries - Journal entries
+     * @param {Object} checkIn - { mood, note }
+     * @param {Date} [now] - Current date
+     * @returns {Array} New list of entries, oldest first
+     */
+    addEntry(entries, checkIn, now = new Date()) {
+        if (!this.MOODS.includes(checkIn.mood)) throw new Error(I18n.t('journal.error.mood'));
+
+        const day = GamificationSystem.dayKey(now);
+        const entry = {
+            day,
+            mood: checkIn.mood,
+            note: String(checkIn.note || '').trim().slice(0, this.NOTE_MAX_LENGTH),
+            at: now.toISOString()
+        };
+        return [...entries.filter(e => e.day !== day), entry]
+            .sort((a, b) => a.day.localeCompare(b.day))
+            .slice(-this.DAYS_KEPT);
+    },
+
+    /**
+     * Combine two journals; where both have a day, the later check-in wins
+     * @param {Array} first - Journal entries
+     * @param {Array} second - Journal entries
+     * @returns {Array} Combined entries, oldest first
+     */
+    mergeEntries(first, second) {
+        const byDay = new Map();
+        [...first, ...second].forEach(entry => {
+            const current = byDay.get(entry.day);
+            if (!current || entry.at > current.at) byDay.set(entry.day, entry);
+        });
+        return [...byDay.values()].sort((a, b) => a.day.localeCompare(b.day)).slice(-this.DAYS_KEPT);
+    },
+
+    /**
+     * Find the check-in of a day
+     * @param {Array} entries - Journal entries
+     * @param {string} day - Day key
+     * @returns {Object|undefined} Entry
+     */
+    entryFor(entries, day) {
+        return entries.find(entry => entry.day === day);
+    },
+
+    // ===== CALENDAR AND TREND =====
+
+    /**
+     * Days shown in the calendar: whole weeks from Monday, ending with the
+     * current one
+     * @param {Array} entries - Journal entries
+     * @param {Date} [now] - Current date
+     * @param {number} [weeks] - Weeks shown
+     * @returns {Array<Array>} Weeks of { day, date, entry, future }
+     */
+    calendarWeeks(entries, now = new Date(), weeks = this.WEEKS_SHOWN) {
+        const today = GamificationSystem.dayKey(now);
+        const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7) - (weeks - 1) * 7);
+
+        return Array.from({ length: weeks }, (_, week) => Array.from({ length: 7 }, (__, weekday) => {
+            const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + week * 7 + weekday);
+            const day = GamificationSystem.dayKey(date);
+            return { day, date, entry: this.entryFor(entries, day) || null, future: day > today };
+        }));
+    },
+
+    /**
+     * Check-ins of the last days, for the trend chart
+     * @param {Array} entries - Journal entries
+     * @param {Date} [now] - Current date
+     * @param {number} [days] - Days covered, today included
+     * @returns {Array} [{ day, date, entry }] one item per day, oldest first
+     */
+    recentDays(entries, now = new Date(), days = this.WEEKS_SHOWN * 7) {
+        return Array.from({ length: days }, (_, i) => {
+            const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1 - i));
+            const day = GamificationSystem.dayKey(date);
+            return { day, date, entry: this.entryFor(entries, day) || null };
+        });
+    },
+
+    /**
+     * Average mood score of a list of entries
+     * @param {Array} entries - Journal entries
+     * @returns {number|null} Average, or null without entries
+     */
+    averageScore(entries) {
+        if (entries.length === 0) return null;
+        return entries.reduce((sum, entry) => sum + this.MOOD_SCORES[entry.mood], 0) / entries.length;
+    },
+
+    /**
+     * Compare the last seven days with the seven before
+     * @param {Array} entries - Journal entries
+     * @param {Date} [now] - Current date
+     * @returns {string|null} 'better', 'worse', 'steady', or null with too few check-ins
+     */
+    trend(entries, now = new Date()) {
+        const days = this.recentDays(entries, now, 14);
+        const previous = days.slice(0, 7).map(d => d.entry).filter(Boolean);
+        const recent = days.slice(7).map(d => d.entry).filter(Boolean);
+        if (previous.length < this.TREND_MIN_ENTRIES || recent.length < this.TREND_MIN_ENTRIES) return null;
+
+        const change = this.averageScore(recent) - this.averageScore(previous);
+        if (change >= 0.5) return 'better';
+        if (change <= -0.5) return 'worse';
+        return 'steady';
+    },
+
+    /**
+     * Summarize the last days of the journal. Notes are left out.
+     * @param {Array} entries - Journal entries
+     * @param {Date} [now] - Current date
+     * @param {number} [days] - Days covered, today included
+     * @returns {Object} { from, to, count, moods: { mood: count }, trend }
+     */
+    summarize(entries, now = new Date(), days = this.SUMMARY_DAYS) {
+        const recent = this.recentDays(entries, now, days);
+        const checked = recent.map(d => d.entry).filter(Boolean);
+        const moods = {};
+        checked.forEach(entry => {
+            moods[entry.mood] = (moods[entry.mood] || 0) + 1;
+        });
+        return {
+            from: recent[0].date,
+            to: recent[recent.length - 1].date,
+            count: checked.length,
+            moods,
+            trend: this.trend(entries, now)
+        };
+    },
+
+    /**
+     * Text a student can send to their counselor, in the current language
+     * @param {Object} summary - Result of `summarize`
+     * @returns {string}
+     */
+    summaryText(summary) {
+        const dateOptions = { month: 'long', day: 'numeric' };
+        const moods = this.MOODS
+            .filter(mood => summary.moods[mood])
+            .sort((a, b) => summary.moods[b] - summary.moods[a])
+            .map(mood => `${this.MOOD_EMOJI[mood]} ${I18n.t(`mood.${mood}`)}: ${summary.moods[mood]}`);
+
+        return [
+            I18n.t('journal.summary.title', {
+                from: I18n.formatDate(summary.from, dateOptions),
+                to: I18n.formatDate(summary.to, dateOptions)
+            }),
+            I18n.t('journal.summary.count', { count: summary.count }),
+            moods.length > 0 ? moods.join(', ') : null,
+            summary.trend ? I18n.t(`journal.summary.trend.${summary.trend}`) : null
+        ].filter(Boolean).join('\n');
+    },
+
+    // ===== STORAGE =====
+
+    /**
+     * Read the journal saved in this browser
+     * @returns {Array} Entries
+     */
+    loadDevice() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (err) {
+            return [];
+        }
+    },
+
+    /**
+     * Save the journal in this browser, removing the key once it is empty
+     * @param {Array} entries - Entries
+     */
+    writeDevice(entries) {
+        try {
+            if (entries.length === 0) {
+                localStorage.removeItem(this.STORAGE_KEY);
+            } else {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+            }
+        } catch (err) {
+            // Storage disabled: the journal lasts for this page only
+        }
+    },
+
+    /**
+     * Encrypt a journal for a tracking code
+     * @param {Array} entries - Entries
+     * @param {CryptoKey} key - Journal key
+     * @param {string} salt - Salt the key was derived with
+     * @returns {Promise<Object>} { salt, entries } as sent to the server
+     */
+    async seal(entries, key, salt) {
+        return { salt, entries: await E2ECrypto.encryptText(key, JSON.stringify(entries)) };
+    },
+
+    /**
+     * Open the journal kept with a tracking code
+     * @param {string} code - Tracking code
+     * @param {string} [pin] - PIN, if the conversation has one
+     * @returns {Promise<Object>} { lookupId, pin, salt, key, entries, existed }
+     */
+    async openForCode(code, pin) {
+        const lookupId = await E2ECrypto.deriveLookupId(code);
+        const message = await MessageStore.getByLookupId(lookupId, pin);
+        if (!message) throw new Error(I18n.t('errors.messageNotFound'));
+
+        const threadPin = message.pinProtected ? pin : undefined;
+        const salt = message.journal
+            ? message.journal.salt
+            : E2ECrypto.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const key = await E2ECrypto.deriveJournalKey(code, salt, threadPin);
+        const entries = message.journal ? JSON.parse(await E2ECrypto.decryptText(key, message.journal.entries)) : [];
+        return { lookupId, pin: threadPin, salt, key, entries, existed: Boolean(message.journal) };
+    },
+
+    /**
+     * Re-encrypt a journal for a new tracking code, as part of rotating it
+     * @param {Object|undefined} journal - Journal stored with the conversation
+     * @param {string} code - Current tracking code
+     * @param {string} newCode - New tracking code
+     * @param {string} [pin] - PIN, if the conversation has one
+     * @returns {Promise<Object|undefined>} { salt, entries } for the new code
+     */
+    async rekey(journal, code, newCode, pin) {
+        if (!journal) return undefined;
+        const key = await E2ECrypto.deriveJournalKey(code, journal.salt, pin);
+        const entries = JSON.parse(await E2ECrypto.decryptText(key, journal.entries));
+
+        const salt = E2ECrypto.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        return this.seal(entries, await E2ECrypto.deriveJournalKey(newCode, salt, pin), salt);
+    },
+
+    /**
+     * Keep the journal with a tracking code from now on. Check-ins saved in
+     * this browser move into it and are removed from the browser.
+     * @param {string} code - Tracking code
+     * @param {string} [pin] - PIN, if the conversation has one
+     */
+    async link(code, pin) {
+        const opened = await this.openForCode(code, pin);
+        const device = this.loadDevice();
+
+        this.linked = {
+            code: E2ECrypto.normalizeCode(code),
+            pin: opened.pin,
+            lookupId: opened.lookupId,
+            salt: opened.salt,
+            key: opened.key
+        };
+        this.entries = this.mergeEntries(opened.entries, device);
+        if (device.length > 0) {
+            await this.save();
+            this.writeDevice([]);
+        }
+    },
+
+    /**
+     * Close the journal kept with a tracking code and show this browser's
+     */
+    unlink() {
+        this.linked = null;
+        this.entries = this.loadDevice();
+    },
+
+    /**
+     * Reopen the journal after its tracking code was replaced
+     * @param {string} oldCode - Previous tracking code
+     * @param {string} newCode - New tracking code
+     */
+    async followRotation(oldCode, newCode) {
+        if (!this.linked || this.linked.code !== E2ECrypto.normalizeCode(oldCode)) return;
+        await this.link(newCode, this.linked.pin);
+        this.renderPanel();
+    },
+
+    /**
+     * Save the open journal where it is kept
+     */
+    async save() {
+        if (!this.linked) {
+            this.writeDevice(this.entries);
+            return;
+        }
+        const { lookupId, pin, salt, key } = this.linked;
+        await MessageStore.saveJournal(lookupId, await this.seal(this.entries, key, salt), pin);
+    },
+
+    /**
+     * Delete the open journal
+     */
+    async clear() {
+        if (this.linked) {
+            await MessageStore.deleteJournal(this.linked.lookupId, this.linked.pin);
+        } else {
+            this.writeDevice([]);
+        }
+        this.entries = [];
+    },
+
+    // ===== PANEL =====
+
+    /**
+     * Record today's check-in from the panel form
+     * @param {HTMLFormElement} form - Check-in form
+     */
+    async handleCheckIn(form) {
+        const mood = form.querySelector('.mood-btn.active')?.dataset.mood;
+        if (!mood) {
+            alert(I18n.t('journal.error.mood'));
+            return;
+        }
+
+        const previous = this.entries;
+        this.entries = this.addEntry(this.entries, { mood, note: form.querySelector('#journalNote').value });
+        try {
+            await this.save();
+        } catch (err) {
+            this.entries = previous;
+            alert(err.message);
+            return;
+        }
+
+        showToast(I18n.t('journal.saved'), { type: 'success' });
+        GamificationSystem.trackMoodRegistered();
+        this.renderPanel();
+    },
+
+    /**
+     * Keep the journal with the code typed in the panel
+     * @param {HTMLFormElement} form - Link form
+     */
+    async handleLink(form) {
+        const code = form.querySelector('#journalCode').value.trim();
+        const pin = form.querySelector('#journalPin').value.trim() || undefined;
+        if (!code) {
+            alert(I18n.t('track.error.emptyCode'));
+            return;
+        }
+        if (this.loadDevice().length > 0 && !confirm(I18n.t('journal.confirmMove'))) return;
+
+        try {
+            await this.link(code, pin);
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+        showToast(I18n.t('journal.linked'), { type: 'success' });
+        this.renderPanel();
+    },
+
+    /**
+     * Delete the journal after confirmation
+     */
+    async handleClear() {
+        if (!confirm(I18n.t(this.linked ? 'journal.confirmClearCode' : 'journal.confirmClear'))) return;
+        try {
+            await this.clear();
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+        this.renderPanel();
+    },
+
+    /**
+     * Whether there is anything to share from the last days
+     * @returns {boolean}
+     */
+    hasRecentEntries() {
+        return this.summarize(this.entries).count > 0;
+    },
+
+    /**
+     * Render the calendar of the last weeks
+     * @returns {RenderedHtml} Markup
+     */
+    renderCalendar() {
+        const weeks = this.calendarWeeks(this.entries);
+        return SafeRender.html`
+            <div class="journal-calendar" role="table" aria-label="${I18n.t('journal.calendar')}">
+                <div class="journal-week" role="row">
+                    ${weeks[0].map(cell => SafeRender.html`
+                        <span class="journal-weekday" role="columnheader">${I18n.formatDate(cell.date, { weekday: 'narrow' })}</span>
+                    `)}
+                </div>
+                ${weeks.map(week => SafeRender.html`
+                    <div class="journal-week" role="row">
+                        ${week.map(cell => {
+                            const label = cell.entry
+                                ? `${I18n.formatDate(cell.date)} · ${I18n.t(`mood.${cell.entry.mood}`)}${cell.entry.note ? ` · ${cell.entry.note}` : ''}`
+                                : I18n.formatDate(cell.date);
+                            return SafeRender.html`
+                                <span class="journal-day ${cell.future ? 'future' : ''}" role="cell"
+                                    data-mood="${cell.entry ? cell.entry.mood : ''}" title="${label}">
+                                    ${cell.entry ? this.MOOD_EMOJI[cell.entry.mood] : cell.date.getDate()}
+                                </span>
+                            `;
+                        })}
+                    </div>
+                `)}
+            </div>
+        `;
+    },
+
+    /**
+     * Render the mood of the last weeks as a line over the days
+     * @returns {RenderedHtml} Markup
+     */
+    renderTrendChart() {
+        const width = 640;
+        const height = 200;
+        const left = 36;
+        const right = 12;
+        const top = 12;
+        const bottom = 28;
+        const days = this.recentDays(this.entries);
+        const step = (width - left - right) / Math.max(days.length - 1, 1);
+        const y = score => top + (height - top - bottom) * (5 - score) / 4;
+        const points = days
+            .map((d, i) => (d.entry ? { x: left + step * i, y: y(this.MOOD_SCORES[d.entry.mood]), ...d } : null))
+            .filter(Boolean);
+
+        return SafeRender.html`
+            <svg class="chart journal-chart" viewBox="0 0 ${width} ${height}" role="img"
+                aria-label="${I18n.t('journal.trend')}" preserveAspectRatio="xMidYMid meet">
+                ${[['muy-bien', 5], ['neutral', 3], ['muy-mal', 1]].map(([mood, score]) => SafeRender.html`
+                    <line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y(score)}" y2="${y(score)}"></line>
+                    <text class="chart-label" x="${left - 8}" y="${y(score) + 5}" text-anchor="end">${this.MOOD_EMOJI[mood]}</text>
+                `)}
+                ${days.map((d, i) => (i % 7 === 0 ? SafeRender.html`
+                    <text class="chart-label" x="${left + step * i}" y="${height - 8}" text-anchor="middle">
+                        ${I18n.formatDate(d.date, { month: 'short', day: 'numeric' })}
+                    </text>
+                ` : ''))}
+                ${points.length > 1 ? SafeRender.html`
+                    <polyline class="journal-line" fill="none" points="${points.map(p => `${p.x},${p.y}`).join(' ')}"></polyline>
+                ` : ''}
+                ${points.map(p => SafeRender.html`
+                    <circle class="journal-point" data-mood="${p.entry.mood}" cx="${p.x}" cy="${p.y}" r="4.5">
+                        <title>${I18n.formatDate(p.date)} · ${I18n.t(`mood.${p.entry.mood}`)}</title>
+                    </circle>
+                `)}
+            </svg>
+        `;
+    },
+
+    /**
+     * Render the journal panel of the student view
+     */
+    renderPanel() {
+        const panel = document.getElementById('moodJournalPanel');
+        if (!panel) return;
+
+        const today = this.entryFor(this.entries, GamificationSystem.dayKey(new Date()));
+        const trend = this.trend(this.entries);
+
+        SafeRender.setHtml(panel, SafeRender.html`
+            <h2>
+                <i class='bx bx-calendar-heart'></i>
+                ${I18n.t('journal.title')}
+            </h2>
+            <p class="text-secondary mb-lg">${I18n.t('journal.intro')}</p>
+
+            <form id="journalForm">
+                <div class="form-group">
+                    <label class="form-label">${I18n.t(today ? 'journal.todayAgain' : 'journal.today')}</label>
+                    <div class="mood-selector">
+                        ${this.MOODS.map(mood => SafeRender.html`
+                            <button type="button" class="mood-btn ${today && today.mood === mood ? 'active' : ''}"
+                                data-mood="${mood}" title="${I18n.t(`mood.${mood}`)}"
+                                aria-pressed="${today && today.mood === mood ? 'true' : 'false'}">${this.MOOD_EMOJI[mood]}</button>
+                        `)}
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="journalNote">${I18n.t('journal.note')}</label>
+                    <textarea id="journalNote" class="form-textarea" rows="2" maxlength="${this.NOTE_MAX_LENGTH}"
+                        placeholder="${I18n.t('journal.notePlaceholder')}">${today ? today.note : ''}</textarea>
+                </div>
+                <button type="submit" class="btn btn-primary">
+                    <i class='bx bx-check'></i>
+                    ${I18n.t('journal.save')}
+                </button>
+            </form>
+
+            <div class="journal-storage mt-lg">
+                ${this.linked ? SafeRender.html`
+                    <p>
+                        <i class='bx bx-lock-alt'></i>
+                        ${I18n.t('journal.storedWithCode', { code: SavedCodes.mask(this.linked.code) })}
+                    </p>
+                    <button type="button" class="btn btn-sm btn-outline" data-action="unlink">
+                        <i class='bx bx-log-out'></i>
+                        ${I18n.t('journal.unlink')}
+                    </button>
+                ` : SafeRender.html`
+                    <p>
+                        <i class='bx bx-mobile'></i>
+                        ${I18n.t('journal.storedOnDevice')}
+                    </p>
+                    <details>
+                        <summary>${I18n.t('journal.linkTitle')}</summary>
+                        <p class="text-secondary mt-sm">${I18n.t('journal.linkHelp')}</p>
+                        <form id="journalLinkForm" class="journal-link-form mt-sm">
+                            <input type="text" id="journalCode" class="form-input" maxlength="12" autocomplete="off"
+                                placeholder="${I18n.t('track.codePlaceholder')}" aria-label="${I18n.t('track.code')}">
+                            <input type="password" id="journalPin" class="form-input" inputmode="numeric" maxlength="8"
+                                autocomplete="off" placeholder="${I18n.t('track.pin')}" aria-label="${I18n.t('track.pin')}">
+                            <button type="submit" class="btn btn-sm btn-secondary">${I18n.t('journal.link')}</button>
+                        </form>
+                    </details>
+                `}
+            </div>
+
+            <h3 class="mt-lg">${I18n.t('journal.calendar')}</h3>
+            ${this.renderCalendar()}
+
+            <h3 class="mt-lg">${I18n.t('journal.trend')}</h3>
+            <div class="chart-container">${this.renderTrendChart()}</div>
+            <p class="text-secondary">${I18n.t(trend ? `journal.trend.${trend}` : 'journal.trend.none')}</p>
+
+            ${this.entries.length > 0 ? SafeRender.html`
+                <button type="button" class="btn btn-sm btn-outline mt-md" data-action="clear">
+                    <i class='bx bx-trash'></i>
+                    ${I18n.t(this.linked ? 'journal.clearCode' : 'journal.clear')}
+                </button>
+            ` : ''}
+        `);
+
+        const form = panel.querySelector('#journalForm');
+        form.querySelectorAll('.mood-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                form.querySelectorAll('.mood-btn').forEach(b => {
+                    b.classList.toggle('active', b === btn);
+                    b.setAttribute('aria-pressed', String(b === btn));
+                });
+            });
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCheckIn(form);
+        });
+        panel.querySelector('#journalLinkForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLink(e.currentTarget);
+        });
+        panel.querySelector('[data-action="unlink"]')?.addEventListener('click', () => {
+            this.unlink();
+            this.renderPanel();
+        });
+        panel.querySelector('[data-action="clear"]')?.addEventListener('click', () => this.handleClear());
+    },
+
+    /**
+     * Open this browser's journal and show the panel
+     */
+    init() {
+        this.entries = this.loadDevice();
+        this.renderPanel();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MoodJournal;
+}
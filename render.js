@@ -0,0 +1,135 @@
+// ============================================
+// SAFE HTML RENDERING
+// ============================================
+//
+// Every view that builds markup from data goes through `SafeRender.html`, a
+// template tag that escapes each interpolated value unless it is itself
+// rendered markup. User text that should keep its line breaks and links is
+// rendered with `SafeRender.text`, which escapes first and only then adds
+// `<br>` and `<a>` elements built from the escaped pieces.
+
+/**
+ * Markup produced by SafeRender, safe to insert as HTML
+ */
+class RenderedHtml {
+    /**
+     * @param {string} markup - Already-escaped markup
+     */
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const SafeRender = {
+    URL_PATTERN: /\bhttps?:\/\/[^\s<>"'`]+/gi,
+    TRAILING_PUNCTUATION: /[.,;:!?)\]]+$/,
+    ESCAPES: {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    },
+
+    /**
+     * Escape a value for use in element content or a quoted attribute
+     * @param {*} value - Any value (null and undefined render as empty)
+     * @returns {string} Escaped string
+     */
+    escape(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"'`]/g, ch => this.ESCAPES[ch]);
+    },
+
+    /**
+     * Convert an interpolated value to markup
+     * @param {*} value - Rendered markup, array of values, or plain value
+     * @returns {string} Markup
+     */
+    toMarkup(value) {
+        if (value instanceof RenderedHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(item => this.toMarkup(item)).join('');
+        if (value === false) return '';
+        return this.escape(value);
+    },
+
+    /**
+     * Template tag that escapes every interpolation by default
+     * @param {Array} strings - Literal template parts (trusted)
+     * @param {...*} values - Interpolated values
+     * @returns {RenderedHtml} Markup
+     */
+    html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, i) => {
+            markup += SafeRender.toMarkup(value) + strings[i + 1];
+        });
+        return new RenderedHtml(markup);
+    },
+
+    /**
+     * Render user text with escaped content, line breaks and clickable
+     * http(s) links. Anything else that looks like markup stays inert text.
+     * @param {*} value - User text
+     * @returns {RenderedHtml} Markup
+     */
+    text(value) {
+        const source = value === null || value === undefined ? '' : String(value);
+        let markup = '';
+        let last = 0;
+
+        for (const match of source.matchAll(this.URL_PATTERN)) {
+            const trailing = (match[0].match(this.TRAILING_PUNCTUATION) || [''])[0];
+            const url = match[0].slice(0, match[0].length - trailing.length);
+            markup += this.escapeLines(source.slice(last, match.index));
+            markup += `<a href="${this.escape(url)}" target="_blank" rel="noopener noreferrer nofollow">${this.escape(url)}</a>`;
+            last = match.index + url.length;
+        }
+        markup += this.escapeLines(source.slice(last));
+
+        return new RenderedHtml(markup);
+    },
+
+    /**
+     * Escape text and turn newlines into `<br>`
+     * @param {string} text - Plain text
+     * @returns {string} Markup
+     */
+    escapeLines(text) {
+        return text.split(/\r\n|\r|\n/).map(line => this.escape(line)).join('<br>');
+    },
+
+    /**
+     * Shorten user text before rendering it
+     * @param {*} value - User text
+     * @param {number} maxLength - Maximum characters kept
+     * @returns {string} Plain (unescaped) text, with an ellipsis if shortened
+     */
+    truncate(value, maxLength) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+    },
+
+    /**
+     * Replace an element's content with rendered markup. Plain strings are
+     * rejected so that unescaped templates cannot slip through.
+     * @param {Element} element - Target element
+     * @param {RenderedHtml} rendered - Markup from `html` or `text`
+     */
+    setHtml(element, rendered) {
+        if (!(rendered instanceof RenderedHtml)) {
+            throw new TypeError('SafeRender.setHtml expects markup built with SafeRender');
+        }
+        element.innerHTML = rendered.markup;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeRender;
+}
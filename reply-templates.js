@@ -0,0 +1,121 @@
+// ============================================
+// REPLY TEMPLATES - PLACEHOLDERS AND SUGGESTIONS
+// ============================================
+//
+// Fills the team's canned responses for one case and ranks them for it:
+// templates written for the case's category or crisis level come first, and
+// crisis templates outrank category ones. Templates that target neither are
+// general-purpose and stay available in the picker.
+
+const ReplyTemplates = {
+    // How each category reads inside a sentence ("sobre {categoria}")
+    CATEGORY_PHRASES: {
+        ansiedad: 'la ansiedad',
+        depresion: 'la tristeza que sientes',
+        bullying: 'el acoso que estás viviendo',
+        familiar: 'tu familia',
+        academico: 'tus estudios',
+        autoestima: 'cómo te ves a ti mismo o misma',
+        relaciones: 'tus relaciones',
+        otro: 'lo que estás viviendo'
+    },
+
+    PLACEHOLDERS: ['categoria', 'fecha', 'fecha_mensaje', 'consejero'],
+
+    // Crisis levels that make a matching template the first suggestion
+    CRISIS_WEIGHT: { none: 1, moderate: 2, high: 3, critical: 3 },
+
+    /**
+     * What a placeholder stands for, for the template editor
+     * @param {string} name - Placeholder name
+     * @returns {string} Description
+     */
+    describePlaceholder(name) {
+        return I18n.t(`templates.placeholder.${name}`);
+    },
+
+    /**
+     * Format a date for a reply
+     * @param {Date|string} date - Date
+     * @returns {string} e.g. "lunes, 3 de marzo"
+     */
+    formatDay(date) {
+        return I18n.formatDate(date, { weekday: 'long', day: 'numeric', month: 'long' });
+    },
+
+    /**
+     * Placeholder values for a case
+     * @param {Object} message - Decrypted message
+     * @param {Object} counselor - Counselor writing the reply
+     * @param {Date} [now] - Current date
+     * @returns {Object} { placeholder: value }
+     */
+    createContext(message, counselor, now = new Date()) {
+        return {
+            categoria: this.CATEGORY_PHRASES[message.category] || this.CATEGORY_PHRASES.otro,
+            fecha: this.formatDay(now),
+            fecha_mensaje: this.formatDay(message.timestamp),
+            consejero: counselor.name
+        };
+    },
+
+    /**
+     * Replace {placeholders} in a template; unknown ones are left as written
+     * @param {string} body - Template text
+     * @param {Object} context - Result of createContext
+     * @returns {string} Reply text
+     */
+    fill(body, context) {
+        return body.replace(/\{([a-z_]+)\}/g, (match, name) => (
+            Object.prototype.hasOwnProperty.call(context, name) ? context[name] : match
+        ));
+    },
+
+    /**
+     * Whether a template may be used for a case
+     * @param {Object} template - Template
+     * @param {Object} message - Message
+     * @returns {boolean}
+     */
+    appliesTo(template, message) {
+        const level = message.crisisLevel || 'none';
+        return (template.categories.length === 0 || template.categories.includes(message.category)) &&
+            (template.crisisLevels.length === 0 || template.crisisLevels.includes(level));
+    },
+
+    /**
+     * How specifically a template was written for a case (0 = general)
+     * @param {Object} template - Template that applies to the case
+     * @param {Object} message - Message
+     * @returns {number} Score
+     */
+    score(template, message) {
+        let score = 0;
+        if (template.categories.length > 0) score += 1;
+        if (template.crisisLevels.length > 0) score += this.CRISIS_WEIGHT[message.crisisLevel || 'none'];
+        return score;
+    },
+
+    /**
+     * Split templates into suggestions for a case and the rest
+     * @param {Array} templates - Every template
+     * @param {Object} message - Message
+     * @returns {Object} { suggested, general, others }, each sorted for display
+     */
+    suggest(templates, message) {
+        const byTitle = (a, b) => a.title.localeCompare(b.title, 'es');
+        const applicable = templates.filter(t => this.appliesTo(t, message));
+        return {
+            suggested: applicable
+                .filter(t => this.score(t, message) > 0)
+                .sort((a, b) => this.score(b, message) - this.score(a, message) || byTitle(a, b)),
+            general: applicable.filter(t => this.score(t, message) === 0).sort(byTitle),
+            others: templates.filter(t => !applicable.includes(t)).sort(byTitle)
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplyTemplates;
+}
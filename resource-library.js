@@ -0,0 +1,332 @@
+// ============================================
+// RESOURCE LIBRARY - HELP ARTICLES FOR STUDENTS
+// ============================================
+//
+// Lists the published articles in the resources section, with search and a
+// filter by category (the same categories as messages), and shows each one
+// in the reading view. Articles are written in a small, safe subset of
+// Markdown: headings, paragraphs, lists, quotes, **bold**, *italics* and
+// [links](https://…). Everything else is shown as plain text.
+
+const ResourceLibrary = {
+    CATEGORIES: ['ansiedad', 'depresion', 'bullying', 'familiar', 'academico', 'autoestima', 'relaciones', 'otro'],
+    INLINE_PATTERN: /\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)/g,
+    LINK_SCHEMES: /^(https?:|mailto:|tel:)/i,
+    SUMMARY_LENGTH: 160,
+    RELATED_SHOWN: 3,
+
+    resources: [],
+    loadFailed: false,
+    query: '',
+    category: '',
+
+    // ===== MARKDOWN =====
+
+    /**
+     * Split Markdown into blocks
+     * @param {string} text - Markdown
+     * @returns {Array<Object>} { type: 'heading', level, text } | { type: 'paragraph'|'quote', text } |
+     *     { type: 'list', ordered, items }
+     */
+    parseMarkdown(text) {
+        const blocks = [];
+        let block = null;
+        const close = () => {
+            if (block) blocks.push(block);
+            block = null;
+        };
+
+        String(text || '').split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            const heading = /^(#{1,3})\s+(.*)$/.exec(trimmed);
+            const item = /^(?:([-*])|\d+[.)])\s+(.*)$/.exec(trimmed);
+            const quote = /^>\s?(.*)$/.exec(trimmed);
+
+            if (!trimmed) {
+                close();
+            } else if (heading) {
+                close();
+                blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            } else if (item) {
+                const ordered = !item[1];
+                if (!block || block.type !== 'list' || block.ordered !== ordered) {
+                    close();
+                    block = { type: 'list', ordered, items: [] };
+                }
+                block.items.push(item[2]);
+            } else if (quote) {
+                if (block && block.type === 'quote') {
+                    block.text += ` ${quote[1]}`;
+                } else {
+                    close();
+                    block = { type: 'quote', text: quote[1] };
+                }
+            } else if (block && block.type === 'list') {
+                block.items[block.items.length - 1] += ` ${trimmed}`; // Wrapped list item
+            } else if (block && block.type === 'paragraph') {
+                block.text += ` ${trimmed}`;
+            } else {
+                close();
+                block = { type: 'paragraph', text: trimmed };
+            }
+        });
+        close();
+        return blocks;
+    },
+
+    /**
+     * Render bold, italics and links inside a block. Links to anything but
+     * web, mail and phone addresses keep only their text.
+     * @param {string} text - Markdown of one block
+     * @returns {RenderedHtml} Markup
+     */
+    renderInline(text) {
+        const parts = [];
+        let last = 0;
+
+        for (const match of text.matchAll(this.INLINE_PATTERN)) {
+            const [, strong, emphasis, label, url] = match;
+            parts.push(text.slice(last, match.index));
+            if (strong !== undefined) {
+                parts.push(SafeRender.html`<strong>${this.renderInline(strong)}</strong>`);
+            } else if (emphasis !== undefined) {
+                parts.push(SafeRender.html`<em>${emphasis}</em>`);
+            } else if (this.LINK_SCHEMES.test(url)) {
+                parts.push(SafeRender.html`<a href="${url}" target="_blank" rel="noopener noreferrer nofollow">${label}</a>`);
+            } else {
+                parts.push(label);
+            }
+            last = match.index + match[0].length;
+        }
+        parts.push(text.slice(last));
+        return SafeRender.html`${parts}`;
+    },
+
+    /**
+     * Render an article body
+     * @param {string} text - Markdown
+     * @returns {RenderedHtml} Markup
+     */
+    renderMarkdown(text) {
+        return SafeRender.html`${this.parseMarkdown(text).map(block => {
+            const inline = block.text !== undefined ? this.renderInline(block.text) : null;
+            if (block.type === 'heading' && block.level === 1) return SafeRender.html`<h3>${inline}</h3>`;
+            if (block.type === 'heading' && block.level === 2) return SafeRender.html`<h4>${inline}</h4>`;
+            if (block.type === 'heading') return SafeRender.html`<h5>${inline}</h5>`;
+            if (block.type === 'quote') return SafeRender.html`<blockquote>${inline}</blockquote>`;
+            if (block.type === 'list') {
+                const items = block.items.map(item => SafeRender.html`<li>${this.renderInline(item)}</li>`);
+                return block.ordered ? SafeRender.html`<ol>${items}</ol>` : SafeRender.html`<ul>${items}</ul>`;
+            }
+            return SafeRender.html`<p>${inline}</p>`;
+        })}`;
+    },
+
+    /**
+     * Article text without Markdown marks, for searching and previews
+     * @param {string} text - Markdown
+     * @returns {string} Plain text
+     */
+    plainText(text) {
+        return this.parseMarkdown(text)
+            .map(block => (block.type === 'list' ? block.items.join(' ') : block.text))
+            .join(' ')
+            .replace(/\[([^\]]+)\]\([^)\s]+\)/g, '$1')
+            .replace(/\*+/g, '');
+    },
+
+    // ===== SEARCH =====
+
+    /**
+     * Fold text for matching: lower case, without accents
+     * @param {string} text - Text
+     * @returns {string} Folded text
+     */
+    normalize(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    },
+
+    /**
+     * Articles containing every word searched for, in the chosen category.
+     * Articles with the words in their title come first; the rest keep
+     * their order.
+     * @param {Array} resources - Articles
+     * @param {string} [query] - Words searched for
+     * @param {string} [category] - Category, or empty for all
+     * @returns {Array} Matching articles
+     */
+    search(resources, query = '', category = '') {
+        const terms = this.normalize(query).split(/\s+/).filter(Boolean);
+        return resources
+            .filter(resource => !category || resource.category === category)
+            .map(resource => {
+                const title = this.normalize(resource.title);
+                const text = this.normalize(`${resource.title} ${resource.summary} ${this.plainText(resource.body)}`);
+                if (!terms.every(term => text.includes(term))) return null;
+                return { resource, score: terms.filter(term => title.includes(term)).length };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .map(match => match.resource);
+    },
+
+    /**
+     * Short description of an article for the list
+     * @param {Object} resource - Article
+     * @returns {string} Summary, or the start of the text
+     */
+    describe(resource) {
+        return resource.summary || SafeRender.truncate(this.plainText(resource.body), this.SUMMARY_LENGTH);
+    },
+
+    // ===== LIBRARY =====
+
+    /**
+     * Load the published articles and show them
+     */
+    async load() {
+        try {
+            this.resources = await MessageStore.listResources();
+            this.loadFailed = false;
+        } catch (err) {
+            this.loadFailed = true;
+        }
+        this.renderPanel();
+    },
+
+    /**
+     * Label of a category, with its emoji
+     * @param {string} category - Category
+     * @returns {string} Label
+     */
+    categoryLabel(category) {
+        return `${getCategoryEmoji(category)} ${I18n.t(`category.${category}`)}`;
+    },
+
+    /**
+     * Render the search form and the article list
+     */
+    renderPanel() {
+        const panel = document.getElementById('resourceLibrary');
+        if (!panel) return;
+
+        SafeRender.setHtml(panel, SafeRender.html`
+            <form class="resource-search" role="search">
+                <input type="search" id="resourceSearch" class="form-input" value="${this.query}"
+                    placeholder="${I18n.t('resources.searchPlaceholder')}" aria-label="${I18n.t('resources.search')}">
+                <select id="resourceCategory" class="form-select" aria-label="${I18n.t('resources.category')}">
+                    <option value="">${I18n.t('resources.allCategories')}</option>
+                    ${this.CATEGORIES.map(category => SafeRender.html`
+                        <option value="${category}" ${category === this.category ? 'selected' : ''}>${this.categoryLabel(category)}</option>
+                    `)}
+                </select>
+            </form>
+            <div id="resourceResults" aria-live="polite"></div>
+        `);
+
+        panel.querySelector('form').addEventListener('submit', e => e.preventDefault());
+        panel.querySelector('#resourceSearch').addEventListener('input', (e) => {
+            this.query = e.target.value;
+            this.renderResults();
+        });
+        panel.querySelector('#resourceCategory').addEventListener('change', (e) => {
+            this.category = e.target.value;
+            this.renderResults();
+        });
+        this.renderResults();
+    },
+
+    /**
+     * Render the articles matching the search
+     */
+    renderResults() {
+        const container = document.getElementById('resourceResults');
+        const matches = this.search(this.resources, this.query, this.category);
+
+        if (this.loadFailed) {
+            SafeRender.setHtml(container, SafeRender.html`<p class="text-secondary mt-md">${I18n.t('resources.loadError')}</p>`);
+            return;
+        }
+        if (matches.length === 0) {
+            const empty = this.resources.length === 0 ? 'resources.empty' : 'resources.noMatch';
+            SafeRender.setHtml(container, SafeRender.html`<p class="text-secondary mt-md">${I18n.t(empty)}</p>`);
+            return;
+        }
+
+        SafeRender.setHtml(container, SafeRender.html`
+            <ul class="resource-list resource-results">
+                ${matches.map(resource => SafeRender.html`
+                    <li>
+                        <button type="button" class="resource-link resource-article" data-resource-id="${resource.id}">
+                            <strong>${resource.title}</strong>
+                            <span class="text-secondary">${this.categoryLabel(resource.category)} · ${this.describe(resource)}</span>
+                        </button>
+                    </li>
+                `)}
+            </ul>
+        `);
+        container.querySelectorAll('[data-resource-id]').forEach(btn => {
+            btn.addEventListener('click', () => this.open(this.resources.find(r => r.id === btn.dataset.resourceId)));
+        });
+    },
+
+    // ===== READING VIEW =====
+
+    /**
+     * Show an article in the reading view. A counselor's preview has no
+     * links to other articles.
+     * @param {Object} resource - Article
+     * @param {Object} [options] - { preview }
+     */
+    open(resource, { preview = false } = {}) {
+        const related = preview ? [] : this.search(this.resources, '', resource.category)
+            .filter(r => r.id !== resource.id)
+            .slice(0, this.RELATED_SHOWN);
+        const date = resource.updatedAt || resource.publishedAt;
+
+        const reader = document.getElementById('resourceReader');
+        SafeRender.setHtml(reader, SafeRender.html`
+            <article class="resource-article-view">
+                <h3>${resource.title}</h3>
+                <p class="text-secondary">
+                    <span class="badge badge-primary">${this.categoryLabel(resource.category)}</span>
+                    ${date ? I18n.t('resources.updated', { date: I18n.formatDate(date) }) : ''}
+                </p>
+                ${resource.summary ? SafeRender.html`<p class="resource-summary">${resource.summary}</p>` : ''}
+                <div class="resource-body">${this.renderMarkdown(resource.body)}</div>
+            </article>
+            ${related.length > 0 ? SafeRender.html`
+                <aside class="resource-related">
+                    <h4>${I18n.t('resources.related', { category: I18n.t(`category.${resource.category}`) })}</h4>
+                    <ul class="resource-list">
+                        ${related.map(r => SafeRender.html`
+                            <li><button type="button" class="resource-link resource-article" data-resource-id="${r.id}">${r.title}</button></li>
+                        `)}
+                    </ul>
+                </aside>
+            ` : ''}
+            ${preview ? '' : SafeRender.html`
+                <p class="text-secondary mt-lg">${I18n.t('resources.talk')}</p>
+            `}
+        `);
+        reader.querySelectorAll('[data-resource-id]').forEach(btn => {
+            btn.addEventListener('click', () => this.open(this.resources.find(r => r.id === btn.dataset.resourceId)));
+        });
+
+        document.getElementById('resourceModal').classList.remove('hidden');
+        reader.scrollTop = 0;
+    },
+
+    /**
+     * Load the library when the page opens
+     */
+    init() {
+        this.renderPanel();
+        this.load();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResourceLibrary;
+}
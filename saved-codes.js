@@ -0,0 +1,168 @@
+// ============================================
+// SAVED CODES - TRACKING CODES REMEMBERED ON THIS DEVICE
+// ============================================
+//
+// Students may ask the browser to remember a tracking code so they can see
+// new counselor replies without typing it again. Only the code is kept; a
+// PIN never is, so conversations with a PIN stay closed to anyone else who
+// uses the device, at the cost of not being checked in the background.
+// Nothing is saved unless the student asks for it.
+
+const SavedCodes = {
+    STORAGE_KEY: 'vocesAnonimasCodigos',
+
+    // ===== STORAGE =====
+
+    /**
+     * Read the saved codes
+     * @returns {Array} [{ code, pinProtected, savedAt, unread, notifiedUntil, missing }]
+     */
+    list() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (err) {
+            return [];
+        }
+    },
+
+    /**
+     * Replace the saved codes, removing the key once none are left
+     * @param {Array} entries - Saved codes
+     */
+    write(entries) {
+        try {
+            if (entries.length === 0) {
+                localStorage.removeItem(this.STORAGE_KEY);
+            } else {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+            }
+        } catch (err) {
+            // Storage disabled: codes are simply not remembered
+        }
+    },
+
+    /**
+     * Find a saved code
+     * @param {string} code - Tracking code
+     * @returns {Object|undefined} Saved code
+     */
+    find(code) {
+        const normalized = String(code).trim().toUpperCase();
+        return this.list().find(entry => entry.code === normalized);
+    },
+
+    /**
+     * Remember a code on this device
+     * @param {string} code - Tracking code
+     * @param {Object} [options] - { pinProtected }
+     * @returns {Object} Saved code
+     */
+    save(code, options = {}) {
+        const normalized = String(code).trim().toUpperCase();
+        const entries = this.list().filter(entry => entry.code !== normalized);
+        const entry = {
+            code: normalized,
+            pinProtected: Boolean(options.pinProtected),
+            savedAt: new Date().toISOString(),
+            unread: 0,
+            notifiedUntil: null,
+            missing: false
+        };
+        entries.push(entry);
+        this.write(entries);
+        return entry;
+    },
+
+    /**
+     * Forget a code
+     * @param {string} code - Tracking code
+     */
+    forget(code) {
+        const normalized = String(code).trim().toUpperCase();
+        this.write(this.list().filter(entry => entry.code !== normalized));
+    },
+
+    /**
+     * Change a saved code's fields
+     * @param {string} code - Tracking code
+     * @param {Object} changes - Fields to set
+     */
+    update(code, changes) {
+        const normalized = String(code).trim().toUpperCase();
+        this.write(this.list().map(entry => (entry.code === normalized ? { ...entry, ...changes } : entry)));
+    },
+
+    /**
+     * Follow a code change so the saved entry keeps working
+     * @param {string} oldCode - Previous tracking code
+     * @param {string} newCode - New tracking code
+     */
+    replace(oldCode, newCode) {
+        if (this.find(oldCode)) this.update(oldCode, { code: String(newCode).trim().toUpperCase() });
+    },
+
+    // ===== UNREAD REPLIES =====
+
+    /**
+     * Indexes of counselor replies the student has not read yet
+     * @param {Object} message - Message from the API (encrypted or not)
+     * @returns {Array<number>} Reply indexes
+     */
+    unreadIndexes(message) {
+        return message.replies
+            .map((reply, index) => (reply.from === 'counselor' && !reply.readAt ? index : -1))
+            .filter(index => index !== -1);
+    },
+
+    /**
+     * Record a saved code's latest state
+     * @param {string} code - Tracking code
+     * @param {Object|null} message - Message from the API, or null if it no longer exists
+     * @returns {number} Unread replies not announced before, to notify about
+     */
+    record(code, message) {
+        const entry = this.find(code);
+        if (!entry) return 0;
+        if (!message) {
+            this.update(code, { unread: 0, missing: true });
+            return 0;
+        }
+
+        // Replies are announced by time, so ones read elsewhere in between
+        // do not hide newer ones
+        const unread = this.unreadIndexes(message).map(index => message.replies[index]);
+        const fresh = unread.filter(reply => !entry.notifiedUntil || reply.timestamp > entry.notifiedUntil);
+        const latest = unread.reduce((max, reply) => (reply.timestamp > max ? reply.timestamp : max), entry.notifiedUntil || '');
+        this.update(code, {
+            unread: unread.length,
+            notifiedUntil: latest || null,
+            missing: false,
+            pinProtected: Boolean(message.pinProtected)
+        });
+        return fresh.length;
+    },
+
+    /**
+     * Unread counselor replies across every saved code
+     * @returns {number}
+     */
+    totalUnread() {
+        return this.list().reduce((sum, entry) => sum + entry.unread, 0);
+    },
+
+    /**
+     * Code shown in lists, hiding the middle from onlookers
+     * @param {string} code - Tracking code
+     * @returns {string} e.g. "AB••••••XY"
+     */
+    mask(code) {
+        if (code.length <= 4) return code;
+        return code.slice(0, 2) + '•'.repeat(code.length - 4) + code.slice(-2);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SavedCodes;
+}
@@ -0,0 +1,517 @@
+// ============================================
+// REST API ROUTES
+// ============================================
+
+const { createRouter } = require('./http');
+const Messages = require('./messages');
+const { createAuth, toPublicAccount } = require('./auth');
+const { createAttemptLimiter } = require('./rate-limit');
+const Lexicon = require('./lexicon');
+const { createEscalations } = require('./escalation');
+const Backup = require('./backup');
+const { createRetention } = require('./retention');
+const { createAuditLog } = require('./audit');
+const Templates = require('./templates');
+const Resources = require('./resources');
+const { createEventHub } = require('./events');
+
+// Unknown tracking codes allowed per address before lookups are slowed down.
+// Kept high because a whole school can share one address.
+const LOOKUP_FREE_ATTEMPTS = 50;
+
+/**
+ * Build the API router bound to a database
+ * @param {Object} db - Database
+ * @returns {Object} Router
+ */
+function createApi(db) {
+    const router = createRouter();
+    const auth = createAuth(db);
+    const trackingLimiter = createAttemptLimiter();
+    const lookupLimiter = createAttemptLimiter({ freeAttempts: LOOKUP_FREE_ATTEMPTS });
+    const loginLimiter = createAttemptLimiter();
+    const escalations = createEscalations(db);
+    const retention = createRetention(db);
+    const audit = createAuditLog(db);
+    const events = createEventHub();
+    Lexicon.ensureLexicon(db);
+    Templates.ensureTemplates(db);
+    Resources.importResourceFiles(db);
+    Messages.migrateLegacyNotes(db);
+    escalations.start();
+    retention.start();
+
+    /**
+     * Open a conversation for a student, enforcing the PIN. Wrong PINs lock
+     * the conversation with a growing backoff; they are counted per
+     * conversation rather than per address, because a whole school can share
+     * one address. Unknown codes are counted per address, with a much larger
+     * allowance, so that codes cannot be enumerated.
+     * @param {http.IncomingMessage} req - Request carrying `X-Tracking-Pin`
+     * @param {string} lookupId - Lookup id
+     * @returns {Promise<Object>} Stored message
+     */
+    async function openTrackedMessage(req, lookupId) {
+        const clientKey = `client:${req.socket.remoteAddress}`;
+        const threadKey = `thread:${lookupId}`;
+        lookupLimiter.check(clientKey);
+        trackingLimiter.check(threadKey);
+
+        let message;
+        try {
+            message = Messages.findByLookupId(db, lookupId);
+        } catch (err) {
+            if (err.status === 404) lookupLimiter.fail(clientKey);
+            throw err;
+        }
+        try {
+            await Messages.verifyPin(message, req.headers['x-tracking-pin']);
+        } catch (err) {
+            if (err.status === 403) trackingLimiter.fail(threadKey);
+            throw err;
+        }
+        trackingLimiter.succeed(threadKey);
+        return message;
+    }
+
+    // ===== AUTHENTICATION =====
+
+    // Wrong passwords lock the username they were tried against
+    router.add('POST', '/api/auth/login', async ({ body }) => {
+        const key = `login:${String(body.username || '').trim().toLowerCase()}`;
+        loginLimiter.check(key);
+
+        let session;
+        try {
+            session = await auth.login(body);
+        } catch (err) {
+            if (err.status === 401) loginLimiter.fail(key);
+            throw err;
+        }
+        loginLimiter.succeed(key);
+        audit.record(session.counselor, 'login');
+        return { body: session };
+    });
+
+    router.add('POST', '/api/auth/logout', async ({ req }) => {
+        const counselor = auth.requireCounselor(req);
+        auth.logout(req);
+        audit.record(counselor, 'logout');
+        return { body: { ok: true } };
+    });
+
+    router.add('GET', '/api/auth/me', async ({ req }) => {
+        return { body: { counselor: toPublicAccount(auth.requireCounselor(req)) } };
+    });
+
+    // ===== LIVE EVENTS =====
+
+    // The handler answers by keeping the stream open, so it returns nothing
+    router.add('GET', '/api/events', async ({ req, res }) => {
+        auth.requireCounselor(req);
+        events.connect(req, res, () => {
+            try {
+                auth.requireCounselor(req);
+                return true;
+            } catch (err) {
+                return false;
+            }
+        });
+    });
+
+    // ===== ENCRYPTION KEYS =====
+
+    router.add('GET', '/api/keys/public', async () => {
+        return { body: { publicKey: auth.getTeamPublicKey() } };
+    });
+
+    router.add('PUT', '/api/keys', async ({ req, body }) => {
+        const admin = auth.requireAdmin(req);
+        auth.setupTeamKey(admin, body);
+        return { body: { ok: true } };
+    });
+
+    // ===== ACCOUNT ADMINISTRATION =====
+
+    // Any counselor may read the directory (used for assignment); changes are admin-only
+    router.add('GET', '/api/counselors', async ({ req }) => {
+        auth.requireCounselor(req);
+        return { body: { counselors: auth.listCounselors() } };
+    });
+
+    router.add('POST', '/api/counselors', async ({ req, body }) => {
+        const admin = auth.requireAdmin(req);
+        const counselor = await auth.createCounselor(body);
+        audit.record(admin, 'account_create', { after: counselor });
+        return { status: 201, body: { counselor } };
+    });
+
+    router.add('PATCH', '/api/counselors/:id', async ({ req, params, body }) => {
+        const admin = auth.requireAdmin(req);
+        const before = toPublicAccount(auth.findCounselor(params.id));
+        const counselor = auth.updateCounselor(admin, params.id, body);
+        audit.record(admin, 'account_update', { before, after: counselor });
+        return { body: { counselor } };
+    });
+
+    // ===== CRISIS LEXICON =====
+
+    // Public: students' browsers analyze new messages with the active lexicon
+    router.add('GET', '/api/lexicon', async () => {
+        return { body: { lexicon: Lexicon.getActiveLexicon(db) } };
+    });
+
+    router.add('GET', '/api/lexicons', async ({ req }) => {
+        auth.requireAdmin(req);
+        return { body: Lexicon.listLexicons(db) };
+    });
+
+    router.add('POST', '/api/lexicons', async ({ req, body }) => {
+        const admin = auth.requireAdmin(req);
+        const lexicon = Lexicon.publishLexicon(db, admin, body);
+        audit.record(admin, 'lexicon_publish', { after: { version: lexicon.version } });
+        return { status: 201, body: { lexicon } };
+    });
+
+    router.add('POST', '/api/lexicons/:version/activate', async ({ req, params }) => {
+        const admin = auth.requireAdmin(req);
+        const before = db.data.activeLexicon ? { version: db.data.activeLexicon.version } : null;
+        const lexicon = Lexicon.activateLexicon(db, admin, Number(params.version));
+        audit.record(admin, 'lexicon_activate', { before, after: { version: lexicon.version } });
+        return { body: { lexicon } };
+    });
+
+    // ===== CRISIS ESCALATION =====
+
+    router.add('GET', '/api/escalations', async ({ req }) => {
+        auth.requireCounselor(req);
+        return { body: { escalations: escalations.listOpen() } };
+    });
+
+    router.add('POST', '/api/messages/:id/acknowledge', async ({ req, params }) => {
+        const counselor = auth.requireCounselor(req);
+        const message = escalations.acknowledge(Messages.findById(db, params.id), counselor);
+        audit.record(counselor, 'acknowledge', { messageId: message.id, after: { level: message.escalation.level } });
+        events.announce('updated', message);
+        return { body: { message: Messages.toCounselorView(message) } };
+    });
+
+    router.add('GET', '/api/escalation/config', async ({ req }) => {
+        auth.requireAdmin(req);
+        return { body: escalations.describe() };
+    });
+
+    router.add('PUT', '/api/escalation/config', async ({ req, body }) => {
+        const admin = auth.requireAdmin(req);
+        const result = escalations.updateConfig(body);
+        audit.record(admin, 'escalation_config'); // Settings hold credentials, so values are not logged
+        return { body: result };
+    });
+
+    router.add('POST', '/api/escalation/test', async ({ req }) => {
+        const admin = auth.requireAdmin(req);
+        return { body: { results: await escalations.sendTest(admin) } };
+    });
+
+    // ===== DATA RETENTION =====
+
+    router.add('GET', '/api/retention', async ({ req }) => {
+        auth.requireAdmin(req);
+        return { body: retention.describe() };
+    });
+
+    router.add('PUT', '/api/retention/config', async ({ req, body }) => {
+        const admin = auth.requireAdmin(req);
+        const before = retention.describe().config;
+        const result = retention.updateConfig(body);
+        audit.record(admin, 'retention_config', { before, after: result.config });
+        return { body: result };
+    });
+
+    router.add('GET', '/api/retention/preview', async ({ req }) => {
+        auth.requireAdmin(req);
+        return { body: { preview: retention.preview() } };
+    });
+
+    router.add('POST', '/api/retention/run', async ({ req }) => {
+        const admin = auth.requireAdmin(req);
+        const run = retention.runNow(admin);
+        audit.record(admin, 'retention_run', { after: { ...run.counts, held: run.held } });
+        events.announce('bulk');
+        return { body: { run } };
+    });
+
+    router.add('PUT', '/api/messages/:id/legal-hold', async ({ req, params, body }) => {
+        const admin = auth.requireAdmin(req);
+        const target = Messages.findById(db, params.id);
+        const before = target.legalHold || null;
+        const message = retention.setLegalHold(target, admin, body);
+        audit.record(admin, 'legal_hold', { messageId: message.id, before, after: message.legalHold });
+        events.announce('updated', message);
+        return { body: { message: Messages.toCounselorView(message) } };
+    });
+
+    // ===== BACKUP AND RESTORE =====
+
+    router.add('GET', '/api/backup', async ({ req }) => {
+        const admin = auth.requireAdmin(req);
+        const snapshot = Backup.createSnapshot(db, admin);
+        audit.record(admin, 'backup', { after: { messages: snapshot.data.messages.length } });
+        return { body: { snapshot } };
+    });
+
+    router.add('POST', '/api/backup/preview', async ({ req, body }) => {
+        auth.requireAdmin(req);
+        const plan = Backup.planRestore(db, body.snapshot, {
+            overwrite: Boolean(body.overwrite),
+            settings: Boolean(body.settings)
+        });
+        return { body: { preview: plan.preview } };
+    }, { maxBodyBytes: Backup.MAX_BACKUP_BYTES });
+
+    router.add('POST', '/api/backup/restore', async ({ req, body }) => {
+        const admin = auth.requireAdmin(req);
+        const plan = Backup.planRestore(db, body.snapshot, {
+            overwrite: Boolean(body.overwrite),
+            settings: Boolean(body.settings)
+        });
+        const restored = Backup.applyRestore(db, plan);
+        audit.record(admin, 'restore', {
+            after: {
+                createdAt: restored.createdAt,
+                messagesAdded: restored.messages.add,
+                messagesOverwritten: restored.messages.overwrite,
+                accountsAdded: restored.counselors.add,
+                accountsOverwritten: restored.counselors.overwrite,
+                replaceTeamKey: restored.replaceTeamKey,
+                settings: restored.settings
+            }
+        });
+        retention.reapply();
+        events.announce('bulk');
+        return { body: { restored } };
+    }, { maxBodyBytes: Backup.MAX_BACKUP_BYTES });
+
+    // ===== AUDIT LOG =====
+
+    router.add('GET', '/api/audit', async ({ req, query }) => {
+        auth.requireAdmin(req);
+        return { body: { ...audit.list(query), verification: audit.verify() } };
+    });
+
+    // Exports happen in the browser, which reports them here
+    router.add('POST', '/api/audit/exports', async ({ req, body }) => {
+        const counselor = auth.requireCounselor(req);
+        audit.recordExport(counselor, body);
+        return { status: 201, body: { ok: true } };
+    });
+
+    // ===== STUDENT ENDPOINTS =====
+
+    router.add('POST', '/api/messages', async ({ body }) => {
+        const message = await Messages.createMessage(db, body);
+        escalations.notifyIfNeeded(message);
+        events.announce('created', message);
+        return { status: 201, body: { message: Messages.toStudentView(message) } };
+    });
+
+    router.add('GET', '/api/track/:lookupId', async ({ req, params }) => {
+        const message = await openTrackedMessage(req, params.lookupId);
+        return { body: { message: Messages.toStudentView(message) } };
+    });
+
+    router.add('POST', '/api/track/:lookupId/replies', async ({ req, params, body }) => {
+        await openTrackedMessage(req, params.lookupId);
+        const message = Messages.addStudentReply(db, params.lookupId, body);
+        escalations.notifyIfNeeded(message);
+        events.announce('student_reply', message);
+        return { status: 201, body: { message: Messages.toStudentView(message) } };
+    });
+
+    router.add('POST', '/api/track/:lookupId/rotate', async ({ req, params, body }) => {
+        await openTrackedMessage(req, params.lookupId);
+        const message = Messages.rotateTrackingCode(db, params.lookupId, body);
+        events.announce('updated', message);
+        return { body: { message: Messages.toStudentView(message) } };
+    });
+
+    router.add('POST', '/api/track/:lookupId/read', async ({ req, params, body }) => {
+        await openTrackedMessage(req, params.lookupId);
+        const message = Messages.markRepliesRead(db, params.lookupId, body);
+        events.announce('updated', message);
+        return { body: { message: Messages.toStudentView(message) } };
+    });
+
+    // The journal is private to the student: saving it tells no one
+    router.add('PUT', '/api/track/:lookupId/journal', async ({ req, params, body }) => {
+        await openTrackedMessage(req, params.lookupId);
+        return { body: { journal: Messages.saveJournal(db, params.lookupId, body) } };
+    });
+
+    router.add('DELETE', '/api/track/:lookupId/journal', async ({ req, params }) => {
+        await openTrackedMessage(req, params.lookupId);
+        Messages.deleteJournal(db, params.lookupId);
+        return { body: { ok: true } };
+    });
+
+    // ===== COUNSELOR ENDPOINTS =====
+
+    router.add('GET', '/api/messages', async ({ req, query }) => {
+        const counselor = auth.requireCounselor(req);
+        return { body: { messages: Messages.listMessages(db, query, counselor).map(Messages.toCounselorView) } };
+    });
+
+    router.add('GET', '/api/messages/:id', async ({ req, params }) => {
+        const counselor = auth.requireCounselor(req);
+        const message = Messages.findById(db, params.id);
+        audit.record(counselor, 'view', { messageId: message.id });
+        return { body: { message: Messages.toCounselorView(message) } };
+    });
+
+    router.add('PATCH', '/api/messages/:id', async ({ req, params, body }) => {
+        const counselor = auth.requireCounselor(req);
+        const before = { status: Messages.findById(db, params.id).status };
+        const message = Messages.updateStatus(db, params.id, body.status);
+        audit.record(counselor, 'status', { messageId: message.id, before, after: { status: message.status } });
+        events.announce('updated', message);
+        return { body: { message: Messages.toCounselorView(message) } };
+    });
+
+    router.add('POST', '/api/messages/:id/replies', async ({ req, params, body }) => {
+        const counselor = auth.requireCounselor(req);
+        const { status } = Messages.findById(db, params.id);
+        const message = Messages.addCounselorReply(db, params.id, counselor, body);
+        audit.record(counselor, 'reply', {
+            messageId: message.id,
+            before: { status },
+            after: { status: message.status, replyIndex: message.replies.length - 1 }
+        });
+        events.announce('updated', message);
+        return { status: 201, body: { message: Messages.toCounselorView(message) } };
+    });
+
+    // ===== INTERNAL NOTES =====
+
+    router.add('POST', '/api/messages/:id/notes', async ({ req, params, body }) => {
+        const counselor = auth.requireCounselor(req);
+        const { message, note } = Messages.addNote(db, params.id, counselor, body);
+        audit.record(counselor, 'note_add', { messageId: message.id, after: { noteId: note.id, note: note.note } });
+        events.announce('updated', message);
+        return { status: 201, body: { message: Messages.toCounselorView(message) } };
+    });
+
+    router.add('PATCH', '/api/messages/:id/notes/:noteId', async ({ req, params, body }) => {
+        const counselor = auth.requireCounselor(req);
+        const { message, note, before } = Messages.editNote(db, params.id, params.noteId, counselor, body);
+        audit.record(counselor, 'note_edit', {
+            messageId: message.id,
+            before: { noteId: note.id, note: before },
+            after: { noteId: note.id, note: note.note }
+        });
+        events.announce('updated', message);
+        return { body: { message: Messages.toCounselorView(message) } };
+    });
+
+    // ===== REPLY TEMPLATES =====
+
+    router.add('GET', '/api/templates', async ({ req }) => {
+        auth.requireCounselor(req);
+        return { body: { templates: Templates.listTemplates(db) } };
+    });
+
+    router.add('POST', '/api/templates', async ({ req, body }) => {
+        const counselor = auth.requireCounselor(req);
+        const template = Templates.createTemplate(db, counselor, body);
+        audit.record(counselor, 'template_create', { after: { title: template.title } });
+        return { status: 201, body: { template } };
+    });
+
+    router.add('PUT', '/api/templates/:id', async ({ req, params, body }) => {
+        const counselor = auth.requireCounselor(req);
+        const { template, before } = Templates.updateTemplate(db, params.id, counselor, body);
+        audit.record(counselor, 'template_update', { before: { title: before.title }, after: { title: template.title } });
+        return { body: { template } };
+    });
+
+    router.add('DELETE', '/api/templates/:id', async ({ req, params }) => {
+        const counselor = auth.requireCounselor(req);
+        const template = Templates.deleteTemplate(db, params.id);
+        audit.record(counselor, 'template_delete', { before: { title: template.title } });
+        return { body: { ok: true } };
+    });
+
+    // ===== RESOURCE LIBRARY =====
+
+    // Students read published articles without signing in; `?drafts=1` is
+    // the dashboard's full list
+    router.add('GET', '/api/resources', async ({ req, query }) => {
+        if (query.drafts) {
+            auth.requireCounselor(req);
+            return { body: { resources: Resources.listResources(db, { drafts: true }) } };
+        }
+        return { body: { resources: Resources.listResources(db).map(Resources.toPublicResource) } };
+    });
+
+    router.add('POST', '/api/resources', async ({ req, body }) => {
+        const counselor = auth.requireCounselor(req);
+        const resource = Resources.createResource(db, counselor, body);
+        audit.record(counselor, 'resource_create', { after: { title: resource.title, published: resource.published } });
+        return { status: 201, body: { resource } };
+    });
+
+    router.add('PUT', '/api/resources/:id', async ({ req, params, body }) => {
+        const counselor = auth.requireCounselor(req);
+        const { resource, before } = Resources.updateResource(db, params.id, counselor, body);
+        audit.record(counselor, 'resource_update', {
+            before: { title: before.title, published: before.published },
+            after: { title: resource.title, published: resource.published }
+        });
+        return { body: { resource } };
+    });
+
+    router.add('POST', '/api/resources/:id/publish', async ({ req, params, body }) => {
+        const counselor = auth.requireCounselor(req);
+        const { resource, before } = Resources.setResourcePublished(db, params.id, counselor, body.published);
+        audit.record(counselor, 'resource_publish', {
+            before: { title: before.title, published: before.published },
+            after: { title: resource.title, published: resource.published }
+        });
+        return { body: { resource } };
+    });
+
+    // ===== CASE ASSIGNMENT =====
+
+    router.add('POST', '/api/messages/:id/claim', async ({ req, params }) => {
+        const counselor = auth.requireCounselor(req);
+        const before = { assignedTo: Messages.findById(db, params.id).assignedTo };
+        const message = Messages.assignMessage(db, params.id, counselor, counselor);
+        audit.record(counselor, 'assign', { messageId: message.id, before, after: { assignedTo: message.assignedTo } });
+        events.announce('updated', message);
+        return { body: { message: Messages.toCounselorView(message) } };
+    });
+
+    router.add('POST', '/api/messages/:id/release', async ({ req, params }) => {
+        const counselor = auth.requireCounselor(req);
+        const before = { assignedTo: Messages.findById(db, params.id).assignedTo };
+        const message = Messages.assignMessage(db, params.id, counselor, null);
+        audit.record(counselor, 'assign', { messageId: message.id, before, after: { assignedTo: message.assignedTo } });
+        events.announce('updated', message);
+        return { body: { message: Messages.toCounselorView(message) } };
+    });
+
+    router.add('POST', '/api/messages/:id/assign', async ({ req, params, body }) => {
+        const counselor = auth.requireCounselor(req);
+        const assignee = auth.findCounselor(body.counselorId);
+        const before = { assignedTo: Messages.findById(db, params.id).assignedTo };
+        const message = Messages.assignMessage(db, params.id, counselor, assignee);
+        audit.record(counselor, 'assign', { messageId: message.id, before, after: { assignedTo: message.assignedTo } });
+        events.announce('updated', message);
+        return { body: { message: Messages.toCounselorView(message) } };
+    });
+
+    return router;
+}
+
+module.exports = {
+    createApi
+};
@@ -0,0 +1,167 @@
+// ============================================
+// AUDIT LOG - HASH-CHAINED RECORD OF COUNSELOR ACTIONS
+// ============================================
+//
+// Every counselor action is appended with who, when and the values before
+// and after. Each entry stores the hash of the previous one, so editing or
+// removing any entry breaks the chain from that point on. The log is never
+// rewritten, and the head hash shown to administrators can be written down
+// to detect the chain being rebuilt from scratch.
+//
+// Notes appear as the same encrypted boxes stored in the case: readable only
+// by counselors, and unreadable for good once retention anonymizes the case
+// and drops its keys.
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+const GENESIS_HASH = '0'.repeat(64);
+const VIEW_DEDUPE_MS = 10 * 60 * 1000;
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+const EXPORT_FORMATS = ['csv', 'json', 'report'];
+const EXPORT_TEXT_MODES = ['none', 'redacted', 'full'];
+
+// ===== HASHING =====
+
+/**
+ * Hash an entry together with the previous hash
+ * @param {Object} entry - Entry without its own hash
+ * @returns {string} Hex SHA-256
+ */
+function hashEntry(entry) {
+    const fields = [
+        entry.seq, entry.at, entry.actorId, entry.actorName, entry.action,
+        entry.messageId, entry.before, entry.after, entry.prevHash
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * Validate an export reported by a counselor's browser
+ * @param {Object} input - { format, count, text, notes, trackingCodes, filters }
+ * @returns {Object} Export details
+ */
+function requireExportDetails(input) {
+    const count = Number(input.count);
+    if (!EXPORT_FORMATS.includes(input.format) || !Number.isInteger(count) || count < 0 ||
+        !EXPORT_TEXT_MODES.includes(input.text) || !EXPORT_TEXT_MODES.includes(input.notes)) {
+        throw new HttpError(400, 'invalidExport', 'Datos de exportación no válidos');
+    }
+    return {
+        format: input.format,
+        count,
+        text: input.text,
+        notes: input.notes,
+        trackingCodes: Boolean(input.trackingCodes),
+        filters: String(input.filters || '').slice(0, 300)
+    };
+}
+
+// ===== SERVICE =====
+
+/**
+ * Create the audit log bound to a database
+ * @param {Object} db - Database
+ * @returns {Object} Audit log
+ */
+function createAuditLog(db) {
+    /**
+     * Whether an actor already viewed a case recently, so repeated views of
+     * the same case (refreshes, replies) make one entry
+     * @param {Object} actor - Counselor
+     * @param {string} messageId - Message ID
+     * @returns {boolean}
+     */
+    function viewedRecently(actor, messageId) {
+        const since = Date.now() - VIEW_DEDUPE_MS;
+        for (let i = db.data.auditLog.length - 1; i >= 0; i--) {
+            const entry = db.data.auditLog[i];
+            if (Date.parse(entry.at) < since) return false;
+            if (entry.action === 'view' && entry.actorId === actor.id && entry.messageId === messageId) return true;
+        }
+        return false;
+    }
+
+    return {
+        /**
+         * Append an entry
+         * @param {Object} actor - Counselor { id, name }
+         * @param {string} action - Action name
+         * @param {Object} [details] - { messageId, before, after }
+         * @returns {Object|null} Entry, or null for a repeated view
+         */
+        record(actor, action, details = {}) {
+            const messageId = details.messageId || null;
+            if (action === 'view' && viewedRecently(actor, messageId)) return null;
+
+            const log = db.data.auditLog;
+            const entry = {
+                seq: log.length + 1,
+                at: new Date().toISOString(),
+                actorId: actor.id,
+                actorName: actor.name,
+                action,
+                messageId,
+                before: details.before === undefined ? null : details.before,
+                after: details.after === undefined ? null : details.after,
+                prevHash: log.length > 0 ? log[log.length - 1].hash : GENESIS_HASH
+            };
+            entry.hash = hashEntry(entry);
+            log.push(entry);
+            db.save();
+            return entry;
+        },
+
+        /**
+         * Record an export made in a counselor's browser
+         * @param {Object} actor - Counselor
+         * @param {Object} input - Export details
+         * @returns {Object} Entry
+         */
+        recordExport(actor, input) {
+            return this.record(actor, 'export', { after: requireExportDetails(input) });
+        },
+
+        /**
+         * List entries, newest first
+         * @param {Object} filters - { action, actorId, messageId, from, to (YYYY-MM-DD), limit }
+         * @returns {Object} { entries, total }
+         */
+        list(filters = {}) {
+            const from = filters.from ? Date.parse(`${filters.from}T00:00:00`) : -Infinity;
+            const to = filters.to ? Date.parse(`${filters.to}T23:59:59.999`) : Infinity;
+            const limit = Math.min(Number(filters.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+            const matches = db.data.auditLog.filter(entry => {
+                const at = Date.parse(entry.at);
+                return (!filters.action || entry.action === filters.action) &&
+                    (!filters.actorId || entry.actorId === filters.actorId) &&
+                    (!filters.messageId || entry.messageId === filters.messageId) &&
+                    at >= from && at <= to;
+            });
+            return { entries: matches.slice(-limit).reverse(), total: matches.length };
+        },
+
+        /**
+         * Recompute the chain and report the first entry that does not match
+         * @returns {Object} { valid, count, brokenAt, headHash }
+         */
+        verify() {
+            const log = db.data.auditLog;
+            let prevHash = GENESIS_HASH;
+            for (let i = 0; i < log.length; i++) {
+                const entry = log[i];
+                if (entry.seq !== i + 1 || entry.prevHash !== prevHash || hashEntry(entry) !== entry.hash) {
+                    return { valid: false, count: log.length, brokenAt: i + 1, headHash: null };
+                }
+                prevHash = entry.hash;
+            }
+            return { valid: true, count: log.length, brokenAt: null, headHash: prevHash };
+        }
+    };
+}
+
+module.exports = {
+    createAuditLog
+};
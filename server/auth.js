@@ -0,0 +1,367 @@
+// ============================================
+// COUNSELOR ACCOUNTS & SESSIONS
+// ============================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { HttpError } = require('./http');
+const { requireBase64 } = require('./messages');
+
+const ROLES = ['counselor', 'admin'];
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000; // 8 hours
+const MIN_PASSWORD_LENGTH = 8;
+const scrypt = promisify(crypto.scrypt);
+
+// ===== PASSWORD HASHING =====
+
+/**
+ * Hash a password with scrypt, off the event loop
+ * @param {string} password - Plain password
+ * @param {string} salt - Hex-encoded salt
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+async function hashPassword(password, salt) {
+    return (await scrypt(password, Buffer.from(salt, 'hex'), 64)).toString('hex');
+}
+
+/**
+ * Check a password against a stored account
+ * @param {Object} account - Counselor account
+ * @param {string} password - Candidate password
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+async function verifyPassword(account, password) {
+    const expected = Buffer.from(account.passwordHash, 'hex');
+    const actual = Buffer.from(await hashPassword(password, account.salt), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Create the first administrator of a new installation. Run before the
+ * server starts taking requests.
+ * @param {Object} db - Database
+ */
+async function ensureFirstAdmin(db) {
+    if (db.data.counselors.length > 0) return;
+
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+    db.data.counselors.push(await buildAccount({
+        username: process.env.ADMIN_USERNAME || 'admin',
+        name: 'Administrador',
+        role: 'admin',
+        password
+    }));
+    db.save();
+    if (!process.env.ADMIN_PASSWORD) {
+        console.log(`Cuenta de administrador creada: usuario "admin", contraseña "${password}"`);
+    }
+}
+
+// ===== SESSION TOKENS =====
+
+/**
+ * Load the token signing secret, creating it on first run
+ * @param {Object} db - Database
+ * @returns {Buffer} Secret
+ */
+function loadSessionSecret(db) {
+    if (process.env.SESSION_SECRET) return Buffer.from(process.env.SESSION_SECRET);
+
+    const keyFile = path.join(path.dirname(db.file), 'session.key');
+    if (!fs.existsSync(keyFile)) {
+        fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    }
+    return Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'hex');
+}
+
+/**
+ * Sign a payload as `base64url(payload).base64url(hmac)`
+ * @param {Buffer} secret - Signing secret
+ * @param {Object} payload - Token claims
+ * @returns {string} Token
+ */
+function signToken(secret, payload) {
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(encoded).digest('base64url');
+    return `${encoded}.${signature}`;
+}
+
+/**
+ * Verify a token signature and expiry
+ * @param {Buffer} secret - Signing secret
+ * @param {string} token - Token
+ * @returns {Object|null} Claims, or null if invalid or expired
+ */
+function verifyToken(secret, token) {
+    const [encoded, signature] = String(token).split('.');
+    if (!encoded || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(encoded).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        return claims.exp > Date.now() ? claims : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// ===== ACCOUNTS =====
+
+/**
+ * Public view of an account (no credentials or locked key)
+ * @param {Object} account - Stored account
+ * @returns {Object} Safe account
+ */
+function toPublicAccount(account) {
+    const { salt, passwordHash, privateKeyBox, ...publicAccount } = account;
+    return publicAccount;
+}
+
+/**
+ * Validate a team private key locked with a counselor password
+ * @param {*} box - Candidate { salt, iv, ct }
+ * @returns {Object} Locked key
+ */
+function requirePrivateKeyBox(box) {
+    if (!box || typeof box !== 'object') {
+        throw new HttpError(400, 'missingKeyBox', 'Falta la clave de consejería cifrada para esta cuenta');
+    }
+    return {
+        salt: requireBase64(box.salt, 64),
+        iv: requireBase64(box.iv, 32),
+        ct: requireBase64(box.ct, 8192)
+    };
+}
+
+/**
+ * Build a new account record
+ * @param {Object} input - { username, name, password, role }
+ * @returns {Promise<Object>} Account
+ */
+async function buildAccount(input) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return {
+        id: crypto.randomUUID(),
+        username: input.username,
+        name: input.name,
+        role: input.role,
+        salt,
+        passwordHash: await hashPassword(input.password, salt),
+        active: true,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Create the auth service bound to a database
+ * @param {Object} db - Database
+ * @returns {Object} Auth service
+ */
+function createAuth(db) {
+    const secret = loadSessionSecret(db);
+
+    /**
+     * Resolve the counselor making a request
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Object} Active account plus session claims
+     */
+    function authenticate(req) {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+        const claims = token ? verifyToken(secret, token) : null;
+
+        if (!claims || db.data.revokedSessions.some(s => s.jti === claims.jti)) {
+            throw new HttpError(401, 'sessionExpired', 'Tu sesión no es válida o ha expirado. Inicia sesión nuevamente.');
+        }
+
+        const account = db.data.counselors.find(c => c.id === claims.sub);
+        if (!account || !account.active) {
+            throw new HttpError(401, 'accountDisabled', 'Esta cuenta está desactivada');
+        }
+        return { account, claims };
+    }
+
+    return {
+        authenticate,
+
+        /**
+         * Require a logged-in counselor
+         * @param {http.IncomingMessage} req - Request
+         * @returns {Object} Account
+         */
+        requireCounselor(req) {
+            return authenticate(req).account;
+        },
+
+        /**
+         * Require a logged-in administrator
+         * @param {http.IncomingMessage} req - Request
+         * @returns {Object} Account
+         */
+        requireAdmin(req) {
+            const { account } = authenticate(req);
+            if (account.role !== 'admin') {
+                throw new HttpError(403, 'adminOnly', 'Solo un administrador puede realizar esta acción');
+            }
+            return account;
+        },
+
+        /**
+         * Log in with username and password. The response carries the team
+         * private key locked with this counselor's password, which only the
+         * browser can open.
+         * @param {Object} input - { username, password }
+         * @returns {Promise<Object>} { token, counselor, privateKeyBox, teamKeyConfigured }
+         */
+        async login(input) {
+            const username = String(input.username || '').trim().toLowerCase();
+            const account = db.data.counselors.find(c => c.username === username);
+
+            if (!account || !(await verifyPassword(account, String(input.password || ''))) || !account.active) {
+                throw new HttpError(401, 'wrongCredentials', 'Usuario o contraseña incorrectos');
+            }
+
+            const now = Date.now();
+            const token = signToken(secret, {
+                sub: account.id,
+                role: account.role,
+                jti: crypto.randomUUID(),
+                iat: now,
+                exp: now + SESSION_TTL_MS
+            });
+            return {
+                token,
+                counselor: toPublicAccount(account),
+                privateKeyBox: account.privateKeyBox || null,
+                teamKeyConfigured: Boolean(db.data.teamKey)
+            };
+        },
+
+        /**
+         * Revoke the session used by a request
+         * @param {http.IncomingMessage} req - Request
+         */
+        logout(req) {
+            const { claims } = authenticate(req);
+            const now = Date.now();
+            db.data.revokedSessions = db.data.revokedSessions.filter(s => s.exp > now);
+            db.data.revokedSessions.push({ jti: claims.jti, exp: claims.exp });
+            db.save();
+        },
+
+        /**
+         * Get the counselor team public key used by students to encrypt
+         * @returns {string} Base64 SPKI public key
+         */
+        getTeamPublicKey() {
+            if (!db.data.teamKey) {
+                throw new HttpError(503, 'mailboxNotReady', 'El buzón aún no está listo para recibir mensajes. Intenta más tarde.');
+            }
+            return db.data.teamKey.publicKey;
+        },
+
+        /**
+         * Store the team key pair generated by the first administrator
+         * @param {Object} admin - Acting administrator
+         * @param {Object} input - { publicKey, privateKeyBox }
+         */
+        setupTeamKey(admin, input) {
+            if (db.data.teamKey) {
+                throw new HttpError(409, 'teamKeyExists', 'La clave de consejería ya está configurada');
+            }
+
+            db.data.teamKey = {
+                publicKey: requireBase64(input.publicKey, 1024),
+                createdAt: new Date().toISOString(),
+                createdBy: admin.id
+            };
+            admin.privateKeyBox = requirePrivateKeyBox(input.privateKeyBox);
+            db.save();
+        },
+
+        /**
+         * Find an account by id
+         * @param {string} id - Account ID
+         * @returns {Object} Account
+         */
+        findCounselor(id) {
+            const account = db.data.counselors.find(c => c.id === id);
+            if (!account) throw new HttpError(404, 'accountNotFound', 'Cuenta no encontrada');
+            return account;
+        },
+
+        /**
+         * List accounts
+         * @returns {Array} Public accounts
+         */
+        listCounselors() {
+            return db.data.counselors.map(toPublicAccount);
+        },
+
+        /**
+         * Create a counselor account. Once the team key exists, the creating
+         * administrator must supply it locked with the new initial password.
+         * @param {Object} input - { username, name, password, role, privateKeyBox }
+         * @returns {Promise<Object>} Public account
+         */
+        async createCounselor(input) {
+            const username = String(input.username || '').trim().toLowerCase();
+            const name = String(input.name || '').trim();
+            const role = input.role || 'counselor';
+
+            if (!/^[a-z0-9._-]{3,32}$/.test(username)) {
+                throw new HttpError(400, 'invalidUsername', 'El usuario debe tener entre 3 y 32 caracteres (letras, números, punto, guion)');
+            }
+            if (!name) throw new HttpError(400, 'nameRequired', 'El nombre es obligatorio');
+            if (!ROLES.includes(role)) throw new HttpError(400, 'invalidRole', 'Rol no válido');
+            if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+                throw new HttpError(400, 'passwordTooShort', `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`, { min: MIN_PASSWORD_LENGTH });
+            }
+
+            const privateKeyBox = db.data.teamKey ? requirePrivateKeyBox(input.privateKeyBox) : undefined;
+            const account = await buildAccount({ username, name, role, password: input.password });
+            // Checked after hashing, so two requests for one name cannot both succeed
+            if (db.data.counselors.some(c => c.username === username)) {
+                throw new HttpError(409, 'usernameTaken', 'Ya existe una cuenta con ese usuario');
+            }
+            if (privateKeyBox) account.privateKeyBox = privateKeyBox;
+            db.data.counselors.push(account);
+            db.save();
+            return toPublicAccount(account);
+        },
+
+        /**
+         * Activate or deactivate an account
+         * @param {Object} admin - Acting administrator
+         * @param {string} id - Account ID
+         * @param {Object} input - { active }
+         * @returns {Object} Public account
+         */
+        updateCounselor(admin, id, input) {
+            const account = db.data.counselors.find(c => c.id === id);
+            if (!account) throw new HttpError(404, 'accountNotFound', 'Cuenta no encontrada');
+
+            if (typeof input.active === 'boolean') {
+                if (account.id === admin.id && !input.active) {
+                    throw new HttpError(400, 'cannotDeactivateSelf', 'No puedes desactivar tu propia cuenta');
+                }
+                account.active = input.active;
+            }
+
+            db.save();
+            return toPublicAccount(account);
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    ensureFirstAdmin,
+    createAuth,
+    toPublicAccount
+};
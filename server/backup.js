@@ -0,0 +1,267 @@
+// ============================================
+// BACKUP AND RESTORE
+// ============================================
+//
+// A backup is a snapshot of the whole mailbox: messages (still end-to-end
+// encrypted), counselor accounts, the team public key, lexicon versions,
+// reply templates, library articles and settings. The administrator's browser
+// encrypts it with a password before download and decrypts it before restore, so the server
+// only ever sees the snapshot itself. Restoring merges into the current data: messages match by
+// `id` or by `lookupId` (derived from the tracking code), so nothing is
+// duplicated. Lexicon versions match by number; a version whose content
+// differs is a conflict and the local one is kept, since cases on both sides
+// were analyzed with it. The audit log stays with each installation, since
+// merging two hash chains would break both; restores are recorded in it
+// instead.
+
+const { HttpError } = require('./http');
+
+const BACKUP_FORMAT = 'voces-anonimas-backup';
+const BACKUP_VERSION = 1;
+const MAX_BACKUP_BYTES = 50 * 1024 * 1024;
+
+// ===== VALIDATION =====
+
+/**
+ * Whether a value is a non-empty string
+ * @param {*} value - Candidate
+ * @returns {boolean}
+ */
+function isText(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Validate the shape of a decrypted snapshot
+ * @param {*} snapshot - Candidate snapshot
+ * @returns {Object} Snapshot data
+ */
+function requireSnapshot(snapshot) {
+    if (!snapshot || snapshot.format !== BACKUP_FORMAT) {
+        throw new HttpError(400, 'notABackup', 'El archivo no es una copia de seguridad de Voces Anónimas');
+    }
+    if (snapshot.version !== BACKUP_VERSION) {
+        throw new HttpError(400, 'backupVersion', `Versión de copia no compatible (${snapshot.version})`, { version: snapshot.version });
+    }
+
+    const data = snapshot.data || {};
+    const invalid = (code, what) => new HttpError(400, code, `La copia está dañada: ${what}`);
+
+    if (!Array.isArray(data.messages) || !Array.isArray(data.counselors) || !Array.isArray(data.lexicons)) {
+        throw invalid('backupIncomplete', 'faltan mensajes, cuentas o léxicos');
+    }
+    data.messages.forEach(m => {
+        if (!isText(m.id) || !isText(m.lookupId) || !isText(m.timestamp) || !m.encryption ||
+            !Array.isArray(m.replies)) {
+            throw invalid('backupBadMessages', 'hay mensajes incompletos');
+        }
+    });
+    data.counselors.forEach(c => {
+        if (!isText(c.id) || !isText(c.username) || !isText(c.salt) || !isText(c.passwordHash)) {
+            throw invalid('backupBadAccounts', 'hay cuentas incompletas');
+        }
+    });
+    data.lexicons.forEach(l => {
+        if (!Number.isInteger(l.version) || !l.keywords || !l.scores || !l.thresholds) {
+            throw invalid('backupBadLexicons', 'hay versiones de léxico incompletas');
+        }
+    });
+    if (data.teamKey && !isText(data.teamKey.publicKey)) {
+        throw invalid('backupBadTeamKey', 'la clave de consejería no es válida');
+    }
+    return data;
+}
+
+// ===== SNAPSHOT =====
+
+/**
+ * Take a snapshot of the mailbox
+ * @param {Object} db - Database
+ * @param {Object} admin - Acting administrator
+ * @returns {Object} Snapshot
+ */
+function createSnapshot(db, admin) {
+    const {
+        messages, counselors, teamKey, lexicons, activeLexicon, escalationConfig, retentionConfig, replyTemplates,
+        resources
+    } = db.data;
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        createdBy: admin.name,
+        data: {
+            messages, counselors, teamKey, lexicons, activeLexicon, escalationConfig, retentionConfig, replyTemplates,
+            resources
+        }
+    };
+}
+
+// ===== RESTORE =====
+
+/**
+ * The analysis content of a lexicon version, for comparison
+ * @param {Object} lexicon - Stored lexicon version
+ * @returns {string} Serialized keywords, locale keywords, scores and thresholds
+ */
+function lexiconContent(lexicon) {
+    const { keywords, localeKeywords, scores, thresholds } = lexicon;
+    return JSON.stringify({ keywords, localeKeywords, scores, thresholds });
+}
+
+/**
+ * Work out what a restore would change, without changing anything
+ * @param {Object} db - Database
+ * @param {Object} snapshot - Decrypted snapshot
+ * @param {Object} options - { overwrite: replace differing messages, settings: restore settings }
+ * @returns {Object} Plan, including `preview` for the administrator
+ */
+function planRestore(db, snapshot, options = {}) {
+    const data = requireSnapshot(snapshot);
+    const current = db.data;
+
+    // Messages are only readable with the team key they were encrypted for
+    const sameKey = !data.teamKey || !current.teamKey || data.teamKey.publicKey === current.teamKey.publicKey;
+    const replaceTeamKey = Boolean(data.teamKey) && (!current.teamKey || !sameKey);
+    if (!sameKey && current.messages.length > 0) {
+        throw new HttpError(409, 'teamKeyMismatch', 'La copia usa otra clave de consejería y este buzón ya tiene mensajes, así que no se pueden combinar. Restaura en una instalación nueva.');
+    }
+
+    const messages = data.messages.map(incoming => {
+        const index = current.messages.findIndex(m => m.id === incoming.id || m.lookupId === incoming.lookupId);
+        const existing = index === -1 ? null : current.messages[index];
+        let action = 'add';
+        if (existing) {
+            if (JSON.stringify(existing) === JSON.stringify(incoming)) action = 'unchanged';
+            else action = options.overwrite ? 'overwrite' : 'skip';
+        }
+        return {
+            action,
+            index,
+            message: incoming,
+            matchedBy: existing ? (existing.id === incoming.id ? 'id' : 'código') : null,
+            currentReplies: existing ? existing.replies.length : null
+        };
+    });
+
+    // With a new team key, accounts from the backup replace same-named ones:
+    // only their key boxes can open the restored messages
+    const counselors = data.counselors.map(incoming => {
+        const existing = current.counselors.find(c => c.id === incoming.id || c.username === incoming.username);
+        let action = existing ? 'unchanged' : 'add';
+        if (existing && replaceTeamKey) action = 'overwrite';
+        return { action, account: incoming, existing };
+    });
+    const orphanedAccounts = replaceTeamKey
+        ? current.counselors.filter(c => c.privateKeyBox && !counselors.some(p => p.existing === c))
+        : [];
+
+    const lexicons = data.lexicons.map(incoming => {
+        const existing = current.lexicons.find(l => l.version === incoming.version);
+        let action = 'add';
+        if (existing) action = lexiconContent(existing) === lexiconContent(incoming) ? 'unchanged' : 'conflict';
+        return { action, lexicon: incoming };
+    });
+
+    const count = (items, action) => items.filter(i => i.action === action).length;
+    return {
+        data,
+        options,
+        replaceTeamKey,
+        messages,
+        counselors,
+        lexicons,
+        orphanedAccounts,
+        preview: {
+            createdAt: snapshot.createdAt,
+            createdBy: snapshot.createdBy,
+            replaceTeamKey,
+            settings: Boolean(options.settings),
+            messages: {
+                add: count(messages, 'add'),
+                overwrite: count(messages, 'overwrite'),
+                skip: count(messages, 'skip'),
+                unchanged: count(messages, 'unchanged'),
+                items: messages.filter(m => m.action !== 'unchanged').map(m => ({
+                    action: m.action,
+                    id: m.message.id,
+                    timestamp: m.message.timestamp,
+                    category: m.message.category,
+                    status: m.message.status,
+                    replies: m.message.replies.length,
+                    currentReplies: m.currentReplies,
+                    matchedBy: m.matchedBy
+                }))
+            },
+            counselors: {
+                add: count(counselors, 'add'),
+                overwrite: count(counselors, 'overwrite'),
+                unchanged: count(counselors, 'unchanged'),
+                names: counselors.filter(c => c.action !== 'unchanged').map(c => c.account.name),
+                losingKeyAccess: orphanedAccounts.map(c => c.name)
+            },
+            lexicons: {
+                add: count(lexicons, 'add'),
+                unchanged: count(lexicons, 'unchanged'),
+                conflict: count(lexicons, 'conflict'),
+                conflicts: lexicons.filter(l => l.action === 'conflict').map(l => l.lexicon.version)
+            }
+        }
+    };
+}
+
+/**
+ * Apply a restore plan
+ * @param {Object} db - Database
+ * @param {Object} plan - Result of planRestore
+ * @returns {Object} The plan's preview, describing what was done
+ */
+function applyRestore(db, plan) {
+    const current = db.data;
+
+    if (plan.replaceTeamKey) {
+        current.teamKey = plan.data.teamKey;
+        // Their key boxes open the discarded key; an admin must recreate them
+        plan.orphanedAccounts.forEach(account => {
+            delete account.privateKeyBox;
+        });
+    }
+
+    plan.counselors.forEach(({ action, account, existing }) => {
+        if (action === 'add') current.counselors.push(account);
+        if (action === 'overwrite') current.counselors[current.counselors.indexOf(existing)] = account;
+    });
+
+    plan.messages.forEach(({ action, index, message }) => {
+        if (action === 'add') current.messages.push(message);
+        if (action === 'overwrite') current.messages[index] = message;
+    });
+    current.messages.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+
+    plan.lexicons.forEach(({ action, lexicon }) => {
+        if (action === 'add') current.lexicons.push(lexicon);
+    });
+    current.lexicons.sort((a, b) => a.version - b.version);
+
+    if (plan.options.settings) {
+        const activeVersion = plan.data.activeLexicon && plan.data.activeLexicon.version;
+        const activeConflicts = plan.lexicons.some(l => l.action === 'conflict' && l.lexicon.version === activeVersion);
+        if (!activeConflicts && current.lexicons.some(l => l.version === activeVersion)) {
+            current.activeLexicon = plan.data.activeLexicon;
+        }
+        if (plan.data.escalationConfig) current.escalationConfig = plan.data.escalationConfig;
+        if (plan.data.retentionConfig) current.retentionConfig = plan.data.retentionConfig;
+        if (Array.isArray(plan.data.replyTemplates)) current.replyTemplates = plan.data.replyTemplates;
+        if (Array.isArray(plan.data.resources)) current.resources = plan.data.resources;
+    }
+
+    db.save();
+    return plan.preview;
+}
+
+module.exports = {
+    MAX_BACKUP_BYTES,
+    createSnapshot,
+    planRestore,
+    applyRestore
+};
@@ -0,0 +1,61 @@
+// ============================================
+// FILE-BASED PERSISTENCE
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Default shape of a fresh database
+ * @returns {Object} Empty database contents
+ */
+function emptyData() {
+    return {
+        messages: [],
+        counselors: [],
+        revokedSessions: [],
+        teamKey: null,
+        lexicons: [],
+        activeLexicon: null,
+        escalationConfig: null,
+        retentionConfig: null,
+        retentionLastRunAt: null,
+        retentionLog: [],
+        auditLog: [],
+        replyTemplates: null,
+        resources: null
+    };
+}
+
+/**
+ * Open (or create) a JSON database file
+ * @param {string} file - Path to the JSON file
+ * @returns {Object} Database with `data` and `save()`
+ */
+function openDatabase(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    let data = emptyData();
+    if (fs.existsSync(file)) {
+        data = { ...data, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    }
+
+    return {
+        file,
+        data,
+
+        /**
+         * Persist the current contents atomically (write + rename)
+         */
+        save() {
+            const tmpFile = `${file}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+            fs.renameSync(tmpFile, file);
+        }
+    };
+}
+
+module.exports = {
+    emptyData,
+    openDatabase
+};
@@ -0,0 +1,490 @@
+// ============================================
+// CRISIS ESCALATION - ON-CALL NOTIFICATIONS
+// ============================================
+//
+// When a case reaches a high or critical crisis level, the counselor on call
+// is notified by email and/or webhook, and every dashboard shows an alarm
+// until someone acknowledges it. Unacknowledged alerts are re-sent (adding
+// the next person in the rotation as backup) each time the response window
+// from CrisisDetection elapses. Notifications never include message text.
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const CrisisDetection = require('../crisis-detection');
+const { HttpError } = require('./http');
+const { ADDRESS_PATTERN, sendMail } = require('./smtp');
+
+const ESCALATED_LEVELS = ['high', 'critical'];
+const LEVEL_RANK = { none: 0, moderate: 1, high: 2, critical: 3 };
+const LEVEL_LABELS = { high: 'ALTA', critical: 'CRÍTICA' };
+const CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_ATTEMPTS = 10;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// ===== CONFIGURATION =====
+
+/**
+ * Default escalation settings (all channels off)
+ * @returns {Object} Settings
+ */
+function defaultConfig() {
+    return {
+        email: {
+            enabled: false,
+            host: 'localhost',
+            port: 2525,
+            secure: false,
+            starttls: false,
+            username: '',
+            password: '',
+            from: 'alertas@voces-anonimas.local'
+        },
+        webhook: {
+            enabled: false,
+            url: '',
+            secret: ''
+        },
+        onCall: {
+            rotation: [],
+            shiftHours: 168,
+            startsAt: new Date().toISOString()
+        },
+        dashboardUrl: ''
+    };
+}
+
+/**
+ * Settings as shown to administrators (credentials are write-only)
+ * @param {Object} config - Stored settings
+ * @returns {Object} Safe settings
+ */
+function toConfigView(config) {
+    const { password, ...email } = config.email;
+    const { secret, ...webhook } = config.webhook;
+    return {
+        ...config,
+        email: { ...email, hasPassword: Boolean(password) },
+        webhook: { ...webhook, hasSecret: Boolean(secret) }
+    };
+}
+
+/**
+ * Validate new settings. Empty password or secret fields keep the stored value.
+ * @param {Object} db - Database
+ * @param {Object} input - Candidate settings
+ * @param {Object} current - Stored settings
+ * @returns {Object} Settings
+ */
+function requireConfig(db, input, current) {
+    const email = input.email || {};
+    const webhook = input.webhook || {};
+    const onCall = input.onCall || {};
+
+    const port = Number(email.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new HttpError(400, 'invalidSmtpPort', 'El puerto SMTP no es válido');
+    }
+    if (email.enabled && (!email.host || !ADDRESS_PATTERN.test(email.from || ''))) {
+        throw new HttpError(400, 'smtpIncomplete', 'Indica el servidor SMTP y una dirección de remitente válida');
+    }
+
+    let webhookUrl = String(webhook.url || '').trim();
+    if (webhookUrl) {
+        let parsed;
+        try {
+            parsed = new URL(webhookUrl);
+        } catch (err) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            throw new HttpError(400, 'invalidWebhookUrl', 'La URL del webhook debe empezar con http:// o https://');
+        }
+        webhookUrl = parsed.toString();
+    } else if (webhook.enabled) {
+        throw new HttpError(400, 'webhookUrlRequired', 'Indica la URL del webhook');
+    }
+
+    const rotation = (Array.isArray(onCall.rotation) ? onCall.rotation : []).map(entry => {
+        const counselor = db.data.counselors.find(c => c.id === entry.counselorId);
+        if (!counselor) throw new HttpError(400, 'unknownOnCallAccount', 'La guardia incluye una cuenta que no existe');
+        const address = String(entry.email || '').trim();
+        if (address && !ADDRESS_PATTERN.test(address)) {
+            throw new HttpError(400, 'invalidOnCallEmail', `Correo no válido para ${counselor.name}`, { name: counselor.name });
+        }
+        return { counselorId: counselor.id, email: address };
+    });
+
+    const shiftHours = Number(onCall.shiftHours);
+    if (!Number.isFinite(shiftHours) || shiftHours < 1 || shiftHours > 24 * 31) {
+        throw new HttpError(400, 'invalidShiftLength', 'La duración del turno debe estar entre 1 hora y 31 días');
+    }
+    const startsAt = new Date(onCall.startsAt);
+    if (Number.isNaN(startsAt.getTime())) {
+        throw new HttpError(400, 'invalidRotationStart', 'La fecha de inicio de la guardia no es válida');
+    }
+
+    return {
+        email: {
+            enabled: Boolean(email.enabled),
+            host: String(email.host || '').trim(),
+            port,
+            secure: Boolean(email.secure),
+            starttls: Boolean(email.starttls),
+            username: String(email.username || '').trim(),
+            password: email.password ? String(email.password) : current.email.password,
+            from: String(email.from || '').trim()
+        },
+        webhook: {
+            enabled: Boolean(webhook.enabled),
+            url: webhookUrl,
+            secret: webhook.secret ? String(webhook.secret) : current.webhook.secret
+        },
+        onCall: {
+            rotation,
+            shiftHours,
+            startsAt: startsAt.toISOString()
+        },
+        dashboardUrl: String(input.dashboardUrl || '').trim()
+    };
+}
+
+// ===== CHANNELS =====
+
+/**
+ * POST a JSON payload, signed with HMAC-SHA256 when a secret is set
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @param {string} [secret] - Signing secret
+ * @returns {Promise<void>}
+ */
+function postWebhook(url, payload, secret) {
+    const body = JSON.stringify(payload);
+    const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    };
+    if (secret) {
+        headers['X-Voces-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+        const req = transport.request(target, { method: 'POST', headers, timeout: WEBHOOK_TIMEOUT_MS }, res => {
+            res.resume();
+            if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+            else reject(new Error(`El webhook respondió ${res.statusCode}`));
+        });
+        req.on('timeout', () => req.destroy(new Error('Tiempo de espera agotado con el webhook')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// ===== SERVICE =====
+
+/**
+ * Create the escalation service bound to a database
+ * @param {Object} db - Database
+ * @returns {Object} Escalation service
+ */
+function createEscalations(db) {
+    /**
+     * Get the stored settings, falling back to the defaults
+     * @returns {Object} Settings
+     */
+    function getConfig() {
+        return db.data.escalationConfig || defaultConfig();
+    }
+
+    /**
+     * Resolve who is on call at a given time
+     * @param {number} at - Timestamp
+     * @param {number} [offset] - 1 for the backup (next in rotation)
+     * @returns {Object|null} { counselorId, name, email }
+     */
+    function getOnCall(at, offset = 0) {
+        const { rotation, shiftHours, startsAt } = getConfig().onCall;
+        if (rotation.length === 0) return null;
+
+        const shift = Math.floor((at - Date.parse(startsAt)) / (shiftHours * 60 * 60 * 1000));
+        const length = rotation.length;
+        const entry = rotation[(((shift + offset) % length) + length) % length];
+        const counselor = db.data.counselors.find(c => c.id === entry.counselorId);
+        return { counselorId: entry.counselorId, name: counselor ? counselor.name : 'Cuenta eliminada', email: entry.email };
+    }
+
+    /**
+     * Build the email for an alert
+     * @param {Object} message - Stored message
+     * @param {Object} escalation - Escalation state
+     * @returns {Object} { subject, text }
+     */
+    function composeEmail(message, escalation) {
+        const config = getConfig();
+        const label = LEVEL_LABELS[escalation.level];
+        const subject = escalation.attempts > 1
+            ? `[Voces Anónimas] Recordatorio ${escalation.attempts}: alerta de crisis ${label} sin reconocer`
+            : `[Voces Anónimas] Alerta de crisis ${label}`;
+        const text = [
+            `Un caso alcanzó el nivel de crisis ${label}.`,
+            '',
+            `Caso: ${message.id}`,
+            `Categoría: ${message.category}`,
+            `Urgencia: ${message.urgency}`,
+            `Detectado: ${escalation.openedAt}`,
+            `Activado por: ${message.crisisTrigger && message.crisisTrigger.source === 'reply' ? 'una respuesta del estudiante' : 'el mensaje inicial'}`,
+            '',
+            CrisisDetection.getRecommendation(escalation.level),
+            '',
+            'Reconoce la alerta en el panel de consejería para detener los recordatorios.',
+            config.dashboardUrl ? `Panel: ${config.dashboardUrl}` : '',
+            '',
+            'Por privacidad, el contenido del mensaje no se incluye: está cifrado y solo puede leerse en el panel.'
+        ].join('\n');
+        return { subject, text };
+    }
+
+    /**
+     * Send an alert through every enabled channel and schedule the reminder
+     * @param {Object} message - Stored message with an open escalation
+     * @returns {Promise<void>}
+     */
+    async function dispatch(message) {
+        const escalation = message.escalation;
+        const config = getConfig();
+        const now = Date.now();
+
+        escalation.attempts += 1;
+        escalation.lastNotifiedAt = new Date(now).toISOString();
+        escalation.nextNotifyAt = new Date(now + CrisisDetection.getResponseWindow(escalation.level)).toISOString();
+
+        const recipients = [getOnCall(now)];
+        if (escalation.attempts > 1) recipients.push(getOnCall(now, 1));
+        const onCall = recipients.filter(Boolean).filter((r, i, all) => all.findIndex(o => o.counselorId === r.counselorId) === i);
+        escalation.onCall = onCall.map(({ counselorId, name }) => ({ counselorId, name }));
+
+        const record = (channel, to, err) => {
+            escalation.notifications.push({
+                channel,
+                to,
+                attempt: escalation.attempts,
+                at: new Date().toISOString(),
+                ok: !err,
+                error: err ? err.message : null
+            });
+        };
+
+        const deliveries = [];
+        const addresses = onCall.map(r => r.email).filter(Boolean);
+        if (config.email.enabled && addresses.length > 0) {
+            const { subject, text } = composeEmail(message, escalation);
+            deliveries.push(sendMail(config.email, { from: config.email.from, to: addresses, subject, text })
+                .then(() => record('email', addresses.join(', ')), err => record('email', addresses.join(', '), err)));
+        }
+        if (config.webhook.enabled) {
+            const payload = {
+                event: escalation.attempts > 1 ? 'crisis.reminder' : 'crisis.escalated',
+                messageId: message.id,
+                level: escalation.level,
+                category: message.category,
+                urgency: message.urgency,
+                trigger: message.crisisTrigger ? message.crisisTrigger.source : 'message',
+                attempt: escalation.attempts,
+                openedAt: escalation.openedAt,
+                onCall: escalation.onCall.map(r => r.name),
+                recommendation: CrisisDetection.getRecommendation(escalation.level),
+                dashboardUrl: config.dashboardUrl || null,
+                sentAt: new Date().toISOString()
+            };
+            deliveries.push(postWebhook(config.webhook.url, payload, config.webhook.secret)
+                .then(() => record('webhook', config.webhook.url), err => record('webhook', config.webhook.url, err)));
+        }
+        record('app', 'panel de consejería');
+
+        await Promise.all(deliveries);
+        db.save();
+    }
+
+    /**
+     * Whether an escalation still needs someone to acknowledge it
+     * @param {Object} message - Stored message
+     * @returns {boolean} Whether it is open
+     */
+    function isOpen(message) {
+        return Boolean(message.escalation) && !message.escalation.acknowledgedAt && message.status !== 'resolved' &&
+            !message.anonymizedAt;
+    }
+
+    /**
+     * Re-send alerts whose acknowledgement window has elapsed
+     * @returns {Promise<void>} Settles once every reminder was sent
+     */
+    function sweep() {
+        const now = Date.now();
+        const reminders = [];
+        for (const message of db.data.messages) {
+            const escalation = message.escalation;
+            if (!isOpen(message) || escalation.attempts >= MAX_ATTEMPTS) continue;
+            if (Date.parse(escalation.nextNotifyAt) > now) continue;
+            reminders.push(dispatch(message).catch(err => console.error('Escalation reminder failed:', err)));
+        }
+        return Promise.all(reminders).then(() => {});
+    }
+
+    return {
+        /**
+         * Start the reminder timer
+         */
+        start() {
+            setInterval(sweep, CHECK_INTERVAL_MS).unref();
+        },
+
+        /**
+         * Re-send alerts whose window has elapsed, as the timer does every minute
+         * @returns {Promise<void>} Settles once every reminder was sent
+         */
+        sweep,
+
+        /**
+         * Open an escalation when a message reaches (or rises to) a high or
+         * critical level. Sending happens in the background.
+         * @param {Object} message - Stored message
+         * @returns {Promise<void>} Settles once the alert was sent; callers need not wait
+         */
+        notifyIfNeeded(message) {
+            if (!ESCALATED_LEVELS.includes(message.crisisLevel)) return Promise.resolve();
+            const previous = message.escalation;
+            if (previous && LEVEL_RANK[previous.level] >= LEVEL_RANK[message.crisisLevel]) return Promise.resolve();
+
+            message.escalation = {
+                level: message.crisisLevel,
+                openedAt: new Date().toISOString(),
+                attempts: 0,
+                lastNotifiedAt: null,
+                nextNotifyAt: null,
+                onCall: [],
+                notifications: [],
+                acknowledgedAt: null,
+                acknowledgedBy: null,
+                acknowledgedByName: null,
+                acknowledgements: previous ? previous.acknowledgements : []
+            };
+            return dispatch(message).catch(err => console.error('Escalation failed:', err));
+        },
+
+        /**
+         * List escalations waiting for acknowledgement
+         * @returns {Array} Summaries, newest first
+         */
+        listOpen() {
+            return db.data.messages.filter(isOpen).map(message => ({
+                messageId: message.id,
+                level: message.escalation.level,
+                category: message.category,
+                urgency: message.urgency,
+                openedAt: message.escalation.openedAt,
+                attempts: message.escalation.attempts,
+                lastNotifiedAt: message.escalation.lastNotifiedAt,
+                onCall: message.escalation.onCall
+            }));
+        },
+
+        /**
+         * Record that a counselor has seen a crisis alert
+         * @param {Object} message - Stored message
+         * @param {Object} counselor - Acting counselor
+         * @returns {Object} Updated message
+         */
+        acknowledge(message, counselor) {
+            const escalation = message.escalation;
+            if (!escalation) throw new HttpError(409, 'noCrisisAlerts', 'Este mensaje no tiene alertas de crisis');
+            if (escalation.acknowledgedAt) return message;
+
+            const at = new Date().toISOString();
+            escalation.acknowledgedAt = at;
+            escalation.acknowledgedBy = counselor.id;
+            escalation.acknowledgedByName = counselor.name;
+            escalation.acknowledgements.push({
+                counselorId: counselor.id,
+                counselorName: counselor.name,
+                level: escalation.level,
+                attempts: escalation.attempts,
+                at
+            });
+            db.save();
+            return message;
+        },
+
+        /**
+         * Get settings for the admin screen, with who is on call now
+         * @returns {Object} { config, onCallNow, backupNow }
+         */
+        describe() {
+            const now = Date.now();
+            return { config: toConfigView(getConfig()), onCallNow: getOnCall(now), backupNow: getOnCall(now, 1) };
+        },
+
+        /**
+         * Replace the settings
+         * @param {Object} input - New settings
+         * @returns {Object} Same as `describe`
+         */
+        updateConfig(input) {
+            db.data.escalationConfig = requireConfig(db, input, getConfig());
+            db.save();
+            return this.describe();
+        },
+
+        /**
+         * Send a test notification through every enabled channel
+         * @param {Object} admin - Acting administrator
+         * @returns {Promise<Array>} Results { channel, to, ok, error }
+         */
+        async sendTest(admin) {
+            const config = getConfig();
+            const onCall = getOnCall(Date.now());
+            const results = [];
+            const attempt = async (channel, to, send) => {
+                try {
+                    await send();
+                    results.push({ channel, to, ok: true, error: null });
+                } catch (err) {
+                    results.push({ channel, to, ok: false, error: err.message });
+                }
+            };
+
+            if (config.email.enabled) {
+                const to = onCall && onCall.email ? onCall.email : null;
+                if (to) {
+                    await attempt('email', to, () => sendMail(config.email, {
+                        from: config.email.from,
+                        to: [to],
+                        subject: '[Voces Anónimas] Prueba de notificación',
+                        text: `Prueba enviada por ${admin.name}. Si recibes este correo, las alertas de crisis llegarán a esta dirección.`
+                    }));
+                } else {
+                    results.push({ channel: 'email', to: null, ok: false, error: 'La persona de guardia no tiene correo configurado' });
+                }
+            }
+            if (config.webhook.enabled) {
+                await attempt('webhook', config.webhook.url, () => postWebhook(config.webhook.url, {
+                    event: 'escalation.test',
+                    sentBy: admin.name,
+                    sentAt: new Date().toISOString()
+                }, config.webhook.secret));
+            }
+            if (results.length === 0) {
+                throw new HttpError(400, 'noChannels', 'No hay canales de notificación activados');
+            }
+            return results;
+        }
+    };
+}
+
+module.exports = {
+    ESCALATED_LEVELS,
+    createEscalations,
+    postWebhook
+};
@@ -0,0 +1,134 @@
+// ============================================
+// LIVE EVENTS - SERVER-SENT EVENTS FOR THE DASHBOARD
+// ============================================
+//
+// Open dashboards keep a server-sent events stream so they refresh as soon
+// as a case changes instead of waiting for the counselor to act. Events only
+// say which case changed and how urgent it is; dashboards fetch the details
+// through the normal, authenticated API. Each heartbeat re-checks the
+// session, so logging out or deactivating an account ends its stream.
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5 * 1000;
+
+/**
+ * Describe a change to a case for dashboards
+ * @param {string} change - 'created', 'student_reply', 'updated' or 'bulk'
+ * @param {Object} [message] - Stored message; omitted when many cases changed
+ * @returns {Object} Event payload
+ */
+function toMessageEvent(change, message) {
+    if (!message) return { change };
+    return {
+        change,
+        messageId: message.id,
+        urgency: message.urgency,
+        crisisLevel: message.crisisLevel || 'none',
+        replies: message.replies.length
+    };
+}
+
+/**
+ * Create the hub that fans events out to connected dashboards
+ * @returns {Object} Event hub
+ */
+function createEventHub() {
+    const clients = new Set();
+    let heartbeatTimer = null;
+
+    /**
+     * Forget a client, stopping the heartbeat when nobody is left
+     * @param {Object} client - { res, isAllowed }
+     */
+    function remove(client) {
+        clients.delete(client);
+        if (clients.size === 0) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
+    }
+
+    /**
+     * Write to one client, dropping it if the connection is gone
+     * @param {Object} client - { res, isAllowed }
+     * @param {string} chunk - Raw event stream text
+     */
+    function write(client, chunk) {
+        if (client.res.writableEnded || client.res.destroyed) {
+            remove(client);
+            return;
+        }
+        client.res.write(chunk);
+    }
+
+    /**
+     * Keep connections open through proxies and close revoked sessions
+     */
+    function heartbeat() {
+        clients.forEach(client => {
+            if (!client.isAllowed()) {
+                remove(client);
+                client.res.end();
+                return;
+            }
+            write(client, ': ping\n\n');
+        });
+    }
+
+    return {
+        /**
+         * Start streaming to a dashboard
+         * @param {http.IncomingMessage} req - Request
+         * @param {http.ServerResponse} res - Response, kept open
+         * @param {Function} isAllowed - () => boolean, whether the session is still valid
+         */
+        connect(req, res, isAllowed) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-store',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.write(`retry: ${RETRY_MS}\n: conectado\n\n`);
+
+            const client = { res, isAllowed };
+            clients.add(client);
+            if (!heartbeatTimer) {
+                heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+                heartbeatTimer.unref();
+            }
+            req.on('close', () => remove(client));
+        },
+
+        /**
+         * Send an event to every connected dashboard
+         * @param {string} type - Event name, e.g. 'message'
+         * @param {Object} data - JSON-serializable payload (no message content)
+         */
+        publish(type, data) {
+            const chunk = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+            clients.forEach(client => write(client, chunk));
+        },
+
+        /**
+         * Tell dashboards that a case changed
+         * @param {string} change - See toMessageEvent
+         * @param {Object} [message] - Stored message
+         */
+        announce(change, message) {
+            this.publish('message', toMessageEvent(change, message));
+        },
+
+        /**
+         * Number of connected dashboards
+         * @returns {number}
+         */
+        get size() {
+            return clients.size;
+        }
+    };
+}
+
+module.exports = {
+    createEventHub
+};
@@ -0,0 +1,169 @@
+// ============================================
+// HTTP HELPERS - ROUTING, JSON I/O AND ERRORS
+// ============================================
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error carrying an HTTP status code, rendered as `{ error, ...details }` JSON
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Stable error code the client translates
+     * @param {string} message - User-facing error message, in Spanish
+     * @param {Object} [details] - Extra machine-readable fields for the client,
+     *     which also fill the placeholders of the translated message
+     */
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} payload - JSON-serializable body
+ */
+function sendJson(res, status, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store'
+    });
+    res.end(body);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} [maxBytes] - Largest accepted body
+ * @returns {Promise<Object>} Parsed body (empty object when there is none)
+ */
+function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(new HttpError(413, 'bodyTooLarge', 'El contenido enviado es demasiado grande'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (chunks.length === 0) return resolve({});
+            try {
+                const parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                resolve(parsed && typeof parsed === 'object' ? parsed : {});
+            } catch (err) {
+                reject(new HttpError(400, 'invalidJson', 'El contenido enviado no es JSON válido'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Decode the parameters captured from a request path
+ * @param {Array<string>} keys - Parameter names
+ * @param {Array<string>} match - Regex match of the path
+ * @returns {Object} Parameters by name
+ */
+function decodeParams(keys, match) {
+    const params = {};
+    keys.forEach((key, i) => {
+        try {
+            params[key] = decodeURIComponent(match[i + 1]);
+        } catch (err) {
+            throw new HttpError(400, 'invalidPath', 'La dirección solicitada no es válida');
+        }
+    });
+    return params;
+}
+
+/**
+ * Create a minimal router matching `METHOD /path/:param` patterns
+ * @returns {Object} Router with `add` and `handle`
+ */
+function createRouter() {
+    const routes = [];
+
+    return {
+        /**
+         * Register a route
+         * @param {string} method - HTTP method
+         * @param {string} pattern - Path pattern, e.g. '/api/messages/:id'
+         * @param {Function} handler - async (ctx) => { status, body }
+         * @param {Object} [options] - { maxBodyBytes } to accept larger bodies
+         */
+        add(method, pattern, handler, options = {}) {
+            const keys = [];
+            const source = pattern.replace(/:(\w+)/g, (_, key) => {
+                keys.push(key);
+                return '([^/]+)';
+            });
+            routes.push({ method, regex: new RegExp(`^${source}$`), keys, handler, maxBodyBytes: options.maxBodyBytes });
+        },
+
+        /**
+         * Dispatch a request to the matching route
+         * @param {http.IncomingMessage} req - Request
+         * @param {http.ServerResponse} res - Response
+         * @param {URL} url - Parsed request URL
+         * @returns {Promise<boolean>} Whether a route matched the path
+         */
+        async handle(req, res, url) {
+            let pathMatched = false;
+
+            for (const route of routes) {
+                const match = route.regex.exec(url.pathname);
+                if (!match) continue;
+                pathMatched = true;
+                if (route.method !== req.method) continue;
+
+                try {
+                    const params = decodeParams(route.keys, match);
+                    const body = ['POST', 'PUT', 'PATCH'].includes(req.method)
+                        ? await readJsonBody(req, route.maxBodyBytes)
+                        : {};
+                    const query = Object.fromEntries(url.searchParams);
+                    const result = await route.handler({ req, res, params, query, body });
+                    if (result) sendJson(res, result.status || 200, result.body);
+                } catch (err) {
+                    if (err instanceof HttpError) {
+                        sendJson(res, err.status, { error: err.message, code: err.code, ...err.details });
+                    } else {
+                        console.error(err);
+                        sendJson(res, 500, { error: 'Error interno del servidor', code: 'internal' });
+                    }
+                }
+                return true;
+            }
+
+            if (pathMatched) {
+                sendJson(res, 405, { error: 'Método no permitido', code: 'methodNotAllowed' });
+                return true;
+            }
+            return false;
+        }
+    };
+}
+
+module.exports = {
+    HttpError,
+    sendJson,
+    readJsonBody,
+    createRouter
+};
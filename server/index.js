@@ -0,0 +1,126 @@
+// ============================================
+// VOCES ANÓNIMAS - API SERVER
+// ============================================
+//
+// Serves the static front end and the REST API from a single process,
+// persisting messages to a local JSON file. No external services needed:
+//
+//   node server/index.js
+//
+// Environment variables:
+//   PORT       - HTTP port (default 3000)
+//   DATA_FILE  - Path to the JSON database (default data/db.json)
+//
+// Crisis alerts can go out by email and webhook (configured by an admin in
+// the dashboard). To try them locally, run `node server/stand-in.js`.
+//
+// Starter help articles for the resource library are read from `resources/`
+// (Markdown or JSON) on start; see server/resources.js.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { sendJson } = require('./http');
+const { openDatabase } = require('./db');
+const { createApi } = require('./api');
+const { ensureFirstAdmin } = require('./auth');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_FILE = process.env.DATA_FILE || path.join(ROOT_DIR, 'data', 'db.json');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+// Server-side code and stored data must never be served as static files
+const PRIVATE_DIRS = ['server', 'data'];
+
+// ===== STATIC FILES =====
+
+/**
+ * Serve a front-end file from the project root
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Request path
+ */
+function serveStatic(res, pathname) {
+    let relative;
+    try {
+        relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch (err) {
+        return sendJson(res, 404, { error: 'No encontrado', code: 'notFound' });
+    }
+    const filePath = path.resolve(ROOT_DIR, relative);
+    const topDir = path.relative(ROOT_DIR, filePath).split(path.sep)[0];
+    const mimeType = MIME_TYPES[path.extname(filePath)];
+
+    if (!filePath.startsWith(ROOT_DIR + path.sep) || PRIVATE_DIRS.includes(topDir) ||
+        topDir.startsWith('.') || !mimeType) {
+        return sendJson(res, 404, { error: 'No encontrado', code: 'notFound' });
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) return sendJson(res, 404, { error: 'No encontrado', code: 'notFound' });
+        res.writeHead(200, { 'Content-Type': mimeType });
+        res.end(content);
+    });
+}
+
+// ===== SERVER =====
+
+/**
+ * Answer one request from the API or the static files
+ * @param {Object} api - API router
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(api, req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname.startsWith('/api/')) {
+        const handled = await api.handle(req, res, url);
+        if (!handled) sendJson(res, 404, { error: 'Ruta no encontrada', code: 'routeNotFound' });
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendJson(res, 405, { error: 'Método no permitido', code: 'methodNotAllowed' });
+    }
+    serveStatic(res, url.pathname);
+}
+
+/**
+ * Create the HTTP server. A request that fails unexpectedly gets a 500
+ * instead of taking the process down.
+ * @param {Object} db - Database
+ * @returns {http.Server} Server
+ */
+function createServer(db) {
+    const api = createApi(db);
+
+    return http.createServer((req, res) => {
+        handleRequest(api, req, res).catch(err => {
+            console.error(err);
+            if (res.headersSent) {
+                res.destroy();
+            } else {
+                sendJson(res, 500, { error: 'Error interno del servidor', code: 'internal' });
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    const db = openDatabase(DATA_FILE);
+    ensureFirstAdmin(db).then(() => {
+        createServer(db).listen(PORT, () => {
+            console.log(`Voces Anónimas server running at http://localhost:${PORT}`);
+        });
+    });
+}
+
+module.exports = {
+    createServer
+};
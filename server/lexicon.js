@@ -0,0 +1,236 @@
+// ============================================
+// CRISIS LEXICON VERSIONS
+// ============================================
+
+const CrisisDetection = require('../crisis-detection');
+const { HttpError } = require('./http');
+
+const LEXICON_CATEGORIES = Object.keys(CrisisDetection.keywords);
+const LEXICON_LANGUAGES = Object.keys(CrisisDetection.languages);
+const THRESHOLD_LEVELS = ['critical', 'high', 'moderate'];
+const MAX_TERMS_PER_CATEGORY = 200;
+const MAX_TERM_LENGTH = 80;
+const MAX_WEIGHT = 100;
+const MAX_NOTE_LENGTH = 200;
+const TERM_PATTERN = /^[\p{L}\p{N}]+\*?( [\p{L}\p{N}]+\*?)*$/u;
+
+// ===== VALIDATION =====
+
+/**
+ * Validate the keyword lists of a lexicon
+ * @param {*} keywords - Candidate { category: [terms] }
+ * @returns {Object} Trimmed, de-duplicated terms per category
+ */
+function requireKeywords(keywords) {
+    if (!keywords || typeof keywords !== 'object') {
+        throw new HttpError(400, 'keywordsRequired', 'Faltan las palabras clave del léxico');
+    }
+
+    const result = {};
+    for (const category of LEXICON_CATEGORIES) {
+        const terms = Array.isArray(keywords[category]) ? keywords[category] : [];
+        if (terms.length > MAX_TERMS_PER_CATEGORY) {
+            throw new HttpError(400, 'tooManyTerms', `Demasiados términos en la categoría ${category} (máximo ${MAX_TERMS_PER_CATEGORY})`, { category, max: MAX_TERMS_PER_CATEGORY });
+        }
+
+        const seen = new Set();
+        result[category] = [];
+        for (const raw of terms) {
+            const term = String(raw).trim().replace(/\s+/g, ' ');
+            if (!term) continue;
+            if (term.length > MAX_TERM_LENGTH || !TERM_PATTERN.test(term)) {
+                throw new HttpError(400, 'invalidTerm', `Término no válido: "${term.slice(0, MAX_TERM_LENGTH)}". Usa palabras separadas por espacios y, opcionalmente, * al final de una palabra.`, { term: term.slice(0, MAX_TERM_LENGTH) });
+            }
+            const key = term.toLowerCase();
+            if (seen.has(key)) continue;
+            seen.add(key);
+            result[category].push(term);
+        }
+    }
+    return result;
+}
+
+/**
+ * Validate the keyword lists of the other languages. A language left out
+ * keeps the built-in list.
+ * @param {*} localeKeywords - Candidate { language: { category: [terms] } }
+ * @returns {Object} Validated terms per language and category
+ */
+function requireLocaleKeywords(localeKeywords) {
+    const result = {};
+    for (const language of LEXICON_LANGUAGES) {
+        const keywords = localeKeywords && localeKeywords[language];
+        result[language] = keywords ? requireKeywords(keywords) : CrisisDetection.languages[language].keywords;
+    }
+    return result;
+}
+
+/**
+ * Validate category weights
+ * @param {*} scores - Candidate { category: weight }
+ * @returns {Object} Weights per category
+ */
+function requireScores(scores) {
+    const result = {};
+    for (const category of LEXICON_CATEGORIES) {
+        const weight = Number(scores && scores[category]);
+        if (!Number.isFinite(weight) || weight < 0 || weight > MAX_WEIGHT) {
+            throw new HttpError(400, 'invalidWeight', `El peso de la categoría ${category} debe estar entre 0 y ${MAX_WEIGHT}`, { category, max: MAX_WEIGHT });
+        }
+        result[category] = weight;
+    }
+    return result;
+}
+
+/**
+ * Validate level thresholds (critical > high > moderate > 0)
+ * @param {*} thresholds - Candidate { critical, high, moderate }
+ * @returns {Object} Thresholds
+ */
+function requireThresholds(thresholds) {
+    const result = {};
+    for (const level of THRESHOLD_LEVELS) {
+        const value = Number(thresholds && thresholds[level]);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new HttpError(400, 'invalidThresholds', 'Los umbrales deben ser números mayores que cero');
+        }
+        result[level] = value;
+    }
+    if (!(result.critical > result.high && result.high > result.moderate)) {
+        throw new HttpError(400, 'thresholdOrder', 'Los umbrales deben cumplir: crítico > alto > moderado');
+    }
+    return result;
+}
+
+/**
+ * Validate the lexicon version reported with a new message
+ * @param {Object} db - Database
+ * @param {*} version - Candidate version
+ * @returns {number|null} Version, or null when not reported
+ */
+function requireLexiconVersion(db, version) {
+    if (version === undefined || version === null) return null;
+    if (!db.data.lexicons.some(l => l.version === version)) {
+        throw new HttpError(400, 'unknownLexiconVersion', 'Versión de léxico desconocida');
+    }
+    return version;
+}
+
+// ===== VIEWS =====
+
+/**
+ * Lexicon fields needed to run an analysis. Versions published before other
+ * languages were supported have no `localeKeywords`; browsers then use the
+ * built-in lists.
+ * @param {Object} lexicon - Stored lexicon
+ * @returns {Object} { version, keywords, localeKeywords, scores, thresholds }
+ */
+function toAnalysisLexicon(lexicon) {
+    const { version, keywords, localeKeywords, scores, thresholds } = lexicon;
+    return { version, keywords, localeKeywords, scores, thresholds };
+}
+
+// ===== OPERATIONS =====
+
+/**
+ * Seed version 1 from the built-in lexicon on first run
+ * @param {Object} db - Database
+ */
+function ensureLexicon(db) {
+    if (db.data.lexicons.length > 0) return;
+
+    const builtIn = CrisisDetection.getLexicon();
+    db.data.lexicons.push({
+        ...builtIn,
+        note: 'Léxico inicial',
+        createdAt: new Date().toISOString(),
+        createdBy: null,
+        createdByName: 'Sistema'
+    });
+    db.data.activeLexicon = { version: builtIn.version, activatedAt: new Date().toISOString(), activatedBy: null };
+    db.save();
+}
+
+/**
+ * Find a lexicon version
+ * @param {Object} db - Database
+ * @param {number} version - Version number
+ * @returns {Object} Stored lexicon
+ */
+function findLexicon(db, version) {
+    const lexicon = db.data.lexicons.find(l => l.version === version);
+    if (!lexicon) throw new HttpError(404, 'lexiconNotFound', 'Versión de léxico no encontrada');
+    return lexicon;
+}
+
+/**
+ * Get the lexicon browsers should analyze new messages with
+ * @param {Object} db - Database
+ * @returns {Object} Analysis lexicon
+ */
+function getActiveLexicon(db) {
+    return toAnalysisLexicon(findLexicon(db, db.data.activeLexicon.version));
+}
+
+/**
+ * List every version, newest first
+ * @param {Object} db - Database
+ * @returns {Object} { activeVersion, lexicons }
+ */
+function listLexicons(db) {
+    return {
+        activeVersion: db.data.activeLexicon.version,
+        lexicons: db.data.lexicons.slice().reverse()
+    };
+}
+
+/**
+ * Publish a new version and make it active
+ * @param {Object} db - Database
+ * @param {Object} admin - Acting administrator
+ * @param {Object} input - { keywords, localeKeywords, scores, thresholds, note }
+ * @returns {Object} Stored lexicon
+ */
+function publishLexicon(db, admin, input) {
+    const lexicon = {
+        version: Math.max(...db.data.lexicons.map(l => l.version)) + 1,
+        keywords: requireKeywords(input.keywords),
+        localeKeywords: requireLocaleKeywords(input.localeKeywords),
+        scores: requireScores(input.scores),
+        thresholds: requireThresholds(input.thresholds),
+        note: String(input.note || '').trim().slice(0, MAX_NOTE_LENGTH),
+        createdAt: new Date().toISOString(),
+        createdBy: admin.id,
+        createdByName: admin.name
+    };
+
+    db.data.lexicons.push(lexicon);
+    db.data.activeLexicon = { version: lexicon.version, activatedAt: lexicon.createdAt, activatedBy: admin.id };
+    db.save();
+    return lexicon;
+}
+
+/**
+ * Make an existing version active again (rollback)
+ * @param {Object} db - Database
+ * @param {Object} admin - Acting administrator
+ * @param {number} version - Version number
+ * @returns {Object} Stored lexicon
+ */
+function activateLexicon(db, admin, version) {
+    const lexicon = findLexicon(db, version);
+    db.data.activeLexicon = { version, activatedAt: new Date().toISOString(), activatedBy: admin.id };
+    db.save();
+    return lexicon;
+}
+
+module.exports = {
+    LEXICON_CATEGORIES,
+    LEXICON_LANGUAGES,
+    requireLexiconVersion,
+    ensureLexicon,
+    getActiveLexicon,
+    listLexicons,
+    publishLexicon,
+    activateLexicon
+};
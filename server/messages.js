@@ -0,0 +1,732 @@
+// ============================================
+// MESSAGE STORE - DOMAIN LOGIC
+// ============================================
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const CrisisDetection = require('../crisis-detection');
+const { HttpError } = require('./http');
+const { requireLexiconVersion } = require('./lexicon');
+
+const CATEGORIES = ['ansiedad', 'depresion', 'bullying', 'familiar', 'academico', 'autoestima', 'relaciones', 'otro'];
+const URGENCIES = ['baja', 'media', 'alta', 'urgente'];
+const MOODS = ['muy-bien', 'bien', 'neutral', 'mal', 'muy-mal', 'ansioso'];
+const STATUSES = ['new', 'in-review', 'responded', 'resolved'];
+const CRISIS_LEVELS = ['none', 'moderate', 'high', 'critical'];
+const MAX_CIPHERTEXT_LENGTH = 40000;
+const MAX_JOURNAL_LENGTH = 500000;
+const NOTE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const scrypt = promisify(crypto.scrypt);
+
+// ===== VALIDATION =====
+
+/**
+ * Validate a base64 string
+ * @param {*} value - Candidate value
+ * @param {number} maxLength - Maximum length
+ * @returns {string} The value
+ */
+function requireBase64(value, maxLength) {
+    if (typeof value !== 'string' || value.length > maxLength || !BASE64_PATTERN.test(value)) {
+        throw new HttpError(400, 'invalidCiphertext', 'El contenido cifrado no es válido');
+    }
+    return value;
+}
+
+/**
+ * Validate an encrypted text box produced by E2ECrypto.encryptText
+ * @param {*} box - Candidate box
+ * @param {number} [maxLength] - Maximum ciphertext length
+ * @returns {Object} { iv, ct }
+ */
+function requireBox(box, maxLength = MAX_CIPHERTEXT_LENGTH) {
+    if (!box || typeof box !== 'object') {
+        throw new HttpError(400, 'emptyMessage', 'El mensaje no puede estar vacío');
+    }
+    return {
+        iv: requireBase64(box.iv, 32),
+        ct: requireBase64(box.ct, maxLength)
+    };
+}
+
+/**
+ * Validate a conversation encryption header
+ * @param {*} encryption - Candidate header
+ * @returns {Object} { version, codeSalt, studentKey, counselorKey }
+ */
+function requireEncryptionHeader(encryption) {
+    if (!encryption || encryption.version !== 1) {
+        throw new HttpError(400, 'encryptionVersion', 'Versión de cifrado no soportada');
+    }
+    return {
+        version: 1,
+        codeSalt: requireBase64(encryption.codeSalt, 64),
+        studentKey: requireBase64(encryption.studentKey, 128),
+        counselorKey: requireBase64(encryption.counselorKey, 1024)
+    };
+}
+
+/**
+ * Validate a lookup id derived from a tracking code
+ * @param {*} lookupId - Candidate id
+ * @returns {string} Lookup id
+ */
+function requireLookupId(lookupId) {
+    if (typeof lookupId !== 'string' || !/^[0-9a-f]{64}$/.test(lookupId)) {
+        throw new HttpError(400, 'invalidLookupId', 'Identificador de seguimiento no válido');
+    }
+    return lookupId;
+}
+
+/**
+ * Validate that a value belongs to a list of allowed values
+ * @param {*} value - Candidate value
+ * @param {Array} allowed - Allowed values
+ * @param {string} code - Error code when it does not
+ * @param {string} field - Field name for the error message
+ * @returns {string} The value
+ */
+function requireOneOf(value, allowed, code, field) {
+    if (!allowed.includes(value)) {
+        throw new HttpError(400, code, `Valor no válido para ${field}`);
+    }
+    return value;
+}
+
+/**
+ * Validate a student's encrypted mood journal
+ * @param {*} journal - Candidate { salt, entries }
+ * @returns {Object} { salt, entries, updatedAt }
+ */
+function requireJournal(journal) {
+    if (!journal || typeof journal !== 'object') {
+        throw new HttpError(400, 'invalidJournal', 'El diario no es válido');
+    }
+    return {
+        salt: requireBase64(journal.salt, 64),
+        entries: requireBox(journal.entries, MAX_JOURNAL_LENGTH),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// ===== TRACKING PIN =====
+
+/**
+ * Hash an optional student PIN with scrypt, off the event loop
+ * @param {*} pin - Candidate PIN (4-8 digits) or empty
+ * @returns {Promise<Object|null>} { salt, hash } or null when no PIN was chosen
+ */
+async function hashPin(pin) {
+    if (pin === undefined || pin === null || pin === '') return null;
+    if (typeof pin !== 'string' || !/^\d{4,8}$/.test(pin)) {
+        throw new HttpError(400, 'invalidPin', 'El PIN debe tener entre 4 y 8 dígitos');
+    }
+    const salt = crypto.randomBytes(16);
+    return {
+        salt: salt.toString('hex'),
+        hash: (await scrypt(pin, salt, 32)).toString('hex')
+    };
+}
+
+/**
+ * Check the PIN of a protected conversation
+ * @param {Object} message - Stored message
+ * @param {*} pin - PIN sent by the student
+ * @returns {Promise<void>}
+ */
+async function verifyPin(message, pin) {
+    if (!message.pin) return;
+    if (!pin) {
+        throw new HttpError(401, 'pinRequired', 'Este mensaje está protegido con un PIN. Ingrésalo para ver la conversación.', { pinRequired: true });
+    }
+    const expected = Buffer.from(message.pin.hash, 'hex');
+    const actual = await scrypt(String(pin), Buffer.from(message.pin.salt, 'hex'), 32);
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        throw new HttpError(403, 'wrongPin', 'El PIN no es correcto');
+    }
+}
+
+// ===== VIEWS =====
+
+/**
+ * Validate a browser-side crisis analysis
+ * @param {Object} db - Database
+ * @param {*} crisis - Candidate { level, keywords, lexiconVersion }
+ * @returns {Object} { level, keywords, lexiconVersion }
+ */
+function requireCrisis(db, crisis) {
+    const input = crisis || {};
+    return {
+        level: requireOneOf(input.level || 'none', CRISIS_LEVELS, 'invalidCrisisLevel', 'nivel de crisis'),
+        keywords: Array.isArray(input.keywords)
+            ? input.keywords.filter(k => typeof k === 'string').slice(0, 50)
+            : [],
+        lexiconVersion: requireLexiconVersion(db, input.lexiconVersion)
+    };
+}
+
+/**
+ * Record the analysis of one message in the conversation's risk trajectory,
+ * escalating the case (level, keywords, urgency) when it is higher than the
+ * current level. Neither the level nor the urgency is ever lowered
+ * automatically.
+ * @param {Object} message - Stored message
+ * @param {Object} crisis - Validated analysis
+ * @param {number|null} replyIndex - Index of the analyzed reply, null for the first message
+ * @param {string} timestamp - When the analyzed text was sent
+ */
+function recordRisk(message, crisis, replyIndex, timestamp) {
+    const source = replyIndex === null ? 'message' : 'reply';
+    message.riskTrajectory.push({ source, replyIndex, ...crisis, timestamp });
+
+    if (CRISIS_LEVELS.indexOf(crisis.level) <= CRISIS_LEVELS.indexOf(message.crisisLevel)) return;
+
+    message.crisisLevel = crisis.level;
+    message.crisisDetected = true;
+    message.crisisKeywords = crisis.keywords;
+    message.crisisTrigger = { source, replyIndex, timestamp };
+    const urgency = CrisisDetection.adjustUrgency(message.urgency, { crisisLevel: crisis.level });
+    if (URGENCIES.indexOf(urgency) > URGENCIES.indexOf(message.urgency)) message.urgency = urgency;
+}
+
+// ===== RESPONSE TIMES =====
+
+/**
+ * Get when the first counselor reply was sent
+ * @param {Object} message - Stored message
+ * @returns {string|null} ISO timestamp, or null if nobody has answered
+ */
+function getFirstResponseAt(message) {
+    const first = message.replies.find(r => r.from === 'counselor');
+    return first ? first.timestamp : null;
+}
+
+/**
+ * Get when the oldest unanswered student message is due for a reply. Each
+ * student message sent after the last counselor reply has its own target
+ * (from the case urgency and the message's crisis level); the earliest wins.
+ * @param {Object} message - Stored message
+ * @returns {string|null} ISO timestamp, or null when nothing awaits a reply
+ */
+function getDueAt(message) {
+    if (message.status === 'resolved' || message.anonymizedAt) return null;
+
+    const counselorReplies = message.replies.filter(r => r.from === 'counselor');
+    const answeredAt = counselorReplies.length > 0
+        ? Date.parse(counselorReplies[counselorReplies.length - 1].timestamp)
+        : -Infinity;
+    const trajectory = message.riskTrajectory || [];
+    const levelOf = replyIndex => {
+        const entry = trajectory.find(e => e.replyIndex === replyIndex);
+        if (entry) return entry.level;
+        return replyIndex === null ? message.crisisLevel : 'none';
+    };
+
+    const studentMessages = [{ timestamp: message.timestamp, replyIndex: null }];
+    message.replies.forEach((reply, index) => {
+        if (reply.from === 'student') studentMessages.push({ timestamp: reply.timestamp, replyIndex: index });
+    });
+
+    const deadlines = studentMessages
+        .filter(m => Date.parse(m.timestamp) > answeredAt)
+        .map(m => Date.parse(m.timestamp) + CrisisDetection.getResponseTarget(message.urgency, levelOf(m.replyIndex)));
+    return deadlines.length > 0 ? new Date(Math.min(...deadlines)).toISOString() : null;
+}
+
+/**
+ * Whether a message has waited longer than its response target
+ * @param {Object} message - Stored message
+ * @param {number} [now] - Current time
+ * @returns {boolean}
+ */
+function isOverdue(message, now = Date.now()) {
+    const dueAt = getDueAt(message);
+    return dueAt !== null && Date.parse(dueAt) < now;
+}
+
+/**
+ * Student-facing view of a message (no internal notes, counselor identities
+ * or risk assessment)
+ * @param {Object} message - Stored message
+ * @returns {Object} Public message
+ */
+function toStudentView(message) {
+    const {
+        notes, assignedTo, assignmentHistory, trackingCode, pin, riskTrajectory, crisisTrigger,
+        crisisLevel, crisisKeywords, crisisDetected, lexiconVersion, escalation, legalHold,
+        ...publicMessage
+    } = message;
+    const { counselorKey, ...encryption } = message.encryption;
+    publicMessage.encryption = encryption;
+    publicMessage.pinProtected = Boolean(pin);
+    publicMessage.replies = message.replies.map(({ counselorId, counselorName, crisis, ...reply }) => reply);
+    return publicMessage;
+}
+
+/**
+ * Counselor-facing view of a message (no PIN verifier or mood journal)
+ * @param {Object} message - Stored message
+ * @returns {Object} Message
+ */
+function toCounselorView(message) {
+    const { pin, journal, ...counselorMessage } = message;
+    counselorMessage.pinProtected = Boolean(pin);
+    counselorMessage.dueAt = getDueAt(message);
+    counselorMessage.firstResponseAt = getFirstResponseAt(message);
+    counselorMessage.notes = (message.notes || []).map(note => ({
+        ...note,
+        editableUntil: new Date(Date.parse(note.createdAt) + NOTE_EDIT_WINDOW_MS).toISOString()
+    }));
+    return counselorMessage;
+}
+
+// ===== OPERATIONS =====
+
+/**
+ * Find a message by the lookup id derived from its tracking code
+ * @param {Object} db - Database
+ * @param {string} lookupId - Lookup id
+ * @returns {Object} Message
+ */
+function findByLookupId(db, lookupId) {
+    requireLookupId(lookupId);
+    const message = db.data.messages.find(m => m.lookupId === lookupId);
+    if (!message) throw new HttpError(404, 'codeNotFound', 'Código no encontrado');
+    return message;
+}
+
+/**
+ * Find a message by id
+ * @param {Object} db - Database
+ * @param {string} id - Message ID
+ * @returns {Object} Message
+ */
+function findById(db, id) {
+    const message = db.data.messages.find(m => m.id === id);
+    if (!message) throw new HttpError(404, 'messageNotFound', 'Mensaje no encontrado');
+    return message;
+}
+
+/**
+ * Find a message that still has its content (not anonymized by retention)
+ * @param {Object} db - Database
+ * @param {string} id - Message ID
+ * @returns {Object} Message
+ */
+function findOpenById(db, id) {
+    const message = findById(db, id);
+    if (message.anonymizedAt) {
+        throw new HttpError(409, 'caseAnonymized', 'Este caso fue anonimizado por la política de retención y no se puede modificar');
+    }
+    return message;
+}
+
+/**
+ * Create a new message. Text fields arrive encrypted; the crisis analysis is
+ * run by the sender's browser before encrypting.
+ * @param {Object} db - Database
+ * @param {Object} input - { lookupId, category, urgency, mood, crisis: { level, keywords, lexiconVersion }, encryption, trackingCode, message }
+ * @returns {Promise<Object>} Created message
+ */
+async function createMessage(db, input) {
+    const lookupId = requireLookupId(input.lookupId);
+    const category = requireOneOf(input.category, CATEGORIES, 'invalidCategory', 'categoría');
+    const urgency = requireOneOf(input.urgency, URGENCIES, 'invalidUrgency', 'urgencia');
+    const mood = requireOneOf(input.mood, MOODS, 'invalidMood', 'estado de ánimo');
+    const crisis = requireCrisis(db, input.crisis);
+    const pin = await hashPin(input.pin);
+
+    if (db.data.messages.some(m => m.lookupId === lookupId)) {
+        throw new HttpError(409, 'codeExists', 'El código de seguimiento ya existe');
+    }
+
+    const newMessage = {
+        id: crypto.randomUUID(),
+        lookupId,
+        encryption: requireEncryptionHeader(input.encryption),
+        trackingCode: requireBox(input.trackingCode),
+        pin,
+        category,
+        urgency,
+        message: requireBox(input.message),
+        mood,
+        timestamp: new Date().toISOString(),
+        status: 'new',
+        resolvedAt: null,
+        crisisDetected: false,
+        crisisLevel: 'none',
+        crisisKeywords: [],
+        lexiconVersion: crisis.lexiconVersion,
+        crisisTrigger: null,
+        riskTrajectory: [],
+        replies: [],
+        notes: [],
+        assignedTo: null,
+        assignmentHistory: []
+    };
+    recordRisk(newMessage, crisis, null, newMessage.timestamp);
+
+    db.data.messages.unshift(newMessage); // Newest first
+    db.save();
+    return newMessage;
+}
+
+/**
+ * List messages for counselors, applying optional filters. Text search runs
+ * in the counselor's browser after decryption.
+ * @param {Object} db - Database
+ * @param {Object} filters - { status (or 'overdue'), urgency, category, assignee }
+ * @param {Object} [counselor] - Requesting counselor, used by `assignee=mine`
+ * @returns {Array} Matching messages
+ */
+function listMessages(db, filters = {}, counselor = null) {
+    let messages = db.data.messages;
+
+    if (filters.assignee === 'mine') {
+        messages = messages.filter(m => m.assignedTo && counselor && m.assignedTo.counselorId === counselor.id);
+    } else if (filters.assignee === 'unassigned') {
+        messages = messages.filter(m => !m.assignedTo);
+    } else if (filters.assignee && filters.assignee !== 'all') {
+        messages = messages.filter(m => m.assignedTo && m.assignedTo.counselorId === filters.assignee);
+    }
+
+    if (filters.status === 'overdue') {
+        const now = Date.now();
+        messages = messages.filter(m => isOverdue(m, now));
+    } else if (filters.status && filters.status !== 'all') {
+        messages = messages.filter(m => m.status === filters.status);
+    }
+
+    if (filters.urgency && filters.urgency !== 'all') {
+        messages = messages.filter(m => m.urgency === filters.urgency);
+    }
+
+    if (filters.category && filters.category !== 'all') {
+        messages = messages.filter(m => m.category === filters.category);
+    }
+
+    return messages;
+}
+
+/**
+ * Append a student reply to a conversation. Like the first message, the
+ * reply is analyzed for crisis indicators by the student's browser.
+ * @param {Object} db - Database
+ * @param {string} lookupId - Lookup id
+ * @param {Object} input - { message (encrypted), crisis: { level, keywords, lexiconVersion } }
+ * @returns {Object} Updated message
+ */
+function addStudentReply(db, lookupId, input) {
+    const message = findByLookupId(db, lookupId);
+    const crisis = requireCrisis(db, input.crisis);
+    const reply = {
+        from: 'student',
+        message: requireBox(input.message),
+        timestamp: new Date().toISOString(),
+        crisis
+    };
+
+    message.replies.push(reply);
+    if (!message.riskTrajectory) message.riskTrajectory = [];
+    recordRisk(message, crisis, message.replies.length - 1, reply.timestamp);
+    message.status = 'responded'; // Keep as responded to show conversation is active
+    message.resolvedAt = null; // A reply reopens a resolved case
+
+    db.save();
+    return message;
+}
+
+/**
+ * Replace a student's tracking code with a new one. The browser re-wraps
+ * the thread key for the new code, and re-encrypts the mood journal if there
+ * is one; the PIN, if any, stays the same.
+ * @param {Object} db - Database
+ * @param {string} lookupId - Current lookup id
+ * @param {Object} input - { lookupId, encryption: { codeSalt, studentKey }, trackingCode, journal }
+ * @returns {Object} Updated message
+ */
+function rotateTrackingCode(db, lookupId, input) {
+    const message = findByLookupId(db, lookupId);
+    const newLookupId = requireLookupId(input.lookupId);
+    const encryption = input.encryption || {};
+
+    if (db.data.messages.some(m => m.lookupId === newLookupId)) {
+        throw new HttpError(409, 'codeExists', 'El código de seguimiento ya existe');
+    }
+    const journal = message.journal ? requireJournal(input.journal) : undefined;
+
+    message.lookupId = newLookupId;
+    message.encryption = {
+        ...message.encryption,
+        codeSalt: requireBase64(encryption.codeSalt, 64),
+        studentKey: requireBase64(encryption.studentKey, 128)
+    };
+    message.trackingCode = requireBox(input.trackingCode);
+    if (journal) message.journal = journal;
+    message.codeRotatedAt = new Date().toISOString();
+
+    db.save();
+    return message;
+}
+
+/**
+ * Record that the student has seen counselor replies. Replies already read
+ * keep their first read time.
+ * @param {Object} db - Database
+ * @param {string} lookupId - Lookup id
+ * @param {Object} input - { replyIndexes: indexes of counselor replies }
+ * @returns {Object} Updated message
+ */
+function markRepliesRead(db, lookupId, input) {
+    const message = findByLookupId(db, lookupId);
+    const indexes = Array.isArray(input.replyIndexes) ? input.replyIndexes : [];
+    const replies = indexes.map(index => message.replies[index]);
+    if (indexes.length === 0 || replies.some(reply => !reply || reply.from !== 'counselor')) {
+        throw new HttpError(400, 'invalidReadReceipts', 'Respuestas no válidas');
+    }
+
+    const now = new Date().toISOString();
+    replies.forEach(reply => {
+        if (!reply.readAt) reply.readAt = now;
+    });
+    db.save();
+    return message;
+}
+
+/**
+ * Append a counselor reply
+ * @param {Object} db - Database
+ * @param {string} id - Message ID
+ * @param {Object} counselor - Authoring counselor account
+ * @param {Object} input - { message } (encrypted)
+ * @returns {Object} Updated message
+ */
+function addCounselorReply(db, id, counselor, input) {
+    const message = findOpenById(db, id);
+
+    message.replies.push({
+        from: 'counselor',
+        message: requireBox(input.message),
+        timestamp: new Date().toISOString(),
+        counselorId: counselor.id,
+        counselorName: counselor.name,
+        readAt: null
+    });
+
+    // Update status to responded if not already
+    if (message.status === 'new' || message.status === 'in-review') {
+        message.status = 'responded';
+    }
+
+    db.save();
+    return message;
+}
+
+/**
+ * Change the status of a message
+ * @param {Object} db - Database
+ * @param {string} id - Message ID
+ * @param {string} status - New status
+ * @returns {Object} Updated message
+ */
+function updateStatus(db, id, status) {
+    const message = findOpenById(db, id);
+    const newStatus = requireOneOf(status, STATUSES, 'invalidStatus', 'estado');
+
+    // Time to resolution is measured up to the latest time the case was closed
+    if (newStatus === 'resolved' && message.status !== 'resolved') {
+        message.resolvedAt = new Date().toISOString();
+    } else if (newStatus !== 'resolved') {
+        message.resolvedAt = null;
+    }
+    message.status = newStatus;
+    db.save();
+    return message;
+}
+
+// ===== INTERNAL NOTES =====
+
+/**
+ * Turn the single overwritten notes field of older cases into the first
+ * entry of the notes list. Those notes were saved with replies, so the
+ * latest counselor reply dates them; their author was never recorded.
+ * @param {Object} db - Database
+ */
+function migrateLegacyNotes(db) {
+    let changed = false;
+    db.data.messages.forEach(message => {
+        if (Array.isArray(message.notes)) return;
+        const lastReply = [...message.replies].reverse().find(r => r.from === 'counselor');
+        message.notes = message.counselorNotes ? [{
+            id: crypto.randomUUID(),
+            counselorId: null,
+            counselorName: null,
+            createdAt: lastReply ? lastReply.timestamp : message.timestamp,
+            updatedAt: null,
+            note: message.counselorNotes
+        }] : [];
+        delete message.counselorNotes;
+        changed = true;
+    });
+    if (changed) db.save();
+}
+
+/**
+ * Add an internal note to a case
+ * @param {Object} db - Database
+ * @param {string} id - Message ID
+ * @param {Object} counselor - Authoring counselor account
+ * @param {Object} input - { note } (encrypted)
+ * @returns {Object} { message, note }
+ */
+function addNote(db, id, counselor, input) {
+    const message = findOpenById(db, id);
+    const note = {
+        id: crypto.randomUUID(),
+        counselorId: counselor.id,
+        counselorName: counselor.name,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        note: requireBox(input.note)
+    };
+
+    message.notes.push(note);
+    db.save();
+    return { message, note };
+}
+
+/**
+ * Edit a note. Only its author may, and only shortly after writing it.
+ * @param {Object} db - Database
+ * @param {string} id - Message ID
+ * @param {string} noteId - Note ID
+ * @param {Object} counselor - Acting counselor account
+ * @param {Object} input - { note } (encrypted)
+ * @returns {Object} { message, note, before } where `before` is the previous box
+ */
+function editNote(db, id, noteId, counselor, input) {
+    const message = findOpenById(db, id);
+    const note = message.notes.find(n => n.id === noteId);
+    if (!note) throw new HttpError(404, 'noteNotFound', 'Nota no encontrada');
+    if (note.counselorId !== counselor.id) {
+        throw new HttpError(403, 'noteNotYours', 'Solo quien escribió la nota puede editarla');
+    }
+    if (Date.now() - Date.parse(note.createdAt) > NOTE_EDIT_WINDOW_MS) {
+        throw new HttpError(409, 'noteEditExpired', 'El plazo para editar esta nota terminó. Agrega una nota nueva.');
+    }
+
+    const before = note.note;
+    note.note = requireBox(input.note);
+    note.updatedAt = new Date().toISOString();
+    db.save();
+    return { message, note, before };
+}
+
+// ===== MOOD JOURNAL =====
+
+/**
+ * Keep a student's mood journal with their conversation. The journal is
+ * encrypted with a key derived from the tracking code alone, so counselors
+ * cannot read it; students share a summary in the thread when they want to.
+ * @param {Object} db - Database
+ * @param {string} lookupId - Lookup id
+ * @param {Object} input - { salt, entries (encrypted) }
+ * @returns {Object} Saved journal { salt, entries, updatedAt }
+ */
+function saveJournal(db, lookupId, input) {
+    const message = findByLookupId(db, lookupId);
+    message.journal = requireJournal(input);
+    db.save();
+    return message.journal;
+}
+
+/**
+ * Delete a student's mood journal
+ * @param {Object} db - Database
+ * @param {string} lookupId - Lookup id
+ */
+function deleteJournal(db, lookupId) {
+    const message = findByLookupId(db, lookupId);
+    delete message.journal;
+    db.save();
+}
+
+// ===== ASSIGNMENT =====
+
+/**
+ * Assign a message to a counselor, or release it when `assignee` is null.
+ * Once a case is held, only its holder or an administrator may hand it on.
+ * @param {Object} db - Database
+ * @param {string} id - Message ID
+ * @param {Object} actor - Counselor performing the action
+ * @param {Object|null} assignee - Counselor receiving the case
+ * @returns {Object} Updated message
+ */
+function assignMessage(db, id, actor, assignee) {
+    const message = findById(db, id);
+    const previous = message.assignedTo;
+    let action;
+
+    const holdsCase = previous && (previous.counselorId === actor.id || actor.role === 'admin');
+
+    if (!assignee) {
+        if (!previous) throw new HttpError(409, 'caseNotAssigned', 'Este caso no está asignado');
+        if (!holdsCase) throw new HttpError(403, 'releaseNotAllowed', 'Solo quien tiene el caso o un administrador puede liberarlo');
+        action = 'released';
+    } else {
+        if (!assignee.active) throw new HttpError(400, 'assigneeInactive', 'No se puede asignar un caso a una cuenta desactivada');
+        if (previous && previous.counselorId === assignee.id) {
+            throw new HttpError(409, 'alreadyAssigned', 'El caso ya está asignado a esta persona');
+        }
+        if (previous && !holdsCase) {
+            throw new HttpError(403, 'reassignNotAllowed', 'Solo quien tiene el caso o un administrador puede reasignarlo');
+        }
+        if (previous) action = 'reassigned';
+        else action = assignee.id === actor.id ? 'claimed' : 'assigned';
+    }
+
+    const target = assignee ? { counselorId: assignee.id, counselorName: assignee.name } : previous;
+    message.assignedTo = assignee ? target : null;
+    message.assignmentHistory.push({
+        action,
+        counselorId: target.counselorId,
+        counselorName: target.counselorName,
+        byId: actor.id,
+        byName: actor.name,
+        timestamp: new Date().toISOString()
+    });
+
+    db.save();
+    return message;
+}
+
+module.exports = {
+    CATEGORIES,
+    URGENCIES,
+    MOODS,
+    STATUSES,
+    CRISIS_LEVELS,
+    requireBase64,
+    verifyPin,
+    toStudentView,
+    toCounselorView,
+    getDueAt,
+    isOverdue,
+    findByLookupId,
+    findById,
+    createMessage,
+    listMessages,
+    addStudentReply,
+    rotateTrackingCode,
+    markRepliesRead,
+    addCounselorReply,
+    updateStatus,
+    migrateLegacyNotes,
+    addNote,
+    editNote,
+    saveJournal,
+    deleteJournal,
+    assignMessage
+};
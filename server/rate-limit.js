@@ -0,0 +1,81 @@
+// ============================================
+// FAILED-ATTEMPT LIMITER WITH EXPONENTIAL BACKOFF
+// ============================================
+
+const { HttpError } = require('./http');
+
+/**
+ * Create an in-memory limiter that locks a key after repeated failures.
+ * Each failure beyond the free allowance doubles the lockout, up to a cap.
+ * A key's history is kept well past the longest lockout, so a key at the
+ * cap stays there instead of starting over once its lock expires.
+ * @param {Object} options - { freeAttempts, baseDelayMs, maxDelayMs, forgetAfterMs }
+ * @returns {Object} Limiter with `check`, `fail` and `succeed`
+ */
+function createAttemptLimiter(options = {}) {
+    const freeAttempts = options.freeAttempts || 5;
+    const baseDelayMs = options.baseDelayMs || 30 * 1000;
+    const maxDelayMs = options.maxDelayMs || 60 * 60 * 1000;
+    const forgetAfterMs = options.forgetAfterMs || 24 * 60 * 60 * 1000;
+    const entries = new Map();
+
+    /**
+     * Drop entries whose last failure is old enough to be forgiven
+     * @param {number} now - Current time
+     */
+    function prune(now) {
+        for (const [key, entry] of entries) {
+            if (entry.lockedUntil <= now && now - entry.lastFailure > forgetAfterMs) {
+                entries.delete(key);
+            }
+        }
+    }
+
+    return {
+        /**
+         * Throw 429 if a key is currently locked
+         * @param {string} key - Client or resource key
+         */
+        check(key) {
+            const entry = entries.get(key);
+            const now = Date.now();
+            if (entry && entry.lockedUntil > now) {
+                const retryAfter = Math.ceil((entry.lockedUntil - now) / 1000);
+                const minutes = Math.ceil(retryAfter / 60);
+                throw new HttpError(429, 'tooManyAttempts',
+                    `Demasiados intentos fallidos. Espera ${minutes} minuto${minutes > 1 ? 's' : ''} antes de volver a intentarlo.`,
+                    { retryAfter, minutes });
+            }
+        },
+
+        /**
+         * Record a failed attempt
+         * @param {string} key - Client or resource key
+         */
+        fail(key) {
+            const now = Date.now();
+            prune(now);
+
+            const entry = entries.get(key) || { failures: 0, lockedUntil: 0, lastFailure: 0 };
+            entry.failures++;
+            entry.lastFailure = now;
+            if (entry.failures >= freeAttempts) {
+                const delay = baseDelayMs * Math.pow(2, entry.failures - freeAttempts);
+                entry.lockedUntil = now + Math.min(delay, maxDelayMs);
+            }
+            entries.set(key, entry);
+        },
+
+        /**
+         * Clear the failure history of a key
+         * @param {string} key - Client or resource key
+         */
+        succeed(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+module.exports = {
+    createAttemptLimiter
+};
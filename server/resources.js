@@ -0,0 +1,246 @@
+// ============================================
+// RESOURCE LIBRARY - HELP ARTICLES FOR STUDENTS
+// ============================================
+//
+// Articles are general reading about mental health, never about a student,
+// so they are stored in plain text. The starter articles live as Markdown
+// (with a short front matter) or JSON files in `resources/`; each file is
+// imported once, under its file name, the first time the server sees it.
+// From then on the stored copy is the one counselors edit and publish from
+// the dashboard, and changing the file does not overwrite their edits.
+//
+//   ---
+//   title: Manejo de la ansiedad
+//   category: ansiedad
+//   summary: Qué es la ansiedad y qué puedes hacer cuando aparece.
+//   published: true
+//   ---
+//   Texto en Markdown…
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+const { CATEGORIES } = require('./messages');
+
+const RESOURCES_DIR = path.resolve(__dirname, '..', 'resources');
+const RESOURCE_FILE_TYPES = ['.md', '.json'];
+const MAX_RESOURCES = 300;
+const MAX_TITLE_LENGTH = 120;
+const MAX_SUMMARY_LENGTH = 300;
+const MAX_BODY_LENGTH = 40000;
+
+// ===== FILES =====
+
+/**
+ * Split a Markdown file into its front matter fields and body
+ * @param {string} text - File contents
+ * @returns {Object} { fields, body }
+ */
+function parseFrontMatter(text) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+    if (!match) return { fields: {}, body: text };
+
+    const fields = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const field = /^\s*([A-Za-z]+)\s*:\s*(.*?)\s*$/.exec(line);
+        if (!field) return;
+        const value = field[2].replace(/^(["'])(.*)\1$/, '$2');
+        fields[field[1]] = value === 'true' ? true : value === 'false' ? false : value;
+    });
+    return { fields, body: text.slice(match[0].length) };
+}
+
+/**
+ * Read an article file
+ * @param {string} file - Path to a `.md` or `.json` file
+ * @returns {Object} { title, category, summary, body, published }
+ */
+function readResourceFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (path.extname(file) === '.json') return JSON.parse(text);
+
+    const { fields, body } = parseFrontMatter(text);
+    return { ...fields, body };
+}
+
+// ===== VALIDATION =====
+
+/**
+ * Validate an article
+ * @param {Object} input - { title, category, summary, body, published }
+ * @returns {Object} Article fields
+ */
+function requireResource(input) {
+    const title = String(input.title || '').trim().replace(/\s+/g, ' ');
+    const summary = String(input.summary || '').trim().replace(/\s+/g, ' ');
+    const body = String(input.body || '').trim();
+    if (!title) throw new HttpError(400, 'resourceTitleRequired', 'El recurso necesita un título');
+    if (title.length > MAX_TITLE_LENGTH) throw new HttpError(400, 'resourceTitleTooLong', 'El título del recurso es demasiado largo');
+    if (!CATEGORIES.includes(input.category)) throw new HttpError(400, 'invalidCategory', 'Valor no válido en categoría');
+    if (summary.length > MAX_SUMMARY_LENGTH) throw new HttpError(400, 'resourceSummaryTooLong', 'El resumen del recurso es demasiado largo');
+    if (!body) throw new HttpError(400, 'resourceBodyRequired', 'El recurso no puede estar vacío');
+    if (body.length > MAX_BODY_LENGTH) throw new HttpError(400, 'resourceBodyTooLong', 'El texto del recurso es demasiado largo');
+
+    return { title, category: input.category, summary, body, published: input.published !== false };
+}
+
+// ===== OPERATIONS =====
+
+/**
+ * Import the article files not seen before. A file that cannot be read or
+ * is not a valid article is reported and skipped.
+ * @param {Object} db - Database
+ * @param {string} [dir] - Directory holding the files
+ * @returns {Array} Imported articles
+ */
+function importResourceFiles(db, dir = RESOURCES_DIR) {
+    if (!Array.isArray(db.data.resources)) db.data.resources = [];
+    const files = fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter(name => RESOURCE_FILE_TYPES.includes(path.extname(name))).sort()
+        : [];
+
+    const now = new Date().toISOString();
+    const imported = [];
+    for (const name of files) {
+        const id = path.basename(name, path.extname(name));
+        if (db.data.resources.some(r => r.id === id)) continue;
+
+        let fields;
+        try {
+            fields = requireResource(readResourceFile(path.join(dir, name)));
+        } catch (err) {
+            console.error(`Resource file ${name} skipped:`, err.message);
+            continue;
+        }
+        imported.push({
+            id,
+            ...fields,
+            file: name,
+            publishedAt: fields.published ? now : null,
+            createdAt: now,
+            createdBy: null,
+            createdByName: 'Sistema',
+            updatedAt: null,
+            updatedBy: null,
+            updatedByName: null
+        });
+    }
+
+    if (imported.length > 0) {
+        db.data.resources.push(...imported);
+        db.save();
+    }
+    return imported;
+}
+
+/**
+ * What students see of an article: its content, without who wrote it
+ * @param {Object} resource - Stored article
+ * @returns {Object} Public article
+ */
+function toPublicResource(resource) {
+    const { id, title, category, summary, body, publishedAt, updatedAt } = resource;
+    return { id, title, category, summary, body, publishedAt, updatedAt };
+}
+
+/**
+ * Find an article
+ * @param {Object} db - Database
+ * @param {string} id - Article ID
+ * @returns {Object} Stored article
+ */
+function findResource(db, id) {
+    const resource = db.data.resources.find(r => r.id === id);
+    if (!resource) throw new HttpError(404, 'resourceNotFound', 'Recurso no encontrado');
+    return resource;
+}
+
+/**
+ * List articles, by title
+ * @param {Object} db - Database
+ * @param {Object} [options] - { drafts } includes unpublished articles
+ * @returns {Array} Articles
+ */
+function listResources(db, { drafts = false } = {}) {
+    return db.data.resources
+        .filter(resource => drafts || resource.published)
+        .sort((a, b) => a.title.localeCompare(b.title, 'es'));
+}
+
+/**
+ * Add an article
+ * @param {Object} db - Database
+ * @param {Object} counselor - Authoring counselor
+ * @param {Object} input - { title, category, summary, body, published }
+ * @returns {Object} Stored article
+ */
+function createResource(db, counselor, input) {
+    if (db.data.resources.length >= MAX_RESOURCES) {
+        throw new HttpError(409, 'tooManyResources', `No se admiten más de ${MAX_RESOURCES} recursos`, { max: MAX_RESOURCES });
+    }
+
+    const fields = requireResource(input);
+    const now = new Date().toISOString();
+    const resource = {
+        id: crypto.randomUUID(),
+        ...fields,
+        file: null,
+        publishedAt: fields.published ? now : null,
+        createdAt: now,
+        createdBy: counselor.id,
+        createdByName: counselor.name,
+        updatedAt: null,
+        updatedBy: null,
+        updatedByName: null
+    };
+    db.data.resources.push(resource);
+    db.save();
+    return resource;
+}
+
+/**
+ * Change an article. Any counselor may edit any article; publishing it
+ * again moves its publication date to now.
+ * @param {Object} db - Database
+ * @param {string} id - Article ID
+ * @param {Object} counselor - Acting counselor
+ * @param {Object} input - { title, category, summary, body, published }
+ * @returns {Object} { resource, before } where `before` is a copy of the previous version
+ */
+function updateResource(db, id, counselor, input) {
+    const resource = findResource(db, id);
+    const before = { ...resource };
+    const fields = requireResource(input);
+    const now = new Date().toISOString();
+    Object.assign(resource, fields, {
+        publishedAt: fields.published ? (before.published ? before.publishedAt : now) : null,
+        updatedAt: now,
+        updatedBy: counselor.id,
+        updatedByName: counselor.name
+    });
+    db.save();
+    return { resource, before };
+}
+
+/**
+ * Publish an article, or take it back to draft
+ * @param {Object} db - Database
+ * @param {string} id - Article ID
+ * @param {Object} counselor - Acting counselor
+ * @param {boolean} published - Whether students can read it
+ * @returns {Object} { resource, before }
+ */
+function setResourcePublished(db, id, counselor, published) {
+    const resource = findResource(db, id);
+    return updateResource(db, id, counselor, { ...resource, published: published === true });
+}
+
+module.exports = {
+    importResourceFiles,
+    toPublicResource,
+    listResources,
+    createResource,
+    updateResource,
+    setResourcePublished
+};
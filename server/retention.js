@@ -0,0 +1,314 @@
+// ============================================
+// DATA RETENTION - PURGING AND ANONYMIZATION
+// ============================================
+//
+// Administrators configure rules such as "anonymize resolved cases 180 days
+// after resolution". Anonymizing drops everything a student or counselor
+// wrote (message, replies, notes, tracking code and the keys that open them)
+// but keeps category, urgency, mood, crisis levels and timestamps, so
+// analytics still count the case. Deleting removes the case entirely. Rules
+// run at startup and on a schedule; cases under legal hold are never
+// touched. Every run is logged without any message content.
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+const STATUSES = ['new', 'in-review', 'responded', 'resolved'];
+const ACTIONS = ['anonymize', 'delete'];
+const ACTION_RANK = { anonymize: 1, delete: 2 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_LOG_ENTRIES = 200;
+const MAX_RULES = 20;
+const MAX_REASON_LENGTH = 300;
+
+// ===== CONFIGURATION =====
+
+/**
+ * Default retention settings (disabled, with a suggested rule)
+ * @returns {Object} Settings
+ */
+function defaultConfig() {
+    return {
+        enabled: false,
+        scheduleHours: 24,
+        rules: [{ status: 'resolved', days: 180, action: 'anonymize' }]
+    };
+}
+
+/**
+ * Validate new settings
+ * @param {Object} input - Candidate settings
+ * @returns {Object} Settings
+ */
+function requireConfig(input) {
+    const rules = Array.isArray(input.rules) ? input.rules : [];
+    if (rules.length > MAX_RULES) {
+        throw new HttpError(400, 'tooManyRules', `No se admiten más de ${MAX_RULES} reglas`, { max: MAX_RULES });
+    }
+
+    const scheduleHours = Number(input.scheduleHours);
+    if (!Number.isInteger(scheduleHours) || scheduleHours < 1 || scheduleHours > 24 * 7) {
+        throw new HttpError(400, 'invalidRetentionInterval', 'La frecuencia debe estar entre 1 hora y 7 días');
+    }
+
+    return {
+        enabled: Boolean(input.enabled),
+        scheduleHours,
+        rules: rules.map(rule => {
+            const days = Number(rule.days);
+            if (!STATUSES.includes(rule.status)) throw new HttpError(400, 'invalidRuleStatus', 'Estado no válido en una regla');
+            if (!ACTIONS.includes(rule.action)) throw new HttpError(400, 'invalidRuleAction', 'Acción no válida en una regla');
+            if (!Number.isInteger(days) || days < 1 || days > 3650) {
+                throw new HttpError(400, 'invalidRuleDays', 'Los días de una regla deben estar entre 1 y 3650');
+            }
+            return { status: rule.status, days, action: rule.action };
+        })
+    };
+}
+
+// ===== RULES =====
+
+/**
+ * The moment a rule's countdown starts: resolution for resolved cases, the
+ * latest activity for everything else
+ * @param {Object} message - Stored message
+ * @returns {number} Timestamp in ms
+ */
+function getReferenceTime(message) {
+    if (message.status === 'resolved' && message.resolvedAt) return Date.parse(message.resolvedAt);
+    return Math.max(Date.parse(message.timestamp), ...message.replies.map(r => Date.parse(r.timestamp)));
+}
+
+/**
+ * Find the most destructive rule that applies to a message
+ * @param {Object} message - Stored message
+ * @param {Array} rules - Retention rules
+ * @param {number} now - Current time
+ * @returns {Object|null} { rule, ruleIndex, referenceAt }
+ */
+function matchRule(message, rules, now) {
+    const referenceAt = getReferenceTime(message);
+    let match = null;
+    rules.forEach((rule, ruleIndex) => {
+        if (rule.status !== message.status || now - referenceAt < rule.days * DAY_MS) return;
+        // Anonymizing an anonymized case changes nothing
+        if (rule.action === 'anonymize' && message.anonymizedAt) return;
+        if (!match || ACTION_RANK[rule.action] > ACTION_RANK[match.rule.action]) {
+            match = { rule, ruleIndex, referenceAt: new Date(referenceAt).toISOString() };
+        }
+    });
+    return match;
+}
+
+/**
+ * Remove everything written in a case, keeping what statistics need
+ * @param {Object} message - Stored message
+ * @param {string} at - ISO timestamp
+ */
+function anonymize(message, at) {
+    message.lookupId = `anonymized-${crypto.randomUUID()}`; // No tracking code opens it any more
+    message.encryption = {};
+    message.trackingCode = null;
+    message.pin = null;
+    message.message = null;
+    message.notes = [];
+    delete message.journal;
+    message.crisisKeywords = [];
+    message.replies = message.replies.map(({ from, timestamp, counselorId, counselorName, readAt }) => (
+        from === 'counselor' ? { from, timestamp, counselorId, counselorName, readAt: readAt || null } : { from, timestamp }
+    ));
+    message.riskTrajectory = (message.riskTrajectory || []).map(entry => ({ ...entry, keywords: [] }));
+    message.anonymizedAt = at;
+}
+
+// ===== SERVICE =====
+
+/**
+ * Create the retention service bound to a database
+ * @param {Object} db - Database
+ * @returns {Object} Retention service
+ */
+function createRetention(db) {
+    /**
+     * Current settings, falling back to the defaults
+     * @returns {Object} Settings
+     */
+    function getConfig() {
+        return db.data.retentionConfig || defaultConfig();
+    }
+
+    /**
+     * Work out what the rules would do right now
+     * @param {number} now - Current time
+     * @returns {Object} { items, held } where items are { message, rule, ruleIndex, referenceAt }
+     */
+    function plan(now) {
+        const { rules } = getConfig();
+        const items = [];
+        let held = 0;
+        db.data.messages.forEach(message => {
+            const match = matchRule(message, rules, now);
+            if (!match) return;
+            if (message.legalHold) held += 1;
+            else items.push({ message, ...match });
+        });
+        return { items, held };
+    }
+
+    /**
+     * Summarize a plan without any message content
+     * @param {Object} result - Result of `plan`
+     * @returns {Object} { items, counts, held }
+     */
+    function summarize({ items, held }) {
+        return {
+            items: items.map(({ message, rule, ruleIndex, referenceAt }) => ({
+                messageId: message.id,
+                action: rule.action,
+                ruleIndex,
+                status: message.status,
+                category: message.category,
+                timestamp: message.timestamp,
+                referenceAt
+            })),
+            counts: {
+                anonymize: items.filter(i => i.rule.action === 'anonymize').length,
+                delete: items.filter(i => i.rule.action === 'delete').length
+            },
+            held
+        };
+    }
+
+    /**
+     * Apply the rules and log the result
+     * @param {string} trigger - 'startup', 'schedule', 'manual' or 'restore'
+     * @param {Object|null} actor - Administrator who started the run
+     * @returns {Object} Log entry
+     */
+    function run(trigger, actor = null) {
+        const now = Date.now();
+        const at = new Date(now).toISOString();
+        const result = plan(now);
+
+        const deleted = new Set();
+        result.items.forEach(({ message, rule }) => {
+            if (rule.action === 'delete') deleted.add(message);
+            else anonymize(message, at);
+        });
+        if (deleted.size > 0) db.data.messages = db.data.messages.filter(m => !deleted.has(m));
+
+        const entry = {
+            id: crypto.randomUUID(),
+            at,
+            trigger,
+            byId: actor ? actor.id : null,
+            byName: actor ? actor.name : null,
+            rules: getConfig().rules,
+            ...summarize(result)
+        };
+        db.data.retentionLog.unshift(entry);
+        db.data.retentionLog.length = Math.min(db.data.retentionLog.length, MAX_LOG_ENTRIES);
+        db.data.retentionLastRunAt = at;
+        db.save();
+        return entry;
+    }
+
+    /**
+     * Run the rules if automatic purging is on and a run is due
+     * @param {string} trigger - 'startup' or 'schedule'
+     */
+    function runIfDue(trigger) {
+        const config = getConfig();
+        if (!config.enabled) return;
+        const lastRunAt = db.data.retentionLastRunAt ? Date.parse(db.data.retentionLastRunAt) : 0;
+        if (trigger === 'schedule' && Date.now() - lastRunAt < config.scheduleHours * 60 * 60 * 1000) return;
+        try {
+            run(trigger);
+        } catch (err) {
+            console.error('Retention run failed:', err);
+        }
+    }
+
+    return {
+        /**
+         * Run once now (if enabled) and then on the configured schedule
+         */
+        start() {
+            runIfDue('startup');
+            setInterval(() => runIfDue('schedule'), CHECK_INTERVAL_MS).unref();
+        },
+
+        /**
+         * Get settings and recent runs for the admin screen
+         * @returns {Object} { config, lastRunAt, log }
+         */
+        describe() {
+            return {
+                config: getConfig(),
+                lastRunAt: db.data.retentionLastRunAt || null,
+                log: db.data.retentionLog.slice(0, 50)
+            };
+        },
+
+        /**
+         * Replace the settings
+         * @param {Object} input - New settings
+         * @returns {Object} Same as `describe`
+         */
+        updateConfig(input) {
+            db.data.retentionConfig = requireConfig(input);
+            db.save();
+            return this.describe();
+        },
+
+        /**
+         * Show what a run would do now, without changing anything
+         * @returns {Object} { items, counts, held }
+         */
+        preview() {
+            return summarize(plan(Date.now()));
+        },
+
+        /**
+         * Apply the rules now, even if automatic purging is off
+         * @param {Object} admin - Acting administrator
+         * @returns {Object} Log entry
+         */
+        runNow(admin) {
+            return run('manual', admin);
+        },
+
+        /**
+         * Re-apply the rules after data came back from a backup
+         */
+        reapply() {
+            runIfDue('restore');
+        },
+
+        /**
+         * Place or lift a legal hold, which exempts a case from every rule
+         * @param {Object} message - Stored message
+         * @param {Object} admin - Acting administrator
+         * @param {Object} input - { hold: boolean, reason }
+         * @returns {Object} Updated message
+         */
+        setLegalHold(message, admin, input) {
+            if (input.hold) {
+                const reason = String(input.reason || '').trim();
+                if (!reason) throw new HttpError(400, 'holdReasonRequired', 'Indica el motivo de la retención legal');
+                if (reason.length > MAX_REASON_LENGTH) throw new HttpError(400, 'holdReasonTooLong', 'El motivo es demasiado largo');
+                message.legalHold = { reason, byId: admin.id, byName: admin.name, at: new Date().toISOString() };
+            } else {
+                if (!message.legalHold) throw new HttpError(409, 'noLegalHold', 'Este caso no tiene retención legal');
+                message.legalHold = null;
+            }
+            db.save();
+            return message;
+        }
+    };
+}
+
+module.exports = {
+    createRetention
+};
@@ -0,0 +1,188 @@
+// ============================================
+// MINIMAL SMTP CLIENT
+// ============================================
+//
+// Enough SMTP to hand a plain-text alert to a relay: implicit TLS or
+// STARTTLS, optional AUTH PLAIN, UTF-8 subject and base64 body.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const TIMEOUT_MS = 15000;
+const ADDRESS_PATTERN = /^[^\s<>@]+@[^\s<>@]+$/;
+
+/**
+ * Collect multi-line SMTP replies from a socket
+ * @param {net.Socket} socket - Connected socket
+ * @returns {Object} Reader with `next()` resolving to { code, text }
+ */
+function createReplyReader(socket) {
+    const replies = [];
+    const waiting = [];
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+
+    const deliver = reply => {
+        if (waiting.length) waiting.shift().resolve(reply);
+        else replies.push(reply);
+    };
+    const fail = err => {
+        failure = err;
+        while (waiting.length) waiting.shift().reject(err);
+    };
+
+    const onData = chunk => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            lines.push(line.slice(4));
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                deliver({ code: Number(line.slice(0, 3)), text: lines.join('\n') });
+                lines = [];
+            }
+        }
+    };
+    const onError = err => fail(err);
+    const onClose = () => fail(new Error('El servidor SMTP cerró la conexión'));
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+        next() {
+            if (replies.length) return Promise.resolve(replies.shift());
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+
+        // Stop listening before the socket is handed over to TLS
+        detach() {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        }
+    };
+}
+
+/**
+ * Open a connection to the relay
+ * @param {Object} config - { host, port, secure }
+ * @returns {Promise<net.Socket>} Socket
+ */
+function connect(config) {
+    return new Promise((resolve, reject) => {
+        const options = { host: config.host, port: config.port, servername: config.host };
+        const socket = config.secure
+            ? tls.connect(options, () => resolve(socket))
+            : net.connect(options, () => resolve(socket));
+        socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('Tiempo de espera agotado con el servidor SMTP')));
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Upgrade a plain connection after STARTTLS
+ * @param {net.Socket} socket - Plain socket
+ * @param {string} host - Server name to verify
+ * @returns {Promise<tls.TLSSocket>} Secure socket
+ */
+function upgrade(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secure = tls.connect({ socket, servername: host }, () => resolve(secure));
+        secure.once('error', reject);
+    });
+}
+
+/**
+ * Encode a header value as an RFC 2047 UTF-8 word when needed
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Build the message source
+ * @param {Object} mail - { from, to, subject, text }
+ * @returns {string} RFC 5322 message
+ */
+function buildMessage(mail) {
+    const body = Buffer.from(mail.text).toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${mail.from}`,
+        `To: ${mail.to.join(', ')}`,
+        `Subject: ${encodeHeader(mail.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} config - { host, port, secure, starttls, username, password }
+ * @param {Object} mail - { from, to: [addresses], subject, text }
+ * @returns {Promise<void>}
+ */
+async function sendMail(config, mail) {
+    for (const address of [mail.from, ...mail.to]) {
+        if (!ADDRESS_PATTERN.test(address)) throw new Error(`Dirección de correo no válida: ${address}`);
+    }
+
+    let socket = await connect(config);
+    let reader = createReplyReader(socket);
+
+    const command = async (line, expected) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`El servidor SMTP respondió ${reply.code}: ${reply.text}`);
+        }
+        return reply;
+    };
+
+    try {
+        await command(null, [220]);
+        await command(`EHLO ${os.hostname()}`, [250]);
+
+        if (config.starttls && !config.secure) {
+            await command('STARTTLS', [220]);
+            reader.detach();
+            socket = await upgrade(socket, config.host);
+            reader = createReplyReader(socket);
+            await command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (config.username) {
+            const token = Buffer.from(`\0${config.username}\0${config.password || ''}`).toString('base64');
+            await command(`AUTH PLAIN ${token}`, [235]);
+        }
+
+        await command(`MAIL FROM:<${mail.from}>`, [250]);
+        for (const address of mail.to) {
+            await command(`RCPT TO:<${address}>`, [250, 251]);
+        }
+        await command('DATA', [354]);
+        await command(`${buildMessage(mail)}\r\n.`, [250]);
+        await command('QUIT', [221]).catch(() => {});
+    } finally {
+        socket.end();
+    }
+}
+
+module.exports = {
+    ADDRESS_PATTERN,
+    sendMail
+};
@@ -0,0 +1,132 @@
+// ============================================
+// LOCAL STAND-INS FOR ALERT CHANNELS
+// ============================================
+//
+// An SMTP sink and a webhook receiver that print whatever the escalation
+// service sends, so crisis alerts can be tried without real services:
+//
+//   node server/stand-in.js
+//
+// Then, in the admin panel, point email at localhost:2525 (no TLS, no user)
+// and the webhook at http://localhost:4000/alerts.
+//
+// Environment variables:
+//   SMTP_PORT      - SMTP sink port (default 2525)
+//   WEBHOOK_PORT   - Webhook receiver port (default 4000)
+//   WEBHOOK_SECRET - If set, signatures are checked against it
+
+const net = require('net');
+const http = require('http');
+const crypto = require('crypto');
+
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 2525;
+const WEBHOOK_PORT = Number(process.env.WEBHOOK_PORT) || 4000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+
+// ===== SMTP SINK =====
+
+/**
+ * Decode the headers and base64 body of a received message for display
+ * @param {string} source - Message source
+ * @returns {string} Readable message
+ */
+function describeMail(source) {
+    const [head, ...rest] = source.split('\r\n\r\n');
+    const body = rest.join('\r\n\r\n');
+    const decoded = /Content-Transfer-Encoding: base64/i.test(head)
+        ? Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')
+        : body;
+    const readableHead = head.replace(/=\?UTF-8\?B\?([^?]+)\?=/g, (_, b64) => Buffer.from(b64, 'base64').toString('utf8'));
+    return `${readableHead}\n\n${decoded}`;
+}
+
+/**
+ * Handle one SMTP session, accepting any sender, recipient and credentials
+ * @param {net.Socket} socket - Client connection
+ */
+function handleSmtpSession(socket) {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 voces-stand-in ESMTP');
+
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+
+        while (buffer.length > 0) {
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                const source = buffer.slice(0, end).replace(/^\.\./gm, '.');
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                console.log(`\n[smtp] ${envelope.from} -> ${envelope.to.join(', ')}\n${describeMail(source)}\n`);
+                envelope = { from: null, to: [] };
+                reply('250 OK: queued');
+                continue;
+            }
+
+            const index = buffer.indexOf('\r\n');
+            if (index === -1) return;
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            const verb = line.slice(0, 4).toUpperCase();
+
+            if (verb === 'EHLO' || verb === 'HELO') {
+                reply('250-voces-stand-in');
+                reply('250 AUTH PLAIN');
+            } else if (verb === 'AUTH') {
+                reply('235 Authentication successful');
+            } else if (verb === 'MAIL') {
+                envelope.from = line.replace(/^MAIL FROM:\s*/i, '');
+                reply('250 OK');
+            } else if (verb === 'RCPT') {
+                envelope.to.push(line.replace(/^RCPT TO:\s*/i, ''));
+                reply('250 OK');
+            } else if (verb === 'DATA') {
+                inData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (verb === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+                return;
+            } else {
+                reply('250 OK');
+            }
+        }
+    });
+    socket.on('error', () => {});
+}
+
+// ===== WEBHOOK RECEIVER =====
+
+/**
+ * Print each webhook call and whether its signature matches
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function handleWebhook(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        let signature = 'sin firma';
+        if (req.headers['x-voces-signature']) {
+            const expected = `sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex')}`;
+            signature = !WEBHOOK_SECRET ? 'firmado (WEBHOOK_SECRET no configurado)'
+                : req.headers['x-voces-signature'] === expected ? 'firma válida' : 'FIRMA NO VÁLIDA';
+        }
+        console.log(`\n[webhook] ${req.method} ${req.url} (${signature})\n${body}\n`);
+        res.writeHead(204);
+        res.end();
+    });
+}
+
+net.createServer(handleSmtpSession).listen(SMTP_PORT, () => {
+    console.log(`SMTP sink listening on localhost:${SMTP_PORT}`);
+});
+http.createServer(handleWebhook).listen(WEBHOOK_PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${WEBHOOK_PORT}`);
+});
@@ -0,0 +1,203 @@
+// ============================================
+// REPLY TEMPLATES - SHARED CANNED RESPONSES
+// ============================================
+//
+// Templates are the team's stock replies. They are generic text written by
+// counselors, never about a particular student, so they are stored in plain
+// text. Each one can target some categories and crisis levels; an empty list
+// means "any". Placeholders such as {categoria} are filled in the browser.
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { CATEGORIES, CRISIS_LEVELS } = require('./messages');
+
+const MAX_TEMPLATES = 200;
+const MAX_TITLE_LENGTH = 80;
+const MAX_BODY_LENGTH = 4000;
+
+const DEFAULT_TEMPLATES = [
+    {
+        title: 'Bienvenida',
+        categories: [],
+        crisisLevels: ['none', 'moderate'],
+        body: 'Hola. Gracias por escribirnos y por confiar en nosotros. Leímos con atención lo que nos contaste ' +
+            'sobre {categoria} y queremos acompañarte. ¿Te gustaría contarnos un poco más sobre cómo te sientes ' +
+            'estos días?\n\n{consejero}, equipo de consejería'
+    },
+    {
+        title: 'Invitación a la oficina',
+        categories: [],
+        crisisLevels: [],
+        body: 'Si te sientes cómodo o cómoda, puedes visitarnos en la oficina de consejería cuando quieras. No ' +
+            'necesitas cita ni dar tu nombre para hablar con nosotros. Mientras tanto, seguimos aquí para leerte.'
+    },
+    {
+        title: 'Apoyo inmediato en crisis',
+        categories: [],
+        crisisLevels: ['high', 'critical'],
+        body: 'Gracias por contarnos esto; lo que sientes es importante y no estás solo ni sola. Si estás en ' +
+            'peligro ahora mismo, llama a la línea de emergencias 911 o pide ayuda a un adulto de confianza que ' +
+            'esté cerca. También puedes venir hoy mismo a la oficina de consejería. Escríbenos aquí de nuevo para ' +
+            'saber que estás bien.'
+    },
+    {
+        title: 'Acoso escolar',
+        categories: ['bullying'],
+        crisisLevels: [],
+        body: 'Lamentamos mucho lo que estás viviendo. Nadie merece ser tratado así y no es tu culpa. Podemos ' +
+            'ayudarte a pensar en cómo sentirte más seguro o segura en el colegio, sin que tengas que dar tu ' +
+            'nombre si no quieres. ¿Desde cuándo está pasando?'
+    }
+];
+
+// ===== VALIDATION =====
+
+/**
+ * Validate a list of allowed values (an empty list means "any")
+ * @param {*} values - Candidate list
+ * @param {Array} allowed - Allowed values
+ * @param {string} code - Error code when they are not
+ * @param {string} field - Field name for the error message
+ * @returns {Array} De-duplicated values
+ */
+function requireSubset(values, allowed, code, field) {
+    if (values === undefined || values === null) return [];
+    if (!Array.isArray(values) || values.some(value => !allowed.includes(value))) {
+        throw new HttpError(400, code, `Valor no válido en ${field}`);
+    }
+    return [...new Set(values)];
+}
+
+/**
+ * Validate a template
+ * @param {Object} input - { title, body, categories, crisisLevels }
+ * @returns {Object} Template fields
+ */
+function requireTemplate(input) {
+    const title = String(input.title || '').trim().replace(/\s+/g, ' ');
+    const body = String(input.body || '').trim();
+    if (!title) throw new HttpError(400, 'templateTitleRequired', 'La plantilla necesita un título');
+    if (title.length > MAX_TITLE_LENGTH) throw new HttpError(400, 'templateTitleTooLong', 'El título de la plantilla es demasiado largo');
+    if (!body) throw new HttpError(400, 'templateBodyRequired', 'La plantilla no puede estar vacía');
+    if (body.length > MAX_BODY_LENGTH) throw new HttpError(400, 'templateBodyTooLong', 'El texto de la plantilla es demasiado largo');
+
+    return {
+        title,
+        body,
+        categories: requireSubset(input.categories, CATEGORIES, 'invalidCategories', 'categorías'),
+        crisisLevels: requireSubset(input.crisisLevels, CRISIS_LEVELS, 'invalidCrisisLevels', 'niveles de crisis')
+    };
+}
+
+// ===== OPERATIONS =====
+
+/**
+ * Seed the starter templates on first run. Deleting every template later
+ * does not bring them back.
+ * @param {Object} db - Database
+ */
+function ensureTemplates(db) {
+    if (Array.isArray(db.data.replyTemplates)) return;
+
+    const now = new Date().toISOString();
+    db.data.replyTemplates = DEFAULT_TEMPLATES.map(template => ({
+        id: crypto.randomUUID(),
+        ...template,
+        createdAt: now,
+        createdBy: null,
+        createdByName: 'Sistema',
+        updatedAt: null,
+        updatedBy: null,
+        updatedByName: null
+    }));
+    db.save();
+}
+
+/**
+ * Find a template
+ * @param {Object} db - Database
+ * @param {string} id - Template ID
+ * @returns {Object} Stored template
+ */
+function findTemplate(db, id) {
+    const template = db.data.replyTemplates.find(t => t.id === id);
+    if (!template) throw new HttpError(404, 'templateNotFound', 'Plantilla no encontrada');
+    return template;
+}
+
+/**
+ * List every template, by title
+ * @param {Object} db - Database
+ * @returns {Array} Templates
+ */
+function listTemplates(db) {
+    return db.data.replyTemplates.slice().sort((a, b) => a.title.localeCompare(b.title, 'es'));
+}
+
+/**
+ * Add a template
+ * @param {Object} db - Database
+ * @param {Object} counselor - Authoring counselor
+ * @param {Object} input - { title, body, categories, crisisLevels }
+ * @returns {Object} Stored template
+ */
+function createTemplate(db, counselor, input) {
+    if (db.data.replyTemplates.length >= MAX_TEMPLATES) {
+        throw new HttpError(409, 'tooManyTemplates', `No se admiten más de ${MAX_TEMPLATES} plantillas`, { max: MAX_TEMPLATES });
+    }
+
+    const template = {
+        id: crypto.randomUUID(),
+        ...requireTemplate(input),
+        createdAt: new Date().toISOString(),
+        createdBy: counselor.id,
+        createdByName: counselor.name,
+        updatedAt: null,
+        updatedBy: null,
+        updatedByName: null
+    };
+    db.data.replyTemplates.push(template);
+    db.save();
+    return template;
+}
+
+/**
+ * Change a template. Any counselor may edit any template.
+ * @param {Object} db - Database
+ * @param {string} id - Template ID
+ * @param {Object} counselor - Acting counselor
+ * @param {Object} input - { title, body, categories, crisisLevels }
+ * @returns {Object} { template, before } where `before` is a copy of the previous version
+ */
+function updateTemplate(db, id, counselor, input) {
+    const template = findTemplate(db, id);
+    const before = { ...template };
+    Object.assign(template, requireTemplate(input), {
+        updatedAt: new Date().toISOString(),
+        updatedBy: counselor.id,
+        updatedByName: counselor.name
+    });
+    db.save();
+    return { template, before };
+}
+
+/**
+ * Remove a template
+ * @param {Object} db - Database
+ * @param {string} id - Template ID
+ * @returns {Object} Removed template
+ */
+function deleteTemplate(db, id) {
+    const template = findTemplate(db, id);
+    db.data.replyTemplates = db.data.replyTemplates.filter(t => t !== template);
+    db.save();
+    return template;
+}
+
+module.exports = {
+    ensureTemplates,
+    listTemplates,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+};
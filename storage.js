@@ -0,0 +1,667 @@
+// ============================================
+// STORAGE ADAPTER - REST API CLIENT
+// ============================================
+
+const MessageStore = {
+    baseUrl: '/api',
+    tokenKey: 'counselorToken',
+
+    /**
+     * Get the counselor session token, if any
+     * @returns {string|null} Token
+     */
+    getToken() {
+        return sessionStorage.getItem(this.tokenKey);
+    },
+
+    /**
+     * Store or clear the counselor session token
+     * @param {string|null} token - Token
+     */
+    setToken(token) {
+        if (token) sessionStorage.setItem(this.tokenKey, token);
+        else sessionStorage.removeItem(this.tokenKey);
+    },
+
+    /**
+     * Perform a JSON request against the API
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to the API base URL
+     * @param {Object} [body] - JSON body
+     * @param {Object} [extraHeaders] - Additional request headers
+     * @returns {Promise<Object>} Parsed response
+     */
+    async request(method, path, body, extraHeaders = {}) {
+        const headers = { ...extraHeaders };
+        if (body) headers['Content-Type'] = 'application/json';
+        const token = this.getToken();
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        let response;
+        try {
+            response = await fetch(this.baseUrl + path, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (err) {
+            throw new Error(I18n.t('errors.network'));
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            // Expired or revoked session: forget the token
+            if (response.status === 401 && token && !data.pinRequired) this.setToken(null);
+            const error = new Error(this.describeError(data));
+            error.status = response.status;
+            error.data = data;
+            throw error;
+        }
+
+        // Let this browser's other tabs refresh too
+        const change = typeof LiveUpdates !== 'undefined' ? LiveUpdates.describeRequest(method, path, data) : null;
+        if (change) LiveUpdates.notify(change);
+        return data;
+    },
+
+    /**
+     * Translate an API error by its code, falling back to the server's
+     * Spanish text for codes this page does not know yet
+     * @param {Object} data - Error response { error, code, ...details }
+     * @returns {string} Message to show
+     */
+    describeError(data) {
+        const key = `errors.${data.code}`;
+        if (data.code && (I18n.has(key) || I18n.has(key, I18n.DEFAULT_LOCALE))) return I18n.t(key, data);
+        return data.error || I18n.t('errors.unexpected');
+    },
+
+    /**
+     * Open the server's stream of case changes
+     * @param {AbortSignal} signal - Closes the stream when aborted
+     * @returns {Promise<ReadableStream>} Server-sent events
+     */
+    async openEventStream(signal) {
+        const response = await fetch(`${this.baseUrl}/events`, {
+            headers: { Accept: 'text/event-stream', Authorization: `Bearer ${this.getToken()}` },
+            signal
+        });
+        if (!response.ok) {
+            const error = new Error(I18n.t('errors.liveUpdates'));
+            error.status = response.status;
+            throw error;
+        }
+        return response.body;
+    },
+
+    // ===== AUTHENTICATION =====
+
+    /**
+     * Log in as a counselor and keep the session token
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object>} { counselor, privateKeyBox, teamKeyConfigured }
+     */
+    async login(username, password) {
+        const { token, ...session } = await this.request('POST', '/auth/login', { username, password });
+        this.setToken(token);
+        return session;
+    },
+
+    /**
+     * Revoke the current session
+     */
+    async logout() {
+        try {
+            await this.request('POST', '/auth/logout');
+        } finally {
+            this.setToken(null);
+        }
+    },
+
+    /**
+     * Get the counselor owning the current session
+     * @returns {Promise<Object>} Counselor account
+     */
+    async getCurrentCounselor() {
+        const data = await this.request('GET', '/auth/me');
+        return data.counselor;
+    },
+
+    /**
+     * List counselor accounts
+     * @returns {Promise<Array>} Accounts
+     */
+    async listCounselors() {
+        const data = await this.request('GET', '/counselors');
+        return data.counselors;
+    },
+
+    /**
+     * Create a counselor account (admin only)
+     * @param {Object} account - { username, name, password, role, privateKeyBox }
+     * @returns {Promise<Object>} Created account
+     */
+    async createCounselor(account) {
+        const data = await this.request('POST', '/counselors', account);
+        return data.counselor;
+    },
+
+    /**
+     * Activate or deactivate a counselor account (admin only)
+     * @param {string} id - Account ID
+     * @param {boolean} active - New state
+     * @returns {Promise<Object>} Updated account
+     */
+    async setCounselorActive(id, active) {
+        const data = await this.request('PATCH', `/counselors/${encodeURIComponent(id)}`, { active });
+        return data.counselor;
+    },
+
+    // ===== ENCRYPTION KEYS =====
+
+    /**
+     * Get the counselor team public key
+     * @returns {Promise<string>} Base64 SPKI public key
+     */
+    async getCounselorPublicKey() {
+        const data = await this.request('GET', '/keys/public');
+        return data.publicKey;
+    },
+
+    /**
+     * Register the team key pair (first administrator only)
+     * @param {string} publicKey - Base64 SPKI public key
+     * @param {Object} privateKeyBox - Private key locked with the admin's password
+     */
+    async setupTeamKey(publicKey, privateKeyBox) {
+        await this.request('PUT', '/keys', { publicKey, privateKeyBox });
+    },
+
+    // ===== CRISIS LEXICON =====
+
+    /**
+     * Get the lexicon new messages are analyzed with
+     * @returns {Promise<Object>} { version, keywords, scores, thresholds }
+     */
+    async getActiveLexicon() {
+        const data = await this.request('GET', '/lexicon');
+        return data.lexicon;
+    },
+
+    /**
+     * List every lexicon version (admin only)
+     * @returns {Promise<Object>} { activeVersion, lexicons }
+     */
+    async listLexicons() {
+        return this.request('GET', '/lexicons');
+    },
+
+    /**
+     * Publish a new lexicon version and make it active (admin only)
+     * @param {Object} lexicon - { keywords, scores, thresholds, note }
+     * @returns {Promise<Object>} Stored lexicon
+     */
+    async publishLexicon(lexicon) {
+        const data = await this.request('POST', '/lexicons', lexicon);
+        return data.lexicon;
+    },
+
+    /**
+     * Make an earlier lexicon version active again (admin only)
+     * @param {number} version - Version number
+     * @returns {Promise<Object>} Stored lexicon
+     */
+    async activateLexicon(version) {
+        const data = await this.request('POST', `/lexicons/${encodeURIComponent(version)}/activate`);
+        return data.lexicon;
+    },
+
+    // ===== CRISIS ESCALATION =====
+
+    /**
+     * List crisis alerts nobody has acknowledged yet
+     * @returns {Promise<Array>} Open escalations
+     */
+    async listEscalations() {
+        const data = await this.request('GET', '/escalations');
+        return data.escalations;
+    },
+
+    /**
+     * Acknowledge the crisis alert of a message
+     * @param {string} id - Message ID
+     * @returns {Promise<Object>} Updated message
+     */
+    async acknowledgeEscalation(id) {
+        const data = await this.request('POST', `/messages/${encodeURIComponent(id)}/acknowledge`);
+        return data.message;
+    },
+
+    /**
+     * Get the notification settings (admin only)
+     * @returns {Promise<Object>} { config, onCallNow, backupNow }
+     */
+    async getEscalationConfig() {
+        return this.request('GET', '/escalation/config');
+    },
+
+    /**
+     * Replace the notification settings (admin only)
+     * @param {Object} config - Settings; empty password/secret keep the stored ones
+     * @returns {Promise<Object>} { config, onCallNow, backupNow }
+     */
+    async updateEscalationConfig(config) {
+        return this.request('PUT', '/escalation/config', config);
+    },
+
+    /**
+     * Send a test alert through every enabled channel (admin only)
+     * @returns {Promise<Array>} Results per channel
+     */
+    async sendTestEscalation() {
+        const data = await this.request('POST', '/escalation/test');
+        return data.results;
+    },
+
+    // ===== DATA RETENTION =====
+
+    /**
+     * Get retention settings and recent runs (admin only)
+     * @returns {Promise<Object>} { config, lastRunAt, log }
+     */
+    async getRetention() {
+        return this.request('GET', '/retention');
+    },
+
+    /**
+     * Replace the retention settings (admin only)
+     * @param {Object} config - { enabled, scheduleHours, rules }
+     * @returns {Promise<Object>} { config, lastRunAt, log }
+     */
+    async updateRetentionConfig(config) {
+        return this.request('PUT', '/retention/config', config);
+    },
+
+    /**
+     * Show what the retention rules would do now, without applying them (admin only)
+     * @returns {Promise<Object>} { items, counts, held }
+     */
+    async previewRetention() {
+        const data = await this.request('GET', '/retention/preview');
+        return data.preview;
+    },
+
+    /**
+     * Apply the retention rules now (admin only)
+     * @returns {Promise<Object>} Log entry of the run
+     */
+    async runRetention() {
+        const data = await this.request('POST', '/retention/run');
+        return data.run;
+    },
+
+    /**
+     * Place or lift a legal hold on a case (admin only)
+     * @param {string} id - Message ID
+     * @param {boolean} hold - Whether to hold the case
+     * @param {string} [reason] - Why the case must be kept
+     * @returns {Promise<Object>} Updated message
+     */
+    async setLegalHold(id, hold, reason) {
+        const data = await this.request('PUT', `/messages/${encodeURIComponent(id)}/legal-hold`, { hold, reason });
+        return data.message;
+    },
+
+    // ===== AUDIT LOG =====
+
+    /**
+     * List audit entries, newest first, with the chain check (admin only)
+     * @param {Object} filters - { action, actorId, messageId, from, to }
+     * @returns {Promise<Object>} { entries, total, verification }
+     */
+    async listAuditLog(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        const query = params.toString();
+        return this.request('GET', `/audit${query ? `?${query}` : ''}`);
+    },
+
+    /**
+     * Record an export made in this browser
+     * @param {Object} details - { format, count, text, notes, trackingCodes, filters }
+     */
+    async recordExport(details) {
+        await this.request('POST', '/audit/exports', details);
+    },
+
+    // ===== BACKUP AND RESTORE =====
+
+    /**
+     * Take a snapshot of the whole mailbox (admin only)
+     * @returns {Promise<Object>} Snapshot, to be encrypted before download
+     */
+    async getBackupSnapshot() {
+        const data = await this.request('GET', '/backup');
+        return data.snapshot;
+    },
+
+    /**
+     * Describe what restoring a snapshot would change (admin only)
+     * @param {Object} snapshot - Decrypted snapshot
+     * @param {Object} options - { overwrite, settings }
+     * @returns {Promise<Object>} Preview
+     */
+    async previewRestore(snapshot, options) {
+        const data = await this.request('POST', '/backup/preview', { snapshot, ...options });
+        return data.preview;
+    },
+
+    /**
+     * Restore a snapshot into the mailbox (admin only)
+     * @param {Object} snapshot - Decrypted snapshot
+     * @param {Object} options - { overwrite, settings }
+     * @returns {Promise<Object>} What was restored
+     */
+    async restoreBackup(snapshot, options) {
+        const data = await this.request('POST', '/backup/restore', { snapshot, ...options });
+        return data.restored;
+    },
+
+    // ===== STUDENT OPERATIONS =====
+
+    /**
+     * Headers proving knowledge of a conversation PIN
+     * @param {string} [pin] - Student PIN
+     * @returns {Object} Headers
+     */
+    pinHeaders(pin) {
+        return pin ? { 'X-Tracking-Pin': pin } : {};
+    },
+
+    /**
+     * Create a new message
+     * @param {Object} messageData - Encrypted message plus triage metadata
+     * @returns {Promise<Object>} Created message
+     */
+    async createMessage(messageData) {
+        const data = await this.request('POST', '/messages', messageData);
+        return data.message;
+    },
+
+    /**
+     * Get message by the lookup id derived from its tracking code
+     * @param {string} lookupId - Lookup id
+     * @param {string} [pin] - Student PIN, if the conversation has one
+     * @returns {Promise<Object|null>} Encrypted message or null if not found
+     */
+    async getByLookupId(lookupId, pin) {
+        try {
+            const data = await this.request('GET', `/track/${encodeURIComponent(lookupId)}`, null, this.pinHeaders(pin));
+            return data.message;
+        } catch (err) {
+            if (err.status === 404) return null;
+            throw err;
+        }
+    },
+
+    /**
+     * Add a student reply to a conversation
+     * @param {string} lookupId - Lookup id
+     * @param {Object} reply - { message (encrypted box), crisis }
+     * @param {string} [pin] - Student PIN, if the conversation has one
+     * @returns {Promise<Object>} Updated message
+     */
+    async addStudentReply(lookupId, reply, pin) {
+        const data = await this.request('POST', `/track/${encodeURIComponent(lookupId)}/replies`,
+            reply, this.pinHeaders(pin));
+        return data.message;
+    },
+
+    /**
+     * Replace a conversation's tracking code
+     * @param {string} lookupId - Current lookup id
+     * @param {Object} rotation - { lookupId, encryption, trackingCode } for the new code
+     * @param {string} [pin] - Student PIN, if the conversation has one
+     * @returns {Promise<Object>} Updated message
+     */
+    async rotateTrackingCode(lookupId, rotation, pin) {
+        const data = await this.request('POST', `/track/${encodeURIComponent(lookupId)}/rotate`,
+            rotation, this.pinHeaders(pin));
+        return data.message;
+    },
+
+    /**
+     * Tell the counselors the student has seen some of their replies
+     * @param {string} lookupId - Lookup id
+     * @param {Array<number>} replyIndexes - Indexes of counselor replies
+     * @param {string} [pin] - PIN, if the conversation has one
+     * @returns {Promise<Object>} Updated message
+     */
+    async markRepliesRead(lookupId, replyIndexes, pin) {
+        const data = await this.request('POST', `/track/${encodeURIComponent(lookupId)}/read`,
+            { replyIndexes }, this.pinHeaders(pin));
+        return data.message;
+    },
+
+    /**
+     * Keep the student's encrypted mood journal with a conversation
+     * @param {string} lookupId - Lookup id
+     * @param {Object} journal - { salt, entries (encrypted) }
+     * @param {string} [pin] - PIN, if the conversation has one
+     * @returns {Promise<Object>} Saved journal
+     */
+    async saveJournal(lookupId, journal, pin) {
+        const data = await this.request('PUT', `/track/${encodeURIComponent(lookupId)}/journal`,
+            journal, this.pinHeaders(pin));
+        return data.journal;
+    },
+
+    /**
+     * Delete the mood journal kept with a conversation
+     * @param {string} lookupId - Lookup id
+     * @param {string} [pin] - PIN, if the conversation has one
+     */
+    async deleteJournal(lookupId, pin) {
+        await this.request('DELETE', `/track/${encodeURIComponent(lookupId)}/journal`, null, this.pinHeaders(pin));
+    },
+
+    // ===== COUNSELOR OPERATIONS =====
+
+    /**
+     * List messages, optionally filtered
+     * @param {Object} [filters] - { status, urgency, category, assignee }
+     * @returns {Promise<Array>} Messages
+     */
+    async listMessages(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value && value !== 'all') params.set(key, value);
+        });
+        const query = params.toString();
+        const data = await this.request('GET', `/messages${query ? `?${query}` : ''}`);
+        return data.messages;
+    },
+
+    /**
+     * Get a single message by id
+     * @param {string} id - Message ID
+     * @returns {Promise<Object>} Message
+     */
+    async getMessage(id) {
+        const data = await this.request('GET', `/messages/${encodeURIComponent(id)}`);
+        return data.message;
+    },
+
+    /**
+     * Add a counselor reply
+     * @param {string} id - Message ID
+     * @param {Object} reply - { message } as an encrypted box
+     * @returns {Promise<Object>} Updated message
+     */
+    async addCounselorReply(id, reply) {
+        const data = await this.request('POST', `/messages/${encodeURIComponent(id)}/replies`, reply);
+        return data.message;
+    },
+
+    /**
+     * Add an internal note to a case
+     * @param {string} id - Message ID
+     * @param {Object} note - Encrypted box
+     * @returns {Promise<Object>} Updated message
+     */
+    async addNote(id, note) {
+        const data = await this.request('POST', `/messages/${encodeURIComponent(id)}/notes`, { note });
+        return data.message;
+    },
+
+    /**
+     * Edit one of your own notes while its edit window is open
+     * @param {string} id - Message ID
+     * @param {string} noteId - Note ID
+     * @param {Object} note - Encrypted box
+     * @returns {Promise<Object>} Updated message
+     */
+    async editNote(id, noteId, note) {
+        const data = await this.request('PATCH', `/messages/${encodeURIComponent(id)}/notes/${encodeURIComponent(noteId)}`, { note });
+        return data.message;
+    },
+
+    /**
+     * Change the status of a message
+     * @param {string} id - Message ID
+     * @param {string} status - New status
+     * @returns {Promise<Object>} Updated message
+     */
+    async updateStatus(id, status) {
+        const data = await this.request('PATCH', `/messages/${encodeURIComponent(id)}`, { status });
+        return data.message;
+    },
+
+    // ===== REPLY TEMPLATES =====
+
+    /**
+     * List the team's reply templates
+     * @returns {Promise<Array>} Templates
+     */
+    async listTemplates() {
+        const data = await this.request('GET', '/templates');
+        return data.templates;
+    },
+
+    /**
+     * Add a reply template
+     * @param {Object} template - { title, body, categories, crisisLevels }
+     * @returns {Promise<Object>} Stored template
+     */
+    async createTemplate(template) {
+        const data = await this.request('POST', '/templates', template);
+        return data.template;
+    },
+
+    /**
+     * Change a reply template
+     * @param {string} id - Template ID
+     * @param {Object} template - { title, body, categories, crisisLevels }
+     * @returns {Promise<Object>} Stored template
+     */
+    async updateTemplate(id, template) {
+        const data = await this.request('PUT', `/templates/${encodeURIComponent(id)}`, template);
+        return data.template;
+    },
+
+    /**
+     * Remove a reply template
+     * @param {string} id - Template ID
+     */
+    async deleteTemplate(id) {
+        await this.request('DELETE', `/templates/${encodeURIComponent(id)}`);
+    },
+
+    // ===== RESOURCE LIBRARY =====
+
+    /**
+     * List the published help articles (no sign-in needed)
+     * @returns {Promise<Array>} Articles
+     */
+    async listResources() {
+        const data = await this.request('GET', '/resources');
+        return data.resources;
+    },
+
+    /**
+     * List every help article, drafts included
+     * @returns {Promise<Array>} Articles
+     */
+    async listAllResources() {
+        const data = await this.request('GET', '/resources?drafts=1');
+        return data.resources;
+    },
+
+    /**
+     * Add a help article
+     * @param {Object} resource - { title, category, summary, body, published }
+     * @returns {Promise<Object>} Stored article
+     */
+    async createResource(resource) {
+        const data = await this.request('POST', '/resources', resource);
+        return data.resource;
+    },
+
+    /**
+     * Change a help article
+     * @param {string} id - Article ID
+     * @param {Object} resource - { title, category, summary, body, published }
+     * @returns {Promise<Object>} Stored article
+     */
+    async updateResource(id, resource) {
+        const data = await this.request('PUT', `/resources/${encodeURIComponent(id)}`, resource);
+        return data.resource;
+    },
+
+    /**
+     * Publish a help article or take it back to draft
+     * @param {string} id - Article ID
+     * @param {boolean} published - Whether students can read it
+     * @returns {Promise<Object>} Stored article
+     */
+    async publishResource(id, published) {
+        const data = await this.request('POST', `/resources/${encodeURIComponent(id)}/publish`, { published });
+        return data.resource;
+    },
+
+    // ===== CASE ASSIGNMENT =====
+
+    /**
+     * Assign a message to the current counselor
+     * @param {string} id - Message ID
+     * @returns {Promise<Object>} Updated message
+     */
+    async claimMessage(id) {
+        const data = await this.request('POST', `/messages/${encodeURIComponent(id)}/claim`);
+        return data.message;
+    },
+
+    /**
+     * Remove the current assignee from a message
+     * @param {string} id - Message ID
+     * @returns {Promise<Object>} Updated message
+     */
+    async releaseMessage(id) {
+        const data = await this.request('POST', `/messages/${encodeURIComponent(id)}/release`);
+        return data.message;
+    },
+
+    /**
+     * Assign (or reassign) a message to a counselor
+     * @param {string} id - Message ID
+     * @param {string} counselorId - Counselor account ID
+     * @returns {Promise<Object>} Updated message
+     */
+    async assignMessage(id, counselorId) {
+        const data = await this.request('POST', `/messages/${encodeURIComponent(id)}/assign`, { counselorId });
+        return data.message;
+    }
+};
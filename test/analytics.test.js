@@ -0,0 +1,57 @@
+// ============================================
+// ANALYTICS TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+global.I18n = require('../i18n.js');
+I18n.register('es', require('../locales/es.js'));
+const Analytics = require('../analytics.js');
+
+const range = Analytics.createRange('2025-03-03', '2025-03-16');
+
+test('createRange includes both days and rejects inverted ranges', () => {
+    assert.strictEqual(range.to - range.from, 14 * Analytics.MS_PER_DAY);
+    assert.throws(() => Analytics.createRange('2025-03-16', '2025-03-03'));
+});
+
+test('weeks start on Monday', () => {
+    assert.strictEqual(Analytics.weekKey(new Date(2025, 2, 9, 23, 0)), '2025-03-03');
+    assert.strictEqual(Analytics.weekKey(new Date(2025, 2, 10, 0, 30)), '2025-03-10');
+    assert.deepStrictEqual(Analytics.listWeeks(range), ['2025-03-03', '2025-03-10']);
+});
+
+test('summarize groups messages, moods and crisis detections by week', () => {
+    const at = (day, hour = 10) => new Date(2025, 2, day, hour).toISOString();
+    const messages = [
+        {
+            timestamp: at(3), category: 'ansiedad', mood: 'mal', crisisLevel: 'high',
+            riskTrajectory: [
+                { level: 'none', timestamp: at(3) },
+                { level: 'critical', timestamp: at(11) }
+            ],
+            firstResponseAt: at(3, 12), resolvedAt: at(4, 10)
+        },
+        { timestamp: at(4), category: 'ansiedad', mood: 'bien', crisisLevel: 'none', firstResponseAt: at(4, 14) },
+        { timestamp: at(12), category: 'bullying', mood: 'mal', crisisLevel: 'moderate' },
+        { timestamp: at(20), category: 'otro', mood: 'bien', crisisLevel: 'critical' }
+    ];
+
+    const summary = Analytics.summarize(messages, range);
+
+    assert.strictEqual(summary.totals.messages, 3);
+    assert.deepStrictEqual(summary.categories.map(r => r.values), [{ ansiedad: 2 }, { bullying: 1 }]);
+    assert.deepStrictEqual(summary.moods[0].values, { mal: 1, bien: 1 });
+    assert.deepStrictEqual(summary.crisis.map(r => r.values), [{}, { critical: 1, moderate: 1 }]);
+    assert.strictEqual(summary.totals.crisisDetections, 2);
+    assert.strictEqual(summary.responseTimes[0].values.firstResponse, 3);
+    assert.strictEqual(summary.responseTimes[0].values.resolution, 24);
+    assert.strictEqual(summary.responseTimes[1].values.firstResponse, null);
+});
+
+test('niceMax rounds axis maxima up to 1, 2 or 5 steps', () => {
+    assert.strictEqual(Analytics.niceMax(0), 1);
+    assert.strictEqual(Analytics.niceMax(7), 10);
+    assert.strictEqual(Analytics.niceMax(13), 20);
+    assert.strictEqual(Analytics.niceMax(42), 50);
+});
@@ -0,0 +1,93 @@
+// ============================================
+// CASE ASSIGNMENT TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Messages = require('../server/messages.js');
+const { ADMIN_PASSWORD, createDb, startServer, request } = require('./helpers.js');
+
+const ANA = { id: 'c1', name: 'Ana', role: 'counselor', active: true };
+const LUIS = { id: 'c2', name: 'Luis', role: 'counselor', active: true };
+const ADMIN = { id: 'c3', name: 'Administrador', role: 'admin', active: true };
+
+/**
+ * Build a database with unassigned cases
+ * @returns {Object} Database
+ */
+function createCasesDb() {
+    return createDb({
+        messages: ['m1', 'm2'].map(id => ({ id, status: 'new', assignedTo: null, assignmentHistory: [] }))
+    });
+}
+
+test('claiming, assigning, reassigning and releasing are recorded in the history', () => {
+    const db = createCasesDb();
+    Messages.assignMessage(db, 'm1', ANA, ANA);
+    Messages.assignMessage(db, 'm1', ANA, LUIS);
+    const message = Messages.assignMessage(db, 'm1', LUIS, null);
+    Messages.assignMessage(db, 'm2', ADMIN, LUIS);
+
+    assert.strictEqual(message.assignedTo, null);
+    assert.deepStrictEqual(message.assignmentHistory.map(e => [e.action, e.counselorName, e.byName]), [
+        ['claimed', 'Ana', 'Ana'],
+        ['reassigned', 'Luis', 'Ana'],
+        ['released', 'Luis', 'Luis']
+    ]);
+    assert.deepStrictEqual(db.data.messages[1].assignedTo, { counselorId: 'c2', counselorName: 'Luis' });
+    assert.strictEqual(db.data.messages[1].assignmentHistory[0].action, 'assigned');
+    assert.strictEqual(db.saves, 4);
+});
+
+test('only the holder or an administrator may release a case', () => {
+    const db = createCasesDb();
+    assert.throws(() => Messages.assignMessage(db, 'm1', ANA, null), { status: 409 });
+
+    Messages.assignMessage(db, 'm1', ANA, ANA);
+    assert.throws(() => Messages.assignMessage(db, 'm1', LUIS, null), { status: 403 });
+    assert.throws(() => Messages.assignMessage(db, 'm1', LUIS, ANA), { status: 409 });
+    assert.throws(() => Messages.assignMessage(db, 'm1', ANA, { ...LUIS, active: false }), { status: 400 });
+    assert.throws(() => Messages.assignMessage(db, 'nope', ANA, ANA), { status: 404 });
+
+    Messages.assignMessage(db, 'm1', ADMIN, null);
+    assert.strictEqual(db.data.messages[0].assignedTo, null);
+});
+
+test('another counselor may not claim or reassign a held case', () => {
+    const db = createCasesDb();
+    Messages.assignMessage(db, 'm1', ANA, ANA);
+
+    assert.throws(() => Messages.assignMessage(db, 'm1', LUIS, LUIS), { status: 403 });
+    assert.throws(() => Messages.assignMessage(db, 'm1', LUIS, ADMIN), { status: 403 });
+    assert.deepStrictEqual(db.data.messages[0].assignedTo, { counselorId: 'c1', counselorName: 'Ana' });
+    assert.strictEqual(db.data.messages[0].assignmentHistory.length, 1);
+
+    Messages.assignMessage(db, 'm1', ADMIN, LUIS);
+    assert.strictEqual(db.data.messages[0].assignedTo.counselorName, 'Luis');
+});
+
+test('the case list filters by holder', () => {
+    const db = createCasesDb();
+    Messages.assignMessage(db, 'm2', ANA, ANA);
+    const ids = (assignee, counselor) => Messages.listMessages(db, { assignee }, counselor).map(m => m.id);
+
+    assert.deepStrictEqual(ids('mine', ANA), ['m2']);
+    assert.deepStrictEqual(ids('mine', LUIS), []);
+    assert.deepStrictEqual(ids('unassigned'), ['m1']);
+    assert.deepStrictEqual(ids('c1'), ['m2']);
+    assert.deepStrictEqual(ids('all'), ['m1', 'm2']);
+});
+
+test('assignment requires a session and an existing account', async (t) => {
+    const { base, db } = await startServer(t);
+    db.data.messages.push({ id: 'm1', status: 'new', assignedTo: null, assignmentHistory: [], replies: [], notes: [] });
+    const { token } = (await request(base, 'POST', '/auth/login', { body: { username: 'admin', password: ADMIN_PASSWORD } })).body;
+
+    assert.strictEqual((await request(base, 'POST', '/messages/m1/claim')).status, 401);
+    assert.strictEqual((await request(base, 'POST', '/messages/m1/assign', { token, body: { counselorId: 'nope' } })).status, 404);
+
+    const claimed = await request(base, 'POST', '/messages/m1/claim', { token });
+    assert.strictEqual(claimed.status, 200);
+    assert.strictEqual(claimed.body.message.assignedTo.counselorName, 'Administrador');
+    assert.strictEqual(db.data.auditLog.at(-1).action, 'assign');
+});
@@ -0,0 +1,62 @@
+// ============================================
+// AUDIT LOG TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAuditLog } = require('../server/audit.js');
+const { createDb } = require('./helpers.js');
+
+const ANA = { id: 'c1', name: 'Ana' };
+const LUIS = { id: 'c2', name: 'Luis' };
+
+test('entries are hash-chained and tampering is detected', () => {
+    const db = createDb();
+    const audit = createAuditLog(db);
+    audit.record(ANA, 'login');
+    audit.record(ANA, 'status', { messageId: 'm1', before: { status: 'new' }, after: { status: 'resolved' } });
+    audit.record(LUIS, 'logout');
+
+    const [first, second] = db.data.auditLog;
+    assert.strictEqual(second.prevHash, first.hash);
+    assert.deepStrictEqual(audit.verify(), { valid: true, count: 3, brokenAt: null, headHash: db.data.auditLog[2].hash });
+
+    second.after.status = 'in-review';
+    assert.strictEqual(audit.verify().valid, false);
+    assert.strictEqual(audit.verify().brokenAt, 2);
+
+    second.after.status = 'resolved';
+    db.data.auditLog.splice(1, 1);
+    assert.strictEqual(audit.verify().brokenAt, 2);
+});
+
+test('repeated views of a case make one entry', () => {
+    const audit = createAuditLog(createDb());
+    assert.ok(audit.record(ANA, 'view', { messageId: 'm1' }));
+    assert.strictEqual(audit.record(ANA, 'view', { messageId: 'm1' }), null);
+    assert.ok(audit.record(LUIS, 'view', { messageId: 'm1' }));
+    assert.ok(audit.record(ANA, 'view', { messageId: 'm2' }));
+});
+
+test('entries can be filtered and are listed newest first', () => {
+    const audit = createAuditLog(createDb());
+    audit.record(ANA, 'login');
+    audit.record(ANA, 'view', { messageId: 'm1' });
+    audit.record(LUIS, 'view', { messageId: 'm1' });
+
+    assert.deepStrictEqual(audit.list({ action: 'view' }).entries.map(e => e.actorName), ['Luis', 'Ana']);
+    assert.strictEqual(audit.list({ actorId: 'c1' }).total, 2);
+    assert.strictEqual(audit.list({ messageId: 'm2' }).total, 0);
+    assert.strictEqual(audit.list({ from: '2000-01-01', to: '2000-01-02' }).total, 0);
+    assert.strictEqual(audit.list({ limit: 1 }).entries[0].seq, 3);
+});
+
+test('exports reported by the browser are validated', () => {
+    const db = createDb();
+    const audit = createAuditLog(db);
+    audit.recordExport(ANA, { format: 'csv', count: 4, text: 'redacted', notes: 'none', trackingCodes: false, filters: 'Todos' });
+    assert.deepStrictEqual(db.data.auditLog[0].after, {
+        format: 'csv', count: 4, text: 'redacted', notes: 'none', trackingCodes: false, filters: 'Todos'
+    });
+    assert.throws(() => audit.recordExport(ANA, { format: 'xls', count: 1, text: 'none', notes: 'none' }), { status: 400 });
+});
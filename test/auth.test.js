@@ -0,0 +1,128 @@
+// ============================================
+// ACCOUNTS, SESSIONS AND END-TO-END ENCRYPTION TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const E2ECrypto = require('../e2e-crypto.js');
+const { ADMIN_PASSWORD, startServer, request } = require('./helpers.js');
+
+const COUNSELOR_PASSWORD = 'clave-de-luis';
+
+/**
+ * Log in and return the session
+ * @param {string} base - Base URL
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} { status, body }
+ */
+function login(base, username, password) {
+    return request(base, 'POST', '/auth/login', { body: { username, password } });
+}
+
+test('login checks the password and locks a username after repeated failures', async (t) => {
+    const { base } = await startServer(t);
+
+    const wrong = await login(base, 'admin', 'equivocada');
+    assert.strictEqual(wrong.status, 401);
+    assert.strictEqual(wrong.body.error, 'Usuario o contraseña incorrectos');
+    assert.strictEqual(wrong.body.code, 'wrongCredentials');
+
+    const session = await login(base, ' ADMIN ', ADMIN_PASSWORD);
+    assert.strictEqual(session.status, 200);
+    assert.strictEqual(session.body.counselor.role, 'admin');
+    assert.strictEqual(session.body.teamKeyConfigured, false);
+    assert.ok(!('passwordHash' in session.body.counselor) && !('salt' in session.body.counselor));
+
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await login(base, 'admin', `intento-${i}`)).status, 401);
+    }
+    const locked = await login(base, 'admin', ADMIN_PASSWORD);
+    assert.strictEqual(locked.status, 429);
+    assert.ok(locked.body.retryAfter > 0);
+    assert.strictEqual((await login(base, 'otra', ADMIN_PASSWORD)).status, 401);
+});
+
+test('a session ends at logout, and a forged or missing token is refused', async (t) => {
+    const { base } = await startServer(t);
+    const { token } = (await login(base, 'admin', ADMIN_PASSWORD)).body;
+
+    assert.strictEqual((await request(base, 'GET', '/auth/me', { token })).status, 200);
+    assert.strictEqual((await request(base, 'GET', '/auth/me')).status, 401);
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), role: 'x' }))
+        .toString('base64url');
+    assert.strictEqual((await request(base, 'GET', '/auth/me', { token: `${forged}.${signature}` })).status, 401);
+
+    assert.strictEqual((await request(base, 'POST', '/auth/logout', { token })).status, 200);
+    assert.strictEqual((await request(base, 'GET', '/auth/me', { token })).status, 401);
+});
+
+test('only administrators manage accounts, and new accounts need the locked team key', async (t) => {
+    const { base, db } = await startServer(t);
+    const admin = (await login(base, 'admin', ADMIN_PASSWORD)).body.token;
+    const pair = await E2ECrypto.generateCounselorKeyPair();
+
+    const setup = { publicKey: pair.publicKey, privateKeyBox: await E2ECrypto.lockPrivateKey(pair.privateKey, ADMIN_PASSWORD) };
+    assert.strictEqual((await request(base, 'PUT', '/keys', { token: admin, body: setup })).status, 200);
+    assert.strictEqual((await request(base, 'PUT', '/keys', { token: admin, body: setup })).status, 409);
+
+    const luis = { username: 'luis', name: 'Luis', password: COUNSELOR_PASSWORD };
+    assert.strictEqual((await request(base, 'POST', '/counselors', { token: admin, body: luis })).status, 400);
+    const privateKeyBox = await E2ECrypto.lockPrivateKey(pair.privateKey, COUNSELOR_PASSWORD);
+    const created = await request(base, 'POST', '/counselors', { token: admin, body: { ...luis, privateKeyBox } });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.counselor.role, 'counselor');
+    assert.strictEqual((await request(base, 'POST', '/counselors', { token: admin, body: { ...luis, privateKeyBox } })).status, 409);
+
+    const session = (await login(base, 'luis', COUNSELOR_PASSWORD)).body;
+    assert.strictEqual(await E2ECrypto.unlockPrivateKey(session.privateKeyBox, COUNSELOR_PASSWORD), pair.privateKey);
+    await assert.rejects(E2ECrypto.unlockPrivateKey(session.privateKeyBox, ADMIN_PASSWORD));
+
+    const other = { username: 'ana', name: 'Ana', password: 'clave-de-ana', privateKeyBox };
+    assert.strictEqual((await request(base, 'POST', '/counselors', { token: session.token, body: other })).status, 403);
+    const id = created.body.counselor.id;
+    assert.strictEqual((await request(base, 'PATCH', `/counselors/${id}`, { token: session.token, body: { active: false } })).status, 403);
+
+    assert.strictEqual((await request(base, 'PATCH', `/counselors/${id}`, { token: admin, body: { active: false } })).status, 200);
+    assert.strictEqual((await request(base, 'GET', '/auth/me', { token: session.token })).status, 401);
+    assert.strictEqual((await login(base, 'luis', COUNSELOR_PASSWORD)).status, 401);
+    assert.ok(db.data.counselors.every(c => c.passwordHash !== COUNSELOR_PASSWORD && c.passwordHash.length === 128));
+});
+
+test('messages are stored encrypted and open only with the tracking code, the PIN or the team key', async (t) => {
+    const { base, db } = await startServer(t);
+    const admin = (await login(base, 'admin', ADMIN_PASSWORD)).body.token;
+    const pair = await E2ECrypto.generateCounselorKeyPair();
+    const privateKeyBox = await E2ECrypto.lockPrivateKey(pair.privateKey, ADMIN_PASSWORD);
+    await request(base, 'PUT', '/keys', { token: admin, body: { publicKey: pair.publicKey, privateKeyBox } });
+
+    const code = 'ABCD-EFGH-JKMN';
+    const text = 'Me siento solo en el colegio';
+    const { publicKey } = (await request(base, 'GET', '/keys/public')).body;
+    const sealed = await E2ECrypto.sealNewThread(code, text, publicKey, '2468');
+    const created = await request(base, 'POST', '/messages', {
+        body: { ...sealed, pin: '2468', category: 'relaciones', urgency: 'media', mood: 'mal' }
+    });
+    assert.strictEqual(created.status, 201);
+    assert.ok(!JSON.stringify(db.data.messages).includes(text));
+    assert.ok(!JSON.stringify(db.data.messages).includes('2468'));
+
+    const path = `/track/${sealed.lookupId}`;
+    assert.strictEqual((await request(base, 'GET', path)).body.pinRequired, true);
+    assert.strictEqual((await request(base, 'GET', path, { pin: '1357' })).status, 403);
+    const tracked = await request(base, 'GET', path, { pin: '2468' });
+    assert.strictEqual(tracked.status, 200);
+    assert.ok(!('counselorKey' in tracked.body.message.encryption));
+
+    const studentKey = await E2ECrypto.unwrapWithCode(code, tracked.body.message.encryption, '2468');
+    assert.strictEqual((await E2ECrypto.decryptMessage(tracked.body.message, studentKey)).message, text);
+    await assert.rejects(E2ECrypto.unwrapWithCode(code, tracked.body.message.encryption, '1357'));
+
+    const stored = (await request(base, 'GET', `/messages/${created.body.message.id}`, { token: admin })).body.message;
+    const teamKey = await E2ECrypto.importPrivateKey(await E2ECrypto.unlockPrivateKey(privateKeyBox, ADMIN_PASSWORD));
+    const counselorKey = await E2ECrypto.unwrapWithPrivateKey(stored.encryption, teamKey);
+    const plain = await E2ECrypto.decryptMessage(stored, counselorKey);
+    assert.strictEqual(plain.message, text);
+    assert.strictEqual(plain.trackingCode, E2ECrypto.normalizeCode(code));
+});
@@ -0,0 +1,93 @@
+// ============================================
+// BACKUP AND RESTORE TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Backup = require('../server/backup.js');
+const { createDb } = require('./helpers.js');
+
+const ADMIN = { id: 'c1', username: 'admin', name: 'Administrador', role: 'admin', salt: 's', passwordHash: 'h', privateKeyBox: { ct: 'old' } };
+const LEXICON = { version: 1, keywords: {}, scores: {}, thresholds: {} };
+
+/**
+ * Build a stored message
+ * @param {string} id - Message ID
+ * @param {string} lookupId - Lookup id
+ * @param {number} replies - Number of replies
+ * @returns {Object} Message
+ */
+function message(id, lookupId, replies = 0) {
+    return {
+        id, lookupId, timestamp: `2025-03-0${replies + 1}T10:00:00.000Z`, category: 'bullying', status: 'new',
+        encryption: { ct: 'x' }, replies: Array.from({ length: replies }, () => ({ from: 'student' }))
+    };
+}
+
+test('restoring merges messages by id or lookup id without duplicates', () => {
+    const teamKey = { publicKey: 'pk' };
+    const source = createDb({ teamKey, counselors: [ADMIN], lexicons: [LEXICON], messages: [message('a', 'la', 2), message('b', 'lb')] });
+    const snapshot = Backup.createSnapshot(source, ADMIN);
+
+    const target = createDb({ teamKey, counselors: [ADMIN], lexicons: [LEXICON], messages: [message('other', 'la', 1)] });
+    const kept = Backup.planRestore(target, snapshot, { overwrite: false });
+    assert.deepStrictEqual(
+        [kept.preview.messages.add, kept.preview.messages.skip, kept.preview.messages.unchanged],
+        [1, 1, 0]
+    );
+    assert.strictEqual(kept.preview.messages.items.find(i => i.action === 'skip').matchedBy, 'código');
+
+    Backup.applyRestore(target, Backup.planRestore(target, snapshot, { overwrite: true }));
+    assert.deepStrictEqual(target.data.messages.map(m => m.id).sort(), ['a', 'b']);
+    assert.strictEqual(target.saves, 1);
+
+    const again = Backup.planRestore(target, snapshot, {});
+    assert.strictEqual(again.preview.messages.unchanged, 2);
+});
+
+test('restoring into a fresh install adopts the backup key and accounts', () => {
+    const snapshot = Backup.createSnapshot(createDb({
+        teamKey: { publicKey: 'backup' }, counselors: [ADMIN], lexicons: [LEXICON], messages: [message('a', 'la')]
+    }), ADMIN);
+    const helper = { ...ADMIN, id: 'c2', username: 'helper', name: 'Ayudante', privateKeyBox: { ct: 'new' } };
+    const target = createDb({
+        teamKey: { publicKey: 'fresh' },
+        counselors: [{ ...ADMIN, id: 'c9', privateKeyBox: { ct: 'fresh' } }, helper],
+        lexicons: [LEXICON]
+    });
+
+    const plan = Backup.planRestore(target, snapshot, {});
+    assert.strictEqual(plan.preview.replaceTeamKey, true);
+    assert.deepStrictEqual(plan.preview.counselors.losingKeyAccess, ['Ayudante']);
+
+    Backup.applyRestore(target, plan);
+    assert.strictEqual(target.data.teamKey.publicKey, 'backup');
+    assert.strictEqual(target.data.counselors[0].id, 'c1');
+    assert.strictEqual(target.data.counselors[1].privateKeyBox, undefined);
+});
+
+test('a backup with another team key cannot be merged into existing messages', () => {
+    const snapshot = Backup.createSnapshot(createDb({ teamKey: { publicKey: 'backup' } }), ADMIN);
+    const target = createDb({ teamKey: { publicKey: 'local' }, messages: [message('a', 'la')] });
+    assert.throws(() => Backup.planRestore(target, snapshot, {}), { status: 409 });
+    assert.throws(() => Backup.planRestore(target, { format: 'other' }, {}), { status: 400 });
+});
+
+test('a lexicon version with other content is a conflict and the local one is kept', () => {
+    const edited = { ...LEXICON, thresholds: { critical: 9, high: 6, moderate: 3 } };
+    const added = { ...LEXICON, version: 2 };
+    const snapshot = Backup.createSnapshot(createDb({
+        lexicons: [edited, added], activeLexicon: { version: 1 }
+    }), ADMIN);
+    const target = createDb({ lexicons: [LEXICON], activeLexicon: { version: 1, activatedBy: 'local' } });
+
+    const plan = Backup.planRestore(target, snapshot, { settings: true });
+    assert.deepStrictEqual(plan.preview.lexicons, { add: 1, unchanged: 0, conflict: 1, conflicts: [1] });
+
+    Backup.applyRestore(target, plan);
+    assert.deepStrictEqual(target.data.lexicons, [LEXICON, added]);
+    assert.strictEqual(target.data.activeLexicon.activatedBy, 'local');
+
+    const again = Backup.planRestore(target, Backup.createSnapshot(createDb({ lexicons: [{ ...LEXICON }] }), ADMIN), {});
+    assert.deepStrictEqual(again.preview.lexicons.conflicts, []);
+});
@@ -0,0 +1,170 @@
+// ============================================
+// CRISIS DETECTION - KEYWORD ENGINE TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CrisisDetection = require('../crisis-detection.js');
+
+test('analyze keeps its output shape', () => {
+    const analysis = CrisisDetection.analyze('quiero matarme');
+    assert.deepStrictEqual(Object.keys(analysis).sort(), [
+        'categories', 'crisisLevel', 'detectedKeywords', 'isCrisis', 'lexiconVersion', 'recommendation', 'severityScore'
+    ]);
+    assert.strictEqual(analysis.isCrisis, true);
+    assert.strictEqual(analysis.crisisLevel, 'critical');
+    assert.deepStrictEqual(analysis.detectedKeywords, ['matarme']);
+    assert.deepStrictEqual(analysis.categories, ['suicide']);
+});
+
+test('keywords only match whole words', () => {
+    assert.strictEqual(CrisisDetection.analyze('el matarife del pueblo').crisisLevel, 'none');
+    assert.strictEqual(CrisisDetection.analyze('guardé la ropa en el armario').crisisLevel, 'none');
+    assert.strictEqual(CrisisDetection.analyze('alguien tiene armas en casa').crisisLevel, 'high');
+});
+
+test('accents and letter case are ignored', () => {
+    assert.deepStrictEqual(CrisisDetection.analyze('pienso en la autolesion').detectedKeywords, ['autolesion']);
+    assert.strictEqual(CrisisDetection.analyze('YA NO PUEDO MAS').crisisLevel, 'moderate');
+});
+
+test('stems and stretched spellings match', () => {
+    for (const text of ['me quiero suicidar', 'pensé en el suicidio', 'Me quiero SUICIDAR!!!']) {
+        assert.strictEqual(CrisisDetection.analyze(text).crisisLevel, 'critical', text);
+    }
+    assert.strictEqual(CrisisDetection.analyze('quiero moriiiir').crisisLevel, 'high');
+    assert.strictEqual(CrisisDetection.analyze('q ganas de morir').crisisLevel, 'high');
+});
+
+test('negated keywords do not count', () => {
+    assert.strictEqual(CrisisDetection.analyze('no quiero morir').crisisLevel, 'none');
+    assert.strictEqual(CrisisDetection.analyze('nunca me voy a suicidar').crisisLevel, 'none');
+});
+
+test('negation does not cross clauses', () => {
+    assert.strictEqual(CrisisDetection.analyze('no sé si quiero morir').crisisLevel, 'high');
+    assert.strictEqual(CrisisDetection.analyze('Él dijo que no. Quiero morir').crisisLevel, 'high');
+    assert.strictEqual(CrisisDetection.analyze('ya no quiero vivir').crisisLevel, 'critical');
+});
+
+test('a negation does not reach past an earlier keyword or further than three words', () => {
+    for (const text of ['ya no puedo más quiero matarme', 'ya no puedo más, quiero matarme']) {
+        const analysis = CrisisDetection.analyze(text);
+        assert.strictEqual(analysis.crisisLevel, 'critical', text);
+        assert.deepStrictEqual(analysis.detectedKeywords.sort(), ['matarme', 'no puedo más'], text);
+    }
+    assert.strictEqual(CrisisDetection.analyze('nunca en mi vida pensé en morir').crisisLevel, 'high');
+    assert.strictEqual(CrisisDetection.analyze('no me voy a morir').crisisLevel, 'none');
+});
+
+test('phrases that start with a negation but do not deny the keyword still count', () => {
+    assert.strictEqual(CrisisDetection.analyze('no me importa morir').crisisLevel, 'high');
+    assert.strictEqual(CrisisDetection.analyze('no le temo a la muerte').crisisLevel, 'high');
+    assert.strictEqual(CrisisDetection.analyze("I don't care about death").crisisLevel, 'high');
+});
+
+test('verbs with attached pronouns and other word forms match', () => {
+    assert.deepStrictEqual(CrisisDetection.analyze('quiero morirme').detectedKeywords, ['morirme']);
+    assert.deepStrictEqual(CrisisDetection.analyze('quiero matarlos a todos').categories, ['violence']);
+    assert.strictEqual(CrisisDetection.analyze('estoy desesperada').crisisLevel, 'moderate');
+    assert.deepStrictEqual(CrisisDetection.analyze('estaría mejor muerta').detectedKeywords, ['mejor muerta']);
+    assert.strictEqual(CrisisDetection.analyze('no quiero morirme').crisisLevel, 'none');
+});
+
+test('texts the first, substring-based detector flagged are still flagged as high', () => {
+    // Levels given by the original detector, which matched substrings
+    const previous = {
+        'quiero morirme': 'high',
+        'quiero matarlos a todos': 'high',
+        'no quiero seguir, quiero morirme': 'high',
+        'ya no puedo más quiero matarme': 'critical',
+        'me siento desesperado': 'moderate',
+        'pienso en la muerte': 'high',
+        'quiero cortarme': 'high',
+        'voy a lastimarme': 'high',
+        'estaría mejor muerto': 'critical',
+        'tengo un cuchillo': 'high',
+        'es insoportable': 'moderate',
+        'no me importa morir': 'high'
+    };
+    for (const [text, level] of Object.entries(previous)) {
+        assert.strictEqual(CrisisDetection.analyze(text).crisisLevel, level, text);
+    }
+});
+
+test('English and Kichwa messages are screened too', () => {
+    const english = CrisisDetection.analyze('I want to kill myself');
+    assert.strictEqual(english.crisisLevel, 'critical');
+    assert.deepStrictEqual(english.detectedKeywords, ['kill myself']);
+    assert.strictEqual(CrisisDetection.analyze("I don't want to die, I'm just tired").crisisLevel, 'none');
+    assert.strictEqual(CrisisDetection.analyze('wañuyta munani').crisisLevel, 'critical');
+    assert.strictEqual(CrisisDetection.analyze('mana wañuyta munanichu').crisisLevel, 'none');
+});
+
+test('a negation in one language covers matches from the others', () => {
+    assert.strictEqual(CrisisDetection.analyze('nunca me voy a suicidar').crisisLevel, 'none');
+    assert.strictEqual(CrisisDetection.analyze('no me ama y quiero morir').crisisLevel, 'high');
+});
+
+test('a lexicon can replace the terms of one language', () => {
+    const lexicon = CrisisDetection.getLexicon();
+    const draft = {
+        ...lexicon,
+        localeKeywords: { en: { ...CrisisDetection.getLocaleKeywords(lexicon).en, suicide: ['unalive myself'] } }
+    };
+
+    assert.deepStrictEqual(CrisisDetection.analyze('I want to unalive myself', draft).categories, ['suicide']);
+    assert.strictEqual(CrisisDetection.analyze('I want to unalive myself').crisisLevel, 'none');
+    assert.strictEqual(CrisisDetection.analyze('wañuyta munani', draft).crisisLevel, 'critical');
+});
+
+test('repeated and overlapping keywords score once', () => {
+    const repeated = CrisisDetection.analyze('quiero morir, quiero morir, quiero morir');
+    assert.strictEqual(repeated.severityScore, 7);
+    assert.deepStrictEqual(repeated.detectedKeywords, ['morir']);
+
+    const overlapping = CrisisDetection.analyze('estaría mejor muerto');
+    assert.strictEqual(overlapping.severityScore, 10);
+    assert.deepStrictEqual(overlapping.detectedKeywords, ['mejor muerto']);
+});
+
+test('analyze accepts a draft lexicon without changing the active one', () => {
+    const draft = {
+        version: 'borrador',
+        keywords: { ...CrisisDetection.keywords, severe: [...CrisisDetection.keywords.severe, 'agotado'] },
+        scores: { ...CrisisDetection.scores, severe: 8 },
+        thresholds: { critical: 10, high: 7, moderate: 5 }
+    };
+
+    assert.strictEqual(CrisisDetection.analyze('estoy agotado', draft).crisisLevel, 'high');
+    assert.strictEqual(CrisisDetection.analyze('estoy agotado', draft).lexiconVersion, 'borrador');
+    assert.strictEqual(CrisisDetection.analyze('estoy agotado').crisisLevel, 'none');
+});
+
+test('compareLexicons flags texts whose level would change', () => {
+    const draft = { ...CrisisDetection.getLexicon(), thresholds: { critical: 20, high: 15, moderate: 5 } };
+    const results = CrisisDetection.compareLexicons(['quiero morir', 'hola'], draft);
+
+    assert.deepStrictEqual(results.map(r => r.changed), [true, false]);
+    assert.strictEqual(results[0].current.crisisLevel, 'high');
+    assert.strictEqual(results[0].draft.crisisLevel, 'moderate');
+});
+
+test('adjustUrgency follows the crisis level', () => {
+    assert.strictEqual(CrisisDetection.adjustUrgency('baja', { crisisLevel: 'critical' }), 'urgente');
+    assert.strictEqual(CrisisDetection.adjustUrgency('baja', { crisisLevel: 'moderate' }), 'media');
+    assert.strictEqual(CrisisDetection.adjustUrgency('alta', { crisisLevel: 'none' }), 'alta');
+});
+
+test('getResponseWindow matches the urgency of each level', () => {
+    assert.strictEqual(CrisisDetection.getResponseWindow('critical'), 15 * 60 * 1000);
+    assert.ok(CrisisDetection.getResponseWindow('high') > CrisisDetection.getResponseWindow('critical'));
+    assert.strictEqual(CrisisDetection.getResponseWindow('none'), null);
+});
+
+test('getResponseTarget uses the stricter of urgency and crisis level', () => {
+    assert.strictEqual(CrisisDetection.getResponseTarget('baja', 'none'), 72 * 60 * 60 * 1000);
+    assert.strictEqual(CrisisDetection.getResponseTarget('urgente', 'none'), 60 * 60 * 1000);
+    assert.strictEqual(CrisisDetection.getResponseTarget('urgente', 'critical'), 15 * 60 * 1000);
+    assert.strictEqual(CrisisDetection.getResponseTarget('baja', 'moderate'), 24 * 60 * 60 * 1000);
+});
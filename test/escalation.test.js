@@ -0,0 +1,268 @@
+// ============================================
+// CRISIS ESCALATION AND SMTP TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('node:net');
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { createEscalations } = require('../server/escalation.js');
+const { sendMail } = require('../server/smtp.js');
+const { createDb } = require('./helpers.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const SECRET = 'secreto-del-webhook';
+const ANA = { id: 'c1', name: 'Ana', role: 'counselor', active: true };
+const LUIS = { id: 'c2', name: 'Luis', role: 'counselor', active: true };
+
+/**
+ * Start an SMTP server that keeps every message it accepts. Recipients at
+ * `rechazado.test` are refused.
+ * @param {Object} t - Test context
+ * @returns {Promise<Object>} { port, mails } with { from, to, auth, source }
+ */
+async function startSmtpSink(t) {
+    const mails = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let mail = null;
+        let auth = null;
+        let reading = false;
+        const reply = line => socket.write(`${line}\r\n`);
+        reply('220 sink');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            for (;;) {
+                if (reading) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+                    mails.push({ ...mail, source: buffer.slice(0, end) });
+                    buffer = buffer.slice(end + 5);
+                    reading = false;
+                    reply('250 OK');
+                    continue;
+                }
+                const index = buffer.indexOf('\r\n');
+                if (index === -1) return;
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                const verb = line.slice(0, 4).toUpperCase();
+
+                if (verb === 'EHLO') reply('250 AUTH PLAIN');
+                else if (verb === 'AUTH') {
+                    auth = Buffer.from(line.split(' ')[2], 'base64').toString('utf8').split('\0').slice(1);
+                    reply('235 OK');
+                } else if (verb === 'MAIL') {
+                    mail = { from: line.slice(10), to: [], auth };
+                    reply('250 OK');
+                } else if (verb === 'RCPT') {
+                    const address = line.slice(8);
+                    if (address.includes('@rechazado.test')) reply('550 No such user');
+                    else {
+                        mail.to.push(address);
+                        reply('250 OK');
+                    }
+                } else if (verb === 'DATA') {
+                    reading = true;
+                    reply('354 Go ahead');
+                } else if (verb === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                    return;
+                } else reply('250 OK');
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { port: server.address().port, mails };
+}
+
+/**
+ * Start a webhook receiver that keeps every call and answers with `status`
+ * @param {Object} t - Test context
+ * @returns {Promise<Object>} { url, calls, setStatus } with calls { signature, body }
+ */
+async function startWebhookReceiver(t) {
+    const calls = [];
+    let status = 204;
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            calls.push({ signature: req.headers['x-voces-signature'], raw: body, body: JSON.parse(body) });
+            res.writeHead(status);
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+    return { url: `http://127.0.0.1:${server.address().port}/alerts`, calls, setStatus: value => { status = value; } };
+}
+
+/**
+ * Build an escalation service with email and webhook pointed at local
+ * listeners and Ana then Luis on call in daily shifts from time 0
+ * @param {Object} t - Test context
+ * @returns {Promise<Object>} { db, escalations, message, mails, webhook }
+ */
+async function createSetup(t) {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const smtp = await startSmtpSink(t);
+    const webhook = await startWebhookReceiver(t);
+
+    const message = {
+        id: 'm1', category: 'ansiedad', urgency: 'urgente', status: 'new', crisisLevel: 'critical',
+        crisisTrigger: { source: 'message' }, message: { ct: 'texto cifrado' }
+    };
+    const db = createDb({ counselors: [ANA, LUIS], messages: [message] });
+    const escalations = createEscalations(db);
+    escalations.updateConfig({
+        email: { enabled: true, host: '127.0.0.1', port: smtp.port, username: 'alertas', password: 'clave-smtp', from: 'alertas@colegio.test' },
+        webhook: { enabled: true, url: webhook.url, secret: SECRET },
+        onCall: {
+            rotation: [{ counselorId: 'c1', email: 'ana@colegio.test' }, { counselorId: 'c2', email: 'luis@colegio.test' }],
+            shiftHours: 24,
+            startsAt: new Date(0).toISOString()
+        }
+    });
+    return { db, escalations, message, mails: smtp.mails, webhook };
+}
+
+test('an alert reaches the counselor on call by email and by a signed webhook', async (t) => {
+    const { escalations, message, mails, webhook } = await createSetup(t);
+    await escalations.notifyIfNeeded(message);
+
+    assert.strictEqual(mails.length, 1);
+    assert.deepStrictEqual(mails[0].to, ['<ana@colegio.test>']);
+    assert.deepStrictEqual(mails[0].auth, ['alertas', 'clave-smtp']);
+    assert.match(mails[0].source, /^Subject: =\?UTF-8\?B\?/m);
+
+    const [call] = webhook.calls;
+    assert.strictEqual(call.signature, `sha256=${crypto.createHmac('sha256', SECRET).update(call.raw).digest('hex')}`);
+    assert.strictEqual(call.body.event, 'crisis.escalated');
+    assert.deepStrictEqual([call.body.attempt, call.body.level, call.body.onCall], [1, 'critical', ['Ana']]);
+    assert.ok(!call.raw.includes('texto cifrado'));
+
+    const escalation = message.escalation;
+    assert.strictEqual(escalation.nextNotifyAt, new Date(15 * MINUTE).toISOString());
+    assert.deepStrictEqual(escalation.notifications.map(n => `${n.channel}:${n.ok}`).sort(), ['app:true', 'email:true', 'webhook:true']);
+    assert.strictEqual(escalations.listOpen()[0].messageId, 'm1');
+});
+
+test('unacknowledged alerts are re-sent with the backup added, up to the attempt limit', async (t) => {
+    const { escalations, message, mails, webhook } = await createSetup(t);
+    await escalations.notifyIfNeeded(message);
+
+    t.mock.timers.tick(14 * MINUTE);
+    await escalations.sweep();
+    assert.strictEqual(webhook.calls.length, 1);
+
+    t.mock.timers.tick(MINUTE);
+    await escalations.sweep();
+    assert.strictEqual(webhook.calls.length, 2);
+    assert.deepStrictEqual(mails[1].to, ['<ana@colegio.test>', '<luis@colegio.test>']);
+    assert.deepStrictEqual([webhook.calls[1].body.event, webhook.calls[1].body.onCall], ['crisis.reminder', ['Ana', 'Luis']]);
+    assert.strictEqual(message.escalation.nextNotifyAt, new Date(30 * MINUTE).toISOString());
+
+    for (let i = 0; i < 10; i++) {
+        t.mock.timers.tick(15 * MINUTE);
+        await escalations.sweep();
+    }
+    assert.strictEqual(message.escalation.attempts, 10);
+    assert.strictEqual(webhook.calls.length, 10);
+    assert.strictEqual(mails.length, 10);
+});
+
+test('acknowledging an alert stops the reminders', async (t) => {
+    const { db, escalations, message, webhook } = await createSetup(t);
+    await escalations.notifyIfNeeded(message);
+
+    escalations.acknowledge(message, LUIS);
+    assert.strictEqual(message.escalation.acknowledgedByName, 'Luis');
+    assert.deepStrictEqual(escalations.listOpen(), []);
+
+    t.mock.timers.tick(HOUR);
+    await escalations.sweep();
+    assert.strictEqual(webhook.calls.length, 1);
+
+    escalations.acknowledge(message, ANA);
+    assert.strictEqual(message.escalation.acknowledgements.length, 1);
+
+    const calm = { id: 'm2', crisisLevel: 'none' };
+    db.data.messages.push(calm);
+    await escalations.notifyIfNeeded(calm);
+    assert.throws(() => escalations.acknowledge(calm, ANA), { status: 409, code: 'noCrisisAlerts' });
+});
+
+test('the on-call counselor follows the rotation', async (t) => {
+    const { escalations, message, mails } = await createSetup(t);
+    assert.deepStrictEqual([escalations.describe().onCallNow.name, escalations.describe().backupNow.name], ['Ana', 'Luis']);
+
+    t.mock.timers.tick(25 * HOUR);
+    assert.deepStrictEqual([escalations.describe().onCallNow.name, escalations.describe().backupNow.name], ['Luis', 'Ana']);
+    await escalations.notifyIfNeeded(message);
+    assert.deepStrictEqual(mails[0].to, ['<luis@colegio.test>']);
+});
+
+test('a test notification reports each channel and failures do not stop the others', async (t) => {
+    const { escalations, mails, webhook } = await createSetup(t);
+    webhook.setStatus(500);
+
+    const results = await escalations.sendTest(ANA);
+    assert.deepStrictEqual(results.map(r => [r.channel, r.ok]), [['email', true], ['webhook', false]]);
+    assert.strictEqual(results[1].error, 'El webhook respondió 500');
+    assert.strictEqual(webhook.calls[0].body.event, 'escalation.test');
+    assert.deepStrictEqual(mails[0].to, ['<ana@colegio.test>']);
+
+    const config = escalations.describe().config;
+    escalations.updateConfig({ ...config, email: { ...config.email, enabled: false }, webhook: { ...config.webhook, enabled: false } });
+    await assert.rejects(escalations.sendTest(ANA), { status: 400, code: 'noChannels' });
+});
+
+test('settings are validated and credentials stay write-only', async (t) => {
+    const { escalations } = await createSetup(t);
+    const config = escalations.describe().config;
+    assert.strictEqual(config.email.password, undefined);
+    assert.strictEqual(config.email.hasPassword, true);
+    assert.strictEqual(config.webhook.hasSecret, true);
+
+    const update = changes => () => escalations.updateConfig({ ...config, ...changes });
+    const onCall = changes => ({ onCall: { ...config.onCall, ...changes } });
+    assert.throws(update({ email: { ...config.email, port: 0 } }), { code: 'invalidSmtpPort' });
+    assert.throws(update({ email: { ...config.email, from: 'sin-arroba' } }), { code: 'smtpIncomplete' });
+    assert.throws(update({ webhook: { enabled: false, url: 'ftp://colegio.test' } }), { code: 'invalidWebhookUrl' });
+    assert.throws(update({ webhook: { enabled: true, url: '' } }), { code: 'webhookUrlRequired' });
+    assert.throws(update(onCall({ rotation: [{ counselorId: 'nadie' }] })), { code: 'unknownOnCallAccount' });
+    assert.throws(update(onCall({ rotation: [{ counselorId: 'c1', email: 'ana' }] })), { code: 'invalidOnCallEmail', details: { name: 'Ana' } });
+    assert.throws(update(onCall({ shiftHours: 0 })), { code: 'invalidShiftLength' });
+    assert.throws(update(onCall({ startsAt: 'mañana' })), { code: 'invalidRotationStart' });
+
+    escalations.updateConfig(config);
+    assert.strictEqual(escalations.describe().config.email.hasPassword, true);
+});
+
+test('sendMail checks addresses and reports refusals from the server', async (t) => {
+    const { port, mails } = await startSmtpSink(t);
+    const config = { host: '127.0.0.1', port };
+    const mail = { from: 'alertas@colegio.test', subject: 'Prueba', text: 'Hola' };
+
+    await assert.rejects(sendMail(config, { ...mail, to: ['no es correo'] }), /Dirección de correo no válida/);
+    await assert.rejects(sendMail(config, { ...mail, to: ['ana@rechazado.test'] }), /respondió 550/);
+
+    await sendMail(config, { ...mail, to: ['ana@colegio.test'] });
+    const [head, body] = mails[0].source.split('\r\n\r\n');
+    assert.match(head, /^Subject: Prueba$/m);
+    assert.strictEqual(Buffer.from(body, 'base64').toString('utf8'), 'Hola');
+    assert.strictEqual(mails[0].auth, null);
+});
@@ -0,0 +1,46 @@
+// ============================================
+// GUIDED EXERCISE TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ExercisePlayer = require('../exercises.js');
+
+const NO_SETTINGS = { sound: false, vibration: false, reducedMotion: null, exercises: {} };
+
+test('phase lengths come from defaults, then saved settings, then overrides, within limits', () => {
+    assert.deepStrictEqual(ExercisePlayer.configure('4-7-8', NO_SETTINGS).phases.map(p => p.seconds), [4, 7, 8]);
+
+    const settings = { ...NO_SETTINGS, exercises: { box: { phases: { inhale: 5, hold: 99 }, minutes: 4 } } };
+    const config = ExercisePlayer.configure('box', settings, { phases: { exhale: '6' }, minutes: 30 });
+    assert.deepStrictEqual(config.phases.map(p => [p.id, p.seconds]), [['inhale', 5], ['hold', 20], ['exhale', 6], ['holdOut', 4]]);
+    assert.strictEqual(config.minutes, ExercisePlayer.MAX_MINUTES);
+    assert.strictEqual(ExercisePlayer.configure('box', settings, { minutes: 'x' }).minutes, 2);
+    assert.strictEqual(ExercisePlayer.configure('grounding', NO_SETTINGS).minutes, null);
+});
+
+test('breathing repeats whole cycles to fill the minutes, grounding runs once', () => {
+    const box = ExercisePlayer.buildSteps(ExercisePlayer.configure('box', NO_SETTINGS, { minutes: 1 }));
+    assert.strictEqual(box.length, 4 * 4);
+    assert.deepStrictEqual(box.slice(0, 5).map(s => [s.phase, s.cycle]), [
+        ['inhale', 1], ['hold', 1], ['exhale', 1], ['holdOut', 1], ['inhale', 2]
+    ]);
+
+    const long = ExercisePlayer.configure('4-7-8', NO_SETTINGS, { phases: { inhale: 20, hold: 20, exhale: 20 }, minutes: 1 });
+    assert.strictEqual(ExercisePlayer.buildSteps(long).length, 3);
+
+    const grounding = ExercisePlayer.buildSteps(ExercisePlayer.configure('grounding', NO_SETTINGS));
+    assert.deepStrictEqual(grounding.map(s => s.phase), ['see', 'touch', 'hear', 'smell', 'taste']);
+});
+
+test('exercise links in replies are found once and hidden from the text', () => {
+    const text = `Prueba esto cuando te sientas así:\n${ExercisePlayer.linkFor('4-7-8', 3)}\n[ejercicio:sigh] [ejercicio:4-7-8] [ejercicio:yoga]`;
+    assert.deepStrictEqual(ExercisePlayer.parseLinks(text), [{ id: '4-7-8', minutes: 3 }, { id: 'sigh', minutes: null }]);
+    assert.strictEqual(ExercisePlayer.stripLinks(text), 'Prueba esto cuando te sientas así:\n\n[ejercicio:yoga]');
+    assert.deepStrictEqual(ExercisePlayer.parseLinks(null), []);
+});
+
+test('durations read as minutes and seconds', () => {
+    assert.strictEqual(ExercisePlayer.formatDuration(96), '1:36');
+    assert.strictEqual(ExercisePlayer.formatDuration(5), '0:05');
+});
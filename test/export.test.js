@@ -0,0 +1,81 @@
+// ============================================
+// CASE EXPORT TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+global.I18n = require('../i18n.js');
+I18n.register('es', require('../locales/es.js'));
+global.SafeRender = require('../render.js');
+const CaseExport = require('../export.js');
+
+const MESSAGES = [
+    {
+        trackingCode: 'AB12CD34EF',
+        timestamp: '2025-03-03T10:00:00.000Z',
+        category: 'bullying',
+        urgency: 'alta',
+        status: 'resolved',
+        mood: 'mal',
+        crisisLevel: 'none',
+        assignedTo: { counselorName: 'Ana' },
+        message: 'Me molesta Juan Pérez, escríbeme a ana@correo.com o al 0991234567',
+        notes: [
+            { id: 'n1', counselorName: 'Ana', createdAt: '2025-03-03T12:35:00.000Z', note: 'Hablar con la familia de Sofía' },
+            { id: 'n2', counselorName: null, createdAt: '2025-03-04T09:00:00.000Z', note: 'Familia contactada' }
+        ],
+        replies: [{ from: 'counselor', timestamp: '2025-03-03T12:30:00.000Z', message: 'Estamos contigo' }],
+        firstResponseAt: '2025-03-03T12:30:00.000Z',
+        resolvedAt: '2025-03-04T10:00:00.000Z'
+    }
+];
+
+test('redactText hides contact details, codes and proper names', () => {
+    const redacted = CaseExport.redactText(MESSAGES[0].message);
+    assert.strictEqual(redacted, 'Me molesta [nombre], escríbeme a [correo] o al [teléfono]');
+    assert.strictEqual(CaseExport.redactText('Mi código es AB12CD34EF. Ayuda'), 'Mi código es [código]. Ayuda');
+    assert.strictEqual(CaseExport.redactText('Hola. Estoy triste'), 'Hola. Estoy triste');
+});
+
+test('toRecords leaves out identifying fields unless requested', () => {
+    const [minimal] = CaseExport.toRecords(MESSAGES, { text: 'none', notes: 'none', trackingCodes: false });
+    assert.ok(!('codigo' in minimal));
+    assert.ok(!('mensaje' in minimal));
+    assert.ok(!('notas' in minimal));
+    assert.strictEqual(minimal.horasPrimeraRespuesta, 2.5);
+    assert.strictEqual(minimal.horasResolucion, 24);
+
+    const [full] = CaseExport.toRecords(MESSAGES, { text: 'full', notes: 'redacted', trackingCodes: true });
+    assert.strictEqual(full.codigo, 'AB12CD34EF');
+    assert.strictEqual(full.mensaje, MESSAGES[0].message);
+    assert.strictEqual(full.notas,
+        '[2025-03-03 12:35 Ana] Hablar con la familia de [nombre]\n[2025-03-04 09:00 sin autor] Familia contactada');
+    assert.deepStrictEqual(full.conversacion[0], { de: 'consejero', fecha: '2025-03-03T12:30:00.000Z', texto: 'Estamos contigo' });
+});
+
+test('toCsv quotes cells and neutralizes formulas', () => {
+    const records = CaseExport.toRecords(
+        [{ ...MESSAGES[0], message: '=HYPERLINK("x")' }],
+        { text: 'full', notes: 'none', trackingCodes: false }
+    );
+    const lines = CaseExport.toCsv(records).replace(/^\uFEFF/, '').trim().split('\r\n');
+
+    assert.ok(!lines[0].includes('Código'));
+    assert.ok(lines[1].endsWith(`"'=HYPERLINK(""x"")"`));
+});
+
+test('renderReport escapes case text', () => {
+    const records = CaseExport.toRecords(
+        [{ ...MESSAGES[0], message: '<img src=x onerror=alert(1)>' }],
+        { text: 'full', notes: 'none', trackingCodes: false }
+    );
+    const report = CaseExport.renderReport(records, {
+        exportedAt: '2025-03-05T00:00:00.000Z',
+        exportedBy: 'Ana',
+        filters: 'Todos',
+        options: { text: 'full', notes: 'none', trackingCodes: false }
+    }).toString();
+
+    assert.ok(report.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(!report.includes('<img'));
+});
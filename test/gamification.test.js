@@ -0,0 +1,38 @@
+// ============================================
+// WELLBEING BADGE TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GamificationSystem = require('../gamification.js');
+const { createStorage } = require('./helpers.js');
+
+test('mood streaks count consecutive days and survive until the next day ends', () => {
+    const days = ['2025-03-01', '2025-03-03', '2025-03-04', '2025-03-05'];
+    assert.strictEqual(GamificationSystem.moodStreak(days, new Date(2025, 2, 5, 20)), 3);
+    assert.strictEqual(GamificationSystem.moodStreak(days, new Date(2025, 2, 6, 9)), 3);
+    assert.strictEqual(GamificationSystem.moodStreak(days, new Date(2025, 2, 7, 9)), 0);
+    assert.strictEqual(GamificationSystem.moodStreak([], new Date(2025, 2, 7)), 0);
+});
+
+test('badges are awarded once and progress keeps no content', () => {
+    global.localStorage = createStorage();
+    assert.deepStrictEqual(GamificationSystem.trackMessageSent(), ['firstMessage']);
+    assert.deepStrictEqual(GamificationSystem.trackMessageSent(), []);
+
+    assert.deepStrictEqual(GamificationSystem.trackMoodRegistered(new Date(2025, 2, 3, 10)), ['firstCheckIn']);
+    assert.deepStrictEqual(GamificationSystem.trackMoodRegistered(new Date(2025, 2, 3, 18)), []);
+    GamificationSystem.trackMoodRegistered(new Date(2025, 2, 4, 10));
+    assert.deepStrictEqual(GamificationSystem.trackMoodRegistered(new Date(2025, 2, 5, 10)), ['streak3']);
+
+    for (let i = 0; i < 4; i++) GamificationSystem.trackBreathingSession();
+    assert.deepStrictEqual(GamificationSystem.trackBreathingSession(), ['calmBreath']);
+
+    const saved = GamificationSystem.load();
+    assert.deepStrictEqual(Object.keys(saved).sort(), ['badges', 'breathingSessions', 'moodDays']);
+    assert.deepStrictEqual(saved.moodDays, ['2025-03-03', '2025-03-04', '2025-03-05']);
+    assert.strictEqual(saved.badges.firstMessage, true);
+
+    GamificationSystem.reset();
+    assert.deepStrictEqual(GamificationSystem.load(), GamificationSystem.emptyProgress());
+});
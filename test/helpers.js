@@ -0,0 +1,91 @@
+// ============================================
+// SHARED TEST HELPERS
+// ============================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { emptyData, openDatabase } = require('../server/db.js');
+const { ensureFirstAdmin } = require('../server/auth.js');
+const { createServer } = require('../server/index.js');
+
+// Password of the administrator created when a test server starts
+const ADMIN_PASSWORD = 'contraseña-de-prueba';
+
+/**
+ * In-memory stand-in for the JSON database, starting from the contents of
+ * a fresh one
+ * @param {Object} [data] - Contents replacing the defaults
+ * @returns {Object} Database with `data`, `save()` and a `saves` counter
+ */
+function createDb(data = {}) {
+    return {
+        saves: 0,
+        data: { ...emptyData(), ...data },
+        save() { this.saves += 1; }
+    };
+}
+
+/**
+ * Minimal localStorage for the browser modules
+ * @returns {Object} Storage
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * Start the real server on a free port, with its database in a temporary
+ * directory, for the length of a test
+ * @param {Object} t - Test context
+ * @returns {Promise<Object>} { base, db } with the base URL and the database
+ */
+async function startServer(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voces-'));
+    process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+    const db = openDatabase(path.join(dir, 'db.json'));
+    await ensureFirstAdmin(db);
+    const server = createServer(db);
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { base: `http://127.0.0.1:${server.address().port}`, db };
+}
+
+/**
+ * Call the API of a test server
+ * @param {string} base - Base URL
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /api
+ * @param {Object} [options] - { token, pin, body }
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(base, method, path, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+    if (options.pin) headers['X-Tracking-Pin'] = options.pin;
+
+    const res = await fetch(`${base}/api${path}`, {
+        method,
+        headers,
+        body: options.body === undefined ? undefined : JSON.stringify(options.body)
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+module.exports = {
+    ADMIN_PASSWORD,
+    createDb,
+    createStorage,
+    startServer,
+    request
+};
@@ -0,0 +1,86 @@
+// ============================================
+// I18N TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const I18n = require('../i18n.js');
+const LOCALE_ES = require('../locales/es.js');
+const LOCALE_EN = require('../locales/en.js');
+const LOCALE_QU = require('../locales/qu.js');
+
+I18n.register('es', LOCALE_ES);
+I18n.register('en', LOCALE_EN);
+I18n.register('qu', LOCALE_QU);
+
+test.afterEach(() => I18n.setLocale('es', { save: false }));
+
+test('t fills placeholders and picks plural forms', () => {
+    I18n.setLocale('en', { save: false });
+    assert.strictEqual(I18n.t('savedCodes.unread', { count: 1 }), '1 new reply');
+    assert.strictEqual(I18n.t('savedCodes.unread', { count: 3 }), '3 new replies');
+    assert.strictEqual(I18n.t('lexicon.version', { version: 4 }), 'Version 4');
+});
+
+test('missing keys fall back to Spanish, then to the key itself', () => {
+    I18n.setLocale('qu', { save: false });
+    assert.strictEqual(I18n.t('nav.write'), 'Killkana');
+    assert.strictEqual(I18n.t('dashboard.title'), LOCALE_ES['dashboard.title']);
+    assert.strictEqual(I18n.t('no.such.key'), 'no.such.key');
+});
+
+test('unknown locales fall back to Spanish', () => {
+    I18n.setLocale('fr', { save: false });
+    assert.strictEqual(I18n.locale, 'es');
+});
+
+test('labels follow the current locale', () => {
+    const labels = I18n.labels('urgency', ['baja', 'urgente']);
+    assert.strictEqual(labels.urgente, 'Urgente');
+    I18n.setLocale('en', { save: false });
+    assert.strictEqual(labels.urgente, 'Urgent');
+    assert.deepStrictEqual(Object.keys(labels), ['baja', 'urgente']);
+});
+
+test('formatRelative counts back and switches to the date after a week', () => {
+    const now = new Date(2025, 2, 10, 12, 0);
+    I18n.setLocale('en', { save: false });
+    assert.strictEqual(I18n.formatRelative(new Date(2025, 2, 10, 11, 59, 30), now), 'Just now');
+    assert.strictEqual(I18n.formatRelative(new Date(2025, 2, 10, 11, 55), now), '5 minutes ago');
+    assert.strictEqual(I18n.formatRelative(new Date(2025, 2, 10, 11, 0), now), '1 hour ago');
+
+    I18n.setLocale('es', { save: false });
+    assert.strictEqual(I18n.formatRelative(new Date(2025, 2, 8, 12, 0), now), 'Hace 2 días');
+    assert.strictEqual(I18n.formatRelative(new Date(2025, 1, 1), now), I18n.formatDate(new Date(2025, 1, 1)));
+});
+
+test('the English catalog translates every Spanish key with the same placeholders', () => {
+    const placeholders = text => JSON.stringify(text).match(/\{\w+\}/g)?.sort().join() || '';
+    Object.keys(LOCALE_ES).forEach(key => {
+        assert.ok(key in LOCALE_EN, key);
+        assert.strictEqual(placeholders(LOCALE_EN[key]), placeholders(LOCALE_ES[key]), key);
+    });
+    Object.keys(LOCALE_QU).forEach(key => assert.ok(key in LOCALE_ES, key));
+});
+
+test('every key named in index.html is in the Spanish catalog', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const keys = [...html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)].map(match => match[1]);
+    assert.ok(keys.length > 0);
+    keys.forEach(key => assert.ok(key in LOCALE_ES, key));
+});
+
+test('every error code the server sends has a message in the Spanish catalog', () => {
+    const serverDir = path.join(__dirname, '..', 'server');
+    const pattern = /HttpError\(\d{3}, '(\w+)'|code: '(\w+)'|invalid\('(\w+)'|require(?:OneOf|Subset)\([^,]+, \w+, '(\w+)'/g;
+    const codes = fs.readdirSync(serverDir).flatMap(file => (
+        [...fs.readFileSync(path.join(serverDir, file), 'utf8').matchAll(pattern)].map(match => match.slice(1).find(Boolean))
+    ));
+    assert.ok(codes.length > 50);
+    codes.forEach(code => assert.ok(`errors.${code}` in LOCALE_ES, code));
+
+    I18n.setLocale('en', { save: false });
+    assert.strictEqual(I18n.t('errors.tooManyAttempts', { retryAfter: 90, minutes: 2 }), 'Too many failed attempts. Try again in 2 min.');
+});
@@ -0,0 +1,67 @@
+// ============================================
+// LIVE UPDATE TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const LiveUpdates = require('../live-updates.js');
+const { createEventHub } = require('../server/events.js');
+
+const MESSAGE = { id: 'm1', urgency: 'urgente', crisisLevel: 'high', replies: [{}, {}] };
+
+/**
+ * Fake streaming response that records what is written
+ * @returns {Object} Response
+ */
+function createResponse() {
+    return {
+        chunks: [],
+        writableEnded: false,
+        destroyed: false,
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        end() {
+            this.writableEnded = true;
+        }
+    };
+}
+
+test('parseEvents returns complete events and keeps the incomplete rest', () => {
+    const { events, rest } = LiveUpdates.parseEvents(
+        'retry: 5000\n: conectado\n\nevent: message\ndata: {"change":"created"}\n\r\nevent: message\ndata: {"cha'
+    );
+    assert.deepStrictEqual(events, [{ type: 'message', data: '{"change":"created"}' }]);
+    assert.strictEqual(rest, 'event: message\ndata: {"cha');
+});
+
+test('describeRequest recognizes the API calls that change cases', () => {
+    assert.deepStrictEqual(LiveUpdates.describeRequest('POST', '/messages', { message: MESSAGE }), {
+        change: 'created', messageId: 'm1', urgency: 'urgente', crisisLevel: 'high', replies: 2
+    });
+    assert.strictEqual(LiveUpdates.describeRequest('POST', '/track/abc/replies', { message: MESSAGE }).change, 'student_reply');
+    assert.strictEqual(LiveUpdates.describeRequest('PATCH', '/messages/m1', { message: MESSAGE }).change, 'updated');
+    assert.deepStrictEqual(LiveUpdates.describeRequest('POST', '/backup/restore', {}), { change: 'bulk' });
+    assert.strictEqual(LiveUpdates.describeRequest('GET', '/messages', { messages: [] }), null);
+    assert.strictEqual(LiveUpdates.describeRequest('POST', '/auth/login', {}), null);
+});
+
+test('the event hub streams changes and drops closed connections', () => {
+    const hub = createEventHub();
+    const req = new EventEmitter();
+    const res = createResponse();
+    hub.connect(req, res, () => true);
+    assert.strictEqual(res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+
+    hub.announce('created', MESSAGE);
+    const { events } = LiveUpdates.parseEvents(res.chunks.join(''));
+    assert.deepStrictEqual(JSON.parse(events[0].data), LiveUpdates.toChange('created', MESSAGE));
+
+    req.emit('close');
+    assert.strictEqual(hub.size, 0);
+});
@@ -0,0 +1,99 @@
+// ============================================
+// MESSAGE STATUS, ESCALATION AND RISK TRAJECTORY TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Messages = require('../server/messages.js');
+const Lexicon = require('../server/lexicon.js');
+const { createDb } = require('./helpers.js');
+
+const BOX = { iv: 'aXY=', ct: 'bWVuc2FqZQ==' };
+const LOOKUP_ID = 'a'.repeat(64);
+
+/**
+ * Build a database holding one student message
+ * @param {Object} [input] - Message input overrides
+ * @returns {Promise<Object>} { db, message }
+ */
+async function createCase(input = {}) {
+    const db = createDb();
+    Lexicon.ensureLexicon(db);
+    const message = await Messages.createMessage(db, {
+        lookupId: LOOKUP_ID,
+        encryption: { version: 1, codeSalt: 'c2FsdA==', studentKey: 'a2V5', counselorKey: 'a2V5' },
+        trackingCode: BOX,
+        category: 'ansiedad',
+        urgency: 'baja',
+        mood: 'mal',
+        message: BOX,
+        ...input
+    });
+    return { db, message };
+}
+
+/**
+ * Send a student reply analyzed at a crisis level
+ * @param {Object} db - Database
+ * @param {string} level - Crisis level
+ * @param {Array<string>} [keywords] - Detected keywords
+ * @returns {Object} Stored message
+ */
+function reply(db, level, keywords = []) {
+    return Messages.addStudentReply(db, LOOKUP_ID, { message: BOX, crisis: { level, keywords } });
+}
+
+test('every analyzed text joins the trajectory and the case takes the highest level', async () => {
+    const { db, message } = await createCase({ crisis: { level: 'moderate', keywords: ['no puedo más'] } });
+    assert.strictEqual(message.crisisLevel, 'moderate');
+    assert.strictEqual(message.urgency, 'media');
+    assert.deepStrictEqual(message.crisisTrigger, { source: 'message', replyIndex: null, timestamp: message.timestamp });
+
+    reply(db, 'critical', ['matarme']);
+    reply(db, 'none');
+
+    assert.deepStrictEqual(message.riskTrajectory.map(e => [e.source, e.replyIndex, e.level]), [
+        ['message', null, 'moderate'],
+        ['reply', 0, 'critical'],
+        ['reply', 1, 'none']
+    ]);
+    assert.strictEqual(message.crisisLevel, 'critical');
+    assert.deepStrictEqual(message.crisisKeywords, ['matarme']);
+    assert.strictEqual(message.crisisTrigger.replyIndex, 0);
+    assert.strictEqual(message.urgency, 'urgente');
+});
+
+test('escalation never lowers the urgency the case already has', async () => {
+    const { db, message } = await createCase({ urgency: 'urgente' });
+    reply(db, 'high', ['morir']);
+    assert.strictEqual(message.crisisLevel, 'high');
+    assert.strictEqual(message.urgency, 'urgente');
+
+    const other = await createCase({ urgency: 'media' });
+    reply(other.db, 'high', ['morir']);
+    assert.strictEqual(other.message.urgency, 'alta');
+});
+
+test('students do not see the risk assessment of their case', async () => {
+    const { db } = await createCase({ crisis: { level: 'high', keywords: ['morir'] } });
+    const view = Messages.toStudentView(reply(db, 'moderate', ['horrible']));
+
+    for (const field of ['crisisLevel', 'crisisKeywords', 'crisisDetected', 'lexiconVersion', 'riskTrajectory', 'crisisTrigger']) {
+        assert.ok(!(field in view), field);
+    }
+    assert.ok(view.replies.every(r => !('crisis' in r)));
+    assert.ok(!('counselorKey' in view.encryption));
+});
+
+test('a student reply reopens a resolved case', async () => {
+    const { db, message } = await createCase();
+    Messages.updateStatus(db, message.id, 'resolved');
+    assert.ok(message.resolvedAt);
+
+    reply(db, 'none');
+    assert.strictEqual(message.status, 'responded');
+    assert.strictEqual(message.resolvedAt, null);
+
+    Messages.updateStatus(db, message.id, 'resolved');
+    assert.ok(message.resolvedAt);
+});
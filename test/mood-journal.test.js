@@ -0,0 +1,96 @@
+// ============================================
+// MOOD JOURNAL TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+global.I18n = require('../i18n.js');
+I18n.register('es', require('../locales/es.js'));
+global.GamificationSystem = require('../gamification.js');
+const MoodJournal = require('../mood-journal.js');
+const Messages = require('../server/messages.js');
+
+const BOX = { iv: 'aXY=', ct: 'ZGlhcmlv' };
+
+/**
+ * Build a journal with one check-in per listed day of March 2025
+ * @param {Object} moods - { day of month: mood }
+ * @returns {Array} Entries
+ */
+function journal(moods) {
+    return Object.entries(moods).reduce((entries, [day, mood]) => (
+        MoodJournal.addEntry(entries, { mood }, new Date(2025, 2, Number(day), 20))
+    ), []);
+}
+
+test('a day keeps one check-in and notes are trimmed to the limit', () => {
+    let entries = MoodJournal.addEntry([], { mood: 'mal', note: '  día largo  ' }, new Date(2025, 2, 3, 9));
+    entries = MoodJournal.addEntry(entries, { mood: 'bien' }, new Date(2025, 2, 3, 21));
+    entries = MoodJournal.addEntry(entries, { mood: 'neutral', note: 'x'.repeat(400) }, new Date(2025, 2, 2, 9));
+
+    assert.deepStrictEqual(entries.map(e => [e.day, e.mood]), [['2025-03-02', 'neutral'], ['2025-03-03', 'bien']]);
+    assert.strictEqual(entries[0].note.length, MoodJournal.NOTE_MAX_LENGTH);
+    assert.strictEqual(MoodJournal.addEntry([], { mood: 'mal', note: '  día largo  ' }, new Date(2025, 2, 3)).pop().note, 'día largo');
+    assert.throws(() => MoodJournal.addEntry([], { mood: 'feliz' }), /Elige cómo te sientes/);
+});
+
+test('merging journals keeps the later check-in of each day', () => {
+    const device = journal({ 3: 'mal', 4: 'bien' });
+    const code = [{ ...device[0], mood: 'ansioso', at: '2025-03-01T00:00:00.000Z' }, ...journal({ 5: 'neutral' })];
+    assert.deepStrictEqual(MoodJournal.mergeEntries(code, device).map(e => e.mood), ['mal', 'bien', 'neutral']);
+});
+
+test('the calendar shows whole weeks from Monday up to the current one', () => {
+    const weeks = MoodJournal.calendarWeeks(journal({ 5: 'bien' }), new Date(2025, 2, 5, 12), 2);
+    assert.strictEqual(weeks.length, 2);
+    assert.deepStrictEqual(weeks.map(w => [w[0].day, w[6].day]), [['2025-02-24', '2025-03-02'], ['2025-03-03', '2025-03-09']]);
+    assert.strictEqual(weeks[1][2].entry.mood, 'bien');
+    assert.deepStrictEqual(weeks[1].map(cell => cell.future), [false, false, false, true, true, true, true]);
+});
+
+test('the trend compares this week with the one before', () => {
+    const now = new Date(2025, 2, 14, 12);
+    assert.strictEqual(MoodJournal.trend(journal({ 2: 'mal', 4: 'muy-mal', 9: 'bien', 12: 'muy-bien' }), now), 'better');
+    assert.strictEqual(MoodJournal.trend(journal({ 2: 'bien', 4: 'bien', 9: 'ansioso', 12: 'mal' }), now), 'worse');
+    assert.strictEqual(MoodJournal.trend(journal({ 2: 'bien', 4: 'neutral', 9: 'bien', 12: 'neutral' }), now), 'steady');
+    assert.strictEqual(MoodJournal.trend(journal({ 9: 'bien', 12: 'neutral' }), now), null);
+});
+
+test('the shared summary counts moods and leaves notes out', () => {
+    const entries = MoodJournal.addEntry(journal({ 10: 'mal', 12: 'mal' }), { mood: 'bien', note: 'secreto' }, new Date(2025, 2, 13));
+    const summary = MoodJournal.summarize(entries, new Date(2025, 2, 14, 12));
+    assert.strictEqual(summary.count, 3);
+    assert.deepStrictEqual(summary.moods, { mal: 2, bien: 1 });
+
+    const text = MoodJournal.summaryText(summary);
+    assert.match(text, /Registré cómo me sentía 3 días\./);
+    assert.match(text, /Mal: 2, 🙂 Bien: 1/);
+    assert.doesNotMatch(text, /secreto/);
+});
+
+test('the server keeps an encrypted journal that counselors do not receive', () => {
+    const db = {
+        data: {
+            messages: [{
+                id: 'm1', lookupId: 'a'.repeat(64), encryption: { codeSalt: 'cw==', studentKey: 'aw==', counselorKey: 'aw==' },
+                replies: [], notes: []
+            }]
+        },
+        save() {}
+    };
+    const saved = Messages.saveJournal(db, 'a'.repeat(64), { salt: 'c2Fs', entries: BOX });
+    assert.deepStrictEqual(saved.entries, BOX);
+    assert.ok(Messages.toStudentView(db.data.messages[0]).journal);
+    assert.ok(!('journal' in Messages.toCounselorView(db.data.messages[0])));
+    assert.throws(() => Messages.saveJournal(db, 'a'.repeat(64), { salt: 'c2Fs', entries: 'texto' }), /vacío/);
+
+    // Rotating the code must bring the journal re-encrypted for the new code
+    const rotation = { lookupId: 'b'.repeat(64), encryption: { codeSalt: 'cw==', studentKey: 'aw==' }, trackingCode: BOX };
+    assert.throws(() => Messages.rotateTrackingCode(db, 'a'.repeat(64), rotation), /diario/);
+    assert.strictEqual(db.data.messages[0].lookupId, 'a'.repeat(64));
+    Messages.rotateTrackingCode(db, 'a'.repeat(64), { ...rotation, journal: { salt: 'bnVldm8=', entries: BOX } });
+    assert.strictEqual(db.data.messages[0].journal.salt, 'bnVldm8=');
+
+    Messages.deleteJournal(db, 'b'.repeat(64));
+    assert.ok(!('journal' in db.data.messages[0]));
+});
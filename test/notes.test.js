@@ -0,0 +1,64 @@
+// ============================================
+// INTERNAL NOTES TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Messages = require('../server/messages.js');
+const { createDb } = require('./helpers.js');
+
+const ANA = { id: 'c1', name: 'Ana' };
+const LUIS = { id: 'c2', name: 'Luis' };
+const BOX = { iv: 'aXY=', ct: 'bm90YQ==' };
+
+/**
+ * Build an in-memory database with one message
+ * @param {Object} [extra] - Message overrides
+ * @returns {Object} Database
+ */
+function createCaseDb(extra = {}) {
+    return createDb({
+        messages: [{
+            id: 'm1', timestamp: '2025-03-03T10:00:00.000Z', status: 'responded', notes: [],
+            encryption: { codeSalt: 's', studentKey: 'k', counselorKey: 'k' },
+            replies: [{ from: 'counselor', timestamp: '2025-03-03T12:00:00.000Z', message: BOX }],
+            ...extra
+        }]
+    });
+}
+
+test('legacy notes become the first, authorless entry of the list', () => {
+    const db = createCaseDb({ notes: undefined, counselorNotes: BOX });
+    Messages.migrateLegacyNotes(db);
+
+    const [message] = db.data.messages;
+    assert.ok(!('counselorNotes' in message));
+    assert.strictEqual(message.notes.length, 1);
+    assert.strictEqual(message.notes[0].counselorId, null);
+    assert.strictEqual(message.notes[0].createdAt, '2025-03-03T12:00:00.000Z');
+    assert.deepStrictEqual(message.notes[0].note, BOX);
+});
+
+test('notes keep their author and can only be edited by them within the window', () => {
+    const db = createCaseDb();
+    const { note } = Messages.addNote(db, 'm1', ANA, { note: BOX });
+    assert.strictEqual(note.counselorName, 'Ana');
+
+    assert.throws(() => Messages.editNote(db, 'm1', note.id, LUIS, { note: BOX }), { status: 403 });
+
+    const edited = { iv: 'aXY=', ct: 'ZWRpdGFkYQ==' };
+    const result = Messages.editNote(db, 'm1', note.id, ANA, { note: edited });
+    assert.deepStrictEqual(result.before, BOX);
+    assert.deepStrictEqual(result.note.note, edited);
+    assert.ok(result.note.updatedAt);
+
+    note.createdAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    assert.throws(() => Messages.editNote(db, 'm1', note.id, ANA, { note: BOX }), { status: 409 });
+});
+
+test('notes are hidden from students', () => {
+    const db = createCaseDb();
+    Messages.addNote(db, 'm1', ANA, { note: BOX });
+    assert.ok(!('notes' in Messages.toStudentView(db.data.messages[0])));
+    assert.ok(Messages.toCounselorView(db.data.messages[0]).notes[0].editableUntil);
+});
@@ -0,0 +1,92 @@
+// ============================================
+// FAILED-ATTEMPT LIMITER TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAttemptLimiter } = require('../server/rate-limit.js');
+const { startServer } = require('./helpers.js');
+
+const SECOND = 1000;
+const HOUR = 60 * 60 * SECOND;
+const BOX = { iv: 'aXY=', ct: 'bWVuc2FqZQ==' };
+
+test('a key is locked after its free attempts, with a doubling delay up to the cap', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const limiter = createAttemptLimiter({ freeAttempts: 3, baseDelayMs: 10 * SECOND, maxDelayMs: 40 * SECOND });
+
+    limiter.fail('k');
+    limiter.fail('k');
+    limiter.check('k');
+    limiter.fail('k');
+    assert.throws(() => limiter.check('k'), { status: 429, code: 'tooManyAttempts', details: { retryAfter: 10, minutes: 1 } });
+    limiter.check('other');
+
+    for (const retryAfter of [20, 40, 40]) {
+        t.mock.timers.tick(60 * SECOND);
+        limiter.check('k');
+        limiter.fail('k');
+        assert.throws(() => limiter.check('k'), { details: { retryAfter, minutes: 1 } });
+    }
+
+    limiter.succeed('k');
+    limiter.check('k');
+});
+
+test('a key at the longest lockout is not forgotten when the lock expires', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const limiter = createAttemptLimiter({ freeAttempts: 1, baseDelayMs: HOUR, maxDelayMs: HOUR });
+
+    limiter.fail('k');
+    t.mock.timers.tick(HOUR + SECOND);
+    limiter.check('k');
+    limiter.fail('other');
+    limiter.fail('k');
+    assert.throws(() => limiter.check('k'), { details: { retryAfter: 3600, minutes: 60 } });
+
+    t.mock.timers.tick(25 * HOUR);
+    limiter.fail('other');
+    limiter.check('k');
+});
+
+test('wrong PINs lock only their conversation, and a few unknown codes are not held against the address', async (t) => {
+    const { base } = await startServer(t);
+    const create = async (lookupId, pin) => {
+        const res = await fetch(`${base}/api/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                lookupId, pin, category: 'otro', urgency: 'baja', mood: 'bien', message: BOX, trackingCode: BOX,
+                encryption: { version: 1, codeSalt: 'c2FsdA==', studentKey: 'a2V5', counselorKey: 'a2V5' }
+            })
+        });
+        assert.strictEqual(res.status, 201);
+    };
+    const track = (lookupId, pin) => fetch(`${base}/api/track/${lookupId}`, { headers: pin ? { 'X-Tracking-Pin': pin } : {} })
+        .then(res => res.status);
+
+    const locked = 'a'.repeat(64);
+    const other = 'b'.repeat(64);
+    await create(locked, '1234');
+    await create(other, '5678');
+
+    for (let i = 0; i < 10; i++) {
+        assert.strictEqual(await track('c'.repeat(64)), 404);
+    }
+    assert.strictEqual(await track(locked), 401);
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual(await track(locked, '0000'), 403);
+    }
+    assert.strictEqual(await track(locked, '1234'), 429);
+    assert.strictEqual(await track(other, '5678'), 200);
+});
+
+test('an address trying many unknown codes is slowed down', async (t) => {
+    const { base } = await startServer(t);
+    const track = lookupId => fetch(`${base}/api/track/${lookupId}`).then(res => res.status);
+
+    for (let i = 0; i < 50; i++) {
+        assert.strictEqual(await track(i.toString(16).padStart(64, '0')), 404);
+    }
+    assert.strictEqual(await track('f'.repeat(64)), 429);
+});
@@ -0,0 +1,119 @@
+// ============================================
+// SAFE RENDERING - HOSTILE PAYLOAD REGRESSION TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SafeRender = require('../render.js');
+
+// Payloads a student (or anyone who can reach the API) could submit
+const HOSTILE_PAYLOADS = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<svg/onload=alert(1)>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '"><script>alert(1)</script>',
+    "'><img src=x onerror=alert(1)>",
+    '`><img src=x onerror=alert(1)>',
+    '<a href="javascript:alert(1)">clic</a>',
+    '<div style="background:url(javascript:alert(1))">',
+    '<body onload=alert(1)>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<!--<img src="--><img src=x onerror=alert(1)//">',
+    '&lt;script&gt;alert(1)&lt;/script&gt;',
+    '<scr<script>ipt>alert(1)</scr</script>ipt>',
+    '<details open ontoggle=alert(1)>',
+    '<form><button formaction=javascript:alert(1)>x</button></form>',
+    'javascript:alert(1)',
+    'https://example.com/"><script>alert(1)</script>',
+    'https://example.com/<img src=x onerror=alert(1)>',
+    "https://example.com/' onmouseover='alert(1)",
+    'https://example.com/`onmouseover=alert(1)`'
+];
+
+/**
+ * Assert that markup contains no element or attribute a payload could inject
+ * @param {string} markup - Rendered markup
+ */
+function assertInert(markup) {
+    const withoutLinks = markup
+        .replace(/<a href="[^"<>]*" target="_blank" rel="noopener noreferrer nofollow">/g, '')
+        .replace(/<\/a>/g, '')
+        .replace(/<br>/g, '');
+    assert.ok(!/[<>]/.test(withoutLinks), `unexpected markup in: ${markup}`);
+    assert.ok(!/href="javascript:/i.test(markup), `script link in: ${markup}`);
+}
+
+test('escape neutralizes every markup-significant character', () => {
+    assert.strictEqual(SafeRender.escape(`<>&"'\``), '&lt;&gt;&amp;&quot;&#39;&#96;');
+    assert.strictEqual(SafeRender.escape(null), '');
+    assert.strictEqual(SafeRender.escape(undefined), '');
+    assert.strictEqual(SafeRender.escape(42), '42');
+});
+
+test('html escapes hostile payloads in element content and attributes', () => {
+    for (const payload of HOSTILE_PAYLOADS) {
+        const rendered = SafeRender.html`<div class="card" data-id="${payload}"><p>${payload}</p></div>`.toString();
+        const inner = rendered
+            .replace(/^<div class="card" data-id="/, '')
+            .replace(/"><p>/, '')
+            .replace(/<\/p><\/div>$/, '');
+        assert.ok(!/[<>"]/.test(inner), `payload escaped incorrectly: ${payload}`);
+    }
+});
+
+test('text renders hostile payloads as inert text', () => {
+    for (const payload of HOSTILE_PAYLOADS) {
+        assertInert(SafeRender.text(payload).toString());
+        assertInert(SafeRender.text(`línea 1\n${payload}\nlínea 3`).toString());
+    }
+});
+
+test('text keeps line breaks', () => {
+    assert.strictEqual(SafeRender.text('uno\ndos\r\ntres').toString(), 'uno<br>dos<br>tres');
+});
+
+test('text links http(s) URLs and leaves trailing punctuation outside', () => {
+    assert.strictEqual(
+        SafeRender.text('Mira https://example.com/ayuda.').toString(),
+        'Mira <a href="https://example.com/ayuda" target="_blank" rel="noopener noreferrer nofollow">https://example.com/ayuda</a>.'
+    );
+});
+
+test('text escapes query strings inside links', () => {
+    const markup = SafeRender.text('https://example.com/?a=1&b=2').toString();
+    assert.ok(markup.includes('href="https://example.com/?a=1&amp;b=2"'));
+});
+
+test('text does not link other schemes', () => {
+    for (const url of ['javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)']) {
+        assert.ok(!SafeRender.text(url).toString().includes('<a '), `linked: ${url}`);
+    }
+});
+
+test('nested templates and arrays are not escaped twice', () => {
+    const items = ['<b>', 'x'].map(item => SafeRender.html`<li>${item}</li>`);
+    assert.strictEqual(
+        SafeRender.html`<ul>${items}</ul>`.toString(),
+        '<ul><li>&lt;b&gt;</li><li>x</li></ul>'
+    );
+});
+
+test('plain strings never pass through as markup', () => {
+    const payload = '<img src=x onerror=alert(1)>';
+    assert.strictEqual(SafeRender.html`${payload}`.toString(), '&lt;img src=x onerror=alert(1)&gt;');
+    assert.strictEqual(SafeRender.html`${false}${null}${undefined}`.toString(), '');
+});
+
+test('truncate shortens before escaping', () => {
+    const text = SafeRender.truncate('<script>alert(1)</script>', 8);
+    assert.strictEqual(text, '<script>...');
+    assert.strictEqual(SafeRender.html`${text}`.toString(), '&lt;script&gt;...');
+});
+
+test('setHtml rejects unescaped strings', () => {
+    const element = { innerHTML: '' };
+    assert.throws(() => SafeRender.setHtml(element, '<img src=x onerror=alert(1)>'), TypeError);
+    SafeRender.setHtml(element, SafeRender.html`<p>${'<b>'}</p>`);
+    assert.strictEqual(element.innerHTML, '<p>&lt;b&gt;</p>');
+});
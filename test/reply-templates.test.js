@@ -0,0 +1,80 @@
+// ============================================
+// REPLY TEMPLATE TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+global.I18n = require('../i18n.js');
+I18n.register('es', require('../locales/es.js'));
+I18n.register('en', require('../locales/en.js'));
+const ReplyTemplates = require('../reply-templates.js');
+const Templates = require('../server/templates.js');
+const { createDb } = require('./helpers.js');
+
+const TEMPLATES = [
+    { id: 'welcome', title: 'Bienvenida', body: 'Hola', categories: [], crisisLevels: ['none', 'moderate'] },
+    { id: 'office', title: 'Oficina', body: 'Ven', categories: [], crisisLevels: [] },
+    { id: 'crisis', title: 'Crisis', body: 'Llama', categories: [], crisisLevels: ['high', 'critical'] },
+    { id: 'bullying', title: 'Acoso', body: 'No es tu culpa', categories: ['bullying'], crisisLevels: [] }
+];
+
+test('fill replaces known placeholders and keeps unknown ones', () => {
+    const context = ReplyTemplates.createContext(
+        { category: 'bullying', timestamp: '2025-03-03T10:00:00.000Z' },
+        { name: 'Ana' }
+    );
+    assert.strictEqual(
+        ReplyTemplates.fill('Sobre {categoria}. {consejero} {otro}', context),
+        'Sobre el acoso que estás viviendo. Ana {otro}'
+    );
+});
+
+test('dates and placeholder descriptions follow the interface language', (t) => {
+    t.after(() => I18n.setLocale('es', { save: false }));
+    const date = new Date(2025, 2, 3, 10);
+    I18n.setLocale('es', { save: false });
+    assert.strictEqual(ReplyTemplates.formatDay(date), 'lunes, 3 de marzo');
+    assert.strictEqual(ReplyTemplates.describePlaceholder('consejero'), 'Tu nombre');
+
+    I18n.setLocale('en', { save: false });
+    assert.strictEqual(ReplyTemplates.formatDay(date), 'Monday, March 3');
+    assert.strictEqual(ReplyTemplates.describePlaceholder('consejero'), 'Your name');
+    assert.ok(ReplyTemplates.PLACEHOLDERS.every(name => I18n.has(`templates.placeholder.${name}`)));
+});
+
+test('suggest ranks crisis templates first and keeps the rest available', () => {
+    const { suggested, general, others } = ReplyTemplates.suggest(TEMPLATES, { category: 'bullying', crisisLevel: 'critical' });
+    assert.deepStrictEqual(suggested.map(t => t.id), ['crisis', 'bullying']);
+    assert.deepStrictEqual(general.map(t => t.id), ['office']);
+    assert.deepStrictEqual(others.map(t => t.id), ['welcome']);
+
+    const calm = ReplyTemplates.suggest(TEMPLATES, { category: 'academico' });
+    assert.deepStrictEqual(calm.suggested.map(t => t.id), ['welcome']);
+    assert.deepStrictEqual(calm.others.map(t => t.id), ['bullying', 'crisis']);
+});
+
+test('starter templates are seeded once and edits are validated', () => {
+    const db = createDb();
+    Templates.ensureTemplates(db);
+    const seeded = db.data.replyTemplates.length;
+    assert.ok(seeded > 0);
+
+    db.data.replyTemplates = [];
+    Templates.ensureTemplates(db);
+    assert.strictEqual(db.data.replyTemplates.length, 0);
+
+    const counselor = { id: 'c1', name: 'Ana' };
+    const template = Templates.createTemplate(db, counselor, { title: ' Cierre ', body: 'Gracias', categories: ['familiar'] });
+    assert.strictEqual(template.title, 'Cierre');
+    assert.deepStrictEqual(template.crisisLevels, []);
+
+    assert.throws(() => Templates.createTemplate(db, counselor, { title: 'X', body: 'Y', categories: ['nope'] }), { status: 400 });
+    assert.throws(() => Templates.updateTemplate(db, template.id, counselor, { title: '', body: 'Y' }), { status: 400 });
+
+    const { before } = Templates.updateTemplate(db, template.id, { id: 'c2', name: 'Luis' }, { title: 'Cierre', body: 'Hasta pronto' });
+    assert.strictEqual(before.body, 'Gracias');
+    assert.strictEqual(db.data.replyTemplates[0].updatedByName, 'Luis');
+
+    Templates.deleteTemplate(db, template.id);
+    assert.throws(() => Templates.deleteTemplate(db, template.id), { status: 404 });
+});
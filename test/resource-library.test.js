@@ -0,0 +1,91 @@
+// ============================================
+// RESOURCE LIBRARY TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+global.SafeRender = require('../render.js');
+const ResourceLibrary = require('../resource-library.js');
+const Resources = require('../server/resources.js');
+const { createDb } = require('./helpers.js');
+
+const ARTICLES = [
+    { id: 'calma', title: 'Técnicas de relajación', category: 'ansiedad', summary: '', body: 'Respira despacio.' },
+    { id: 'examenes', title: 'Estrés por los exámenes', category: 'academico', summary: 'Organízate', body: 'Duerme bien y **relájate**.' },
+    { id: 'ansiedad', title: 'Manejo de la ansiedad', category: 'ansiedad', summary: 'Qué hacer', body: '- Nombra lo que sientes' }
+];
+
+test('Markdown blocks render with their text escaped', () => {
+    const markdown = '## Qué hacer\n\n1. **Respira**\n2. Nombra\n   lo que sientes\n\n- <b>uno</b>\n\n> Llama al 911\n\nTexto con [ayuda](https://example.org) y\n[nada](javascript:void).';
+    assert.deepStrictEqual(ResourceLibrary.parseMarkdown(markdown).map(block => block.type),
+        ['heading', 'list', 'list', 'quote', 'paragraph']);
+    assert.strictEqual(
+        ResourceLibrary.renderMarkdown(markdown).toString(),
+        '<h4>Qué hacer</h4><ol><li><strong>Respira</strong></li><li>Nombra lo que sientes</li></ol>' +
+        '<ul><li>&lt;b&gt;uno&lt;/b&gt;</li></ul><blockquote>Llama al 911</blockquote>' +
+        '<p>Texto con <a href="https://example.org" target="_blank" rel="noopener noreferrer nofollow">ayuda</a> y nada.</p>'
+    );
+    assert.strictEqual(ResourceLibrary.plainText('# Hola\n\n*Respira* [aquí](https://a.b)'), 'Hola Respira aquí');
+});
+
+test('search ignores accents, needs every word and ranks title matches first', () => {
+    const ids = (query, category) => ResourceLibrary.search(ARTICLES, query, category).map(r => r.id);
+    assert.deepStrictEqual(ids(''), ['calma', 'examenes', 'ansiedad']);
+    assert.deepStrictEqual(ids('RELAJ'), ['calma', 'examenes']);
+    assert.deepStrictEqual(ids('duerme relájate'), ['examenes']);
+    assert.deepStrictEqual(ids('', 'ansiedad'), ['calma', 'ansiedad']);
+    assert.deepStrictEqual(ids('organizate', 'ansiedad'), []);
+    assert.strictEqual(ResourceLibrary.describe(ARTICLES[0]), 'Respira despacio.');
+});
+
+test('article files are imported once, and invalid ones are skipped', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recursos-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'error', () => {});
+    fs.writeFileSync(path.join(dir, 'calma.md'),
+        '---\ntitle: "Calma"\ncategory: ansiedad\nsummary: Respira\n---\n## Paso 1\nInhala.\n');
+    fs.writeFileSync(path.join(dir, 'borrador.json'),
+        JSON.stringify({ title: 'Borrador', category: 'familiar', body: 'Pronto', published: false }));
+    fs.writeFileSync(path.join(dir, 'roto.md'), '---\ntitle: Roto\ncategory: nope\n---\nTexto');
+    fs.writeFileSync(path.join(dir, 'notas.txt'), 'ignorado');
+
+    const db = createDb();
+    assert.deepStrictEqual(Resources.importResourceFiles(db, dir).map(r => r.id), ['borrador', 'calma']);
+    const calma = db.data.resources.find(r => r.id === 'calma');
+    assert.strictEqual(calma.body, '## Paso 1\nInhala.');
+    assert.strictEqual(calma.summary, 'Respira');
+    assert.ok(calma.publishedAt);
+    assert.deepStrictEqual(Resources.listResources(db).map(r => r.id), ['calma']);
+
+    const counselor = { id: 'c1', name: 'Ana' };
+    Resources.updateResource(db, 'calma', counselor, { ...calma, body: 'Editado' });
+    assert.deepStrictEqual(Resources.importResourceFiles(db, dir), []);
+    assert.strictEqual(db.data.resources.find(r => r.id === 'calma').body, 'Editado');
+});
+
+test('counselors add, edit and publish articles; students see only published ones', () => {
+    const db = createDb();
+    Resources.importResourceFiles(db, path.join(os.tmpdir(), 'no-existe'));
+    const counselor = { id: 'c1', name: 'Ana' };
+
+    const draft = Resources.createResource(db, counselor, {
+        title: ' Dormir  mejor ', category: 'otro', body: 'Apaga el celular.', published: false
+    });
+    assert.strictEqual(draft.title, 'Dormir mejor');
+    assert.strictEqual(draft.publishedAt, null);
+    assert.deepStrictEqual(Resources.listResources(db), []);
+    assert.throws(() => Resources.createResource(db, counselor, { title: 'X', category: 'nope', body: 'Y' }), { status: 400 });
+    assert.throws(() => Resources.updateResource(db, draft.id, counselor, { title: 'X', category: 'otro', body: '' }), { status: 400 });
+
+    const { resource, before } = Resources.setResourcePublished(db, draft.id, { id: 'c2', name: 'Luis' }, true);
+    assert.strictEqual(before.published, false);
+    assert.strictEqual(resource.updatedByName, 'Luis');
+    assert.ok(resource.publishedAt);
+
+    const [shown] = Resources.listResources(db).map(Resources.toPublicResource);
+    assert.deepStrictEqual(Object.keys(shown).sort(), ['body', 'category', 'id', 'publishedAt', 'summary', 'title', 'updatedAt']);
+    assert.throws(() => Resources.setResourcePublished(db, 'nope', counselor, true), { status: 404 });
+});
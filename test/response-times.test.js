@@ -0,0 +1,90 @@
+// ============================================
+// RESPONSE TIME (SLA) TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Messages = require('../server/messages.js');
+const { createDb } = require('./helpers.js');
+
+const HOUR = 60 * 60 * 1000;
+const SENT_AT = Date.parse('2025-03-03T10:00:00.000Z');
+
+/**
+ * Build a stored case sent at SENT_AT
+ * @param {Object} [extra] - Overrides
+ * @returns {Object} Message
+ */
+function storedCase(extra = {}) {
+    return {
+        id: 'm1', timestamp: new Date(SENT_AT).toISOString(), status: 'new', urgency: 'media',
+        crisisLevel: 'none', riskTrajectory: [], replies: [], assignedTo: null,
+        ...extra
+    };
+}
+
+/**
+ * Build a reply sent some hours after the case
+ * @param {string} from - 'student' or 'counselor'
+ * @param {number} hours - Hours after SENT_AT
+ * @returns {Object} Reply
+ */
+function replyAt(from, hours) {
+    return { from, timestamp: new Date(SENT_AT + hours * HOUR).toISOString(), message: {} };
+}
+
+const at = hours => new Date(SENT_AT + hours * HOUR).toISOString();
+
+test('an unanswered case is due by its urgency, or sooner for its crisis level', () => {
+    assert.strictEqual(Messages.getDueAt(storedCase()), at(24));
+    assert.strictEqual(Messages.getDueAt(storedCase({ urgency: 'baja' })), at(72));
+    assert.strictEqual(Messages.getDueAt(storedCase({ urgency: 'urgente' })), at(1));
+    assert.strictEqual(Messages.getDueAt(storedCase({ crisisLevel: 'high' })), at(2));
+    assert.strictEqual(Messages.getDueAt(storedCase({ urgency: 'baja', crisisLevel: 'critical' })), at(0.25));
+});
+
+test('a counselor reply clears the deadline until the student writes again', () => {
+    assert.strictEqual(Messages.getDueAt(storedCase({ replies: [replyAt('counselor', 3)] })), null);
+
+    const waiting = storedCase({
+        replies: [replyAt('counselor', 3), replyAt('student', 5), replyAt('student', 6)],
+        riskTrajectory: [
+            { replyIndex: null, level: 'none' },
+            { replyIndex: 1, level: 'none' },
+            { replyIndex: 2, level: 'critical' }
+        ]
+    });
+    assert.strictEqual(Messages.getDueAt(waiting), at(6.25));
+
+    waiting.riskTrajectory[2].level = 'none';
+    assert.strictEqual(Messages.getDueAt(waiting), at(29));
+});
+
+test('resolved and anonymized cases are never due', () => {
+    assert.strictEqual(Messages.getDueAt(storedCase({ status: 'resolved' })), null);
+    assert.strictEqual(Messages.getDueAt(storedCase({ anonymizedAt: at(100) })), null);
+    assert.strictEqual(Messages.isOverdue(storedCase({ status: 'resolved' }), SENT_AT + 1000 * HOUR), false);
+});
+
+test('overdue cases are flagged and can be listed on their own', () => {
+    assert.strictEqual(Messages.isOverdue(storedCase(), SENT_AT + 23 * HOUR), false);
+    assert.strictEqual(Messages.isOverdue(storedCase(), SENT_AT + 25 * HOUR), true);
+
+    const now = Date.now();
+    const db = createDb({
+        messages: [
+            storedCase({ id: 'late', timestamp: new Date(now - 30 * HOUR).toISOString() }),
+            storedCase({ id: 'recent', timestamp: new Date(now - HOUR).toISOString() }),
+            storedCase({
+                id: 'answered',
+                timestamp: new Date(now - 30 * HOUR).toISOString(),
+                replies: [{ from: 'counselor', timestamp: new Date(now - 29 * HOUR).toISOString(), message: {} }]
+            })
+        ]
+    });
+    assert.deepStrictEqual(Messages.listMessages(db, { status: 'overdue' }).map(m => m.id), ['late']);
+
+    const view = Messages.toCounselorView(db.data.messages[0]);
+    assert.ok(Date.parse(view.dueAt) < now);
+    assert.strictEqual(view.firstResponseAt, null);
+});
@@ -0,0 +1,98 @@
+// ============================================
+// DATA RETENTION TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRetention } = require('../server/retention.js');
+const { createDb } = require('./helpers.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ADMIN = { id: 'c1', name: 'Administrador' };
+
+/**
+ * Build a stored message resolved some days ago
+ * @param {string} id - Message ID
+ * @param {number} daysAgo - Days since resolution
+ * @param {Object} [extra] - Overrides
+ * @returns {Object} Message
+ */
+function resolvedMessage(id, daysAgo, extra = {}) {
+    const resolvedAt = new Date(Date.now() - daysAgo * DAY_MS).toISOString();
+    return {
+        id, lookupId: `lookup-${id}`, timestamp: new Date(Date.now() - (daysAgo + 5) * DAY_MS).toISOString(),
+        status: 'resolved', resolvedAt, category: 'bullying', urgency: 'media', mood: 'mal',
+        encryption: { codeSalt: 's', studentKey: 'k', counselorKey: 'k' }, trackingCode: { ct: 'c' }, pin: null,
+        message: { ct: 'm' }, notes: [{ id: 'n1', note: { ct: 'n' } }], crisisLevel: 'moderate', crisisKeywords: ['solo'],
+        riskTrajectory: [{ source: 'message', replyIndex: null, level: 'moderate', keywords: ['solo'] }],
+        replies: [{ from: 'counselor', message: { ct: 'r' }, timestamp: resolvedAt, counselorId: 'c1', counselorName: 'Ana' }],
+        legalHold: null,
+        ...extra
+    };
+}
+
+test('a dry run reports old cases without changing them', () => {
+    const db = createDb({ messages: [resolvedMessage('old', 200), resolvedMessage('recent', 10)] });
+    const retention = createRetention(db);
+
+    const preview = retention.preview();
+    assert.deepStrictEqual(preview.items.map(i => i.messageId), ['old']);
+    assert.deepStrictEqual(preview.counts, { anonymize: 1, delete: 0 });
+    assert.deepStrictEqual(db.data.messages[0].message, { ct: 'm' });
+    assert.strictEqual(db.data.retentionLog.length, 0);
+});
+
+test('anonymizing keeps statistics and drops everything written', () => {
+    const db = createDb({ messages: [resolvedMessage('old', 200)] });
+    const entry = createRetention(db).runNow(ADMIN);
+    const [message] = db.data.messages;
+
+    assert.strictEqual(entry.counts.anonymize, 1);
+    assert.strictEqual(entry.byName, 'Administrador');
+    assert.strictEqual(message.message, null);
+    assert.deepStrictEqual(message.notes, []);
+    assert.strictEqual(message.trackingCode, null);
+    assert.deepStrictEqual(message.encryption, {});
+    assert.notStrictEqual(message.lookupId, 'lookup-old');
+    assert.deepStrictEqual(message.replies[0], { from: 'counselor', timestamp: message.resolvedAt, counselorId: 'c1', counselorName: 'Ana', readAt: null });
+    assert.deepStrictEqual(message.riskTrajectory[0].keywords, []);
+    assert.strictEqual(message.category, 'bullying');
+    assert.strictEqual(message.mood, 'mal');
+    assert.ok(message.anonymizedAt);
+
+    assert.strictEqual(createRetention(db).preview().items.length, 0);
+});
+
+test('legal holds exempt cases and delete rules win over anonymize rules', () => {
+    const db = createDb({
+        messages: [
+            resolvedMessage('held', 400, { legalHold: { reason: 'Expediente 12' } }),
+            resolvedMessage('old', 400),
+            resolvedMessage('newer', 200)
+        ]
+    });
+    const retention = createRetention(db);
+    retention.updateConfig({
+        enabled: false,
+        scheduleHours: 24,
+        rules: [
+            { status: 'resolved', days: 180, action: 'anonymize' },
+            { status: 'resolved', days: 365, action: 'delete' }
+        ]
+    });
+
+    const entry = retention.runNow(ADMIN);
+    assert.deepStrictEqual(entry.counts, { anonymize: 1, delete: 1 });
+    assert.strictEqual(entry.held, 1);
+    assert.deepStrictEqual(db.data.messages.map(m => m.id), ['held', 'newer']);
+    assert.deepStrictEqual(db.data.messages[0].message, { ct: 'm' });
+});
+
+test('legal holds need a reason and rules are validated', () => {
+    const db = createDb({ messages: [resolvedMessage('a', 1)] });
+    const retention = createRetention(db);
+    assert.throws(() => retention.setLegalHold(db.data.messages[0], ADMIN, { hold: true, reason: ' ' }), { status: 400 });
+    retention.setLegalHold(db.data.messages[0], ADMIN, { hold: true, reason: 'Expediente 12' });
+    assert.strictEqual(db.data.messages[0].legalHold.byName, 'Administrador');
+    assert.throws(() => retention.updateConfig({ scheduleHours: 24, rules: [{ status: 'resolved', days: 0, action: 'delete' }] }), { status: 400 });
+});
@@ -0,0 +1,70 @@
+// ============================================
+// SAVED CODE AND READ RECEIPT TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SavedCodes = require('../saved-codes.js');
+const Messages = require('../server/messages.js');
+const { createStorage } = require('./helpers.js');
+
+const LOOKUP_ID = 'a'.repeat(64);
+
+/**
+ * Message with a student reply and two counselor replies
+ * @returns {Object} Message
+ */
+function createMessage() {
+    return {
+        id: 'm1',
+        lookupId: LOOKUP_ID,
+        replies: [
+            { from: 'counselor', timestamp: '2025-03-03T10:00:00.000Z', readAt: null },
+            { from: 'student', timestamp: '2025-03-03T11:00:00.000Z' },
+            { from: 'counselor', timestamp: '2025-03-03T12:00:00.000Z', readAt: null }
+        ]
+    };
+}
+
+test('saved codes announce each new reply once and follow code changes', () => {
+    global.localStorage = createStorage();
+    SavedCodes.save(' abcd2345xy ');
+    assert.strictEqual(SavedCodes.find('ABCD2345XY').pinProtected, false);
+
+    const message = createMessage();
+    assert.strictEqual(SavedCodes.record('ABCD2345XY', message), 2);
+    assert.strictEqual(SavedCodes.record('ABCD2345XY', message), 0);
+    assert.strictEqual(SavedCodes.totalUnread(), 2);
+
+    message.replies[0].readAt = '2025-03-04T09:00:00.000Z';
+    message.replies[2].readAt = '2025-03-04T09:00:00.000Z';
+    message.replies.push({ from: 'counselor', timestamp: '2025-03-05T09:00:00.000Z', readAt: null });
+    assert.strictEqual(SavedCodes.record('ABCD2345XY', message), 1);
+
+    SavedCodes.replace('ABCD2345XY', 'ZZZZ2345XY');
+    assert.strictEqual(SavedCodes.find('ABCD2345XY'), undefined);
+    assert.strictEqual(SavedCodes.mask(SavedCodes.list()[0].code), 'ZZ••••••XY');
+
+    SavedCodes.record('ZZZZ2345XY', null);
+    assert.strictEqual(SavedCodes.find('ZZZZ2345XY').missing, true);
+    SavedCodes.forget('ZZZZ2345XY');
+    assert.strictEqual(global.localStorage.getItem(SavedCodes.STORAGE_KEY), null);
+});
+
+test('markRepliesRead keeps the first read time and only accepts counselor replies', () => {
+    const message = createMessage();
+    const db = { data: { messages: [message] }, save() {} };
+
+    Messages.markRepliesRead(db, LOOKUP_ID, { replyIndexes: [0] });
+    const firstRead = message.replies[0].readAt;
+    assert.ok(firstRead);
+    assert.deepStrictEqual(SavedCodes.unreadIndexes(message), [2]);
+
+    Messages.markRepliesRead(db, LOOKUP_ID, { replyIndexes: [0, 2] });
+    assert.strictEqual(message.replies[0].readAt, firstRead);
+    assert.deepStrictEqual(SavedCodes.unreadIndexes(message), []);
+
+    assert.throws(() => Messages.markRepliesRead(db, LOOKUP_ID, { replyIndexes: [1] }), { status: 400 });
+    assert.throws(() => Messages.markRepliesRead(db, LOOKUP_ID, { replyIndexes: [9] }), { status: 400 });
+    assert.throws(() => Messages.markRepliesRead(db, LOOKUP_ID, {}), { status: 400 });
+});
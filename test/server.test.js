@@ -0,0 +1,49 @@
+// ============================================
+// HTTP SERVER TESTS
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRouter } = require('../server/http.js');
+const { startServer } = require('./helpers.js');
+
+test('malformed escapes in the path are rejected without stopping the server', async (t) => {
+    const { base } = await startServer(t);
+
+    const api = await fetch(`${base}/api/track/%E0`);
+    assert.strictEqual(api.status, 400);
+    assert.deepStrictEqual(await api.json(), { error: 'La dirección solicitada no es válida', code: 'invalidPath' });
+
+    assert.strictEqual((await fetch(`${base}/%E0`)).status, 404);
+    assert.strictEqual((await fetch(`${base}/index.html`)).status, 200);
+});
+
+test('a message with a malformed lookup id is a bad request', async (t) => {
+    const { base } = await startServer(t);
+    const post = lookupId => fetch(`${base}/api/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ lookupId, category: 'otro', urgency: 'baja', mood: 'bien' })
+    });
+
+    assert.strictEqual((await post('no-es-hex')).status, 400);
+    assert.strictEqual((await post(42)).status, 400);
+    assert.strictEqual((await fetch(`${base}/api/track/${'0'.repeat(64)}`)).status, 404);
+});
+
+test('errors thrown by a handler become a 500 response', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const router = createRouter();
+    router.add('GET', '/api/boom', async () => {
+        throw new Error('boom');
+    });
+
+    const sent = {};
+    const res = {
+        writeHead(status) { sent.status = status; },
+        end(body) { sent.body = JSON.parse(body); }
+    };
+    const handled = await router.handle({ method: 'GET' }, res, new URL('http://localhost/api/boom'));
+    assert.strictEqual(handled, true);
+    assert.deepStrictEqual(sent, { status: 500, body: { error: 'Error interno del servidor', code: 'internal' } });
+});